@@ -34,5 +34,6 @@ addEventListener('unhandledrejection', (event) => {
     throw reason;
 })
 
-// important that we dynamically import the exploit script after we attach
-import('./exploit.mjs');
+// important that we dynamically import the launcher after we attach, it
+// imports the exploit script when the user presses Start
+import('./ui.mjs');
@@ -29,8 +29,7 @@ along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
 // 7.xx-8.xx
 export const ps4_8_03 = 1;
 
-//this version is for 8.50
-
+// this version is for 8.50-8.52, it uses the same exploit constants as 8.03
 export const ps4_8_50 = 2;
 
 // this version for 9.xx
@@ -45,21 +44,324 @@ export const ps4_6_50 = 4;
 // this version for 6.00-6.20
 export const ps4_6_00 = 5;
 
+const targets = [ps4_8_03, ps4_8_50, ps4_9_00, ps4_6_50, ps4_6_00];
+
+// the firmwares we can detect
+//
+// [console, first version, last version, target]
+//
+// The versions are the ones in the user agent, like 9.00 in
+// "Mozilla/5.0 (PlayStation 4 9.00) AppleWebKit/605.1.15 (KHTML, like Gecko)".
+const firmware_ranges = [
+    ['ps4', '6.00', '6.20', ps4_6_00],
+    ['ps4', '6.50', '6.72', ps4_6_50],
+    ['ps4', '7.00', '8.03', ps4_8_03],
+    ['ps4', '8.50', '8.52', ps4_8_50],
+    ['ps4', '9.00', '9.60', ps4_9_00],
+    ['ps5', '1.00', '5.50', ps5_5_00],
+];
+
+// firmware -> id of its profile in module/profiles.mjs
+//
+// The profiles have the offsets of a single firmware, the other firmwares of
+// the target can only run the exploit, not rop.mjs.
+const firmware_profiles = new Map(Object.entries({
+    'ps4 8.03' : 'ps4_8_03',
+    'ps4 8.50' : 'ps4_8_50',
+    'ps4 9.00' : 'ps4_9_00',
+    'ps4 9.60' : 'ps4_9_60',
+}));
+
+// The AppleWebKit version of the user agent of the firmwares we support. The
+// user agent can be changed but the browser of a firmware we don't support
+// (like PS4 5.05) reports another version.
+const webkit_builds = ['605.1.15'];
+
+function version_number(version) {
+    const [major, minor] = version.split('.');
+    return Number(major) * 100 + Number(minor);
+}
+
+// Returns {console, version, webkit} from a user agent string, null if it is
+// not the browser of a PS4 or PS5. console is 'ps4' or 'ps5', version is like
+// '9.00' and webkit is the AppleWebKit version or null if missing.
+//
+// user agents:
+//     Mozilla/5.0 (PlayStation 4 9.00) AppleWebKit/605.1.15 (KHTML, like
+//     Gecko)
+//
+//     Mozilla/5.0 (PlayStation; PlayStation 5/4.03) AppleWebKit/605.1.15
+//     (KHTML, like Gecko) Version/4.0 Safari/605.1.15
+export function detect_firmware(user_agent) {
+    const webkit_match = /AppleWebKit\/([0-9.]+)/.exec(user_agent);
+    const webkit = webkit_match === null ? null : webkit_match[1];
+
+    let match = /PlayStation 4 (\d+\.\d+)/.exec(user_agent);
+    if (match !== null) {
+        return {console: 'ps4', version: match[1], webkit};
+    }
+    match = /PlayStation 5\/(\d+\.\d+)/.exec(user_agent);
+    if (match !== null) {
+        return {console: 'ps5', version: match[1], webkit};
+    }
+    return null;
+}
+
+// Parses the firmware of the "fw" URL query parameter, like "9.00" (a PS4) or
+// "ps5-4.03". Returns {console, version, webkit} like detect_firmware(), null
+// if the string is invalid. webkit is null, it is not checked.
+export function parse_firmware(str) {
+    const match = /^(?:(ps4|ps5)-)?(\d+\.\d\d)$/.exec(str);
+    if (match === null) {
+        return null;
+    }
+    return {
+        console: match[1] === undefined ? 'ps4' : match[1],
+        version: match[2],
+        webkit: null,
+    };
+}
+
+// "PS4 9.00" for firmware {console: 'ps4', version: '9.00'}
+export function firmware_name(firmware) {
+    return `${firmware.console.toUpperCase()} ${firmware.version}`;
+}
+
+// Returns {target, profile} for a firmware from detect_firmware() or
+// parse_firmware(). profile is the id of the firmware profile of rop.mjs, null
+// if there is none.
+//
+// Raises:
+//   RangeError:
+//     For a firmware that is not supported
+export function get_firmware_target(firmware) {
+    const name = firmware_name(firmware);
+    const version = version_number(firmware.version);
+    const range = firmware_ranges.find(([kind, first, last]) =>
+        kind === firmware.console
+        && version >= version_number(first)
+        && version <= version_number(last)
+    );
+    if (range === undefined) {
+        throw RangeError(`unsupported firmware: ${name}`);
+    }
+    // the user agent says it is a firmware we support but the browser is not
+    // the one of that firmware
+    if (firmware.webkit !== null && !webkit_builds.includes(firmware.webkit)) {
+        throw RangeError(
+            `unsupported WebKit build for ${name}: ${firmware.webkit}`
+        );
+    }
+
+    const id = firmware_profiles.get(`${firmware.console} ${firmware.version}`);
+    return {
+        target: range[3],
+        profile: id === undefined ? null : id,
+    };
+}
+
+// Returns the firmware of a profile like parse_firmware(), null if there is
+// no firmware for the profile id.
+export function get_profile_firmware(id) {
+    for (const [key, profile_id] of firmware_profiles) {
+        if (profile_id === id) {
+            const [console, version] = key.split(' ');
+            return {console, version, webkit: null};
+        }
+    }
+    return null;
+}
+
 export function set_target(value) {
-    switch (value) {
-        case ps4_8_03:
-        case ps4_8_50:
-        case ps4_9_00:
-        case ps4_6_00:
-        case ps4_6_50: {
-            break;
+    if (!targets.includes(value)) {
+        throw RangeError('invalid target: ' + value);
+    }
+
+    target = value;
+}
+
+// id is a profile id from module/profiles.mjs or null for none
+export function set_profile(id) {
+    if (id !== null && typeof id !== 'string') {
+        throw TypeError(`invalid profile id: ${id}`);
+    }
+    if (id !== null && get_profile_firmware(id) === null) {
+        throw RangeError(`unknown profile: ${id}`);
+    }
+
+    profile = id;
+    clear_query_error('profile');
+}
+
+// Sets the target and the profile for a firmware from detect_firmware() or
+// parse_firmware(). source says where the firmware came from, like
+// 'user agent', 'URL query' or 'picker', for the logs.
+//
+// Raises:
+//   RangeError:
+//     For a firmware that is not supported, see get_firmware_target()
+export function set_firmware(value, source) {
+    const res = get_firmware_target(value);
+    set_target(res.target);
+    set_profile(res.profile);
+    firmware = value;
+    firmware_source = source;
+    firmware_error = null;
+    error_param = null;
+}
+
+// the scripts exploit.mjs can import once it has arbitrary read/write,
+// script -> description
+export const payloads = new Map(Object.entries({
+    'code.mjs' : 'your script',
+    'rop.mjs' : 'ROP chain tests and the kernel exploit, needs a profile',
+}));
+
+export function set_payload(value) {
+    if (!payloads.has(value)) {
+        throw RangeError('invalid payload: ' + value);
+    }
+
+    payload = value;
+    clear_query_error('payload');
+}
+
+// the collector on port 8000 of the host that serves the page, like the
+// server of send() in rop.mjs
+export function default_log_server() {
+    const loc = window.location;
+    return `${loc.protocol}//${loc.hostname}:8000/log`;
+}
+
+// url is null to not stream the log. The collector must be on the host that
+// serves the page (any port), the log has addresses in it and a link to the
+// page should not be able to send them elsewhere.
+export function set_log_server(url) {
+    if (url !== null && typeof url !== 'string') {
+        throw TypeError(`invalid log server: ${url}`);
+    }
+    if (url !== null) {
+        let parsed = null;
+        try {
+            parsed = new URL(url, window.location.href);
+        } catch (e) {
+            throw RangeError(`invalid log server: ${url}`);
         }
-        default: {
-            throw RangeError('invalid target: ' + target);
+        if (parsed.hostname !== window.location.hostname
+            || (parsed.protocol !== 'http:' && parsed.protocol !== 'https:')
+        ) {
+            throw RangeError(`log server not on this host: ${url}`);
         }
+        url = parsed.href;
     }
 
-    target = value;
+    log_server = url;
+    clear_query_error('log');
 }
 
 export let target = ps4_8_03;
+
+// id of the firmware profile of rop.mjs, see module/profiles.mjs. null if the
+// firmware has none, run.mjs does not run rop.mjs then.
+export let profile = 'ps4_8_03';
+
+// the firmware from set_firmware(), null if neither detected nor chosen
+export let firmware = null;
+export let firmware_source = null;
+// the message of the error if the firmware is not supported or a URL query
+// parameter is invalid, null if there is none
+export let firmware_error = null;
+// the URL query parameter of firmware_error, null if it is not about one
+let error_param = null;
+
+export let payload = 'code.mjs';
+
+// Whether to run the self-tests of the exploit, like the fakeobj() round-trip
+// of mem.mjs. They are not needed to use the exploit and add risk, so they are
+// off unless the "self_test" URL query parameter is 1.
+export let self_test = false;
+
+// the URL of the log collector (tools/log_server.mjs) the log is streamed to,
+// null if the log is not streamed
+export let log_server = null;
+
+// Picks the firmware, in order:
+// * the "fw" URL query parameter, see parse_firmware(). The "profile"
+//   parameter overrides the profile, see module/profiles.mjs.
+// * the user agent, see detect_firmware()
+// * the defaults above (PS4 8.03) if the browser is not a PS4 or PS5, like
+//   when developing on a PC
+//
+// The "payload" URL query parameter sets the payload and "log" the log
+// collector, "log=1" for default_log_server() or the URL of a collector on
+// the same host. "self_test=1" sets self_test.
+// The UI can change them later with the setters above, before exploit.mjs is
+// imported.
+// an invalid URL query parameter leaves the setting as it was
+function query_error(param, e) {
+    if (!(e instanceof RangeError)) {
+        throw e;
+    }
+    // keep the first one
+    if (firmware_error === null) {
+        firmware_error = e.message;
+        error_param = param;
+    }
+}
+
+// the error is gone once the user sets param to a valid value
+function clear_query_error(param) {
+    if (error_param === param) {
+        firmware_error = null;
+        error_param = null;
+    }
+}
+
+function init() {
+    const params = new URLSearchParams(window.location.search);
+    const fw = params.get('fw');
+    try {
+        if (fw !== null) {
+            const value = parse_firmware(fw);
+            if (value === null) {
+                throw RangeError(`invalid fw in the URL query: ${fw}`);
+            }
+            set_firmware(value, 'URL query');
+        } else {
+            const value = detect_firmware(navigator.userAgent);
+            if (value !== null) {
+                set_firmware(value, 'user agent');
+            }
+        }
+    } catch (e) {
+        query_error('fw', e);
+    }
+
+    const id = params.get('profile');
+    if (id !== null) {
+        try {
+            set_profile(id === 'none' ? null : id);
+        } catch (e) {
+            query_error('profile', e);
+        }
+    }
+    const value = params.get('payload');
+    if (value !== null) {
+        try {
+            set_payload(value);
+        } catch (e) {
+            query_error('payload', e);
+        }
+    }
+    self_test = params.get('self_test') === '1';
+    const url = params.get('log');
+    if (url !== null) {
+        try {
+            set_log_server(url === '1' ? default_log_server() : url);
+        } catch (e) {
+            query_error('log', e);
+        }
+    }
+}
+
+init();
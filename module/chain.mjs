@@ -24,19 +24,16 @@ import {
     write64,
 } from './rw.mjs';
 
+import {
+    syscall_map,
+    get_syscall,
+    errno_name,
+} from './syscalls.mjs';
+
 import * as o from './offset.mjs';
 
-// put the sycall names that you want to use here
-export const syscall_map = new Map(Object.entries({
-    'close': 6,
-    'setuid' : 23,
-    'getuid' : 24,
-    'socket' : 97,
-    'mlock' : 203,
-    'kqueue' : 362,
-    'kevent' : 363,
-    'mmap' : 477,
-}));
+// syscall_map is kept here for the modules that import it from chain.mjs
+export { syscall_map };
 
 // Extra space to allow a ROP chain to push temporary values. It must pop all
 // of it before reaching a "ret" instruction, else the instruction will pop one
@@ -50,7 +47,15 @@ const upper_pad = 0x10000;
 const stack_size = 0x10000;
 const total_size = upper_pad + stack_size;
 
-const argument_pops = [
+// gadgets that skip the stack arguments of a call, see push_call()
+const stack_cleanup_re = /^add rsp, (0x[0-9a-f]+|[0-9]+); ret$/;
+
+// stores the errno left in rcx by a failed syscall, see push_get_errno()
+const errno_gadget = 'mov qword ptr [rsi], rcx; ret';
+
+// gadgets that load the arguments of push_call(), in the order of the SysV
+// calling convention
+export const argument_pops = [
     'pop rdi; ret',
     'pop rsi; ret',
     'pop rdx; ret',
@@ -65,11 +70,16 @@ export class ChainBase {
         this.position = 0;
         this._return_value = new Uint8Array(8);
         this.retval_addr = get_view_vector(this._return_value);
+        this._errno = new Uint8Array(8);
+        this.errno_addr = get_view_vector(this._errno);
 
         const stack_buffer = new ArrayBuffer(total_size);
         this.stack_buffer = stack_buffer;
         this.stack = new Uint8Array(stack_buffer, upper_pad, stack_size);
         this.stack_addr = get_view_vector(this.stack);
+
+        this._clean_labels();
+        this._clean_notes();
     }
 
     check_stale() {
@@ -88,6 +98,207 @@ export class ChainBase {
     clean() {
         this.position = 0;
         this.is_stale = false;
+        this._clean_labels();
+        this._clean_notes();
+    }
+
+    _clean_labels() {
+        // label name -> position in the stack
+        this.labels = new Map();
+        // Array of {slot, resolve}, resolve() returns the value of the slot
+        // once all the labels are defined
+        this._label_refs = [];
+        this._label_count = 0;
+    }
+
+    // Labels name positions in the stack, so that a ROP chain can refer to
+    // the address of a part of itself before that part is pushed. See the
+    // jumps of Chain803Base.
+    //
+    // Defines the label at the current position.
+    label(name) {
+        if (typeof name !== 'string') {
+            throw TypeError(`label name not a string: ${name}`);
+        }
+        if (this.labels.has(name)) {
+            throw Error(`label already defined: ${name}`);
+        }
+        this.labels.set(name, this.position);
+    }
+
+    // Returns the name of a new label for internal use, it is not defined
+    // until passed to label().
+    new_label() {
+        return `.L${this._label_count++}`;
+    }
+
+    // Returns the address of a defined label.
+    label_addr(name) {
+        const position = this.labels.get(name);
+        if (position === undefined) {
+            throw Error(`label not defined: ${name}`);
+        }
+        return this.stack_addr.add(position);
+    }
+
+    // Pushes a slot whose value is computed by resolve_labels(), resolve is
+    // called with no arguments and must return an Int. note is shown by
+    // dump() next to the slot.
+    push_label_ref(resolve, note=null) {
+        if (note !== null) {
+            this.note_slot(this.position, note);
+        }
+        this._label_refs.push({slot: this.position, resolve});
+        this.push_constant(0);
+    }
+
+    // Pushes the address of the label, it may be defined later.
+    push_label_addr(name) {
+        this.push_label_ref(() => this.label_addr(name));
+    }
+
+    // Writes the slots pushed by push_label_ref(). Implementations of run()
+    // must call this before launching the chain.
+    resolve_labels() {
+        for (const {slot, resolve} of this._label_refs) {
+            write64(this.stack, slot, resolve());
+        }
+    }
+
+    _clean_notes() {
+        // position -> Array of notes shown before the slot
+        this._notes = new Map();
+        // position -> note shown next to the slot
+        this._slot_notes = new Map();
+    }
+
+    // Adds a note at the current position for dump(), like the start of a
+    // construct that pushes many slots.
+    note(text) {
+        let notes = this._notes.get(this.position);
+        if (notes === undefined) {
+            notes = [];
+            this._notes.set(this.position, notes);
+        }
+        notes.push(text);
+    }
+
+    // Adds a note to the slot at position for dump(), like for a slot that
+    // is patched later.
+    note_slot(position, text) {
+        this._slot_notes.set(position, text);
+    }
+
+    // Returns an Array of [name, address] of the buffers used by the chain,
+    // for dump()
+    _buffer_names() {
+        return [
+            ['retval_addr', this.retval_addr],
+            ['errno_addr', this.errno_addr],
+        ];
+    }
+
+    // Returns a listing of the stack as a string, one slot per line:
+    //
+    //     start:
+    //     +0x0018 pop rdi; ret
+    //     +0x0020 0x0000000900000000 (arg)
+    //     ; push_save()
+    //     +0x0028 0x0000000500001230 (-> start)
+    //
+    // Slots are looked up in the gadget map, the syscall_array and names, an
+    // optional Map of name -> address like the gadget map. Values that point
+    // to the stack show the label or the offset they point to. Labels and the
+    // notes of note() are on their own lines before the slot.
+    //
+    // The chain is not run, so this works offline with a MockMemory. The
+    // label references are resolved first, the ones that can't be are
+    // marked.
+    dump(names=null) {
+        // address (as a string) -> name
+        const addr_names = new Map();
+        const add_name = (name, addr) => {
+            const key = addr.toString();
+            if (!addr_names.has(key)) {
+                addr_names.set(key, name);
+            }
+        };
+        if (names !== null) {
+            for (const [name, addr] of names) {
+                add_name(name, addr);
+            }
+        }
+        for (const [name, addr] of this._buffer_names()) {
+            add_name(name, addr);
+        }
+        for (const [insn, addr] of this.gadgets) {
+            // the JOP gadgets are multiline
+            add_name(insn.trim().split(/\s*\n\s*/).join('; '), addr);
+        }
+        this.syscall_array.forEach((addr, num) => {
+            const info = get_syscall(num);
+            add_name(`syscall ${info === null ? num : info.name}`, addr);
+        });
+
+        const unresolved = new Map();
+        for (const {slot, resolve} of this._label_refs) {
+            try {
+                write64(this.stack, slot, resolve());
+            } catch (e) {
+                unresolved.set(slot, e.message);
+            }
+        }
+
+        // position -> Array of label names
+        const labels = new Map();
+        for (const [name, position] of this.labels) {
+            if (!labels.has(position)) {
+                labels.set(position, []);
+            }
+            labels.get(position).push(name);
+        }
+
+        const digits = Math.max(this.position.toString(16).length, 4);
+        const offset_str = offset => {
+            return '+0x' + offset.toString(16).padStart(digits, '0');
+        };
+        const describe = value => {
+            const name = addr_names.get(value.toString());
+            if (name !== undefined) {
+                return name;
+            }
+            const offset = value.sub(this.stack_addr);
+            if (offset.high() === 0 && offset.low() <= this.position) {
+                const at = labels.get(offset.low());
+                const target = at === undefined
+                    ? offset_str(offset.low()) : at[0];
+                return `${value} (-> ${target})`;
+            }
+            return `${value} (arg)`;
+        };
+
+        const res = [];
+        for (let pos = 0; pos <= this.position; pos += 8) {
+            for (const name of labels.get(pos) || []) {
+                res.push(`${name}:`);
+            }
+            for (const note of this._notes.get(pos) || []) {
+                res.push(`; ${note}`);
+            }
+            if (pos === this.position) {
+                break;
+            }
+
+            const value = read64(this.stack, pos);
+            let line = `${offset_str(pos)} ${describe(value)}`;
+            if (unresolved.has(pos)) {
+                line += ` ; unresolved: ${unresolved.get(pos)}`;
+            } else if (this._slot_notes.has(pos)) {
+                line += ` ; ${this._slot_notes.get(pos)}`;
+            }
+            res.push(line);
+        }
+        return res.join('\n');
     }
 
     // this will raise an error if the value is not an Int
@@ -117,17 +328,55 @@ export class ChainBase {
         this.push_value(this.get_gadget(insn_str));
     }
 
-    push_call(func_addr, ...args) {
-        if (args.length > 6) {
-            throw TypeError(
-                'call() does not support functions that have more than 6'
-                + ' arguments'
+    // Returns {gadget, slots} for the smallest "add rsp, <n>; ret" gadget of
+    // the gadget map that skips at least count stack slots. slots is the
+    // number of slots it skips.
+    get_stack_cleanup(count) {
+        let res = null;
+        for (const insn of this.gadgets.keys()) {
+            const match = stack_cleanup_re.exec(insn);
+            if (match === null) {
+                continue;
+            }
+            const size = Number(match[1]);
+            if (size % 8 !== 0 || size / 8 < count) {
+                continue;
+            }
+            if (res === null || size / 8 < res.slots) {
+                res = {gadget: insn, slots: size / 8};
+            }
+        }
+        if (res === null) {
+            throw Error(
+                `no gadget to skip ${count} stack arguments, the gadget map`
+                + ' needs an "add rsp, <n>; ret" gadget'
             );
         }
+        return res;
+    }
+
+    // The first 6 arguments are passed via registers, the rest via the stack
+    // as per the SysV calling convention. For stack arguments, the layout
+    // is:
+    //
+    //     func_addr
+    //     add rsp, <n>; ret  // the return address, skips the arguments
+    //     arg 7
+    //     arg 8
+    //     ...
+    //     padding            // if the gadget skips more than needed
+    //
+    // The function sees arg 7 at [rsp + 8] on entry, 16-byte aligned.
+    push_call(func_addr, ...args) {
+        const reg_args = args.slice(0, argument_pops.length);
+        const stack_args = args.slice(argument_pops.length);
+        // get it first so that nothing is pushed if there is none
+        const cleanup = stack_args.length === 0
+            ? null : this.get_stack_cleanup(stack_args.length);
 
-        for (let i = 0; i < args.length; i++) {
+        for (let i = 0; i < reg_args.length; i++) {
             this.push_gadget(argument_pops[i]);
-            this.push_constant(args[i]);
+            this.push_constant(reg_args[i]);
         }
 
         // The address of our buffer seems to be always aligned to 8 bytes.
@@ -139,6 +388,16 @@ export class ChainBase {
         }
 
         this.push_value(func_addr);
+
+        if (cleanup !== null) {
+            this.push_gadget(cleanup.gadget);
+            for (const arg of stack_args) {
+                this.push_constant(arg);
+            }
+            for (let i = stack_args.length; i < cleanup.slots; i++) {
+                this.push_constant(0);
+            }
+        }
     }
 
     push_syscall(syscall_name, ...args) {
@@ -146,10 +405,22 @@ export class ChainBase {
             throw TypeError(`syscall_name not a string: ${syscall_name}`);
         }
 
-        const sysno = syscall_map.get(syscall_name);
-        if (sysno === undefined) {
+        const info = get_syscall(syscall_name);
+        if (info === null) {
             throw Error(`syscall_name not found: ${syscall_name}`);
         }
+        // the arguments are only known for some of Sony's syscalls
+        if (info.args !== null
+            && (args.length < info.args.length
+                || (args.length > info.args.length && !info.variadic))
+        ) {
+            const params = info.args.map(arg => `${arg.type} ${arg.name}`);
+            throw TypeError(
+                `${syscall_name}() takes ${info.args.length} arguments`
+                + ` (${params.join(', ')}), got ${args.length}`
+            );
+        }
+        const sysno = info.num;
 
         const syscall_addr = this.syscall_array[sysno];
         if (syscall_addr === undefined) {
@@ -164,10 +435,26 @@ export class ChainBase {
         throw Error('push_get_retval() not implemented');
     }
 
+    // ROP chain to retrieve the errno of a failed syscall
+    //
+    // The syscall wrappers of libkernel return -1 on error. Their error path
+    // (cerror, the same as FreeBSD's) pops the errno to rcx before storing it
+    // to *__error(), so it is still in rcx when the wrapper returns.
+    push_get_errno() {
+        this.push_gadget('pop rsi; ret');
+        this.push_value(this.errno_addr);
+        this.push_gadget(errno_gadget);
+    }
+
+    // sequence to pivot back and return
+    push_end() {
+        throw Error('push_end() not implemented');
+    }
+
     // Firmware specific method to launch a ROP chain
     //
-    // Implementations must call check_stale() and check_is_empty() before
-    // trying to launch the chain.
+    // Implementations must call check_stale(), check_is_empty() and
+    // resolve_labels() before trying to launch the chain.
     run() {
         throw Error('run() not implemented');
     }
@@ -176,6 +463,51 @@ export class ChainBase {
         return read64(this._return_value, 0);
     }
 
+    // errno of the last syscall() if it failed
+    get errno() {
+        return read64(this._errno, 0).low();
+    }
+
+    // calls a function and returns its return value
+    call(...args) {
+        if (this.position !== 0) {
+            throw Error('call() needs an empty chain');
+        }
+        this.push_call(...args);
+        this.push_get_retval();
+        this.push_end();
+        this.run();
+        this.clean();
+
+        return this.return_value;
+    }
+
+    // Calls a syscall and returns {value, errno}. value is the return value.
+    // errno is null if the syscall succeeded, else it is the name of the
+    // errno like "EINVAL". It is "unknown" if the gadget map does not have
+    // the gadget used by push_get_errno().
+    syscall(syscall_name, ...args) {
+        if (this.position !== 0) {
+            throw Error('syscall() needs an empty chain');
+        }
+        const get_errno = this.gadgets.has(errno_gadget);
+        this.push_syscall(syscall_name, ...args);
+        this.push_get_retval();
+        if (get_errno) {
+            this.push_get_errno();
+        }
+        this.push_end();
+        this.run();
+        this.clean();
+
+        const value = this.return_value;
+        let errno = null;
+        if (value.eq(-1)) {
+            errno = get_errno ? errno_name(this.errno) : 'unknown';
+        }
+        return {value, errno};
+    }
+
     // Sets needed class properties
     //
     // Args:
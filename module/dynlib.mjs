@@ -0,0 +1,414 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// Dynamic symbol tables of PS4 modules
+//
+// Dynlib only works on module dumps. The tables are in the dynlib data of the
+// module file (PT_SCE_DYNLIBDATA), which is not loaded into memory, so the
+// symbols of a loaded module cannot be resolved from memory alone. A
+// ModuleInfo from find_module() has no dynlib data and Dynlib throws on it.
+//
+// Load a decrypted dump of the module with MockMemory, then get a ModuleInfo
+// for it with parse_elf() from sprx.mjs. Pass the base address of the loaded
+// module to parse_elf() if you want the addresses of the symbols in memory.
+// tools/gen_gadgets.mjs does this to look up the entries of the gadget tables
+// of module/profiles/ that are not gadgets.
+//
+// example (Node):
+//
+// const mock = new MockMemory();
+// const image = mock.load(new Int(0, 9), readFileSync('libc.sprx'));
+// const libc = parse_elf(image, libc_base);
+// const setjmp_addr = resolve_symbol(libc, 'setjmp');
+//
+// The kernel has the tables of the loaded modules. With a ROP chain that can
+// make syscalls, get_module_handle() and dlsym() get the symbols of a loaded
+// module from it.
+//
+// example:
+//
+// const handle = get_module_handle(chain, 'libSceLibcInternal.sprx');
+// const setjmp_addr = dlsym(chain, handle, 'setjmp');
+
+import { Int } from './int64.mjs';
+import { Addr } from './mem.mjs';
+import { define_struct } from './struct.mjs';
+import { get_view_vector } from './memtools.mjs';
+import * as rw from './rw.mjs';
+import { name_to_nid, is_nid, parse_symbol_name } from './nid.mjs';
+
+// d_tag values, the values of the DT_SCE_* tags with an offset are relative
+// to the start of the dynlib data
+export const DT_NULL = 0;
+export const DT_SCE_NEEDED_MODULE = 0x6100000f;
+export const DT_SCE_EXPORT_LIB = 0x61000013;
+export const DT_SCE_IMPORT_LIB = 0x61000015;
+export const DT_SCE_JMPREL = 0x61000029;
+export const DT_SCE_PLTRELSZ = 0x6100002d;
+export const DT_SCE_RELA = 0x6100002f;
+export const DT_SCE_RELASZ = 0x61000031;
+export const DT_SCE_STRTAB = 0x61000035;
+export const DT_SCE_STRSZ = 0x61000037;
+export const DT_SCE_SYMTAB = 0x61000039;
+export const DT_SCE_SYMTABSZ = 0x6100003f;
+
+// relocation types
+export const R_X86_64_GLOB_DAT = 6;
+export const R_X86_64_JUMP_SLOT = 7;
+
+// st_shndx of undefined (imported) symbols
+const SHN_UNDEF = 0;
+
+const Elf64_Dyn = define_struct('Elf64_Dyn', {
+    d_tag : 'i64',
+    d_val : 'u64',
+});
+
+const Elf64_Sym = define_struct('Elf64_Sym', {
+    st_name : 'u32',
+    st_info : 'u8',
+    st_other : 'u8',
+    st_shndx : 'u16',
+    st_value : 'u64',
+    st_size : 'u64',
+});
+
+const Elf64_Rela = define_struct('Elf64_Rela', {
+    r_offset : 'u64',
+    r_info : 'u64',
+    r_addend : 'i64',
+});
+
+// Symbol names are not longer than this, "<NID>#<lib id>#<module id>" plus
+// room for long ids.
+const max_symbol_name = 0x40;
+const max_lib_name = 0x100;
+
+// Accepts a name or a NID, returns the NID.
+function to_nid(name_or_nid) {
+    return is_nid(name_or_nid) ? name_or_nid : name_to_nid(name_or_nid);
+}
+
+export class Dynlib {
+    // module is a ModuleInfo from parse_elf()
+    constructor(module) {
+        if (module.dynamic === null || module.dynlibdata === null) {
+            throw Error(
+                `no dynamic section or dynlib data for ${module.base}, a`
+                + ' ModuleInfo from parse_elf() on a module dump is needed'
+            );
+        }
+        this.module = module;
+
+        // library id -> name
+        this.import_libs = new Map();
+        this.export_libs = new Map();
+        this.needed_modules = new Map();
+
+        // NID -> {nid, lib, addr, size}
+        this.exports = new Map();
+        // Array of {nid, lib, slot, index}, index is the index in the
+        // DT_SCE_JMPREL table. slot is the GOT entry the PLT stub jumps
+        // through, the stub pushes index before jumping to the resolver.
+        this.imports = [];
+
+        this._parse_dynamic();
+        this._parse_symbols();
+        this._parse_jmprel();
+    }
+
+    // Returns an Addr to offset within the dynlib data, checking that the
+    // size bytes there are within it.
+    _dynlib_addr(offset, size) {
+        offset = new Int(offset);
+        const end = offset.add(size);
+        if (end.lt(offset)
+            || end.gt(this.module.dynlibdata_size)
+        ) {
+            throw RangeError(
+                `offset ${offset} + ${size} is outside of the dynlib data`
+            );
+        }
+        return this.module.dynlibdata.add(offset);
+    }
+
+    _read_string(offset, max) {
+        if (offset >= this.strsz) {
+            throw RangeError(`string offset out of bounds: ${offset}`);
+        }
+        const remaining = this.strsz - offset;
+        const addr = this._dynlib_addr(this.strtab + offset, 1);
+        return addr.read_cstring(0, Math.min(max, remaining));
+    }
+
+    _parse_dynamic() {
+        const tags = new Map();
+        const libs = [];
+
+        const count = Math.floor(this.module.dynamic_size / Elf64_Dyn.sizeof);
+        for (let i = 0; i < count; i++) {
+            const dyn = Elf64_Dyn.at(
+                this.module.dynamic.add(i * Elf64_Dyn.sizeof)
+            );
+            const tag = dyn.d_tag;
+            if (tag.eq(DT_NULL)) {
+                break;
+            }
+            if (tag.high() !== 0) {
+                continue;
+            }
+            switch (tag.low()) {
+                case DT_SCE_NEEDED_MODULE:
+                case DT_SCE_EXPORT_LIB:
+                case DT_SCE_IMPORT_LIB: {
+                    libs.push([tag.low(), dyn.d_val]);
+                    break;
+                }
+                default: {
+                    tags.set(tag.low(), dyn.d_val);
+                }
+            }
+        }
+
+        const get = (tag, optional=false) => {
+            const value = tags.get(tag);
+            if (value === undefined) {
+                if (optional) {
+                    return 0;
+                }
+                throw Error(`missing dynamic tag: 0x${tag.toString(16)}`);
+            }
+            if (value.high() !== 0) {
+                throw RangeError(`dynamic tag 0x${tag.toString(16)} too big`);
+            }
+            return value.low();
+        };
+        this.strtab = get(DT_SCE_STRTAB);
+        this.strsz = get(DT_SCE_STRSZ);
+        this.symtab = get(DT_SCE_SYMTAB);
+        this.symtabsz = get(DT_SCE_SYMTABSZ);
+        this.jmprel = get(DT_SCE_JMPREL, true);
+        this.pltrelsz = get(DT_SCE_PLTRELSZ, true);
+
+        // The value is (id << 48) | (version << 32) | name, where name is an
+        // offset within the string table.
+        for (const [tag, value] of libs) {
+            const name = this._read_string(value.low(), max_lib_name);
+            const id = value.high() >>> 16;
+            switch (tag) {
+                case DT_SCE_NEEDED_MODULE: {
+                    this.needed_modules.set(id, name);
+                    break;
+                }
+                case DT_SCE_EXPORT_LIB: {
+                    this.export_libs.set(id, name);
+                    break;
+                }
+                case DT_SCE_IMPORT_LIB: {
+                    this.import_libs.set(id, name);
+                    break;
+                }
+            }
+        }
+    }
+
+    _symbol(index) {
+        const offset = index * Elf64_Sym.sizeof;
+        if (offset + Elf64_Sym.sizeof > this.symtabsz) {
+            throw RangeError(`symbol index out of bounds: ${index}`);
+        }
+        const sym = Elf64_Sym.at(
+            this._dynlib_addr(this.symtab + offset, Elf64_Sym.sizeof)
+        );
+        const name = this._read_string(sym.st_name, max_symbol_name);
+        const parsed = parse_symbol_name(name);
+        return {
+            sym,
+            nid: parsed.nid,
+            lib_id: parsed.lib_id,
+        };
+    }
+
+    _parse_symbols() {
+        const count = Math.floor(this.symtabsz / Elf64_Sym.sizeof);
+        // the first symbol is the null symbol
+        for (let i = 1; i < count; i++) {
+            const {sym, nid, lib_id} = this._symbol(i);
+            if (sym.st_shndx === SHN_UNDEF) {
+                continue;
+            }
+            const lib = this.export_libs.get(lib_id);
+            this.exports.set(nid, {
+                nid,
+                lib: lib === undefined ? null : lib,
+                addr: this.module.base.add(sym.st_value),
+                size: sym.st_size.low(),
+            });
+        }
+    }
+
+    _parse_jmprel() {
+        const count = Math.floor(this.pltrelsz / Elf64_Rela.sizeof);
+        for (let i = 0; i < count; i++) {
+            const rela = Elf64_Rela.at(this._dynlib_addr(
+                this.jmprel + i * Elf64_Rela.sizeof,
+                Elf64_Rela.sizeof,
+            ));
+            const info = rela.r_info;
+            if (info.low() !== R_X86_64_JUMP_SLOT) {
+                continue;
+            }
+            const {nid, lib_id} = this._symbol(info.high());
+            const lib = this.import_libs.get(lib_id);
+            this.imports.push({
+                nid,
+                lib: lib === undefined ? null : lib,
+                slot: this.module.base.add(rela.r_offset),
+                index: i,
+            });
+        }
+    }
+
+    // Returns the export for a name or NID or null if there is none.
+    find_export(name_or_nid) {
+        const res = this.exports.get(to_nid(name_or_nid));
+        return res === undefined ? null : res;
+    }
+
+    // Returns the import for a name or NID or null if there is none.
+    find_import(name_or_nid) {
+        const nid = to_nid(name_or_nid);
+        const res = this.imports.find(imp => imp.nid === nid);
+        return res === undefined ? null : res;
+    }
+}
+
+// ModuleInfo -> Dynlib, so the tables are parsed once per module
+const dynlib_cache = new WeakMap();
+
+export function get_dynlib(module) {
+    let res = dynlib_cache.get(module);
+    if (res === undefined) {
+        res = new Dynlib(module);
+        dynlib_cache.set(module, res);
+    }
+    return res;
+}
+
+// Returns the address of a function or variable by name or NID.
+//
+// Exports of the module are looked up first. If it is not exported, it is
+// looked up in the imports of the module and the GOT entry of the import is
+// read. That read is of memory, not of the dump, so the module must be
+// loaded at the base given to parse_elf().
+export function resolve_symbol(module, name_or_nid) {
+    const dynlib = get_dynlib(module);
+
+    const exp = dynlib.find_export(name_or_nid);
+    if (exp !== null) {
+        return new Addr(exp.addr);
+    }
+
+    const imp = dynlib.find_import(name_or_nid);
+    if (imp !== null) {
+        return imp.slot.readp(0);
+    }
+
+    throw Error(`symbol not found: ${name_or_nid}`);
+}
+
+// the info of dynlib_get_info()
+export const dynlib_info_t = define_struct('dynlib_info', {
+    // the size of the struct, set by the caller
+    size : 'u64',
+    // the file name of the module, like "libkernel_web.sprx"
+    name : 'u8[256]',
+    // 4 segments of {ptr start, u32 size, u32 prot}
+    segments : 'u64[8]',
+    segment_count : 'u32',
+    fingerprint : 'u8[20]',
+});
+
+// the max number of handles dynlib_get_list() returns
+const max_handles = 0x100;
+
+// Makes a syscall with chain, a chain that can make syscalls (see
+// ChainBase.syscall() of chain.mjs). Throws if it fails.
+function dynlib_syscall(chain, name, ...args) {
+    const res = chain.syscall(name, ...args);
+    if (res.errno !== null) {
+        throw Error(`${name}() failed: ${res.errno}`);
+    }
+}
+
+// Returns the handles of the loaded modules.
+export function get_module_handles(chain) {
+    const handles = new Uint32Array(max_handles);
+    const count = new Uint8Array(8);
+    dynlib_syscall(
+        chain,
+        'dynlib_get_list',
+        get_view_vector(handles),
+        max_handles,
+        get_view_vector(count),
+    );
+    const num = Math.min(rw.read64(count, 0).low(), max_handles);
+    return Array.from(handles.subarray(0, num));
+}
+
+// Returns the file name of the loaded module with handle.
+export function get_module_name(chain, handle) {
+    const info = dynlib_info_t.alloc();
+    info.size = dynlib_info_t.sizeof;
+    dynlib_syscall(
+        chain,
+        'dynlib_get_info',
+        handle,
+        get_view_vector(info.view),
+    );
+    const name = info.name;
+    const len = name.indexOf(0);
+    return String.fromCharCode(...(len === -1 ? name : name.slice(0, len)));
+}
+
+// Returns the handle of the loaded module with the file name name.
+export function get_module_handle(chain, name) {
+    for (const handle of get_module_handles(chain)) {
+        if (get_module_name(chain, handle) === name) {
+            return handle;
+        }
+    }
+    throw Error(`module not loaded: ${name}`);
+}
+
+// Returns the address of a function or variable of the loaded module with
+// handle. The kernel looks up the NID of name, so it does not take NIDs.
+export function dlsym(chain, handle, name) {
+    const symbol = new Uint8Array(name.length + 1);
+    for (let i = 0; i < name.length; i++) {
+        symbol[i] = name.charCodeAt(i);
+    }
+    const addr = new Uint8Array(8);
+    dynlib_syscall(
+        chain,
+        'dynlib_dlsym',
+        handle,
+        get_view_vector(symbol),
+        get_view_vector(addr),
+    );
+    return new Addr(rw.read64(addr, 0));
+}
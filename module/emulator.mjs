@@ -0,0 +1,607 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// x86-64 emulator for ROP chains
+//
+// This runs a ROP chain against a MockMemory, so that the chains can be
+// tested without a console. It does not decode machine code. It executes the
+// instruction strings of the gadget map instead (like "pop rdi; ret" or the
+// multiline JOP gadgets of the firmware profiles), so it only knows the few
+// instructions the gadgets use.
+//
+// Functions like setjmp() or the syscall wrappers are emulated in JS, see
+// add_function(), setjmp_function(), longjmp_function() and add_syscalls().
+//
+// example:
+//
+// const emu = new Emulator(gadgets);
+// const setjmp = setjmp_function(jmp_buf_t);
+// emu.add_function(gadgets.get('setjmp'), 'setjmp', setjmp);
+// emu.add_syscalls(syscall_array, new Map([['getpid', () => 42]]));
+// emu.run(chain.stack_addr);
+// console.log(emu.dump_regs());
+
+import { Int } from './int64.mjs';
+import { Addr, mem } from './mem.mjs';
+import { get_syscall, errno_map } from './syscalls.mjs';
+
+export const registers = [
+    'rax', 'rbx', 'rcx', 'rdx', 'rsi', 'rdi', 'rbp', 'rsp',
+    'r8', 'r9', 'r10', 'r11', 'r12', 'r13', 'r14', 'r15',
+];
+
+// the registers of the SysV calling convention, in order
+const argument_registers = ['rdi', 'rsi', 'rdx', 'rcx', 'r8', 'r9'];
+
+// partial register -> [register, size in bytes]
+const partial_registers = new Map();
+for (const [r64, r32, r8] of [
+    ['rax', 'eax', 'al'],
+    ['rbx', 'ebx', 'bl'],
+    ['rcx', 'ecx', 'cl'],
+    ['rdx', 'edx', 'dl'],
+    ['rsi', 'esi', 'sil'],
+    ['rdi', 'edi', 'dil'],
+    ['rbp', 'ebp', 'bpl'],
+    ['rsp', 'esp', 'spl'],
+]) {
+    partial_registers.set(r32, [r64, 4]);
+    partial_registers.set(r8, [r64, 1]);
+}
+for (let i = 8; i < 16; i++) {
+    partial_registers.set(`r${i}d`, [`r${i}`, 4]);
+    partial_registers.set(`r${i}b`, [`r${i}`, 1]);
+}
+
+const mnemonics = new Set([
+    'ret', 'jmp', 'call', 'pop', 'push', 'leave',
+    'mov', 'xchg', 'add', 'adc', 'sub', 'and', 'or', 'xor', 'neg', 'shl', 'shr',
+    'cmc', 'cli', 'sti', 'nop',
+]);
+
+const ptr_sizes = new Map(Object.entries({
+    'byte' : 1,
+    'word' : 2,
+    'dword' : 4,
+    'qword' : 8,
+}));
+
+const masks = new Map([
+    [1, new Int(0xff)],
+    [2, new Int(0xffff)],
+    [4, new Int(0xffffffff, 0)],
+]);
+
+// the emulated functions return here from run()
+const exit_addr = new Int(0xdead0000, 0xdead);
+
+// bytes below rsp that the emulated functions overwrite by default, like the
+// frames of a real function would
+const default_clobber = 0x40;
+const clobber_value = new Int(0xcccccccc, 0xcccccccc);
+
+function parse_operand(str) {
+    let match = /^(byte|word|dword|qword) ptr \[(\w+)(?: ([+-]) (\w+))?\]$/
+        .exec(str);
+    if (match !== null) {
+        let disp = match[4] === undefined ? 0 : Number(match[4]);
+        if (Number.isNaN(disp)) {
+            throw Error(`unsupported operand: ${str}`);
+        }
+        if (match[3] === '-') {
+            disp = -disp;
+        }
+        return {
+            kind: 'mem',
+            size: ptr_sizes.get(match[1]),
+            base: parse_register(match[2], str).reg,
+            disp,
+        };
+    }
+
+    if (/^-?(0x[0-9a-f]+|[0-9]+)$/.test(str)) {
+        return {kind: 'imm', size: 8, value: Int.parse(str)};
+    }
+
+    const reg = parse_register(str, str);
+    return {kind: 'reg', size: reg.size, reg: reg.reg};
+}
+
+function parse_register(name, operand) {
+    if (registers.includes(name)) {
+        return {reg: name, size: 8};
+    }
+    const partial = partial_registers.get(name);
+    if (partial === undefined) {
+        throw Error(`unsupported operand: ${operand}`);
+    }
+    return {reg: partial[0], size: partial[1]};
+}
+
+// Parses a gadget into an Array of {mnemonic, operands, text}.
+export function parse_gadget(gadget) {
+    const res = [];
+    for (let text of gadget.split(/[;\n]/)) {
+        text = text.trim();
+        if (text === '') {
+            continue;
+        }
+        const space = text.indexOf(' ');
+        const mnemonic = space === -1 ? text : text.slice(0, space);
+        if (!mnemonics.has(mnemonic)) {
+            throw Error(`unsupported instruction: ${text}`);
+        }
+        const operands = space === -1
+            ? [] : text.slice(space + 1).split(',').map(s => s.trim());
+        res.push({
+            mnemonic,
+            operands: operands.map(parse_operand),
+            text,
+        });
+    }
+    return res;
+}
+
+function truncate(value, size) {
+    return size === 8 ? value : value.and(masks.get(size));
+}
+
+export class Emulator {
+    // gadgets is a gadget map (instruction string -> address)
+    //
+    // options:
+    // * max_steps
+    //     run() throws after this many gadgets and functions, defaults to
+    //     0x100000
+    // * clobber
+    //     the emulated functions overwrite this many bytes below rsp on
+    //     entry, defaults to 0x40. This catches chains that run a part of
+    //     themselves that a call overwrote.
+    constructor(gadgets, options={}) {
+        this.max_steps = options.max_steps === undefined
+            ? 0x100000 : options.max_steps;
+        this.clobber = options.clobber === undefined
+            ? default_clobber : options.clobber;
+
+        // address (as a string) -> {name, insns, index}
+        this.code = new Map();
+        for (const [gadget, addr] of gadgets) {
+            let insns = null;
+            try {
+                insns = parse_gadget(gadget);
+            } catch (e) {
+                // not a gadget the emulator knows, or a function like 'setjmp'
+                continue;
+            }
+            this.code.set(addr.toString(), {name: gadget, insns, index: 0});
+        }
+        // address (as a string) -> {name, func, clobber}
+        this.functions = new Map();
+
+        this.regs = {};
+        for (const reg of registers) {
+            this.regs[reg] = Int.Zero;
+        }
+        this.rip = Int.Zero;
+        this.cf = false;
+        this.zf = false;
+
+        // address (as a string) -> {addr, size, value}, the memory written
+        // by the gadgets and the functions
+        this.writes = new Map();
+        // Array of {name, args}, args are the 6 argument registers
+        this.calls = [];
+        // names of the last gadgets and functions run, for errors
+        this.trace = [];
+        this.steps = 0;
+    }
+
+    // Adds a function at addr. func is called with the emulator after the
+    // return address is popped, it returns the value for rax or undefined to
+    // leave rax alone. It may change the registers, this.rip included.
+    //
+    // clobber overrides the option of the same name, use 0 for leaf
+    // functions like setjmp() that don't touch the stack.
+    add_function(addr, name, func, clobber=null) {
+        if (clobber === null) {
+            clobber = this.clobber;
+        }
+        this.functions.set(addr.toString(), {name, func, clobber});
+    }
+
+    // Adds functions for the syscall wrappers of a syscall_array (syscall
+    // number -> address). handlers maps syscall names to functions like those
+    // of add_function(). A handler returns {errno: <number>} to fail, the
+    // wrapper then returns -1 with the errno in rcx like libkernel's.
+    // Syscalls without a handler fail with ENOSYS.
+    add_syscalls(syscall_array, handlers=new Map()) {
+        syscall_array.forEach((addr, num) => {
+            const info = get_syscall(num);
+            const name = info === null ? `syscall ${num}` : info.name;
+            const handler = handlers.get(name);
+            this.add_function(addr, name, emu => {
+                let res = {errno: errno_map.get('ENOSYS')};
+                if (handler !== undefined) {
+                    res = handler(emu);
+                }
+                if (res !== null && typeof res === 'object'
+                    && res.errno !== undefined
+                ) {
+                    emu.regs.rcx = new Int(res.errno);
+                    return -1;
+                }
+                return res;
+            });
+        });
+    }
+
+    // the ith argument (from 0) of the function being called
+    arg(i) {
+        if (i < argument_registers.length) {
+            return this.regs[argument_registers[i]];
+        }
+        // the return address is already popped
+        const offset = (i - argument_registers.length) * 8;
+        return this.read(this.regs.rsp.add(offset), 8);
+    }
+
+    read(addr, size) {
+        addr = new Addr(addr);
+        switch (size) {
+            case 1: return new Int(mem.read8(addr));
+            case 2: return new Int(mem.read16(addr));
+            case 4: return new Int(mem.read32(addr), 0);
+            case 8: return mem.read64(addr);
+        }
+        throw RangeError(`invalid size: ${size}`);
+    }
+
+    write(addr, size, value, is_tracked=true) {
+        addr = new Addr(addr);
+        value = truncate(new Int(value), size);
+        switch (size) {
+            case 1: mem.write8(addr, value.low()); break;
+            case 2: mem.write16(addr, value.low()); break;
+            case 4: mem.write32(addr, value.low()); break;
+            case 8: mem.write64(addr, value); break;
+            default: throw RangeError(`invalid size: ${size}`);
+        }
+        if (is_tracked) {
+            this.writes.set(addr.toString(), {addr, size, value});
+        }
+    }
+
+    push(value) {
+        this.regs.rsp = this.regs.rsp.sub(8);
+        this.write(this.regs.rsp, 8, value);
+    }
+
+    pop() {
+        const res = this.read(this.regs.rsp, 8);
+        this.regs.rsp = this.regs.rsp.add(8);
+        return res;
+    }
+
+    _get(op) {
+        switch (op.kind) {
+            case 'imm': return op.value;
+            case 'reg': return truncate(this.regs[op.reg], op.size);
+        }
+        return this.read(this.regs[op.base].add(op.disp), op.size);
+    }
+
+    _set(op, value) {
+        value = truncate(value, op.size);
+        switch (op.kind) {
+            case 'reg': {
+                // 32-bit writes zero the upper half, smaller ones merge
+                if (op.size === 1 || op.size === 2) {
+                    const mask = masks.get(op.size);
+                    value = this.regs[op.reg].and(mask.not()).or(value);
+                }
+                this.regs[op.reg] = value;
+                break;
+            }
+            case 'mem': {
+                this.write(this.regs[op.base].add(op.disp), op.size, value);
+                break;
+            }
+            default: {
+                throw Error('can not write to an immediate');
+            }
+        }
+    }
+
+    // sets cf and zf for the result of an arithmetic operation, value is
+    // already truncated to size
+    _set_flags(value, cf) {
+        this.cf = cf;
+        this.zf = value.eq(0);
+    }
+
+    // Executes the instructions of insns from index. Returns when one
+    // transfers control, with this.rip set to the target.
+    _exec(addr, insns, index) {
+        for (let i = index; i < insns.length; i++) {
+            const {mnemonic, operands, text} = insns[i];
+            const [dst, src] = operands;
+            switch (mnemonic) {
+                case 'ret': {
+                    this.rip = this.pop();
+                    return;
+                }
+                case 'jmp': {
+                    this.rip = this._get(dst);
+                    return;
+                }
+                case 'call': {
+                    const target = this._get(dst);
+                    // the rest of the gadget, at a made up address
+                    const ret = addr.add(i + 1);
+                    this.code.set(ret.toString(), {
+                        name: `${text} (return)`,
+                        insns,
+                        index: i + 1,
+                    });
+                    this.push(ret);
+                    this.rip = target;
+                    return;
+                }
+                case 'pop': {
+                    // for "pop rsp", the popped value replaces the
+                    // incremented rsp
+                    const value = this.pop();
+                    this._set(dst, value);
+                    break;
+                }
+                case 'push': {
+                    this.push(this._get(dst));
+                    break;
+                }
+                case 'leave': {
+                    this.regs.rsp = this.regs.rbp;
+                    this.regs.rbp = this.pop();
+                    break;
+                }
+                case 'mov': {
+                    this._set(dst, this._get(src));
+                    break;
+                }
+                case 'xchg': {
+                    const a = this._get(dst);
+                    const b = this._get(src);
+                    this._set(dst, b);
+                    this._set(src, a);
+                    break;
+                }
+                case 'add':
+                case 'adc': {
+                    const a = this._get(dst);
+                    const b = this._get(src);
+                    const carry = mnemonic === 'adc' && this.cf ? 1 : 0;
+                    const res = truncate(a.add(b).add(carry), dst.size);
+                    // carry out if the result wrapped around
+                    const cf = res.lt(a) || (carry === 1 && res.eq(a));
+                    this._set(dst, res);
+                    this._set_flags(res, cf);
+                    break;
+                }
+                case 'sub': {
+                    const a = this._get(dst);
+                    const b = truncate(this._get(src), dst.size);
+                    const res = truncate(a.sub(b), dst.size);
+                    this._set(dst, res);
+                    this._set_flags(res, a.lt(b));
+                    break;
+                }
+                case 'and':
+                case 'or':
+                case 'xor': {
+                    const a = this._get(dst);
+                    const b = this._get(src);
+                    const res = truncate(a[mnemonic](b), dst.size);
+                    this._set(dst, res);
+                    this._set_flags(res, false);
+                    break;
+                }
+                case 'neg': {
+                    const a = this._get(dst);
+                    const res = truncate(a.neg(), dst.size);
+                    this._set(dst, res);
+                    this._set_flags(res, !a.eq(0));
+                    break;
+                }
+                case 'shl':
+                case 'shr': {
+                    const mask = dst.size === 8 ? 0x3f : 0x1f;
+                    const count = this._get(src).low() & mask;
+                    if (count !== 0) {
+                        const a = this._get(dst);
+                        const res = truncate(a[mnemonic](count), dst.size);
+                        this._set(dst, res);
+                        this.zf = res.eq(0);
+                    }
+                    break;
+                }
+                case 'cmc': {
+                    this.cf = !this.cf;
+                    break;
+                }
+                case 'cli':
+                case 'sti':
+                case 'nop': {
+                    break;
+                }
+                default: {
+                    throw Error(`unsupported instruction: ${text}`);
+                }
+            }
+        }
+        throw Error(`gadget at ${addr} does not end with a jump`);
+    }
+
+    _call_function({name, func, clobber}) {
+        const entry_rsp = this.regs.rsp;
+        // SysV requires rsp + 8 to be 16-byte aligned on entry
+        if ((entry_rsp.low() & 0xf) !== 8) {
+            throw Error(
+                `stack not aligned on entry of ${name}(): rsp = ${entry_rsp}`
+            );
+        }
+        const args = argument_registers.map(reg => this.regs[reg]);
+        this.calls.push({name, args});
+
+        this.rip = this.pop();
+        for (let i = 8; i <= clobber; i += 8) {
+            this.write(entry_rsp.sub(i), 8, clobber_value, false);
+        }
+        const res = func(this);
+        if (res !== undefined) {
+            this.regs.rax = new Int(res);
+        }
+    }
+
+    // Runs the ROP chain at rsp until it returns with "leave; ret", see
+    // ChainBase.push_end(). rbp is set to a frame made up for the chain to
+    // return to, like the one the JOP chain of rop.mjs pushes. Returns the
+    // registers.
+    run(rsp) {
+        const frame = mem.alloc(0x100);
+        const rbp = frame.add(0x80);
+        rbp.write64(0, this.regs.rbp);
+        rbp.write64(8, exit_addr);
+        this.regs.rbp = rbp;
+        this.regs.rsp = new Int(rsp);
+
+        // the chain starts with a "ret" from the JOP chain
+        this.rip = this.pop();
+        return this._run();
+    }
+
+    // Calls the code at addr with rsp set to a stack made up for it, until
+    // it returns. Set the arguments in the registers first. This runs the
+    // JOP chain from the call of the scrollLeft getter, see
+    // Chain803Base.make_vtable(). Returns the registers.
+    call(addr) {
+        const stack_size = 0x1000;
+        const stack = mem.alloc(stack_size);
+        this.regs.rsp = stack.add(stack_size);
+        this.push(exit_addr);
+        this.rip = new Int(addr);
+        return this._run();
+    }
+
+    _run() {
+        this.steps = 0;
+        this.trace = [];
+        while (!this.rip.eq(exit_addr)) {
+            if (++this.steps > this.max_steps) {
+                throw Error(`more than ${this.max_steps} steps`);
+            }
+            const key = this.rip.toString();
+            const func = this.functions.get(key);
+            if (func !== undefined) {
+                this._trace(`${func.name}()`);
+                this._call_function(func);
+                continue;
+            }
+            const code = this.code.get(key);
+            if (code === undefined) {
+                throw Error(
+                    `no gadget or function at ${this.rip}\n`
+                    + `last executed:\n${this.trace.join('\n')}`
+                );
+            }
+            this._trace(code.name);
+            try {
+                this._exec(this.rip, code.insns, code.index);
+            } catch (e) {
+                e.message += `\nlast executed:\n${this.trace.join('\n')}`;
+                throw e;
+            }
+        }
+        return this.regs;
+    }
+
+    _trace(name) {
+        // the JOP gadgets are multiline
+        name = name.trim().split(/\s*\n\s*/).join('; ');
+        this.trace.push(`${this.regs.rsp}: ${name}`);
+        if (this.trace.length > 8) {
+            this.trace.shift();
+        }
+    }
+
+    // the registers, one per line
+    dump_regs() {
+        const res = registers.map(reg => `${reg.padEnd(3)} ${this.regs[reg]}`);
+        res.push(`cf ${this.cf ? 1 : 0} zf ${this.zf ? 1 : 0}`);
+        return res.join('\n');
+    }
+
+    // the memory written by the chain, one write per line sorted by address
+    dump_writes() {
+        const writes = Array.from(this.writes.values());
+        writes.sort((a, b) => a.addr.cmp(b.addr));
+        return writes.map(({addr, size, value}) => {
+            const hex = value.toString().slice(-size * 2);
+            return `${addr}: 0x${hex}`;
+        }).join('\n');
+    }
+}
+
+// Returns a function for add_function() that works like setjmp() of
+// libSceLibcInternal, see jmp_buf_t of rop_chain.mjs. Add it with a clobber
+// of 0, it is a leaf function. jmp_buf_t is the
+// define_struct() of the jmp_buf, registers are saved in the fields named
+// after them. rip is the return address.
+export function setjmp_function(jmp_buf_t) {
+    return emu => {
+        const buf = emu.regs.rdi;
+        for (const [field, info] of jmp_buf_t.fields) {
+            // the return address is already popped, so this saves rsp as it
+            // is after the return
+            if (field === 'rip') {
+                emu.write(buf.add(info.offset), 8, emu.rip);
+            } else if (registers.includes(field)) {
+                emu.write(buf.add(info.offset), 8, emu.regs[field]);
+            }
+        }
+        return 0;
+    };
+}
+
+// Returns a function for add_function() that works like longjmp() of
+// libSceLibcInternal, the counterpart of setjmp_function(). It does not take
+// a return value, rax is restored from the jmp_buf.
+//
+// The real one pushes rdi and the return address below the saved rsp before
+// returning, so those are overwritten too. Add it with a clobber of 0 like
+// setjmp_function().
+export function longjmp_function(jmp_buf_t) {
+    return emu => {
+        const buf = emu.regs.rdi;
+        for (const [field, info] of jmp_buf_t.fields) {
+            if (field !== 'rip' && registers.includes(field)) {
+                emu.regs[field] = emu.read(buf.add(info.offset), 8);
+            }
+        }
+        emu.rip = emu.read(buf.add(jmp_buf_t.offsetof('rip')), 8);
+        emu.write(emu.regs.rsp.sub(8), 8, emu.rip);
+        emu.write(emu.regs.rsp.sub(16), 8, buf);
+    };
+}
@@ -0,0 +1,710 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// Finding ROP/JOP gadgets at runtime
+//
+// Gadgets are named by their instructions, like the keys of the gadgets Map
+// of ChainBase: 'pop rdi; ret' or a multiline string with one instruction per
+// line. assemble() knows the encodings of the instructions (Intel syntax)
+// that our chains use, so the gadgets can be searched by their bytes instead
+// of hardcoding their offsets for every firmware.
+//
+// This module does not depend on the exploit, scan_gadgets() works on any
+// Uint8Array. find_gadgets() scans memory.
+
+import { Int } from './int64.mjs';
+import { Addr, mem } from './mem.mjs';
+
+const reg64 = [
+    'rax', 'rcx', 'rdx', 'rbx', 'rsp', 'rbp', 'rsi', 'rdi',
+    'r8', 'r9', 'r10', 'r11', 'r12', 'r13', 'r14', 'r15',
+];
+const reg32 = [
+    'eax', 'ecx', 'edx', 'ebx', 'esp', 'ebp', 'esi', 'edi',
+    'r8d', 'r9d', 'r10d', 'r11d', 'r12d', 'r13d', 'r14d', 'r15d',
+];
+// only the ones that don't need a REX prefix
+const reg8 = ['al', 'cl', 'dl', 'bl'];
+
+const ptr_sizes = new Map(Object.entries({
+    'byte' : 8,
+    'dword' : 32,
+    'qword' : 64,
+}));
+
+// instructions without operands
+const no_operands = new Map(Object.entries({
+    'ret' : [0xc3],
+    'leave' : [0xc9],
+    'nop' : [0x90],
+    'cli' : [0xfa],
+    'sti' : [0xfb],
+    'clc' : [0xf8],
+    'stc' : [0xf9],
+    'cmc' : [0xf5],
+    'hlt' : [0xf4],
+    'int3' : [0xcc],
+    'cdq' : [0x99],
+    'cqo' : [0x48, 0x99],
+    'syscall' : [0x0f, 0x05],
+}));
+
+// the number of the ALU operation, used for the opcode or the ModRM.reg field
+const alu_ops = new Map(Object.entries({
+    'add' : 0,
+    'or' : 1,
+    'adc' : 2,
+    'sbb' : 3,
+    'and' : 4,
+    'sub' : 5,
+    'xor' : 6,
+    'cmp' : 7,
+}));
+
+// ModRM.reg field of the shift/rotate group
+const shift_ops = new Map(Object.entries({
+    'rol' : 0,
+    'ror' : 1,
+    'shl' : 4,
+    'sal' : 4,
+    'shr' : 5,
+    'sar' : 7,
+}));
+
+// ModRM.reg field of the 0xf7 group
+const unary_ops = new Map(Object.entries({
+    'not' : 2,
+    'neg' : 3,
+}));
+
+function parse_number(str) {
+    if (!/^-?(0x[0-9a-f]+|\d+)$/.test(str)) {
+        return null;
+    }
+    const neg = str[0] === '-';
+    const res = Number(neg ? str.slice(1) : str);
+    return neg ? -res : res;
+}
+
+// Returns {kind: 'reg', size, num}, {kind: 'imm', value} or {kind: 'mem',
+// size, base, disp}. Memory operands are only of the form
+// "<size> ptr [<reg64> + <disp>]".
+function parse_operand(str) {
+    let num = reg64.indexOf(str);
+    if (num !== -1) {
+        return {kind: 'reg', size: 64, num};
+    }
+    num = reg32.indexOf(str);
+    if (num !== -1) {
+        return {kind: 'reg', size: 32, num};
+    }
+    num = reg8.indexOf(str);
+    if (num !== -1) {
+        return {kind: 'reg', size: 8, num};
+    }
+
+    const value = parse_number(str);
+    if (value !== null) {
+        return {kind: 'imm', value};
+    }
+
+    const match = /^(\w+) ptr \[(\w+)(?: ?([+-]) ?(\w+))?\]$/.exec(str);
+    if (match !== null && ptr_sizes.has(match[1])) {
+        const base = reg64.indexOf(match[2]);
+        let disp = 0;
+        if (match[3] !== undefined) {
+            disp = parse_number(match[4]);
+            if (disp === null) {
+                return null;
+            }
+            if (match[3] === '-') {
+                disp = -disp;
+            }
+        }
+        if (base !== -1 && disp >= -(2**31) && disp < 2**31) {
+            return {kind: 'mem', size: ptr_sizes.get(match[1]), base, disp};
+        }
+    }
+    return null;
+}
+
+function is_reg_or_mem(op) {
+    return op.kind === 'reg' || op.kind === 'mem';
+}
+
+function fits_i8(value) {
+    return value >= -0x80 && value < 0x80;
+}
+
+function fits_i32(value) {
+    return value >= -(2**31) && value < 2**31;
+}
+
+function imm_bytes(value, size) {
+    const res = [];
+    for (let i = 0; i < size; i++) {
+        res.push(Number(BigInt.asUintN(8, BigInt(value) >> BigInt(i * 8))));
+    }
+    return res;
+}
+
+// Encodes an instruction with a ModRM byte. reg is the ModRM.reg field (a
+// register number or an opcode extension), rm is a register or memory
+// operand. REX.W is set if w is true.
+function encode_modrm(opcode, reg, rm, w, extra=[]) {
+    let rex = w ? 8 : 0;
+    if (reg & 8) {
+        rex |= 4;
+    }
+    const modrm_bytes = [];
+    if (rm.kind === 'reg') {
+        if (rm.num & 8) {
+            rex |= 1;
+        }
+        modrm_bytes.push(0xc0 | (reg & 7) << 3 | (rm.num & 7));
+    } else {
+        if (rm.base & 8) {
+            rex |= 1;
+        }
+        const base = rm.base & 7;
+        let mod = 0;
+        let disp = [];
+        // rbp and r13 as a base always need a displacement
+        if (rm.disp === 0 && base !== 5) {
+            mod = 0;
+        } else if (fits_i8(rm.disp)) {
+            mod = 1;
+            disp = imm_bytes(rm.disp, 1);
+        } else {
+            mod = 2;
+            disp = imm_bytes(rm.disp, 4);
+        }
+        modrm_bytes.push(mod << 6 | (reg & 7) << 3 | base);
+        // rsp and r12 as a base need a SIB byte
+        if (base === 4) {
+            modrm_bytes.push(0x24);
+        }
+        modrm_bytes.push(...disp);
+    }
+
+    const res = rex === 0 ? [] : [0x40 | rex];
+    return res.concat(opcode, modrm_bytes, extra);
+}
+
+// Encodes an instruction whose opcode has the register in its low 3 bits,
+// like "pop r8".
+function encode_short(opcode, num, w) {
+    let rex = w ? 8 : 0;
+    if (num & 8) {
+        rex |= 1;
+    }
+    const res = rex === 0 ? [] : [0x40 | rex];
+    res.push(opcode + (num & 7));
+    return res;
+}
+
+function operand_size(ops) {
+    for (const op of ops) {
+        if (op.kind !== 'imm') {
+            return op.size;
+        }
+    }
+    return null;
+}
+
+// opcode for 8-bit operands or the one for 32/64-bit operands
+function sized(size, op8, op) {
+    return size === 8 ? op8 : op;
+}
+
+// Returns an Array of encodings, there are multiple for instructions that can
+// be encoded in more than one way (like "mov rdx, rax"). Returns null for
+// unsupported instructions.
+function encode(mnemonic, ops) {
+    const size = operand_size(ops);
+    const w = size === 64;
+    const [a, b] = ops;
+
+    if (ops.length === 0 && no_operands.has(mnemonic)) {
+        return [no_operands.get(mnemonic)];
+    }
+
+    if (ops.length === 2
+        && a.kind !== 'imm'
+        && b.kind !== 'imm'
+        && a.size !== b.size
+        && !shift_ops.has(mnemonic)
+    ) {
+        return null;
+    }
+
+    if (alu_ops.has(mnemonic) && ops.length === 2) {
+        const op = alu_ops.get(mnemonic);
+        if (is_reg_or_mem(a) && b.kind === 'reg') {
+            const op_rm = sized(size, op*8, op*8 + 1);
+            const op_reg = sized(size, op*8 + 2, op*8 + 3);
+            const res = [encode_modrm(op_rm, b.num, a, w)];
+            if (a.kind === 'reg') {
+                res.push(encode_modrm(op_reg, a.num, b, w));
+            }
+            return res;
+        }
+        if (a.kind === 'reg' && b.kind === 'mem') {
+            const op_reg = sized(size, op*8 + 2, op*8 + 3);
+            return [encode_modrm(op_reg, a.num, b, w)];
+        }
+        if (is_reg_or_mem(a) && b.kind === 'imm') {
+            if (size === 8) {
+                return [encode_modrm(0x80, op, a, w, imm_bytes(b.value, 1))];
+            }
+            if (fits_i8(b.value)) {
+                return [encode_modrm(0x83, op, a, w, imm_bytes(b.value, 1))];
+            }
+            if (fits_i32(b.value)) {
+                const imm = imm_bytes(b.value, 4);
+                const res = [encode_modrm(0x81, op, a, w, imm)];
+                // short form for rax/eax
+                if (a.kind === 'reg' && a.num === 0) {
+                    res.push((w ? [0x48] : []).concat(op*8 + 5, imm));
+                }
+                return res;
+            }
+        }
+        return null;
+    }
+
+    if (mnemonic === 'mov' && ops.length === 2) {
+        if (is_reg_or_mem(a) && b.kind === 'reg') {
+            const res = [encode_modrm(sized(size, 0x88, 0x89), b.num, a, w)];
+            if (a.kind === 'reg') {
+                res.push(encode_modrm(sized(size, 0x8a, 0x8b), a.num, b, w));
+            }
+            return res;
+        }
+        if (a.kind === 'reg' && b.kind === 'mem') {
+            return [encode_modrm(sized(size, 0x8a, 0x8b), a.num, b, w)];
+        }
+        if (a.kind === 'reg' && b.kind === 'imm') {
+            if (size === 8) {
+                return [encode_short(0xb0, a.num, false)
+                    .concat(imm_bytes(b.value, 1))];
+            }
+            if (size === 32) {
+                return [encode_short(0xb8, a.num, false)
+                    .concat(imm_bytes(b.value, 4))];
+            }
+            if (fits_i32(b.value)) {
+                return [encode_modrm(0xc7, 0, a, w, imm_bytes(b.value, 4))];
+            }
+            return [encode_short(0xb8, a.num, true)
+                .concat(imm_bytes(b.value, 8))];
+        }
+        if (a.kind === 'mem' && b.kind === 'imm' && size !== 8) {
+            return [encode_modrm(0xc7, 0, a, w, imm_bytes(b.value, 4))];
+        }
+        return null;
+    }
+
+    if (mnemonic === 'lea' && ops.length === 2
+        && a.kind === 'reg' && b.kind === 'mem'
+    ) {
+        return [encode_modrm(0x8d, a.num, b, a.size === 64)];
+    }
+
+    if (mnemonic === 'xchg' && ops.length === 2 && size !== 8) {
+        if (a.kind === 'reg' && b.kind === 'reg') {
+            const res = [
+                encode_modrm(0x87, b.num, a, w),
+                encode_modrm(0x87, a.num, b, w),
+            ];
+            if (a.num === 0 || b.num === 0) {
+                res.push(encode_short(0x90, a.num + b.num, w));
+            }
+            return res;
+        }
+        if (a.kind === 'mem' && b.kind === 'reg') {
+            return [encode_modrm(0x87, b.num, a, w)];
+        }
+        if (a.kind === 'reg' && b.kind === 'mem') {
+            return [encode_modrm(0x87, a.num, b, w)];
+        }
+        return null;
+    }
+
+    if (mnemonic === 'test' && ops.length === 2
+        && is_reg_or_mem(a) && b.kind === 'reg'
+    ) {
+        return [encode_modrm(sized(size, 0x84, 0x85), b.num, a, w)];
+    }
+
+    if (unary_ops.has(mnemonic) && ops.length === 1 && is_reg_or_mem(a)) {
+        const ext = unary_ops.get(mnemonic);
+        return [encode_modrm(sized(size, 0xf6, 0xf7), ext, a, w)];
+    }
+
+    if (shift_ops.has(mnemonic) && ops.length === 2 && is_reg_or_mem(a)) {
+        const ext = shift_ops.get(mnemonic);
+        if (b.kind === 'reg' && b.size === 8 && b.num === 1) {
+            return [encode_modrm(sized(size, 0xd2, 0xd3), ext, a, w)];
+        }
+        if (b.kind === 'imm' && b.value === 1) {
+            return [encode_modrm(sized(size, 0xd0, 0xd1), ext, a, w)];
+        }
+        if (b.kind === 'imm') {
+            const imm = imm_bytes(b.value, 1);
+            return [encode_modrm(sized(size, 0xc0, 0xc1), ext, a, w, imm)];
+        }
+        return null;
+    }
+
+    if ((mnemonic === 'push' || mnemonic === 'pop') && ops.length === 1) {
+        const is_push = mnemonic === 'push';
+        if (a.kind === 'reg' && a.size === 64) {
+            return [encode_short(is_push ? 0x50 : 0x58, a.num, false)];
+        }
+        if (a.kind === 'mem' && a.size === 64) {
+            const opcode = is_push ? 0xff : 0x8f;
+            return [encode_modrm(opcode, is_push ? 6 : 0, a, false)];
+        }
+        return null;
+    }
+
+    if ((mnemonic === 'jmp' || mnemonic === 'call') && ops.length === 1) {
+        if (is_reg_or_mem(a) && a.size === 64) {
+            const ext = mnemonic === 'jmp' ? 4 : 2;
+            return [encode_modrm(0xff, ext, a, false)];
+        }
+        return null;
+    }
+
+    if ((mnemonic === 'inc' || mnemonic === 'dec') && ops.length === 1
+        && is_reg_or_mem(a)
+    ) {
+        const ext = mnemonic === 'inc' ? 0 : 1;
+        return [encode_modrm(sized(size, 0xfe, 0xff), ext, a, w)];
+    }
+
+    return null;
+}
+
+// normalizes whitespace and case of an instruction
+function normalize_insn(insn) {
+    return insn.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Splits a gadget into its instructions. Instructions are separated by ";" or
+// newlines.
+export function split_gadget(gadget) {
+    return gadget.split(/[;\n]/).map(normalize_insn).filter(s => s !== '');
+}
+
+// Returns an Array of the possible encodings (Arrays of bytes) of a single
+// instruction.
+export function assemble(insn) {
+    insn = normalize_insn(insn);
+    const space = insn.indexOf(' ');
+    const mnemonic = space === -1 ? insn : insn.slice(0, space);
+    const operands = space === -1 ? [] : insn.slice(space + 1).split(',');
+
+    const ops = [];
+    for (const str of operands) {
+        const op = parse_operand(str.trim());
+        if (op === null) {
+            throw TypeError(`unsupported operand: ${str.trim()} in: ${insn}`);
+        }
+        ops.push(op);
+    }
+
+    const res = encode(mnemonic, ops);
+    if (res === null) {
+        throw TypeError(`unsupported instruction: ${insn}`);
+    }
+    return res;
+}
+
+// Returns whether all the instructions of the gadget can be assembled. Some
+// entries of the gadget maps are not gadgets, like 'setjmp'.
+export function is_encodable(gadget) {
+    try {
+        gadget_patterns(gadget);
+        return true;
+    } catch (e) {
+        if (e instanceof TypeError) {
+            return false;
+        }
+        throw e;
+    }
+}
+
+// Returns an Array of the possible byte sequences (as Uint8Arrays) of a
+// gadget, one for every combination of the encodings of its instructions.
+export function gadget_patterns(gadget) {
+    const insns = split_gadget(gadget);
+    if (insns.length === 0) {
+        throw TypeError(`empty gadget: ${gadget}`);
+    }
+    let res = [[]];
+    for (const insn of insns) {
+        const encodings = assemble(insn);
+        const next = [];
+        for (const prefix of res) {
+            for (const bytes of encodings) {
+                next.push(prefix.concat(bytes));
+            }
+        }
+        res = next;
+    }
+    return res.map(bytes => new Uint8Array(bytes));
+}
+
+function matches_at(bytes, i, pattern) {
+    if (i + pattern.length > bytes.length) {
+        return false;
+    }
+    for (let j = 1; j < pattern.length; j++) {
+        if (bytes[i + j] !== pattern[j]) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Searches bytes for the gadgets, returns a Map of gadget -> offset of its
+// first occurrence. Gadgets that are not found or can't be encoded are not
+// in the result.
+//
+// Only matches that start before end (defaults to the end of bytes) are
+// reported, the bytes after it are only for the matches that cross it. See
+// find_gadgets() for scanning in chunks.
+export function scan_gadgets(bytes, gadgets, end=bytes.length) {
+    // first byte -> Array of {gadget, pattern}
+    const by_first = new Map();
+    let remaining = 0;
+    for (const gadget of gadgets) {
+        if (!is_encodable(gadget)) {
+            continue;
+        }
+        for (const pattern of gadget_patterns(gadget)) {
+            const first = pattern[0];
+            if (!by_first.has(first)) {
+                by_first.set(first, []);
+            }
+            by_first.get(first).push({gadget, pattern});
+        }
+        remaining++;
+    }
+
+    const res = new Map();
+    // index by the first byte so every position is only compared with the
+    // patterns that can match it
+    const table = new Array(0x100).fill(null);
+    for (const [first, entries] of by_first) {
+        table[first] = entries;
+    }
+    for (let i = 0; i < end && remaining > 0; i++) {
+        const entries = table[bytes[i]];
+        if (entries === null) {
+            continue;
+        }
+        for (let j = 0; j < entries.length; j++) {
+            const {gadget, pattern} = entries[j];
+            if (res.has(gadget) || !matches_at(bytes, i, pattern)) {
+                continue;
+            }
+            res.set(gadget, i);
+            remaining--;
+        }
+    }
+    return res;
+}
+
+// the length of the longest encoding of gadget
+export function max_gadget_size(gadget) {
+    let res = 0;
+    for (const pattern of gadget_patterns(gadget)) {
+        res = Math.max(res, pattern.length);
+    }
+    return res;
+}
+
+// Returns whether the bytes at offset are one of the encodings of gadget.
+export function check_gadget_at(bytes, offset, gadget) {
+    for (const pattern of gadget_patterns(gadget)) {
+        if (bytes[offset] === pattern[0]
+            && matches_at(bytes, offset, pattern)
+        ) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function get_storage() {
+    try {
+        return typeof localStorage === 'undefined' ? null : localStorage;
+    } catch (e) {
+        // access may be denied
+        return null;
+    }
+}
+
+const cache_prefix = 'gadgets:';
+
+// Returns the cached Map of gadget -> offset for key or an empty Map.
+export function load_cache(key) {
+    const storage = get_storage();
+    if (storage === null) {
+        return new Map();
+    }
+    const json = storage.getItem(cache_prefix + key);
+    if (json === null) {
+        return new Map();
+    }
+    try {
+        return new Map(Object.entries(JSON.parse(json)));
+    } catch (e) {
+        return new Map();
+    }
+}
+
+export function save_cache(key, offsets) {
+    const storage = get_storage();
+    if (storage === null) {
+        return;
+    }
+    try {
+        storage.setItem(
+            cache_prefix + key,
+            JSON.stringify(Object.fromEntries(offsets))
+        );
+    } catch (e) {
+        // full or disabled, the cache is optional
+    }
+}
+
+// .text is scanned this many bytes at a time, so the whole segment (tens of
+// MiB for WebKit) is never copied at once
+const scan_chunk_size = 0x40000;
+
+// Scans the text_size bytes at text_base for the gadgets in chunks, returns
+// the offsets like scan_gadgets(). Consecutive chunks overlap by the size of
+// the longest gadget, so matches that cross a chunk boundary are found.
+function scan_memory(text_base, text_size, gadgets) {
+    let overlap = 0;
+    for (const gadget of gadgets) {
+        if (is_encodable(gadget)) {
+            overlap = Math.max(overlap, max_gadget_size(gadget) - 1);
+        }
+    }
+
+    const res = new Map();
+    let remaining = gadgets;
+    for (let start = 0; start < text_size; start += scan_chunk_size) {
+        const len = Math.min(scan_chunk_size, text_size - start);
+        const read_len = Math.min(len + overlap, text_size - start);
+        const bytes = mem.read_bytes(text_base.add(start), read_len);
+        const found = scan_gadgets(bytes, remaining, len);
+        for (const [gadget, offset] of found) {
+            res.set(gadget, start + offset);
+        }
+        remaining = remaining.filter(gadget => !found.has(gadget));
+        if (remaining.length === 0) {
+            break;
+        }
+    }
+    return res;
+}
+
+// Adds the addresses of gadgets to the gadget_map, searching the text_size
+// bytes of the .text segment at text_base. gadgets is an iterable of gadget
+// strings.
+//
+// The static offsets and the cache are checked by reading only the bytes of
+// the gadget. The segment is only scanned, in chunks, if some gadgets are
+// still missing. text_size may be null if the size of the segment is not
+// known, then only the static offsets and the cache are used.
+//
+// options:
+// * static_offsets:
+//     a Map of gadget -> offset from text_base, like webkit_gadget_offsets
+//     of a firmware profile. Used before scanning. Offsets of gadgets that
+//     can be assembled are checked and ignored if the bytes differ. Entries
+//     that are not gadgets (like 'setjmp') are used as is.
+// * cache_key:
+//     offsets found by scanning are saved in localStorage under this key,
+//     like the firmware version and the module name, and are used next time
+//
+// Returns an Array of the gadgets that were not found.
+export function find_gadgets(
+    gadget_map,
+    text_base,
+    text_size,
+    gadgets,
+    options={},
+) {
+    const static_offsets = options.static_offsets || new Map();
+    const cache_key = options.cache_key === undefined
+        ? null : options.cache_key;
+
+    const remaining = [];
+    const use = (gadget, offset) => {
+        if (offset === undefined
+            || offset < 0
+            || (text_size !== null && offset >= text_size)
+        ) {
+            return false;
+        }
+        if (is_encodable(gadget)) {
+            let size = max_gadget_size(gadget);
+            if (text_size !== null) {
+                size = Math.min(size, text_size - offset);
+            }
+            const bytes = mem.read_bytes(text_base.add(offset), size);
+            if (!check_gadget_at(bytes, 0, gadget)) {
+                return false;
+            }
+        }
+        gadget_map.set(gadget, new Addr(text_base.add(offset)));
+        return true;
+    };
+
+    const cache = cache_key === null ? new Map() : load_cache(cache_key);
+    for (const gadget of gadgets) {
+        if (!use(gadget, static_offsets.get(gadget))
+            && !use(gadget, cache.get(gadget))
+        ) {
+            remaining.push(gadget);
+        }
+    }
+    if (remaining.length === 0) {
+        return [];
+    }
+    if (text_size === null) {
+        return remaining;
+    }
+
+    const found = scan_memory(text_base, text_size, remaining);
+    for (const [gadget, offset] of found) {
+        gadget_map.set(gadget, new Addr(text_base.add(offset)));
+        cache.set(gadget, offset);
+    }
+    if (cache_key !== null && found.size !== 0) {
+        save_cache(cache_key, cache);
+    }
+
+    return remaining.filter(gadget => !found.has(gadget));
+}
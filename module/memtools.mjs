@@ -20,77 +20,294 @@ along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
 import { Int } from './int64.mjs';
 import { Addr, mem } from './mem.mjs';
 import { align } from './utils.mjs';
-import { KB } from './constants.mjs';
-import { read32 } from './rw.mjs';
+import { KB, MB } from './constants.mjs';
 
 import * as rw from './rw.mjs';
 import * as o from './offset.mjs';
 
+// Returns an ArrayBuffer whose contents are the size bytes at addr. It is a
+// copy, writes to the buffer don't change the memory at addr. Use
+// mem.write_bytes() to write.
 export function make_buffer(addr, size) {
-    // see enum TypedArrayMode from
-    // WebKit/Source/JavaScriptCore/runtime/JSArrayBufferView.h
-    // at webkitgtk 2.34.4
-    //
-    // views with m_mode < WastefulTypedArray don't have a ArrayBuffer object
-    // associated with them, if we ask for view.buffer, it will be created on
-    // the fly
-    const mode_fast = 0;
-    const u = new Uint8Array(1);
-    const u_addr = mem.addrof(u);
-
-    const old_addr = u_addr.read64(o.view_m_vector);
-    u_addr.write64(o.view_m_vector, addr);
-
-    const old_size = u_addr.read32(o.view_m_length);
-    u_addr.write32(o.view_m_length, size);
-
-    const old_mode = u_addr.read32(o.view_m_mode);
-    // force mode to FastTypedArray
-    u_addr.write32(o.view_m_mode, mode_fast);
-
-    const res = u.buffer;
-
-    // restore
-    u_addr.write64(o.view_m_vector, old_addr);
-    u_addr.write32(o.view_m_length, old_size);
-    u_addr.write32(o.view_m_mode, old_mode);
-
-    return res;
+    return mem.make_buffer(addr, size);
 }
 
-function eq(a, b) {
-    return (a.low() === b.low()) && (a.high() === b.high());
+// ps4 page size
+const page_size = 16 * KB;
+
+// find_pattern() reads the candidates of memory searches with at least this
+// alignment one by one, below it reading pages is faster
+const min_sparse_align = 0x1000;
+
+// Parses a pattern into {values, masks}, the byte at offset i matches if
+// (byte & masks[i]) === values[i].
+//
+// pattern is either a string of space-separated tokens or an Array of bytes
+// where null is a wildcard. The tokens are:
+//
+// * "48": the byte 0x48
+// * "??": any byte
+// * "4?", "?8": the nibble with "?" can be anything
+// * "48&f8": the byte with the mask 0xf8 applied is 0x48
+function parse_pattern(pattern) {
+    if (typeof pattern === 'string') {
+        pattern = pattern.trim().split(/\s+/).filter(tok => tok !== '');
+    } else if (!Array.isArray(pattern) && !(pattern instanceof Uint8Array)) {
+        throw TypeError(`pattern must be a string or an Array: ${pattern}`);
+    }
+    if (pattern.length === 0) {
+        throw Error('empty pattern');
+    }
+
+    const values = new Uint8Array(pattern.length);
+    const masks = new Uint8Array(pattern.length);
+    for (let i = 0; i < pattern.length; i++) {
+        const tok = pattern[i];
+        let value = 0;
+        let mask = 0xff;
+        if (tok === null) {
+            mask = 0;
+        } else if (typeof tok === 'number') {
+            if (!Number.isInteger(tok) || tok < 0 || tok > 0xff) {
+                throw RangeError(`pattern byte out of range: ${tok}`);
+            }
+            value = tok;
+        } else {
+            const match = /^([0-9a-f?]{2})(?:&([0-9a-f]{2}))?$/i.exec(tok);
+            if (match === null) {
+                throw Error(`invalid pattern token: ${tok}`);
+            }
+            const digits = match[1];
+            const high = digits[0] === '?' ? 0 : parseInt(digits[0], 16);
+            const low = digits[1] === '?' ? 0 : parseInt(digits[1], 16);
+            value = high << 4 | low;
+            mask = (digits[0] === '?' ? 0 : 0xf0)
+                | (digits[1] === '?' ? 0 : 0x0f);
+            if (match[2] !== undefined) {
+                mask &= parseInt(match[2], 16);
+            }
+        }
+        values[i] = value & mask;
+        masks[i] = mask;
+    }
+    return {values, masks};
 }
 
-// these values came from analyzing dumps from CelesteBlue
-function check_magic_at(p, is_text) {
-    // byte sequence that is very likely to appear at offset 0 of a .text
-    // segment
-    const text_magic = [
-        new Int([0x55, 0x48, 0x89, 0xe5, 0x41, 0x57, 0x41, 0x56]),
-        new Int([0x41, 0x55, 0x41, 0x54, 0x53, 0x50, 0x48, 0x8d]),
-    ];
+// Searches for a byte pattern, see parse_pattern() for its syntax. Returns
+// the first match or null. For memory the match is an Addr, for a buffer it
+// is an index into the buffer.
+//
+// addr_or_buffer is an address (Int) or a Uint8Array/ArrayBuffer.
+//
+// options:
+// * max:
+//     size in bytes of the region to search, starting at addr_or_buffer. It
+//     is required for memory, for buffers it defaults to the whole buffer.
+// * backward:
+//     search from the end of the region to its start, so the last match is
+//     found first
+// * align:
+//     only match at addresses (or indices) that are a multiple of this, a
+//     power of 2
+// * all:
+//     return an Array of all the matches instead, in the search order
+//
+// Memory is read a page at a time in the search order and a page is only read
+// if a match could start in it. If align is at least 0x1000 and the size of
+// the pattern, only the bytes at each aligned address are read instead. So
+// like find_base(), a search for something that is there won't step on
+// unmapped pages past it.
+//
+// example:
+//
+// // the syscall wrappers of libkernel
+// const wrappers = find_pattern(
+//     libkernel_base,
+//     '48 c7 c0 ?? ?? ?? ?? 49 89 ca 0f 05',
+//     {max: text_size, all: true},
+// );
+export function find_pattern(addr_or_buffer, pattern, options={}) {
+    const {values, masks} = parse_pattern(pattern);
+    const len = values.length;
+    const backward = options.backward === true;
+    const all = options.all === true;
+    const alignment = options.align === undefined ? 1 : options.align;
+    if (!Number.isInteger(alignment)
+        || alignment <= 0
+        || (alignment & (alignment - 1)) !== 0
+    ) {
+        throw RangeError(`align is not a power of 2: ${alignment}`);
+    }
 
-    // the .data "magic" is just a portion of the PT_SCE_MODULE_PARAM segment
+    // The region is split into chunks, chunk k covers the indices
+    // [k*chunk_size - skew, (k + 1)*chunk_size - skew) of the region.
+    let size = 0;
+    let chunk_size = 0;
+    let skew = 0;
+    let base_low = 0;
+    let read_chunk = null;
+    let to_result = null;
+    const is_memory = addr_or_buffer instanceof Int;
+    if (is_memory) {
+        if (typeof options.max !== 'number' || options.max < 0) {
+            throw TypeError(`max must be a number for memory: ${options.max}`);
+        }
+        const start = new Addr(addr_or_buffer);
+        size = options.max;
+        chunk_size = page_size;
+        skew = start.low() & (page_size - 1);
+        base_low = start.low();
+        read_chunk = (chunk_start, chunk_end) => mem.view(
+            start.add(chunk_start),
+            chunk_end - chunk_start,
+        );
+        to_result = i => start.add(i);
+    } else {
+        let bytes = addr_or_buffer;
+        if (bytes instanceof ArrayBuffer) {
+            bytes = new Uint8Array(bytes);
+        }
+        if (!(bytes instanceof Uint8Array)) {
+            throw TypeError(
+                'addr_or_buffer must be an Int, a Uint8Array or an ArrayBuffer'
+            );
+        }
+        size = bytes.length;
+        if (options.max !== undefined) {
+            size = Math.min(size, options.max);
+        }
+        chunk_size = Math.max(size, 1);
+        read_chunk = (chunk_start, chunk_end) => (
+            bytes.subarray(chunk_start, chunk_end)
+        );
+        to_result = i => i;
+    }
 
-    // .data magic from 3.00, 6.00, and 6.20
-    //const data_magic = [
-    //    new Int(0x18),
-    //    new Int(0x3c13f4bf, 0x1),
-    //];
+    const res = [];
+    if (len > size) {
+        return all ? res : null;
+    }
+    // the last index a match can start at
+    const last = size - len;
 
-    // .data magic from 8.00 and 8.03
-    const data_magic = [
-        new Int(0x20),
-        new Int(0x3c13f4bf, 0x2),
+    const chunk_bounds = k => [
+        Math.max(0, k*chunk_size - skew),
+        Math.min(size, (k + 1)*chunk_size - skew),
     ];
+    // only the chunks a match overlaps are kept
+    const chunks = new Map();
+    const get_chunk = k => {
+        let chunk = chunks.get(k);
+        if (chunk === undefined) {
+            chunk = read_chunk(...chunk_bounds(k));
+            chunks.set(k, chunk);
+        }
+        return chunk;
+    };
+    const byte_at = i => {
+        const k = Math.floor((i + skew) / chunk_size);
+        return get_chunk(k)[i - chunk_bounds(k)[0]];
+    };
 
-    const magic = is_text ? text_magic : data_magic;
-    const value = [p.read64(0), p.read64(8)];
+    const is_match = (chunk, chunk_start, i) => {
+        for (let j = 0; j < len; j++) {
+            const index = i + j - chunk_start;
+            const byte = index < chunk.length ? chunk[index] : byte_at(i + j);
+            if ((byte & masks[j]) !== values[j]) {
+                return false;
+            }
+        }
+        return true;
+    };
+    const misalignment = i => (base_low + i) & (alignment - 1);
+    const step = backward ? -alignment : alignment;
+
+    // If the candidates are a pattern or more apart, most of the bytes of a
+    // chunk can't be part of a match. Only the bytes of each candidate are
+    // read then, like for the page aligned search of find_base().
+    if (is_memory && alignment >= Math.max(len, min_sparse_align)) {
+        const first = (alignment - misalignment(0)) & (alignment - 1);
+        const end = last - misalignment(last);
+        let i = backward ? end : first;
+        for (; i >= first && i <= end; i += step) {
+            if (is_match(read_chunk(i, i + len), i, i)) {
+                if (!all) {
+                    return to_result(i);
+                }
+                res.push(to_result(i));
+            }
+        }
+        return all ? res : null;
+    }
+
+    // use indexOf() to skip to the candidates if the first byte is exact
+    const use_index_of = alignment === 1 && masks[0] === 0xff;
+
+    const num_chunks = Math.floor((last + skew) / chunk_size) + 1;
+    for (let n = 0; n < num_chunks; n++) {
+        const k = backward ? num_chunks - 1 - n : n;
+        const [chunk_start, chunk_end] = chunk_bounds(k);
+        // the candidates are [first, end]
+        let first = chunk_start;
+        first += (alignment - misalignment(first)) & (alignment - 1);
+        let end = Math.min(chunk_end - 1, last);
+        end -= misalignment(end);
+        if (first > end) {
+            continue;
+        }
 
-    return eq(value[0], magic[0]) && eq(value[1], magic[1]);
+        const chunk = get_chunk(k);
+        let i = backward ? end : first;
+        while (i >= first && i <= end) {
+            if (use_index_of) {
+                const index = backward
+                    ? chunk.lastIndexOf(values[0], i - chunk_start)
+                    : chunk.indexOf(values[0], i - chunk_start);
+                if (index === -1) {
+                    break;
+                }
+                i = chunk_start + index;
+                if (i < first || i > end) {
+                    break;
+                }
+            }
+            if (is_match(chunk, chunk_start, i)) {
+                if (!all) {
+                    return to_result(i);
+                }
+                res.push(to_result(i));
+            }
+            i += step;
+        }
+
+        // matches in the next chunk may overlap the one after it
+        const next = backward ? k : k + 1;
+        for (const key of [...chunks.keys()]) {
+            if (key !== next) {
+                chunks.delete(key);
+            }
+        }
+    }
+
+    return all ? res : null;
 }
 
+// these values came from analyzing dumps from CelesteBlue
+
+// byte sequence that is very likely to appear at offset 0 of a .text segment
+const text_magic = '55 48 89 e5 41 57 41 56 41 55 41 54 53 50 48 8d';
+
+// the .data "magic" is just a portion of the PT_SCE_MODULE_PARAM segment
+
+// .data magic from 3.00, 6.00, and 6.20
+//const data_magic = '18 00 00 00 00 00 00 00 bf f4 13 3c 01 00 00 00';
+
+// .data magic from 8.00 and 8.03
+const data_magic = '20 00 00 00 00 00 00 00 bf f4 13 3c 02 00 00 00';
+
+// modules are not bigger than this
+const default_max_size = 64 * MB;
+
 // Finds the base address of a segment: .text or .data
 // Used on the ps4 to locate module base addresses
 // * p:
@@ -99,6 +316,9 @@ function check_magic_at(p, is_text) {
 //     whether the segment is .text or .data
 // * is_back:
 //     whether to search backwards (to lower addresses) or forwards
+// * max_size:
+//     the number of bytes to search, an Error is thrown if the magic is not
+//     found within them
 //
 // Modules are likely to be separated by a couple of unmapped pages because of
 // Address Space Layout Randomization (all module base addresses are
@@ -116,19 +336,38 @@ function check_magic_at(p, is_text) {
 // // 0 distance away from module_base_addr.
 // addr.read8(-1);
 //
-export function find_base(addr, is_text, is_back) {
-    // ps4 page size
-    const page_size = 16 * KB;
+// See find_module() from sprx.mjs for a search that stays within the module.
+export function find_base(addr, is_text, is_back, max_size=default_max_size) {
+    const magic = is_text ? text_magic : data_magic;
     // align to page size
-    addr = align(addr, page_size);
-    const offset = (is_back ? -1 : 1) * page_size;
-    while (true) {
-        if (check_magic_at(addr, is_text)) {
-            break;
+    const page = align(addr, page_size);
+
+    // the pages [start, start + size) are searched, the page of addr is the
+    // first one searched in both directions
+    let start = page;
+    let size = max_size;
+    if (is_back) {
+        const end = page.add(page_size);
+        start = end.sub(max_size);
+        if (start.gt(page)) {
+            // wrapped around
+            start = Int.Zero;
+            size = end.low();
         }
-        addr = addr.add(offset)
     }
-    return addr;
+
+    const res = find_pattern(start, magic, {
+        max: size,
+        align: page_size,
+        backward: is_back,
+    });
+    if (res === null) {
+        throw Error(
+            `${is_text ? '.text' : '.data'} magic not found within`
+            + ` ${max_size} bytes of ${addr}`
+        );
+    }
+    return res;
 }
 
 // gets the address of the underlying buffer of a JSC::JSArrayBufferView
@@ -139,7 +378,24 @@ export function get_view_vector(view) {
     return mem.addrof(view).readp(o.view_m_vector);
 }
 
-export function resolve_import(import_addr) {
+// PLT stubs (module_function_import) are 16 bytes:
+//
+//     jmp qword [rip + X]  // ff 25 xx xx xx xx
+//     push index           // 68 xx xx xx xx
+//     jmp PLT0             // e9 xx xx xx xx
+//
+// index is the index of the stub's relocation in the DT_SCE_JMPREL table, see
+// Dynlib from dynlib.mjs.
+const plt_stub_size = 16;
+
+function is_plt_stub(addr) {
+    return addr.read16(0) === 0x25ff
+        && addr.read8(6) === 0x68
+        && addr.read8(11) === 0xe9;
+}
+
+// Returns the address of the GOT entry the import jumps through.
+export function get_import_slot(import_addr) {
     if (import_addr.read16(0) !== 0x25ff) {
         throw Error(
             `instruction at ${import_addr} is not of the form: jmp qword`
@@ -156,9 +412,109 @@ export function resolve_import(import_addr) {
     // of the next instruction. This means that the actual address used is
     // [rip + X + sizeof(jmp_insn)], where sizeof(jmp_insn) is the size of the
     // jump instruction, which is 6 in this case.
-    const function_addr = import_addr.add(offset.add(6)).readp(0);
+    return import_addr.add(offset.add(6));
+}
+
+export function resolve_import(import_addr) {
+    return get_import_slot(import_addr).readp(0);
+}
+
+// Walks the PLT that contains the stub at import_addr. Returns an Array of
+// {addr, slot, target, index} for every stub, sorted by address. addr is the
+// stub, slot its GOT entry and target the function it jumps to.
+//
+// Stubs are read backwards then forwards from import_addr until something
+// that is not a stub is found. At most max_count stubs are read in each
+// direction. The PLT is within .text so reading one instruction past its ends
+// is safe.
+export function walk_imports(import_addr, max_count=0x10000) {
+    if (!is_plt_stub(import_addr)) {
+        throw Error(`no PLT stub at ${import_addr}`);
+    }
+
+    const stub_info = addr => {
+        const slot = get_import_slot(addr);
+        return {
+            addr,
+            slot,
+            target: slot.readp(0),
+            index: addr.read32(7),
+        };
+    };
 
-    return function_addr;
+    const res = [];
+    let addr = import_addr;
+    // the number of stubs before import_addr
+    let before = 0;
+    while (before < max_count) {
+        const prev = addr.sub(plt_stub_size);
+        if (!is_plt_stub(prev)) {
+            break;
+        }
+        addr = prev;
+        before++;
+    }
+    for (let i = 0; i <= before + max_count && is_plt_stub(addr); i++) {
+        res.push(stub_info(addr));
+        addr = addr.add(plt_stub_size);
+    }
+    return res;
+}
+
+// the start of a PLT stub, see is_plt_stub()
+const plt_stub_pattern = 'ff 25 ?? ?? ?? ?? 68 ?? ?? ?? ?? e9';
+
+// whether the stub at addr is followed by another one of the same PLT, only
+// .text is read
+function has_next_stub(addr, text_end) {
+    if ((addr.low() & (plt_stub_size - 1)) !== 0
+        || text_end.sub(addr).low() < 2 * plt_stub_size
+    ) {
+        return false;
+    }
+    const next = addr.add(plt_stub_size);
+    // the stubs of a PLT are in the order of their GOT entries and indices
+    return is_plt_stub(next)
+        && get_import_slot(next).eq(get_import_slot(addr).add(8))
+        && next.read32(7) === addr.read32(7) + 1;
+}
+
+// Finds the PLT in the .text segment at text_start and returns walk_imports()
+// of it.
+//
+// The PLT is near the start of .text, before the functions of the module, so
+// .text is searched forward. Bytes that only look like a stub are skipped, a
+// match must be followed by another stub of the same PLT. So no GOT entry is
+// read before the PLT is found.
+export function find_plt(text_start, text_size) {
+    const text_end = text_start.add(text_size);
+    let start = text_start;
+    for (;;) {
+        const addr = find_pattern(start, plt_stub_pattern, {
+            max: text_end.sub(start).low(),
+        });
+        if (addr === null) {
+            throw Error(`no PLT in the .text at ${text_start}`);
+        }
+        if (has_next_stub(addr, text_end)) {
+            return walk_imports(addr);
+        }
+        start = addr.add(1);
+    }
+}
+
+// a syscall wrapper of libkernel:
+//     mov rax, X
+//     mov r10, rcx
+//     syscall
+const syscall_wrapper = '48 c7 c0 ?? ?? ?? ?? 49 89 ca 0f 05';
+const syscall_wrapper_size = 12;
+
+// whether addr is the start of a syscall wrapper
+export function is_syscall_wrapper(addr) {
+    return find_pattern(addr, syscall_wrapper, {
+        max: syscall_wrapper_size,
+    }) !== null;
 }
 
 export function init_syscall_array(
@@ -173,53 +529,25 @@ export function init_syscall_array(
         throw Error(`max_search_size is less than 0: ${max_search_size}`);
     }
 
-    const libkernel_web_buffer = make_buffer(
-        libkernel_web_base,
-        max_search_size,
-    );
-    const kbuf = new Uint8Array(libkernel_web_buffer);
-
     // Search 'rdlo' string from libkernel_web's .rodata section to gain an
     // upper bound on the size of the .text section.
-    let text_size = 0;
-    let found = false;
-    for (let i = 0; i < max_search_size; i++) {
-        if (kbuf[i] === 0x72
-            && kbuf[i + 1] === 0x64
-            && kbuf[i + 2] === 0x6c
-            && kbuf[i + 3] === 0x6f
-        ) {
-            text_size = i;
-            found = true;
-            break;
-        }
-    }
-    if (!found) {
+    const rdlo = find_pattern(libkernel_web_base, '72 64 6c 6f', {
+        max: max_search_size,
+    });
+    if (rdlo === null) {
         throw Error(
             '"rdlo" string not found in libkernel_web, base address:'
             + ` ${libkernel_web_base}`
         );
     }
+    const text_size = rdlo.sub(libkernel_web_base).low();
 
-    // search for the instruction sequence:
-    // syscall_X:
-    //     mov rax, X
-    //     mov r10, rcx
-    //     syscall
-    for (let i = 0; i < text_size; i++) {
-        if (kbuf[i] === 0x48
-            && kbuf[i + 1] === 0xc7
-            && kbuf[i + 2] === 0xc0
-            && kbuf[i + 7] === 0x49
-            && kbuf[i + 8] === 0x89
-            && kbuf[i + 9] === 0xca
-            && kbuf[i + 10] === 0x0f
-            && kbuf[i + 11] === 0x05
-        ) {
-            const syscall_num = read32(kbuf, i + 3);
-            syscall_array[syscall_num] = libkernel_web_base.add(i);
-            // skip the sequence
-            i += 11;
-        }
+    const wrappers = find_pattern(libkernel_web_base, syscall_wrapper, {
+        max: text_size,
+        all: true,
+    });
+    for (const addr of wrappers) {
+        const syscall_num = addr.read32(3);
+        syscall_array[syscall_num] = addr;
     }
 }
@@ -0,0 +1,322 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// A memory backend that does not need the exploit. It is for testing modules
+// like memtools.mjs and chain.mjs with Node or any browser.
+//
+// Memory is a sparse map of pages. Each page is backed by a region of a
+// Uint8Array, regions are created via map(), load() or alloc(). Accessing an
+// unmapped page throws an Error, like a page fault would crash the console.
+//
+// example:
+//
+// import { MockMemory } from './module/mockmem.mjs';
+//
+// const mock = new MockMemory();
+// // libkernel_web.sprx.bin is a dump of the module
+// const base = new Int(0x00800000, 0x9);
+// mock.load(base, fs.readFileSync('libkernel_web.sprx.bin'));
+// init_syscall_array(syscall_array, base, 300 * KB);
+
+import { Int } from './int64.mjs';
+import { MemoryBase, Addr } from './mem.mjs';
+import { KB } from './constants.mjs';
+import { align } from './utils.mjs';
+
+import * as rw from './rw.mjs';
+import * as o from './offset.mjs';
+
+// ps4 page size
+const page_size = 16 * KB;
+// log2(page_size)
+const page_shift = 14;
+
+// addresses of objects from addrof() and regions from alloc() start here
+const heap_base = new Int(0, 2);
+
+// size of the fake JSCell created for each object passed to addrof()
+const cell_size = 0x20;
+
+// page numbers are less than 2**52 so they fit exactly in a Number
+function page_number(addr) {
+    return addr.high() * 2**(32 - page_shift) + (addr.low() >>> page_shift);
+}
+
+function check_addr(addr) {
+    if (!(addr instanceof Int)) {
+        throw TypeError('addr must be an Int');
+    }
+}
+
+export class MockMemory extends MemoryBase {
+    constructor() {
+        super();
+
+        // page number -> {bytes, offset}
+        //
+        // The byte at page_offset within the page is bytes[offset +
+        // page_offset]. offset may be negative for the first page of a region
+        // that does not start at a page boundary.
+        this.pages = new Map();
+        this._heap_next = heap_base;
+        // object -> address of its fake JSCell
+        this._objects = new WeakMap();
+        // address of a fake JSCell (as a string) -> object, for fakeobj()
+        this._cells = new Map();
+        // ArrayBuffer -> address of the region mapping it
+        this._buffers = new WeakMap();
+    }
+
+    // Maps bytes (a Uint8Array or an ArrayBuffer) at addr. The bytes are not
+    // copied, writes to the memory are writes to bytes.
+    //
+    // Pages of the region that are partially covered by bytes are still
+    // considered mapped, but accessing the part outside of bytes will fault.
+    load(addr, bytes) {
+        check_addr(addr);
+        if (bytes instanceof ArrayBuffer) {
+            bytes = new Uint8Array(bytes);
+        }
+        if (!(bytes instanceof Uint8Array)) {
+            throw TypeError('bytes must be a Uint8Array or an ArrayBuffer');
+        }
+
+        const first = page_number(addr);
+        const last = page_number(addr.add(Math.max(bytes.length, 1) - 1));
+        for (let page = first; page <= last; page++) {
+            if (this.pages.has(page)) {
+                throw Error(`region at ${addr} overlaps a mapped page`);
+            }
+        }
+
+        const start = addr.low() & (page_size - 1);
+        for (let page = first; page <= last; page++) {
+            this.pages.set(page, {
+                bytes,
+                offset: (page - first) * page_size - start,
+            });
+        }
+
+        return new Addr(addr);
+    }
+
+    // maps size zero-filled bytes at addr
+    map(addr, size) {
+        return this.load(addr, new Uint8Array(size));
+    }
+
+    // maps size zero-filled bytes at an unused address and returns it
+    alloc(size) {
+        return this.map(this._reserve(size), size);
+    }
+
+    // returns an unused address with room for size bytes
+    _reserve(size) {
+        const addr = this._heap_next;
+        // leave an unmapped page after each region to catch overflows
+        const next = addr.add(Math.max(size, 1) + 2*page_size - 1);
+        this._heap_next = align(next, page_size);
+
+        return addr;
+    }
+
+    is_mapped(addr) {
+        check_addr(addr);
+        const entry = this.pages.get(page_number(addr));
+        if (entry === undefined) {
+            return false;
+        }
+        const index = entry.offset + (addr.low() & (page_size - 1));
+        return index >= 0 && index < entry.bytes.length;
+    }
+
+    // Returns {bytes, index}, where bytes[index] is the byte at addr.
+    _locate(addr) {
+        check_addr(addr);
+        const entry = this.pages.get(page_number(addr));
+        if (entry !== undefined) {
+            const index = entry.offset + (addr.low() & (page_size - 1));
+            if (index >= 0 && index < entry.bytes.length) {
+                return {bytes: entry.bytes, index};
+            }
+        }
+        throw Error(`page fault at ${addr}`);
+    }
+
+    // Like _locate() but also checks that the size bytes at addr belong to
+    // the same region. Returns null if they don't.
+    _locate_range(addr, size) {
+        const res = this._locate(addr);
+        if (res.index + size > res.bytes.length) {
+            return null;
+        }
+        return res;
+    }
+
+    // The view is a copy like the one of Memory, so tests don't rely on
+    // writes to it. The size bytes must not cross the end of a region.
+    view(addr, size) {
+        if (size === 0) {
+            return new Uint8Array(0);
+        }
+        const loc = this._locate_range(addr, size);
+        if (loc === null) {
+            throw Error(`${addr} + ${size} crosses the end of a region`);
+        }
+        return loc.bytes.slice(loc.index, loc.index + size);
+    }
+
+    make_buffer(addr, size) {
+        return this.view(addr, size).buffer;
+    }
+
+    // The bulk operations may cross regions, those fall back to byte by byte
+    // accesses.
+
+    read_bytes(addr, len) {
+        if (len === 0 || this._locate_range(addr, len) !== null) {
+            return super.read_bytes(addr, len);
+        }
+
+        const res = new Uint8Array(len);
+        for (let i = 0; i < len; i++) {
+            res[i] = this.read8(addr.add(i));
+        }
+        return res;
+    }
+
+    write_bytes(addr, src) {
+        const len = src.length;
+        const loc = len === 0 ? null : this._locate_range(addr, len);
+        if (loc === null) {
+            super.write_bytes(addr, src);
+            return;
+        }
+        loc.bytes.set(src, loc.index);
+    }
+
+    memset(addr, value, len) {
+        const loc = Number.isInteger(len) && len > 0
+            ? this._locate_range(addr, len) : null;
+        if (loc === null) {
+            super.memset(addr, value, len);
+            return;
+        }
+        loc.bytes.fill(value, loc.index, loc.index + len);
+    }
+
+    // Objects get a fake JSCell, so addrof() returns the same address for the
+    // same object. For a JSArrayBufferView, the cell's m_vector, m_length and
+    // m_mode are set and its whole ArrayBuffer is mapped, so
+    // get_view_vector() works.
+    _addrof(obj) {
+        if (typeof obj !== 'object'
+            && typeof obj !== 'function'
+        ) {
+            throw TypeError('addrof argument not a JS object');
+        }
+
+        let res = this._objects.get(obj);
+        if (res !== undefined) {
+            return res;
+        }
+
+        res = this.alloc(cell_size);
+        if (ArrayBuffer.isView(obj)) {
+            const buffer = obj.buffer;
+            let buffer_addr = this._buffers.get(buffer);
+            if (buffer_addr === undefined) {
+                buffer_addr = this._reserve(buffer.byteLength);
+                this.load(buffer_addr, buffer);
+                this._buffers.set(buffer, buffer_addr);
+            }
+
+            const vector = buffer_addr.add(obj.byteOffset);
+            this.write64(res.add(o.view_m_vector), vector);
+            this.write32(res.add(o.view_m_length), obj.length);
+            // FastTypedArray
+            this.write32(res.add(o.view_m_mode), 0);
+        }
+        this._objects.set(obj, res);
+        this._cells.set(res.toString(), obj);
+
+        return res;
+    }
+
+    // only addresses from addrof() are valid
+    fakeobj(addr) {
+        check_addr(addr);
+        const res = this._cells.get(addr.toString());
+        if (res === undefined) {
+            throw Error(`no object at ${addr}`);
+        }
+        return res;
+    }
+
+    read8(addr) {
+        const loc = this._locate(addr);
+        return loc.bytes[loc.index];
+    }
+
+    read16(addr) {
+        return this._read(addr, 2, rw.read16);
+    }
+
+    read32(addr) {
+        return this._read(addr, 4, rw.read32);
+    }
+
+    read64(addr) {
+        return this._read(addr, 8, rw.read64);
+    }
+
+    write8(addr, value) {
+        const loc = this._locate(addr);
+        loc.bytes[loc.index] = value;
+    }
+
+    write16(addr, value) {
+        this._write(addr, 2, value, rw.write16);
+    }
+
+    write32(addr, value) {
+        this._write(addr, 4, value, rw.write32);
+    }
+
+    write64(addr, value) {
+        this._write(addr, 8, value, rw.write64);
+    }
+
+    _read(addr, size, read) {
+        const loc = this._locate_range(addr, size);
+        if (loc === null) {
+            return read(this.read_bytes(addr, size), 0);
+        }
+        return read(loc.bytes, loc.index);
+    }
+
+    _write(addr, size, value, write) {
+        const loc = this._locate_range(addr, size);
+        if (loc === null) {
+            const bytes = new Uint8Array(size);
+            write(bytes, 0, value);
+            this.write_bytes(addr, bytes);
+            return;
+        }
+        write(loc.bytes, loc.index, value);
+    }
+}
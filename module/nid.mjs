@@ -0,0 +1,167 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// NIDs (name IDs) are what PS4 modules use instead of symbol names. A symbol
+// in the dynamic symbol table is named "<NID>#<library id>#<module id>".
+//
+// The NID of a name is computed as:
+//
+//     digest = SHA-1(name + nid_suffix)
+//     NID = base64 of digest[0:8] reversed, without the padding
+//
+// The base64 alphabet has "-" instead of "/". For example, the NID of
+// "printf" is "hcuQgD53UxM".
+
+const nid_suffix = [
+    0x51, 0x8d, 0x64, 0xa6, 0x35, 0xde, 0xd8, 0xc1,
+    0xe6, 0xb0, 0x39, 0xb1, 0xc3, 0xe5, 0x52, 0x30,
+];
+
+const nid_alphabet =
+    'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+-';
+
+// length of a NID, 64 bits with 6 bits per character
+const nid_length = 11;
+
+function rotl(x, n) {
+    return (x << n) | (x >>> (32 - n));
+}
+
+// bytes is an Array or Uint8Array, returns the 20 byte digest as a Uint8Array
+export function sha1(bytes) {
+    // message + 0x80 + zero padding + 64-bit big endian length in bits
+    const len = bytes.length;
+    const total = (len + 9 + 63) & ~63;
+    const msg = new Uint8Array(total);
+    msg.set(bytes);
+    msg[len] = 0x80;
+    const bits_high = Math.floor(len / 2**29);
+    const bits_low = (len << 3) >>> 0;
+    for (let i = 0; i < 4; i++) {
+        msg[total - 8 + i] = (bits_high >>> (24 - i*8)) & 0xff;
+        msg[total - 4 + i] = (bits_low >>> (24 - i*8)) & 0xff;
+    }
+
+    const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+    const w = new Int32Array(80);
+    for (let block = 0; block < total; block += 64) {
+        for (let i = 0; i < 16; i++) {
+            const j = block + i*4;
+            w[i] = msg[j] << 24 | msg[j + 1] << 16 | msg[j + 2] << 8
+                | msg[j + 3];
+        }
+        for (let i = 16; i < 80; i++) {
+            w[i] = rotl(w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16], 1);
+        }
+
+        let [a, b, c, d, e] = h;
+        for (let i = 0; i < 80; i++) {
+            let f = 0;
+            let k = 0;
+            if (i < 20) {
+                f = (b & c) | (~b & d);
+                k = 0x5a827999;
+            } else if (i < 40) {
+                f = b ^ c ^ d;
+                k = 0x6ed9eba1;
+            } else if (i < 60) {
+                f = (b & c) | (b & d) | (c & d);
+                k = 0x8f1bbcdc;
+            } else {
+                f = b ^ c ^ d;
+                k = 0xca62c1d6;
+            }
+            const t = (rotl(a, 5) + f + e + k + w[i]) | 0;
+            e = d;
+            d = c;
+            c = rotl(b, 30);
+            b = a;
+            a = t;
+        }
+        h[0] = (h[0] + a) | 0;
+        h[1] = (h[1] + b) | 0;
+        h[2] = (h[2] + c) | 0;
+        h[3] = (h[3] + d) | 0;
+        h[4] = (h[4] + e) | 0;
+    }
+
+    const res = new Uint8Array(20);
+    for (let i = 0; i < 20; i++) {
+        res[i] = (h[i >> 2] >>> (24 - (i & 3)*8)) & 0xff;
+    }
+    return res;
+}
+
+// Returns the NID of a symbol name. name must be ASCII, C++ names must be
+// mangled.
+export function name_to_nid(name) {
+    const bytes = [];
+    for (let i = 0; i < name.length; i++) {
+        const c = name.charCodeAt(i);
+        if (c > 0x7f) {
+            throw RangeError(`character not ASCII: ${name[i]} at index ${i}`);
+        }
+        bytes.push(c);
+    }
+    const digest = sha1(bytes.concat(nid_suffix));
+
+    // 64 bits, most significant first
+    const value = [];
+    for (let i = 7; i >= 0; i--) {
+        value.push(digest[i]);
+    }
+    // 11 characters of 6 bits, the last one has 2 bits of padding
+    let res = '';
+    for (let i = 0; i < nid_length; i++) {
+        const bit = i * 6;
+        const byte = bit >> 3;
+        const word = value[byte] << 8 | (byte + 1 < 8 ? value[byte + 1] : 0);
+        res += nid_alphabet[(word >>> (10 - (bit & 7))) & 0x3f];
+    }
+    return res;
+}
+
+export function is_nid(str) {
+    return typeof str === 'string'
+        && str.length === nid_length
+        && [...str].every(c => nid_alphabet.includes(c));
+}
+
+// The library and module ids of a symbol name are encoded with the same
+// alphabet, most significant character first.
+export function decode_id(str) {
+    let res = 0;
+    for (const c of str) {
+        const digit = nid_alphabet.indexOf(c);
+        if (digit === -1) {
+            throw RangeError(`invalid id: ${str}`);
+        }
+        res = res * 64 + digit;
+    }
+    return res;
+}
+
+// Splits a symbol name into {nid, lib_id, module_id}. The ids are null if
+// they are not in the name.
+export function parse_symbol_name(name) {
+    const parts = name.split('#');
+    return {
+        nid: parts[0],
+        lib_id: parts.length > 1 ? decode_id(parts[1]) : null,
+        module_id: parts.length > 2 ? decode_id(parts[2]) : null,
+    };
+}
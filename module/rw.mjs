@@ -58,11 +58,7 @@ export function read32(u8_view, offset) {
 }
 
 export function read64(u8_view, offset) {
-    let res = [];
-    for (let i = 0; i < 8; i++) {
-        res.push(u8_view[offset + i]);
-    }
-    return new Int(res);
+    return new Int(read(u8_view, offset, 4), read(u8_view, offset + 4, 4));
 }
 
 // for writes less than 8 bytes
@@ -0,0 +1,448 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// Locating and parsing PS4 modules (.sprx and eboot.bin)
+//
+// A loaded module does not have its ELF header mapped, its .text segment
+// starts right at the base address. What is mapped is:
+//
+// * the .eh_frame_hdr section (PT_GNU_EH_FRAME), at the end of the .text
+//   segment. Its binary search table has the start address of every
+//   function of the module, sorted.
+// * the SceModuleParam (PT_SCE_MODULE_PARAM), at the start of the .data
+//   segment
+//
+// find_module() uses them to get the bounds of a module in memory.
+// parse_elf() parses the program headers of a (decrypted) module file for
+// when you have a dump of one. It also knows where the dynamic section and
+// the dynlib data are, which are not loaded into memory.
+
+import { Int } from './int64.mjs';
+import { Addr, mem } from './mem.mjs';
+import { KB, MB } from './constants.mjs';
+import { align } from './utils.mjs';
+import { define_struct } from './struct.mjs';
+import { find_pattern } from './memtools.mjs';
+
+// ps4 page size
+export const page_size = 16 * KB;
+
+// p_type values
+export const PT_LOAD = 1;
+export const PT_DYNAMIC = 2;
+export const PT_TLS = 7;
+export const PT_GNU_EH_FRAME = 0x6474e550;
+export const PT_SCE_DYNLIBDATA = 0x61000000;
+export const PT_SCE_PROCPARAM = 0x61000001;
+export const PT_SCE_MODULE_PARAM = 0x61000002;
+export const PT_SCE_RELRO = 0x61000010;
+
+// p_flags values
+export const PF_X = 1;
+export const PF_W = 2;
+export const PF_R = 4;
+
+// SceModuleParam.magic, the same for all firmwares we know of. The size and
+// version fields are what changes (0x18 and 1 on 6.xx, 0x20 and 2 on 8.xx).
+export const module_param_magic = 0x3c13f4bf;
+
+// Modules are at most this big. find_module() won't read past this distance
+// from the address it is given.
+const default_max_size = 64 * MB;
+
+const Elf64_Ehdr = define_struct('Elf64_Ehdr', {
+    e_ident : 'u8[16]',
+    e_type : 'u16',
+    e_machine : 'u16',
+    e_version : 'u32',
+    e_entry : 'u64',
+    e_phoff : 'u64',
+    e_shoff : 'u64',
+    e_flags : 'u32',
+    e_ehsize : 'u16',
+    e_phentsize : 'u16',
+    e_phnum : 'u16',
+    e_shentsize : 'u16',
+    e_shnum : 'u16',
+    e_shstrndx : 'u16',
+});
+
+const Elf64_Phdr = define_struct('Elf64_Phdr', {
+    p_type : 'u32',
+    p_flags : 'u32',
+    p_offset : 'u64',
+    p_vaddr : 'u64',
+    p_paddr : 'u64',
+    p_filesz : 'u64',
+    p_memsz : 'u64',
+    p_align : 'u64',
+});
+
+const SceModuleParam = define_struct('SceModuleParam', {
+    size : 'u64',
+    magic : 'u32',
+    version : 'u32',
+});
+
+// see "Linux Standard Base Core Specification", section .eh_frame_hdr
+const eh_frame_hdr_t = define_struct('eh_frame_hdr', {
+    version : 'u8',
+    eh_frame_ptr_enc : 'u8',
+    fde_count_enc : 'u8',
+    table_enc : 'u8',
+    eh_frame_ptr : 'i32',
+    fde_count : 'u32',
+});
+
+// version 1, eh_frame_ptr is DW_EH_PE_pcrel | DW_EH_PE_sdata4, fde_count is
+// DW_EH_PE_udata4 and the table is DW_EH_PE_datarel | DW_EH_PE_sdata4. This
+// is what the PS4 toolchain (LLVM) emits.
+const eh_frame_hdr_magic = [1, 0x1b, 0x03, 0x3b];
+// a table entry is a pair of i32s: the function's start and its FDE, both
+// relative to the .eh_frame_hdr
+const eh_table_entry_size = 8;
+
+// Returns the SceModuleParam at addr or null if there is none. The fields
+// are checked loosely so that any version is accepted.
+export function parse_module_param(addr) {
+    const param = SceModuleParam.at(addr);
+    if (param.magic !== module_param_magic) {
+        return null;
+    }
+    const size = param.size;
+    if (size.high() !== 0
+        || size.low() < SceModuleParam.sizeof
+        || size.low() > 0x100
+        || (size.low() & 7) !== 0
+    ) {
+        return null;
+    }
+    return {
+        addr: new Addr(addr),
+        size: size.low(),
+        version: param.version,
+    };
+}
+
+export class ModuleInfo {
+    // segments is an Array of {type, flags, start, end}, start and end are
+    // Addrs. Segments from parse_elf() also have file_offset and file_size
+    // (Ints).
+    constructor(base, segments) {
+        this.base = new Addr(base);
+        this.segments = segments;
+
+        let end = this.base;
+        for (const seg of segments) {
+            if (seg.end.gt(end)) {
+                end = seg.end;
+            }
+        }
+        this.end = end;
+        this.size = end.sub(base).low();
+
+        // the SceModuleParam and its version
+        this.param = null;
+        this.param_version = null;
+        this.eh_frame_hdr = null;
+
+        // parse_elf() only, these are addresses within the file
+        this.dynamic = null;
+        this.dynamic_size = 0;
+        this.dynlibdata = null;
+        this.dynlibdata_size = 0;
+    }
+
+    // the first executable segment
+    get text() {
+        const res = this.segments.find(seg => seg.flags & PF_X);
+        return res === undefined ? null : res;
+    }
+
+    // the last writable segment
+    get data() {
+        let res = null;
+        for (const seg of this.segments) {
+            if (seg.flags & PF_W) {
+                res = seg;
+            }
+        }
+        return res;
+    }
+
+    // whether the size bytes at addr are all within one segment
+    contains(addr, size=1) {
+        addr = new Int(addr);
+        const last = addr.add(size);
+        for (const seg of this.segments) {
+            if (!addr.lt(seg.start) && !last.gt(seg.end)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Throws if the size bytes at addr are not within one segment, else
+    // returns addr as an Addr. Use this before reading memory based on
+    // offsets found in the module.
+    check(addr, size=1) {
+        if (!this.contains(addr, size)) {
+            throw RangeError(
+                `${addr} + ${size} is outside of the module at ${this.base}`
+            );
+        }
+        return new Addr(addr);
+    }
+
+    toString() {
+        let res = `module at ${this.base}, size: 0x${this.size.toString(16)}`;
+        for (const seg of this.segments) {
+            res += `\n  ${seg.start} - ${seg.end}`
+                + ` ${seg.flags & PF_R ? 'r' : '-'}`
+                + `${seg.flags & PF_W ? 'w' : '-'}`
+                + `${seg.flags & PF_X ? 'x' : '-'}`;
+        }
+        return res;
+    }
+}
+
+// Searches [low, high) backwards for an .eh_frame_hdr whose table covers
+// addr. low and high must be page aligned. It stops at the first match so
+// memory below the module's .eh_frame_hdr is never read.
+function find_eh_frame_hdr(low, high, addr) {
+    // one page at a time, reading more could step below the module
+    let end = high;
+    while (end.gt(low)) {
+        const start = end.sub(page_size);
+        // the section is 4-byte aligned
+        const candidates = find_pattern(start, eh_frame_hdr_magic, {
+            max: page_size,
+            align: 4,
+            backward: true,
+            all: true,
+        });
+        for (const hdr_addr of candidates) {
+            const res = check_eh_frame_hdr(hdr_addr, high, addr);
+            if (res !== null) {
+                return res;
+            }
+        }
+        end = start;
+    }
+    return null;
+}
+
+// Returns {addr, first_func} if the .eh_frame_hdr at hdr_addr is valid, its
+// table is before limit and addr is not before the functions it describes.
+//
+// The pointers of the header must stay within the module: the .eh_frame and
+// the FDEs of the table are between the first function and limit, the .data
+// segment. Random bytes that look like a header are unlikely to pass this.
+function check_eh_frame_hdr(hdr_addr, limit, addr) {
+    if (hdr_addr.add(eh_frame_hdr_t.sizeof).gt(limit)) {
+        return null;
+    }
+    const hdr = eh_frame_hdr_t.at(hdr_addr);
+    const count = hdr.fde_count;
+    if (count === 0) {
+        return null;
+    }
+    const table = hdr_addr.add(eh_frame_hdr_t.sizeof);
+    const table_end = table.add(count * eh_table_entry_size);
+    if (table_end.gt(limit) || table_end.lt(table)) {
+        return null;
+    }
+
+    const first = table.read32(0) | 0;
+    const last = table.read32((count - 1) * eh_table_entry_size) | 0;
+    const first_func = hdr_addr.add(first);
+    const last_func = hdr_addr.add(last);
+    // functions are before the .eh_frame_hdr
+    if (first > last
+        || last >= 0
+        || addr.lt(first_func)
+    ) {
+        return null;
+    }
+
+    // eh_frame_ptr is relative to itself, the FDEs to the .eh_frame_hdr
+    const in_module = ptr => !ptr.lt(first_func) && ptr.lt(limit);
+    const eh_frame = hdr_addr.add(4).add(hdr.eh_frame_ptr);
+    const first_fde = hdr_addr.add(table.read32(4) | 0);
+    const last_fde = hdr_addr.add(
+        table.read32((count - 1) * eh_table_entry_size + 4) | 0
+    );
+    if (!in_module(eh_frame)
+        || !in_module(first_fde)
+        || !in_module(last_fde)
+        || first_fde.lt(eh_frame)
+    ) {
+        return null;
+    }
+    return {addr: hdr_addr, first_func};
+}
+
+// Returns a ModuleInfo for the module containing addr. addr must be before
+// the .data segment, like a function pointer, a return address or a vtable.
+//
+// The search reads forward from the page of addr until the .data segment,
+// then backwards from there until the .eh_frame_hdr. So unlike find_base()
+// from memtools.mjs, it only reads memory that belongs to the module. Nothing
+// more than max_size bytes away from addr is read, an Error is thrown if the
+// module is not found within them.
+//
+// The .text segment reported ends at the .data segment, so it includes any
+// read-only segment in between. The end of the .data segment is unknown since
+// it has no header, the reported .data segment only covers the
+// SceModuleParam.
+//
+// tools/test_sprx.mjs checks it on a module image built like the PS4 loader
+// would map it.
+export function find_module(addr, max_size=default_max_size) {
+    if (!(addr instanceof Int)) {
+        throw TypeError('addr must be an Int');
+    }
+    const page = new Addr(align(addr, page_size));
+    const limit = page.add(max_size);
+
+    let param = null;
+    for (let p = page; p.lt(limit); p = p.add(page_size)) {
+        param = parse_module_param(p);
+        if (param !== null) {
+            break;
+        }
+    }
+    if (param === null) {
+        throw Error(
+            `SceModuleParam not found within ${max_size} bytes of ${addr}`
+        );
+    }
+    const data_start = param.addr;
+
+    let low = page.sub(max_size);
+    if (low.gt(page)) {
+        // wrapped around
+        low = new Addr(0);
+    }
+    const hdr = find_eh_frame_hdr(low, data_start, addr);
+    if (hdr === null) {
+        throw Error(
+            `.eh_frame_hdr not found within ${max_size} bytes of ${addr}`
+        );
+    }
+    const base = align(hdr.first_func, page_size);
+    if (addr.sub(base).gt(max_size)) {
+        throw Error(`module base ${base} is too far from ${addr}`);
+    }
+
+    const res = new ModuleInfo(base, [
+        {
+            type: PT_LOAD,
+            flags: PF_R | PF_X,
+            start: new Addr(base),
+            end: data_start,
+        },
+        {
+            type: PT_LOAD,
+            flags: PF_R | PF_W,
+            start: data_start,
+            end: data_start.add(param.size),
+        },
+    ]);
+    res.param = data_start;
+    res.param_version = param.version;
+    res.eh_frame_hdr = hdr.addr;
+
+    return res;
+}
+
+// Parses the ELF file whose contents are at image, like a module dump loaded
+// with MockMemory. base is where the module is loaded in memory. If it is
+// not loaded, the default base of 0 makes the addresses of the ModuleInfo
+// offsets instead.
+export function parse_elf(image, base=Int.Zero) {
+    image = new Addr(image);
+    const ehdr = Elf64_Ehdr.at(image);
+    const ident = ehdr.e_ident;
+    // "\x7fELF", 64-bit, little endian
+    if (ident[0] !== 0x7f
+        || ident[1] !== 0x45
+        || ident[2] !== 0x4c
+        || ident[3] !== 0x46
+        || ident[4] !== 2
+        || ident[5] !== 1
+    ) {
+        throw Error(`no 64-bit little endian ELF header at ${image}`);
+    }
+    if (ehdr.e_phentsize !== Elf64_Phdr.sizeof) {
+        throw Error(`unexpected e_phentsize: ${ehdr.e_phentsize}`);
+    }
+
+    const segments = [];
+    const phdrs = [];
+    const phdr_table = image.add(ehdr.e_phoff);
+    for (let i = 0; i < ehdr.e_phnum; i++) {
+        const phdr = Elf64_Phdr.at(phdr_table.add(i * Elf64_Phdr.sizeof));
+        phdrs.push(phdr);
+        if (phdr.p_type === PT_LOAD || phdr.p_type === PT_SCE_RELRO) {
+            const start = new Addr(base.add(phdr.p_vaddr));
+            segments.push({
+                type: phdr.p_type,
+                flags: phdr.p_flags,
+                start,
+                end: start.add(phdr.p_memsz),
+                // where the contents are in the file
+                file_offset: phdr.p_offset,
+                file_size: phdr.p_filesz,
+            });
+        }
+    }
+    if (segments.length === 0) {
+        throw Error(`ELF at ${image} has no loadable segments`);
+    }
+    segments.sort((a, b) => a.start.cmp(b.start));
+
+    const res = new ModuleInfo(segments[0].start, segments);
+    for (const phdr of phdrs) {
+        switch (phdr.p_type) {
+            case PT_SCE_MODULE_PARAM: {
+                res.param = new Addr(base.add(phdr.p_vaddr));
+                const param = parse_module_param(image.add(phdr.p_offset));
+                if (param !== null) {
+                    res.param_version = param.version;
+                }
+                break;
+            }
+            case PT_GNU_EH_FRAME: {
+                res.eh_frame_hdr = new Addr(base.add(phdr.p_vaddr));
+                break;
+            }
+            case PT_DYNAMIC: {
+                res.dynamic = image.add(phdr.p_offset);
+                res.dynamic_size = phdr.p_filesz.low();
+                break;
+            }
+            case PT_SCE_DYNLIBDATA: {
+                res.dynlibdata = image.add(phdr.p_offset);
+                res.dynlibdata_size = phdr.p_filesz.low();
+                break;
+            }
+        }
+    }
+
+    return res;
+}
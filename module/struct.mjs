@@ -0,0 +1,369 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// Declarative layouts for native structures
+//
+// example:
+//     const kevent_t = define_struct('kevent', {
+//         ident: 'u64',
+//         filter: 'i16',
+//         flags: 'u16',
+//         fflags: 'u32',
+//         data: 'i64',
+//         udata: 'ptr',
+//     });
+//
+//     kevent_t.sizeof; // 0x20
+//     kevent_t.offsetof('filter'); // 8
+//
+//     // accessors over a local buffer
+//     const ev = kevent_t.alloc();
+//     ev.filter = -1;
+//     ev.view; // the Uint8Array
+//
+//     // accessors over memory at some address
+//     const remote_ev = kevent_t.at(addr);
+//     remote_ev.ident = sd;
+//
+// Fields are laid out like a C compiler would, each is aligned to its natural
+// alignment. A field can be given as [type, offset] to place it at an
+// explicit offset, this is useful for structures where we only know a few
+// fields (like struct proc). Fields after it continue from its end.
+//
+// Supported types:
+//     u8, i8, u16, i16, u32, i32: returned as numbers
+//     u64, i64: returned as Ints
+//     ptr: returned as an Addr
+//     type[N]: an array of N elements of a type above, returned as an Array
+//     a struct from define_struct(): returned as accessors over the nested
+//     struct, which are used to set its fields
+//
+// 64-bit fields accept anything that can be converted to an Int.
+//
+// The accessors have the properties struct, view, offset and addr and the
+// methods of StructView, so fields can't have those names or start with "_".
+
+import { Int } from './int64.mjs';
+import { Addr } from './mem.mjs';
+import * as rw from './rw.mjs';
+
+const type_sizes = new Map(Object.entries({
+    'u8' : 1,
+    'i8' : 1,
+    'u16' : 2,
+    'i16' : 2,
+    'u32' : 4,
+    'i32' : 4,
+    'u64' : 8,
+    'i64' : 8,
+    'ptr' : 8,
+}));
+
+function parse_type(type) {
+    const match = /^(\w+)(?:\[(\d+)\])?$/.exec(type);
+    if (match === null || !type_sizes.has(match[1])) {
+        throw TypeError(`invalid field type: ${type}`);
+    }
+    const elem = match[1];
+    const count = match[2] === undefined ? null : parseInt(match[2]);
+    const elem_size = type_sizes.get(elem);
+    return {
+        elem,
+        count,
+        elem_size,
+        size: elem_size * (count === null ? 1 : count),
+    };
+}
+
+// sign extend the lower size bytes of value
+function sign_extend(value, size) {
+    const shift = 32 - size * 8;
+    return (value << shift) >> shift;
+}
+
+function to_int(value) {
+    return value instanceof Int ? value : new Int(value);
+}
+
+// read/write a single element at offset of a local Uint8Array
+
+function read_local(view, offset, elem) {
+    switch (elem) {
+        case 'u8': return view[offset];
+        case 'i8': return sign_extend(view[offset], 1);
+        case 'u16': return rw.read16(view, offset);
+        case 'i16': return sign_extend(rw.read16(view, offset), 2);
+        case 'u32': return rw.read32(view, offset);
+        case 'i32': return rw.read32(view, offset) | 0;
+        case 'u64':
+        case 'i64': return rw.read64(view, offset);
+        case 'ptr': return new Addr(rw.read64(view, offset));
+    }
+}
+
+function write_local(view, offset, elem, value) {
+    switch (elem) {
+        case 'u8':
+        case 'i8': {
+            view[offset] = value;
+            break;
+        }
+        case 'u16':
+        case 'i16': {
+            rw.write16(view, offset, value);
+            break;
+        }
+        case 'u32':
+        case 'i32': {
+            rw.write32(view, offset, value);
+            break;
+        }
+        default: {
+            rw.write64(view, offset, to_int(value));
+        }
+    }
+}
+
+// read/write a single element at addr + offset
+
+function read_remote(addr, offset, elem) {
+    switch (elem) {
+        case 'u8': return addr.read8(offset);
+        case 'i8': return sign_extend(addr.read8(offset), 1);
+        case 'u16': return addr.read16(offset);
+        case 'i16': return sign_extend(addr.read16(offset), 2);
+        case 'u32': return addr.read32(offset);
+        case 'i32': return addr.read32(offset) | 0;
+        case 'u64':
+        case 'i64': return addr.read64(offset);
+        case 'ptr': return addr.readp(offset);
+    }
+}
+
+function write_remote(addr, offset, elem, value) {
+    switch (elem) {
+        case 'u8':
+        case 'i8': {
+            addr.write8(offset, value);
+            break;
+        }
+        case 'u16':
+        case 'i16': {
+            addr.write16(offset, value);
+            break;
+        }
+        case 'u32':
+        case 'i32': {
+            addr.write32(offset, value);
+            break;
+        }
+        default: {
+            addr.write64(offset, to_int(value));
+        }
+    }
+}
+
+// Accessors of a struct instance. Either view or addr is set.
+//
+// The fields are getters/setters on the prototype, so an own property with
+// the same name would hide them, see check_field_name().
+class StructView {
+    constructor(struct, view, offset, addr) {
+        this.struct = struct;
+        // local Uint8Array and the offset of the struct in it
+        this.view = view;
+        this.offset = offset;
+        // remote Addr
+        this.addr = addr;
+    }
+
+    _read(offset, elem) {
+        if (this.view !== null) {
+            return read_local(this.view, this.offset + offset, elem);
+        }
+        return read_remote(this.addr, offset, elem);
+    }
+
+    // accessors over the struct at offset
+    _nested(struct, offset) {
+        if (this.view !== null) {
+            return struct.from(this.view, this.offset + offset);
+        }
+        return struct.at(this.addr.add(offset));
+    }
+
+    _write(offset, elem, value) {
+        if (this.view !== null) {
+            write_local(this.view, this.offset + offset, elem, value);
+        } else {
+            write_remote(this.addr, offset, elem, value);
+        }
+    }
+}
+
+// the own properties of a StructView
+const view_properties = ['struct', 'view', 'offset', 'addr'];
+
+function check_field_name(struct_name, field) {
+    if (field.startsWith('_')
+        || view_properties.includes(field)
+        || field in StructView.prototype
+    ) {
+        throw Error(`struct ${struct_name} field name is reserved: ${field}`);
+    }
+}
+
+class Struct {
+    constructor(name, fields, size) {
+        this.name = name;
+        // Map of field names to {type, offset, elem, count, elem_size, size},
+        // elem is null for a nested struct
+        this.fields = new Map();
+
+        let offset = 0;
+        let max_align = 1;
+        for (const [field, spec] of Object.entries(fields)) {
+            let type = spec;
+            let field_offset = null;
+            if (Array.isArray(spec)) {
+                [type, field_offset] = spec;
+            }
+            check_field_name(name, field);
+            let info = null;
+            let align = 1;
+            if (type instanceof Struct) {
+                info = {
+                    elem: null,
+                    count: null,
+                    elem_size: type.sizeof,
+                    size: type.sizeof,
+                };
+                align = type.align;
+            } else {
+                info = parse_type(type);
+                align = info.elem_size;
+            }
+            max_align = Math.max(max_align, align);
+
+            if (field_offset === null) {
+                field_offset = Math.ceil(offset / align) * align;
+            }
+            this.fields.set(
+                field,
+                Object.assign({type, offset: field_offset}, info),
+            );
+            offset = field_offset + info.size;
+        }
+
+        const natural_size = Math.ceil(offset / max_align) * max_align;
+        if (size !== undefined && size < offset) {
+            throw RangeError(
+                `struct ${name} size 0x${size.toString(16)} is smaller than`
+                + ` its fields: 0x${offset.toString(16)}`
+            );
+        }
+        this.sizeof = size === undefined ? natural_size : size;
+        this.align = max_align;
+
+        // each struct has its own accessor class so that the fields can be
+        // defined as getters/setters on its prototype
+        this.View = class extends StructView {};
+        for (const [field, info] of this.fields) {
+            Object.defineProperty(this.View.prototype, field, {
+                get() {
+                    if (info.elem === null) {
+                        return this._nested(info.type, info.offset);
+                    }
+                    if (info.count === null) {
+                        return this._read(info.offset, info.elem);
+                    }
+                    const res = [];
+                    for (let i = 0; i < info.count; i++) {
+                        const offset = info.offset + i * info.elem_size;
+                        res.push(this._read(offset, info.elem));
+                    }
+                    return res;
+                },
+                set(value) {
+                    if (info.elem === null) {
+                        throw TypeError(
+                            `${name}.${field} is a struct, set its fields`
+                        );
+                    }
+                    if (info.count === null) {
+                        this._write(info.offset, info.elem, value);
+                        return;
+                    }
+                    if (value.length !== info.count) {
+                        throw RangeError(
+                            `${name}.${field} expects ${info.count} elements`
+                        );
+                    }
+                    for (let i = 0; i < info.count; i++) {
+                        const offset = info.offset + i * info.elem_size;
+                        this._write(offset, info.elem, value[i]);
+                    }
+                },
+            });
+        }
+    }
+
+    offsetof(field) {
+        const info = this.fields.get(field);
+        if (info === undefined) {
+            throw Error(`struct ${this.name} has no field: ${field}`);
+        }
+        return info.offset;
+    }
+
+    // accessors over a local Uint8Array, the struct starts at view[offset]
+    from(view, offset=0) {
+        if (!(view instanceof Uint8Array)) {
+            throw TypeError(`view not a Uint8Array: ${view}`);
+        }
+        if (offset + this.sizeof > view.length) {
+            throw RangeError(`view too small for struct ${this.name}`);
+        }
+        return new this.View(this, view, offset, null);
+    }
+
+    // accessors over a new zeroed local buffer
+    alloc() {
+        return this.from(new Uint8Array(this.sizeof));
+    }
+
+    // accessors over the memory at addr
+    at(addr) {
+        if (!(addr instanceof Addr)) {
+            addr = new Addr(addr);
+        }
+        return new this.View(this, null, 0, addr);
+    }
+}
+
+// Args:
+//   name:
+//     The name of the struct, used in error messages.
+//   fields:
+//     An object mapping field names to their types, see above.
+//   size:
+//     The size of the struct. Defaults to the size of all the fields with
+//     the padding needed for its alignment. Use this if the size is known
+//     but not all of the fields are declared.
+export function define_struct(name, fields, size) {
+    return new Struct(name, fields, size);
+}
@@ -0,0 +1,1037 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// Syscall numbers and errno values of the PS4 kernel (Orbis OS)
+//
+// The kernel is based on FreeBSD 9. Numbers up to 531 are FreeBSD's (see
+// sys/kern/syscalls.master), the ones after are Sony's. Obsolete FreeBSD
+// syscalls that are not in libkernel are left out.
+//
+// Each entry is the number and the prototype of the syscall. The prototypes
+// of FreeBSD syscalls are from syscalls.master. The prototypes of Sony's
+// syscalls are only given for the ones we know the arguments of, the rest are
+// just a name. A trailing "..." means that the syscall takes a variable
+// number of arguments, like open().
+
+const syscall_table = [
+    [1, 'void exit(int rval)'],
+    [2, 'int fork(void)'],
+    [3, 'ssize_t read(int fd, void *buf, size_t nbyte)'],
+    [4, 'ssize_t write(int fd, const void *buf, size_t nbyte)'],
+    [5, 'int open(const char *path, int flags, ...)'],
+    [6, 'int close(int fd)'],
+    [7, 'int wait4(int pid, int *status, int options, struct rusage *rusage)'],
+    [9, 'int link(const char *path, const char *link)'],
+    [10, 'int unlink(const char *path)'],
+    [12, 'int chdir(const char *path)'],
+    [13, 'int fchdir(int fd)'],
+    [14, 'int mknod(const char *path, int mode, int dev)'],
+    [15, 'int chmod(const char *path, int mode)'],
+    [16, 'int chown(const char *path, int uid, int gid)'],
+    [17, 'int obreak(char *nsize)'],
+    [20, 'pid_t getpid(void)'],
+    [
+        21,
+        'int mount(const char *type, const char *path, int flags,'
+        + ' void *data)',
+    ],
+    [22, 'int unmount(const char *path, int flags)'],
+    [23, 'int setuid(uid_t uid)'],
+    [24, 'uid_t getuid(void)'],
+    [25, 'uid_t geteuid(void)'],
+    [26, 'int ptrace(int req, pid_t pid, caddr_t addr, int data)'],
+    [27, 'int recvmsg(int s, struct msghdr *msg, int flags)'],
+    [28, 'int sendmsg(int s, const struct msghdr *msg, int flags)'],
+    [
+        29,
+        'int recvfrom(int s, void *buf, size_t len, int flags,'
+        + ' struct sockaddr *from, socklen_t *fromlenaddr)',
+    ],
+    [30, 'int accept(int s, struct sockaddr *name, socklen_t *anamelen)'],
+    [
+        31,
+        'int getpeername(int fdes, struct sockaddr *asa, socklen_t *alen)',
+    ],
+    [
+        32,
+        'int getsockname(int fdes, struct sockaddr *asa, socklen_t *alen)',
+    ],
+    [33, 'int access(const char *path, int amode)'],
+    [34, 'int chflags(const char *path, u_long flags)'],
+    [35, 'int fchflags(int fd, u_long flags)'],
+    [36, 'int sync(void)'],
+    [37, 'int kill(int pid, int signum)'],
+    [39, 'pid_t getppid(void)'],
+    [41, 'int dup(u_int fd)'],
+    [42, 'int pipe(void)'],
+    [43, 'gid_t getegid(void)'],
+    [
+        44,
+        'int profil(caddr_t samples, size_t size, size_t offset,'
+        + ' u_int scale)',
+    ],
+    [
+        45,
+        'int ktrace(const char *fname, int ops, int facs, int pid)',
+    ],
+    [47, 'gid_t getgid(void)'],
+    [49, 'int getlogin(char *namebuf, u_int namelen)'],
+    [50, 'int setlogin(const char *namebuf)'],
+    [51, 'int acct(const char *path)'],
+    [53, 'int sigaltstack(stack_t *ss, stack_t *oss)'],
+    [54, 'int ioctl(int fd, u_long com, ...)'],
+    [55, 'int reboot(int opt)'],
+    [56, 'int revoke(const char *path)'],
+    [57, 'int symlink(const char *path, const char *link)'],
+    [58, 'ssize_t readlink(const char *path, char *buf, size_t count)'],
+    [59, 'int execve(const char *fname, char **argv, char **envv)'],
+    [60, 'int umask(int newmask)'],
+    [61, 'int chroot(const char *path)'],
+    [65, 'int msync(void *addr, size_t len, int flags)'],
+    [66, 'int vfork(void)'],
+    [69, 'int sbrk(int incr)'],
+    [70, 'int sstk(int incr)'],
+    [73, 'int munmap(void *addr, size_t len)'],
+    [74, 'int mprotect(const void *addr, size_t len, int prot)'],
+    [75, 'int madvise(void *addr, size_t len, int behav)'],
+    [78, 'int mincore(const void *addr, size_t len, char *vec)'],
+    [79, 'int getgroups(u_int gidsetsize, gid_t *gidset)'],
+    [80, 'int setgroups(u_int gidsetsize, gid_t *gidset)'],
+    [81, 'int getpgrp(void)'],
+    [82, 'int setpgid(int pid, int pgid)'],
+    [
+        83,
+        'int setitimer(u_int which, struct itimerval *itv,'
+        + ' struct itimerval *oitv)',
+    ],
+    [85, 'int swapon(const char *name)'],
+    [86, 'int getitimer(u_int which, struct itimerval *itv)'],
+    [89, 'int getdtablesize(void)'],
+    [90, 'int dup2(u_int from, u_int to)'],
+    [92, 'int fcntl(int fd, int cmd, ...)'],
+    [
+        93,
+        'int select(int nd, fd_set *in, fd_set *ou, fd_set *ex,'
+        + ' struct timeval *tv)',
+    ],
+    [95, 'int fsync(int fd)'],
+    [96, 'int setpriority(int which, int who, int prio)'],
+    [97, 'int socket(int domain, int type, int protocol)'],
+    [
+        98,
+        'int connect(int s, const struct sockaddr *name, socklen_t namelen)',
+    ],
+    [100, 'int getpriority(int which, int who)'],
+    [
+        104,
+        'int bind(int s, const struct sockaddr *name, socklen_t namelen)',
+    ],
+    [
+        105,
+        'int setsockopt(int s, int level, int name, const void *val,'
+        + ' socklen_t valsize)',
+    ],
+    [106, 'int listen(int s, int backlog)'],
+    [
+        116,
+        'int gettimeofday(struct timeval *tp, struct timezone *tzp)',
+    ],
+    [117, 'int getrusage(int who, struct rusage *rusage)'],
+    [
+        118,
+        'int getsockopt(int s, int level, int name, void *val,'
+        + ' socklen_t *avalsize)',
+    ],
+    [120, 'ssize_t readv(int fd, struct iovec *iovp, u_int iovcnt)'],
+    [121, 'ssize_t writev(int fd, struct iovec *iovp, u_int iovcnt)'],
+    [
+        122,
+        'int settimeofday(struct timeval *tv, struct timezone *tzp)',
+    ],
+    [123, 'int fchown(int fd, int uid, int gid)'],
+    [124, 'int fchmod(int fd, int mode)'],
+    [126, 'int setreuid(int ruid, int euid)'],
+    [127, 'int setregid(int rgid, int egid)'],
+    [128, 'int rename(const char *from, const char *to)'],
+    [131, 'int flock(int fd, int how)'],
+    [132, 'int mkfifo(const char *path, int mode)'],
+    [
+        133,
+        'ssize_t sendto(int s, const void *buf, size_t len, int flags,'
+        + ' const struct sockaddr *to, socklen_t tolen)',
+    ],
+    [134, 'int shutdown(int s, int how)'],
+    [
+        135,
+        'int socketpair(int domain, int type, int protocol, int *rsv)',
+    ],
+    [136, 'int mkdir(const char *path, int mode)'],
+    [137, 'int rmdir(const char *path)'],
+    [138, 'int utimes(const char *path, struct timeval *tptr)'],
+    [
+        140,
+        'int adjtime(struct timeval *delta, struct timeval *olddelta)',
+    ],
+    [147, 'int setsid(void)'],
+    [
+        148,
+        'int quotactl(const char *path, int cmd, int uid, caddr_t arg)',
+    ],
+    [154, 'nlm_syscall'],
+    [155, 'nfssvc'],
+    [160, 'int lgetfh(const char *fname, struct fhandle *fhp)'],
+    [161, 'int getfh(const char *fname, struct fhandle *fhp)'],
+    [165, 'int sysarch(int op, char *parms)'],
+    [166, 'int rtprio(int function, pid_t pid, struct rtprio *rtp)'],
+    [169, 'semsys'],
+    [170, 'msgsys'],
+    [171, 'shmsys'],
+    [175, 'int setfib(int fibnum)'],
+    [176, 'int ntp_adjtime(struct timex *tp)'],
+    [181, 'int setgid(gid_t gid)'],
+    [182, 'int setegid(gid_t egid)'],
+    [183, 'int seteuid(uid_t euid)'],
+    [188, 'int stat(const char *path, struct stat *ub)'],
+    [189, 'int fstat(int fd, struct stat *sb)'],
+    [190, 'int lstat(const char *path, struct stat *ub)'],
+    [191, 'int pathconf(const char *path, int name)'],
+    [192, 'int fpathconf(int fd, int name)'],
+    [194, 'int getrlimit(u_int which, struct rlimit *rlp)'],
+    [195, 'int setrlimit(u_int which, struct rlimit *rlp)'],
+    [
+        196,
+        'int getdirentries(int fd, char *buf, u_int count, long *basep)',
+    ],
+    [198, '__syscall'],
+    [
+        202,
+        'int __sysctl(int *name, u_int namelen, void *old,'
+        + ' size_t *oldlenp, void *new, size_t newlen)',
+    ],
+    [203, 'int mlock(const void *addr, size_t len)'],
+    [204, 'int munlock(const void *addr, size_t len)'],
+    [205, 'int undelete(const char *path)'],
+    [206, 'int futimes(int fd, struct timeval *tptr)'],
+    [207, 'int getpgid(pid_t pid)'],
+    [209, 'int poll(struct pollfd *fds, u_int nfds, int timeout)'],
+    [221, 'int semget(key_t key, int nsems, int semflg)'],
+    [222, 'int semop(int semid, struct sembuf *sops, size_t nsops)'],
+    [225, 'int msgget(key_t key, int msgflg)'],
+    [
+        226,
+        'int msgsnd(int msqid, const void *msgp, size_t msgsz, int msgflg)',
+    ],
+    [
+        227,
+        'int msgrcv(int msqid, void *msgp, size_t msgsz, long msgtyp,'
+        + ' int msgflg)',
+    ],
+    [228, 'int shmat(int shmid, const void *shmaddr, int shmflg)'],
+    [230, 'int shmdt(const void *shmaddr)'],
+    [231, 'int shmget(key_t key, size_t size, int shmflg)'],
+    [232, 'int clock_gettime(clockid_t clock_id, struct timespec *tp)'],
+    [
+        233,
+        'int clock_settime(clockid_t clock_id, const struct timespec *tp)',
+    ],
+    [234, 'int clock_getres(clockid_t clock_id, struct timespec *tp)'],
+    [
+        235,
+        'int ktimer_create(clockid_t clock_id, struct sigevent *evp,'
+        + ' int *timerid)',
+    ],
+    [236, 'int ktimer_delete(int timerid)'],
+    [
+        237,
+        'int ktimer_settime(int timerid, int flags,'
+        + ' const struct itimerspec *value, struct itimerspec *ovalue)',
+    ],
+    [238, 'int ktimer_gettime(int timerid, struct itimerspec *value)'],
+    [239, 'int ktimer_getoverrun(int timerid)'],
+    [
+        240,
+        'int nanosleep(const struct timespec *rqtp, struct timespec *rmtp)',
+    ],
+    [248, 'int ntp_gettime(struct ntptimeval *ntvp)'],
+    [250, 'int minherit(void *addr, size_t len, int inherit)'],
+    [251, 'int rfork(int flags)'],
+    [
+        252,
+        'int openbsd_poll(struct pollfd *fds, u_int nfds, int timeout)',
+    ],
+    [253, 'int issetugid(void)'],
+    [254, 'int lchown(const char *path, int uid, int gid)'],
+    [255, 'int aio_read(struct aiocb *aiocbp)'],
+    [256, 'int aio_write(struct aiocb *aiocbp)'],
+    [
+        257,
+        'int lio_listio(int mode, struct aiocb * const *acb_list,'
+        + ' int nent, struct sigevent *sig)',
+    ],
+    [272, 'int getdents(int fd, char *buf, size_t count)'],
+    [274, 'int lchmod(const char *path, mode_t mode)'],
+    [275, 'int netbsd_lchown(const char *path, uid_t uid, gid_t gid)'],
+    [276, 'int lutimes(const char *path, struct timeval *tptr)'],
+    [277, 'int netbsd_msync(void *addr, size_t len, int flags)'],
+    [278, 'int nstat(const char *path, struct nstat *ub)'],
+    [279, 'int nfstat(int fd, struct nstat *sb)'],
+    [280, 'int nlstat(const char *path, struct nstat *ub)'],
+    [
+        289,
+        'ssize_t preadv(int fd, struct iovec *iovp, u_int iovcnt,'
+        + ' off_t offset)',
+    ],
+    [
+        290,
+        'ssize_t pwritev(int fd, struct iovec *iovp, u_int iovcnt,'
+        + ' off_t offset)',
+    ],
+    [298, 'int fhopen(const struct fhandle *u_fhp, int flags)'],
+    [
+        299,
+        'int fhstat(const struct fhandle *u_fhp, struct stat *sb)',
+    ],
+    [300, 'int modnext(int modid)'],
+    [301, 'int modstat(int modid, struct module_stat *stat)'],
+    [302, 'int modfnext(int modid)'],
+    [303, 'int modfind(const char *name)'],
+    [304, 'int kldload(const char *file)'],
+    [305, 'int kldunload(int fileid)'],
+    [306, 'int kldfind(const char *file)'],
+    [307, 'int kldnext(int fileid)'],
+    [308, 'int kldstat(int fileid, struct kld_file_stat *stat)'],
+    [309, 'int kldfirstmod(int fileid)'],
+    [310, 'int getsid(pid_t pid)'],
+    [311, 'int setresuid(uid_t ruid, uid_t euid, uid_t suid)'],
+    [312, 'int setresgid(gid_t rgid, gid_t egid, gid_t sgid)'],
+    [314, 'ssize_t aio_return(struct aiocb *aiocbp)'],
+    [
+        315,
+        'int aio_suspend(struct aiocb * const *aiocbp, int nent,'
+        + ' const struct timespec *timeout)',
+    ],
+    [316, 'int aio_cancel(int fd, struct aiocb *aiocbp)'],
+    [317, 'int aio_error(struct aiocb *aiocbp)'],
+    [321, 'int yield(void)'],
+    [324, 'int mlockall(int how)'],
+    [325, 'int munlockall(void)'],
+    [326, 'int __getcwd(char *buf, u_int buflen)'],
+    [
+        327,
+        'int sched_setparam(pid_t pid, const struct sched_param *param)',
+    ],
+    [328, 'int sched_getparam(pid_t pid, struct sched_param *param)'],
+    [
+        329,
+        'int sched_setscheduler(pid_t pid, int policy,'
+        + ' const struct sched_param *param)',
+    ],
+    [330, 'int sched_getscheduler(pid_t pid)'],
+    [331, 'int sched_yield(void)'],
+    [332, 'int sched_get_priority_max(int policy)'],
+    [333, 'int sched_get_priority_min(int policy)'],
+    [
+        334,
+        'int sched_rr_get_interval(pid_t pid, struct timespec *interval)',
+    ],
+    [335, 'int utrace(const void *addr, size_t len)'],
+    [337, 'int kldsym(int fileid, int cmd, void *data)'],
+    [338, 'int jail(struct jail *jail)'],
+    [
+        340,
+        'int sigprocmask(int how, const sigset_t *set, sigset_t *oset)',
+    ],
+    [341, 'int sigsuspend(const sigset_t *sigmask)'],
+    [343, 'int sigpending(sigset_t *set)'],
+    [
+        345,
+        'int sigtimedwait(const sigset_t *set, siginfo_t *info,'
+        + ' const struct timespec *timeout)',
+    ],
+    [346, 'int sigwaitinfo(const sigset_t *set, siginfo_t *info)'],
+    [
+        347,
+        'int __acl_get_file(const char *path, acl_type_t type,'
+        + ' struct acl *aclp)',
+    ],
+    [
+        348,
+        'int __acl_set_file(const char *path, acl_type_t type,'
+        + ' struct acl *aclp)',
+    ],
+    [
+        349,
+        'int __acl_get_fd(int filedes, acl_type_t type, struct acl *aclp)',
+    ],
+    [
+        350,
+        'int __acl_set_fd(int filedes, acl_type_t type, struct acl *aclp)',
+    ],
+    [351, 'int __acl_delete_file(const char *path, acl_type_t type)'],
+    [352, 'int __acl_delete_fd(int filedes, acl_type_t type)'],
+    [
+        353,
+        'int __acl_aclcheck_file(const char *path, acl_type_t type,'
+        + ' struct acl *aclp)',
+    ],
+    [
+        354,
+        'int __acl_aclcheck_fd(int filedes, acl_type_t type,'
+        + ' struct acl *aclp)',
+    ],
+    [
+        355,
+        'int extattrctl(const char *path, int cmd, const char *filename,'
+        + ' int attrnamespace, const char *attrname)',
+    ],
+    [356, 'extattr_set_file'],
+    [357, 'extattr_get_file'],
+    [358, 'extattr_delete_file'],
+    [
+        359,
+        'int aio_waitcomplete(struct aiocb **aiocbp,'
+        + ' struct timespec *timeout)',
+    ],
+    [360, 'int getresuid(uid_t *ruid, uid_t *euid, uid_t *suid)'],
+    [361, 'int getresgid(gid_t *rgid, gid_t *egid, gid_t *sgid)'],
+    [362, 'int kqueue(void)'],
+    [
+        363,
+        'int kevent(int fd, const struct kevent *changelist, int nchanges,'
+        + ' struct kevent *eventlist, int nevents,'
+        + ' const struct timespec *timeout)',
+    ],
+    [371, 'extattr_set_fd'],
+    [372, 'extattr_get_fd'],
+    [373, 'extattr_delete_fd'],
+    [374, 'int __setugid(int flag)'],
+    [376, 'int eaccess(const char *path, int amode)'],
+    [378, 'int nmount(struct iovec *iovp, unsigned int iovcnt, int flags)'],
+    [384, 'int __mac_get_proc(struct mac *mac_p)'],
+    [385, 'int __mac_set_proc(struct mac *mac_p)'],
+    [386, 'int __mac_get_fd(int fd, struct mac *mac_p)'],
+    [387, 'int __mac_get_file(const char *path_p, struct mac *mac_p)'],
+    [388, 'int __mac_set_fd(int fd, struct mac *mac_p)'],
+    [389, 'int __mac_set_file(const char *path_p, struct mac *mac_p)'],
+    [
+        390,
+        'int kenv(int what, const char *name, char *value, int len)',
+    ],
+    [391, 'int lchflags(const char *path, u_long flags)'],
+    [392, 'int uuidgen(struct uuid *store, int count)'],
+    [
+        393,
+        'int sendfile(int fd, int s, off_t offset, size_t nbytes,'
+        + ' struct sf_hdtr *hdtr, off_t *sbytes, int flags)',
+    ],
+    [
+        394,
+        'int mac_syscall(const char *policy, int call, void *arg)',
+    ],
+    [395, 'int getfsstat(struct statfs *buf, long bufsize, int flags)'],
+    [396, 'int statfs(const char *path, struct statfs *buf)'],
+    [397, 'int fstatfs(int fd, struct statfs *buf)'],
+    [
+        398,
+        'int fhstatfs(const struct fhandle *u_fhp, struct statfs *buf)',
+    ],
+    [400, 'int ksem_close(semid_t id)'],
+    [401, 'int ksem_post(semid_t id)'],
+    [402, 'int ksem_wait(semid_t id)'],
+    [403, 'int ksem_trywait(semid_t id)'],
+    [404, 'int ksem_init(semid_t *idp, unsigned int value)'],
+    [
+        405,
+        'int ksem_open(semid_t *idp, const char *name, int oflag,'
+        + ' mode_t mode, unsigned int value)',
+    ],
+    [406, 'int ksem_unlink(const char *name)'],
+    [407, 'int ksem_getvalue(semid_t id, int *val)'],
+    [408, 'int ksem_destroy(semid_t id)'],
+    [409, 'int __mac_get_pid(pid_t pid, struct mac *mac_p)'],
+    [410, 'int __mac_get_link(const char *path_p, struct mac *mac_p)'],
+    [411, 'int __mac_set_link(const char *path_p, struct mac *mac_p)'],
+    [412, 'extattr_set_link'],
+    [413, 'extattr_get_link'],
+    [414, 'extattr_delete_link'],
+    [
+        415,
+        'int __mac_execve(const char *fname, char **argv, char **envv,'
+        + ' struct mac *mac_p)',
+    ],
+    [
+        416,
+        'int sigaction(int sig, const struct sigaction *act,'
+        + ' struct sigaction *oact)',
+    ],
+    [417, 'int sigreturn(const struct __ucontext *sigcntxp)'],
+    [421, 'int getcontext(struct __ucontext *ucp)'],
+    [422, 'int setcontext(const struct __ucontext *ucp)'],
+    [
+        423,
+        'int swapcontext(struct __ucontext *oucp,'
+        + ' const struct __ucontext *ucp)',
+    ],
+    [424, 'int swapoff(const char *name)'],
+    [
+        425,
+        'int __acl_get_link(const char *path, acl_type_t type,'
+        + ' struct acl *aclp)',
+    ],
+    [
+        426,
+        'int __acl_set_link(const char *path, acl_type_t type,'
+        + ' struct acl *aclp)',
+    ],
+    [427, 'int __acl_delete_link(const char *path, acl_type_t type)'],
+    [
+        428,
+        'int __acl_aclcheck_link(const char *path, acl_type_t type,'
+        + ' struct acl *aclp)',
+    ],
+    [429, 'int sigwait(const sigset_t *set, int *sig)'],
+    [
+        430,
+        'int thr_create(ucontext_t *ctx, long *id, int flags)',
+    ],
+    [431, 'void thr_exit(long *state)'],
+    [432, 'int thr_self(long *id)'],
+    [433, 'int thr_kill(long id, int sig)'],
+    [434, 'int _umtx_lock(struct umtx *umtx)'],
+    [435, 'int _umtx_unlock(struct umtx *umtx)'],
+    [436, 'int jail_attach(int jid)'],
+    [437, 'extattr_list_fd'],
+    [438, 'extattr_list_file'],
+    [439, 'extattr_list_link'],
+    [
+        441,
+        'int ksem_timedwait(semid_t id, const struct timespec *abstime)',
+    ],
+    [442, 'int thr_suspend(const struct timespec *timeout)'],
+    [443, 'int thr_wake(long id)'],
+    [444, 'int kldunloadf(int fileid, int flags)'],
+    [445, 'int audit(const void *record, u_int length)'],
+    [446, 'int auditon(int cmd, void *data, u_int length)'],
+    [447, 'int getauid(uid_t *auid)'],
+    [448, 'int setauid(uid_t *auid)'],
+    [449, 'int getaudit(struct auditinfo *auditinfo)'],
+    [450, 'int setaudit(struct auditinfo *auditinfo)'],
+    [
+        451,
+        'int getaudit_addr(struct auditinfo_addr *auditinfo_addr,'
+        + ' u_int length)',
+    ],
+    [
+        452,
+        'int setaudit_addr(struct auditinfo_addr *auditinfo_addr,'
+        + ' u_int length)',
+    ],
+    [453, 'int auditctl(const char *path)'],
+    [
+        454,
+        'int _umtx_op(void *obj, int op, u_long val, void *uaddr1,'
+        + ' void *uaddr2)',
+    ],
+    [455, 'int thr_new(struct thr_param *param, int param_size)'],
+    [456, 'int sigqueue(pid_t pid, int signum, void *value)'],
+    [
+        457,
+        'int kmq_open(const char *path, int flags, mode_t mode,'
+        + ' const struct mq_attr *attr)',
+    ],
+    [
+        458,
+        'int kmq_setattr(int mqd, const struct mq_attr *attr,'
+        + ' struct mq_attr *oattr)',
+    ],
+    [
+        459,
+        'int kmq_timedreceive(int mqd, char *msg_ptr, size_t msg_len,'
+        + ' unsigned *msg_prio, const struct timespec *abs_timeout)',
+    ],
+    [
+        460,
+        'int kmq_timedsend(int mqd, const char *msg_ptr, size_t msg_len,'
+        + ' unsigned msg_prio, const struct timespec *abs_timeout)',
+    ],
+    [461, 'int kmq_notify(int mqd, const struct sigevent *sigev)'],
+    [462, 'int kmq_unlink(const char *path)'],
+    [463, 'int abort2(const char *why, int nargs, void **args)'],
+    [464, 'int thr_set_name(long id, const char *name)'],
+    [465, 'int aio_fsync(int op, struct aiocb *aiocbp)'],
+    [
+        466,
+        'int rtprio_thread(int function, lwpid_t lwpid, struct rtprio *rtp)',
+    ],
+    [471, 'sctp_peeloff'],
+    [472, 'sctp_generic_sendmsg'],
+    [473, 'sctp_generic_sendmsg_iov'],
+    [474, 'sctp_generic_recvmsg'],
+    [
+        475,
+        'ssize_t pread(int fd, void *buf, size_t nbyte, off_t offset)',
+    ],
+    [
+        476,
+        'ssize_t pwrite(int fd, const void *buf, size_t nbyte,'
+        + ' off_t offset)',
+    ],
+    [
+        477,
+        'void *mmap(void *addr, size_t len, int prot, int flags, int fd,'
+        + ' off_t pos)',
+    ],
+    [478, 'off_t lseek(int fd, off_t offset, int whence)'],
+    [479, 'int truncate(const char *path, off_t length)'],
+    [480, 'int ftruncate(int fd, off_t length)'],
+    [481, 'int thr_kill2(pid_t pid, long id, int sig)'],
+    [482, 'int shm_open(const char *path, int flags, mode_t mode)'],
+    [483, 'int shm_unlink(const char *path)'],
+    [484, 'int cpuset(cpusetid_t *setid)'],
+    [
+        485,
+        'int cpuset_setid(cpuwhich_t which, id_t id, cpusetid_t setid)',
+    ],
+    [
+        486,
+        'int cpuset_getid(cpulevel_t level, cpuwhich_t which, id_t id,'
+        + ' cpusetid_t *setid)',
+    ],
+    [
+        487,
+        'int cpuset_getaffinity(cpulevel_t level, cpuwhich_t which, id_t id,'
+        + ' size_t cpusetsize, cpuset_t *mask)',
+    ],
+    [
+        488,
+        'int cpuset_setaffinity(cpulevel_t level, cpuwhich_t which, id_t id,'
+        + ' size_t cpusetsize, const cpuset_t *mask)',
+    ],
+    [
+        489,
+        'int faccessat(int fd, const char *path, int amode, int flag)',
+    ],
+    [
+        490,
+        'int fchmodat(int fd, const char *path, mode_t mode, int flag)',
+    ],
+    [
+        491,
+        'int fchownat(int fd, const char *path, uid_t uid, gid_t gid,'
+        + ' int flag)',
+    ],
+    [492, 'int fexecve(int fd, char **argv, char **envv)'],
+    [
+        493,
+        'int fstatat(int fd, const char *path, struct stat *buf, int flag)',
+    ],
+    [
+        494,
+        'int futimesat(int fd, const char *path, struct timeval *times)',
+    ],
+    [
+        495,
+        'int linkat(int fd1, const char *path1, int fd2, const char *path2,'
+        + ' int flag)',
+    ],
+    [496, 'int mkdirat(int fd, const char *path, mode_t mode)'],
+    [497, 'int mkfifoat(int fd, const char *path, mode_t mode)'],
+    [
+        498,
+        'int mknodat(int fd, const char *path, mode_t mode, dev_t dev)',
+    ],
+    [499, 'int openat(int fd, const char *path, int flag, ...)'],
+    [
+        500,
+        'ssize_t readlinkat(int fd, const char *path, char *buf,'
+        + ' size_t bufsize)',
+    ],
+    [
+        501,
+        'int renameat(int oldfd, const char *old, int newfd,'
+        + ' const char *new)',
+    ],
+    [
+        502,
+        'int symlinkat(const char *path1, int fd, const char *path2)',
+    ],
+    [503, 'int unlinkat(int fd, const char *path, int flag)'],
+    [504, 'int posix_openpt(int flags)'],
+    [505, 'gssd_syscall'],
+    [
+        506,
+        'int jail_get(struct iovec *iovp, unsigned int iovcnt, int flags)',
+    ],
+    [
+        507,
+        'int jail_set(struct iovec *iovp, unsigned int iovcnt, int flags)',
+    ],
+    [508, 'int jail_remove(int jid)'],
+    [509, 'int closefrom(int lowfd)'],
+    [
+        510,
+        'int __semctl(int semid, int semnum, int cmd, union semun *arg)',
+    ],
+    [511, 'int msgctl(int msqid, int cmd, struct msqid_ds *buf)'],
+    [512, 'int shmctl(int shmid, int cmd, struct shmid_ds *buf)'],
+    [513, 'int lpathconf(const char *path, int name)'],
+    [514, 'int cap_new(int fd, uint64_t rights)'],
+    [515, 'int cap_getrights(int fd, uint64_t *rightsp)'],
+    [516, 'int cap_enter(void)'],
+    [517, 'int cap_getmode(u_int *modep)'],
+    [518, 'int pdfork(int *fdp, int flags)'],
+    [519, 'int pdkill(int fd, int signum)'],
+    [520, 'int pdgetpid(int fd, pid_t *pidp)'],
+    [
+        522,
+        'int pselect(int nd, fd_set *in, fd_set *ou, fd_set *ex,'
+        + ' const struct timespec *ts, const sigset_t *sm)',
+    ],
+    [523, 'int getloginclass(char *namebuf, size_t namelen)'],
+    [524, 'int setloginclass(const char *namebuf)'],
+    [525, 'rctl_get_racct'],
+    [526, 'rctl_get_rules'],
+    [527, 'rctl_get_limits'],
+    [528, 'rctl_add_rule'],
+    [529, 'rctl_remove_rule'],
+    [
+        530,
+        'int posix_fallocate(int fd, off_t offset, off_t len)',
+    ],
+    [
+        531,
+        'int posix_fadvise(int fd, off_t offset, off_t len, int advice)',
+    ],
+
+    // Sony's syscalls
+    [532, 'regmgr_call'],
+    [533, 'int jitshm_create(const char *name, size_t size, int prot)'],
+    [534, 'int jitshm_alias(int fd, int prot)'],
+    [535, 'dl_get_list'],
+    [536, 'dl_get_info'],
+    [537, 'dl_notify_event'],
+    [538, 'evf_create'],
+    [539, 'evf_delete'],
+    [540, 'evf_open'],
+    [541, 'evf_close'],
+    [542, 'evf_wait'],
+    [543, 'evf_trywait'],
+    [544, 'evf_set'],
+    [545, 'evf_clear'],
+    [546, 'evf_cancel'],
+    [547, 'query_memory_protection'],
+    [548, 'batch_map'],
+    [549, 'osem_create'],
+    [550, 'osem_delete'],
+    [551, 'osem_open'],
+    [552, 'osem_close'],
+    [553, 'osem_wait'],
+    [554, 'osem_trywait'],
+    [555, 'osem_post'],
+    [556, 'osem_cancel'],
+    [557, 'namedobj_create'],
+    [558, 'namedobj_delete'],
+    [559, 'set_vm_container'],
+    [560, 'debug_init'],
+    [561, 'suspend_process'],
+    [562, 'resume_process'],
+    [563, 'opmc_enable'],
+    [564, 'opmc_disable'],
+    [565, 'opmc_set_ctl'],
+    [566, 'opmc_set_ctr'],
+    [567, 'opmc_get_ctr'],
+    [568, 'budget_create'],
+    [569, 'budget_delete'],
+    [570, 'budget_get'],
+    [571, 'budget_set'],
+    [572, 'virtual_query'],
+    [573, 'mdbg_call'],
+    [574, 'obs_sblock_create'],
+    [575, 'obs_sblock_delete'],
+    [576, 'obs_sblock_enter'],
+    [577, 'obs_sblock_exit'],
+    [578, 'obs_sblock_xenter'],
+    [579, 'obs_sblock_xexit'],
+    [580, 'obs_eport_create'],
+    [581, 'obs_eport_delete'],
+    [582, 'obs_eport_trigger'],
+    [583, 'obs_eport_open'],
+    [584, 'obs_eport_close'],
+    [585, 'int is_in_sandbox(void)'],
+    [586, 'dmem_container'],
+    [587, 'get_authinfo'],
+    [588, 'int mname(void *addr, size_t len, const char *name)'],
+    [589, 'dynlib_dlopen'],
+    [590, 'dynlib_dlclose'],
+    [591, 'int dynlib_dlsym(int handle, const char *symbol, void **addr)'],
+    [
+        592,
+        'int dynlib_get_list(uint32_t *handles, size_t max, size_t *count)',
+    ],
+    [593, 'int dynlib_get_info(int handle, struct dynlib_info *info)'],
+    [594, 'dynlib_load_prx'],
+    [595, 'dynlib_unload_prx'],
+    [596, 'dynlib_do_copy_relocations'],
+    [597, 'dynlib_prepare_dlclose'],
+    [598, 'dynlib_get_proc_param'],
+    [599, 'dynlib_process_needed_and_relocate'],
+    [600, 'sandbox_path'],
+    [601, 'mdbg_service'],
+    [602, 'randomized_path'],
+    [603, 'rdup'],
+    [604, 'dl_get_metadata'],
+    [605, 'workaround8849'],
+    [606, 'is_development_mode'],
+    [607, 'get_self_auth_info'],
+    [608, 'dynlib_get_info_ex'],
+    [609, 'budget_getid'],
+    [610, 'budget_get_ptype'],
+    [611, 'get_paging_stats_of_all_threads'],
+    [612, 'get_proc_type_info'],
+    [613, 'get_resident_count'],
+    [614, 'prepare_to_suspend_process'],
+    [615, 'get_resident_fmem_count'],
+    [616, 'int thr_get_name(long id, char *name, size_t len)'],
+    [617, 'set_gpo'],
+    [618, 'get_paging_stats_of_all_objects'],
+    [619, 'test_debug_rwmem'],
+    [620, 'free_stack'],
+    [621, 'suspend_system'],
+    [622, 'ipmimgr_call'],
+    [623, 'get_gpo'],
+    [624, 'get_vm_map_timestamp'],
+    [625, 'opmc_set_hw'],
+    [626, 'opmc_get_hw'],
+    [627, 'get_cpu_usage_all'],
+    [628, 'mmap_dmem'],
+    [629, 'physhm_open'],
+    [630, 'physhm_unlink'],
+    [631, 'resume_internal_hdd'],
+    [632, 'thr_suspend_ucontext'],
+    [633, 'thr_resume_ucontext'],
+    [634, 'thr_get_ucontext'],
+    [635, 'thr_set_ucontext'],
+    [636, 'set_timezone_info'],
+    [637, 'set_phys_fmem_limit'],
+    [638, 'utc_to_localtime'],
+    [639, 'localtime_to_utc'],
+    [640, 'set_uevt'],
+    [641, 'get_cpu_usage_proc'],
+    [642, 'get_map_statistics'],
+    [643, 'set_chicken_switches'],
+    [644, 'extend_page_table_pool'],
+    [645, 'extend_page_table_pool2'],
+    [646, 'get_kernel_mem_statistics'],
+    [647, 'get_sdk_compiled_version'],
+    [648, 'app_state_change'],
+    [649, 'dynlib_get_obj_member'],
+    [650, 'budget_get_ptype_of_budget'],
+    [651, 'prepare_to_resume_process'],
+    [652, 'process_terminate'],
+    [653, 'blockpool_open'],
+    [654, 'blockpool_map'],
+    [655, 'blockpool_unmap'],
+    [656, 'dynlib_get_info_for_libdbg'],
+    [657, 'blockpool_batch'],
+    [658, 'int fdatasync(int fd)'],
+    [659, 'dynlib_get_list2'],
+    [660, 'dynlib_get_info2'],
+    [661, 'aio_submit'],
+    [662, 'aio_multi_delete'],
+    [663, 'aio_multi_wait'],
+    [664, 'aio_multi_poll'],
+    [665, 'aio_get_data'],
+    [666, 'aio_multi_cancel'],
+    [667, 'get_bio_usage_all'],
+    [668, 'aio_create'],
+    [669, 'aio_submit_cmd'],
+    [670, 'aio_init'],
+    [671, 'get_page_table_stats'],
+    [672, 'dynlib_get_list_for_libdbg'],
+    [673, 'blockpool_move'],
+    [674, 'virtual_query_all'],
+    [675, 'reserve_2mb_page'],
+];
+
+// Parses a prototype from syscall_table into {name, ret, args, variadic}.
+// ret and args are null if only the name is known. args is an Array of
+// {type, name}.
+function parse_prototype(proto) {
+    const match = /^(.*?[\s*])?(\w+)(?:\((.*)\))?$/.exec(proto);
+    if (match === null) {
+        throw Error(`invalid prototype: ${proto}`);
+    }
+    const [, ret, name, params] = match;
+    if (params === undefined) {
+        return {name, ret: null, args: null, variadic: false};
+    }
+
+    const args = [];
+    let variadic = false;
+    const list = params.trim() === 'void' ? [] : params.split(',');
+    for (let param of list) {
+        param = param.trim();
+        if (param === '...') {
+            variadic = true;
+            continue;
+        }
+        const arg = /^(.*?[\w*])\s*(\w+)$/.exec(param);
+        if (arg === null) {
+            throw Error(`invalid parameter "${param}" in: ${proto}`);
+        }
+        args.push({type: arg[1], name: arg[2]});
+    }
+    return {name, ret: ret.trim(), args, variadic};
+}
+
+// name -> {num, name, ret, args, variadic}
+export const syscalls = new Map();
+// name -> number
+export const syscall_map = new Map();
+for (const [num, proto] of syscall_table) {
+    const info = parse_prototype(proto);
+    info.num = num;
+    syscalls.set(info.name, info);
+    syscall_map.set(info.name, num);
+}
+
+// Returns the {num, name, ret, args, variadic} of a syscall by name or
+// number, or null if there is none.
+export function get_syscall(name_or_num) {
+    if (typeof name_or_num === 'number') {
+        for (const info of syscalls.values()) {
+            if (info.num === name_or_num) {
+                return info;
+            }
+        }
+        return null;
+    }
+    const res = syscalls.get(name_or_num);
+    return res === undefined ? null : res;
+}
+
+// errno values of FreeBSD 9, sys/sys/errno.h
+const errno_table = [
+    'EPERM',
+    'ENOENT',
+    'ESRCH',
+    'EINTR',
+    'EIO',
+    'ENXIO',
+    'E2BIG',
+    'ENOEXEC',
+    'EBADF',
+    'ECHILD',
+    'EDEADLK',
+    'ENOMEM',
+    'EACCES',
+    'EFAULT',
+    'ENOTBLK',
+    'EBUSY',
+    'EEXIST',
+    'EXDEV',
+    'ENODEV',
+    'ENOTDIR',
+    'EISDIR',
+    'EINVAL',
+    'ENFILE',
+    'EMFILE',
+    'ENOTTY',
+    'ETXTBSY',
+    'EFBIG',
+    'ENOSPC',
+    'ESPIPE',
+    'EROFS',
+    'EMLINK',
+    'EPIPE',
+    'EDOM',
+    'ERANGE',
+    'EAGAIN',
+    'EINPROGRESS',
+    'EALREADY',
+    'ENOTSOCK',
+    'EDESTADDRREQ',
+    'EMSGSIZE',
+    'EPROTOTYPE',
+    'ENOPROTOOPT',
+    'EPROTONOSUPPORT',
+    'ESOCKTNOSUPPORT',
+    'EOPNOTSUPP',
+    'EPFNOSUPPORT',
+    'EAFNOSUPPORT',
+    'EADDRINUSE',
+    'EADDRNOTAVAIL',
+    'ENETDOWN',
+    'ENETUNREACH',
+    'ENETRESET',
+    'ECONNABORTED',
+    'ECONNRESET',
+    'ENOBUFS',
+    'EISCONN',
+    'ENOTCONN',
+    'ESHUTDOWN',
+    'ETOOMANYREFS',
+    'ETIMEDOUT',
+    'ECONNREFUSED',
+    'ELOOP',
+    'ENAMETOOLONG',
+    'EHOSTDOWN',
+    'EHOSTUNREACH',
+    'ENOTEMPTY',
+    'EPROCLIM',
+    'EUSERS',
+    'EDQUOT',
+    'ESTALE',
+    'EREMOTE',
+    'EBADRPC',
+    'ERPCMISMATCH',
+    'EPROGUNAVAIL',
+    'EPROGMISMATCH',
+    'EPROCUNAVAIL',
+    'ENOLCK',
+    'ENOSYS',
+    'EFTYPE',
+    'EAUTH',
+    'ENEEDAUTH',
+    'EIDRM',
+    'ENOMSG',
+    'EOVERFLOW',
+    'ECANCELED',
+    'EILSEQ',
+    'ENOATTR',
+    'EDOOFUS',
+    'EBADMSG',
+    'EMULTIHOP',
+    'ENOLINK',
+    'EPROTO',
+    'ENOTCAPABLE',
+    'ECAPMODE',
+];
+
+// name -> number, the numbers start at 1
+export const errno_map = new Map(
+    errno_table.map((name, i) => [name, i + 1])
+);
+
+// Returns the name of an errno value, like "EINVAL" for 22. Unknown values
+// are returned as "errno <value>".
+export function errno_name(errno) {
+    if (Number.isInteger(errno) && errno >= 1 && errno <= errno_table.length) {
+        return errno_table[errno - 1];
+    }
+    return `errno ${errno}`;
+}
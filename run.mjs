@@ -15,6 +15,8 @@ GNU Affero General Public License for more details.
 You should have received a copy of the GNU Affero General Public License
 along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
 
+import * as config from './config.mjs';
+
 import {
     debug_log,
     clear_log,
@@ -26,6 +28,11 @@ async function run() {
     await wait_mem();
     clear_log();
 
+    // rop.mjs needs the offsets of the firmware, see config.set_firmware()
+    if (config.profile === null) {
+        debug_log('no firmware profile for this firmware, not running rop.mjs');
+        return;
+    }
     import('./rop.mjs');
 }
 
@@ -0,0 +1,125 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// Micro-benchmark for module/int64.mjs, run with:
+//
+//     node tools/bench_int64.mjs
+//
+// LegacyInt is a trimmed copy of the old Int, which created a Uint32Array, a
+// Uint8Array and three closures for every instance. It is only kept here as
+// the baseline for the comparison.
+//
+// The loops mimic what find_base() and init_syscall_array() do: walk an
+// address page by page and read 64-bit values from a Uint8Array.
+
+import { Int } from '../module/int64.mjs';
+import { read64 } from '../module/rw.mjs';
+
+class LegacyInt {
+    constructor(low, high) {
+        const buffer = new Uint32Array(2);
+        const bytes = new Uint8Array(buffer.buffer);
+
+        if (arguments.length === 1) {
+            if (typeof low === 'number') {
+                buffer[0] = low;
+                buffer[1] = low < 0 ? -1 : 0;
+            } else if (low instanceof LegacyInt) {
+                bytes.set(low.bytes);
+            } else {
+                bytes.set(low);
+            }
+        } else {
+            buffer[0] = low;
+            buffer[1] = high;
+        }
+        this.buffer = buffer;
+        this.bytes = bytes;
+
+        const wrap = (b) => b instanceof LegacyInt ? b : new LegacyInt(b);
+
+        this.neg = function neg() {
+            const res = new LegacyInt(~this.low(), ~this.high()).add(1);
+            return new LegacyInt(res);
+        };
+
+        this.add = function add(b) {
+            b = wrap(b);
+            let low = this.low() + b.low();
+            let high = this.high() + b.high() + (low > 0xffffffff ? 1 : 0);
+            return new LegacyInt(low & 0xffffffff, high & 0xffffffff);
+        };
+
+        this.sub = function sub(b) {
+            return this.add(wrap(b).neg());
+        };
+    }
+
+    low() {
+        return this.buffer[0];
+    }
+
+    high() {
+        return this.buffer[1];
+    }
+}
+
+function legacy_read64(u8_view, offset) {
+    let res = [];
+    for (let i = 0; i < 8; i++) {
+        res.push(u8_view[offset + i]);
+    }
+    return new LegacyInt(res);
+}
+
+const num_iter = 1000000;
+const page_size = 0x4000;
+const view = new Uint8Array(0x10000);
+for (let i = 0; i < view.length; i++) {
+    view[i] = i & 0xff;
+}
+
+function walk(type, read) {
+    let addr = new type(0x8000000, 0x9);
+    let sum = 0;
+    for (let i = 0; i < num_iter; i++) {
+        addr = addr.add(page_size);
+        const value = read(view, (i * 8) & 0xfff8);
+        sum ^= value.low() ^ addr.sub(i).high();
+    }
+    return sum;
+}
+
+function measure(name, func) {
+    const start = process.hrtime.bigint();
+    func();
+    const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+
+    console.log(
+        `${name.padEnd(8)} ${elapsed.toFixed(1).padStart(8)} ms`
+        + `  ${(num_iter / elapsed / 1000).toFixed(2).padStart(8)} Miter/s`
+    );
+    return elapsed;
+}
+
+// warm up both implementations before measuring
+walk(LegacyInt, legacy_read64);
+walk(Int, read64);
+
+const legacy = measure('legacy', () => walk(LegacyInt, legacy_read64));
+const current = measure('current', () => walk(Int, read64));
+console.log(`speedup: ${(legacy / current).toFixed(2)}x`);
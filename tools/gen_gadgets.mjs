@@ -0,0 +1,267 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// Generates the gadget offset tables of a firmware profile (see
+// module/profiles.mjs) from a dump of a module, run with:
+//
+//     node tools/gen_gadgets.mjs [options] <dump>
+//
+// options:
+// * --lib webkit|libc
+//     which gadgets to search for, the lists are from module/rop_gadgets.mjs.
+//     Defaults to webkit.
+// * --profile <id>
+//     search for the gadgets of this profile instead, its JOP gadgets
+//     included. The JOP gadgets of a new firmware must be found by hand
+//     first, copy the profile of a similar firmware and change them.
+// * --name <name>
+//     name of the exported Map, defaults to <lib>_gadget_offsets
+// * --output <file>
+//     write the module to file instead of stdout
+//
+// The dump is either a decrypted .sprx (an ELF file) or a dump of the module
+// from memory that starts at the module's base. For the latter, the end of
+// .text is found with find_module() and the whole dump is searched if that
+// fails.
+//
+// Offsets are relative to the base of the module. Entries that are not
+// gadgets (like 'setjmp') are looked up in the exports of the module if the
+// dump is an ELF file.
+//
+// The missing gadgets are printed to stderr. The exit status is 1 if any of
+// the gadgets required by ChainBase.init_class() is missing.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { basename } from 'node:path';
+
+import { Int } from '../module/int64.mjs';
+import { MockMemory } from '../module/mockmem.mjs';
+import { find_module, parse_elf } from '../module/sprx.mjs';
+import { get_dynlib } from '../module/dynlib.mjs';
+import { scan_gadgets, is_encodable } from '../module/gadgets.mjs';
+
+import { get_profile, get_gadget_lists } from '../module/profiles.mjs';
+
+import {
+    webkit_gadgets,
+    libc_gadgets,
+    kernel_gadgets,
+    stack_arg_gadgets,
+    required_gadgets,
+} from '../module/rop_gadgets.mjs';
+
+const gadget_lists = new Map(Object.entries({
+    'webkit' : webkit_gadgets.concat(kernel_gadgets),
+    'libc' : libc_gadgets.concat(stack_arg_gadgets),
+}));
+
+// the gadget lists of a profile, like gadget_lists
+function get_profile_lists(id) {
+    const lists = get_gadget_lists(get_profile(id));
+    return new Map(Object.entries({
+        'webkit' : lists.webkit,
+        'libc' : lists.libc.concat(stack_arg_gadgets),
+    }));
+}
+
+// where the dump is mapped, the offsets don't depend on it
+const load_addr = new Int(0, 9);
+
+function usage() {
+    console.error(
+        'usage: node tools/gen_gadgets.mjs [--lib webkit|libc] [--profile id]'
+        + ' [--name name] [--output file] <dump>'
+    );
+    process.exit(2);
+}
+
+function parse_args(args) {
+    const res = {
+        lib: 'webkit',
+        profile: null,
+        name: null,
+        output: null,
+        dump: null,
+    };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '--lib':
+            case '--profile':
+            case '--name':
+            case '--output': {
+                if (i + 1 === args.length) {
+                    usage();
+                }
+                res[arg.slice(2)] = args[++i];
+                break;
+            }
+            default: {
+                if (arg.startsWith('-') || res.dump !== null) {
+                    usage();
+                }
+                res.dump = arg;
+            }
+        }
+    }
+    if (res.dump === null || !gadget_lists.has(res.lib)) {
+        usage();
+    }
+    if (res.name === null) {
+        res.name = `${res.lib}_gadget_offsets`;
+    }
+    return res;
+}
+
+function is_elf(bytes) {
+    return bytes.length >= 4
+        && bytes[0] === 0x7f
+        && bytes[1] === 0x45
+        && bytes[2] === 0x4c
+        && bytes[3] === 0x46;
+}
+
+// Returns {text, text_offset, module}. text is a Uint8Array of the .text
+// segment, text_offset is its offset from the base of the module. module is
+// the ModuleInfo from parse_elf() or null for a memory dump.
+function get_text(mock, bytes) {
+    const image = mock.load(load_addr, bytes);
+
+    if (is_elf(bytes)) {
+        const module = parse_elf(image);
+        const seg = module.text;
+        if (seg === null) {
+            throw Error('ELF has no executable segment');
+        }
+        const start = seg.file_offset.low();
+        return {
+            text: bytes.subarray(start, start + seg.file_size.low()),
+            text_offset: seg.start.low(),
+            module,
+        };
+    }
+
+    let size = bytes.length;
+    try {
+        const text = find_module(image).text;
+        size = text.end.sub(text.start).low();
+    } catch (e) {
+        console.error(`.text not found, searching the whole dump: ${e}`);
+    }
+    return {
+        text: bytes.subarray(0, size),
+        text_offset: 0,
+        module: null,
+    };
+}
+
+// Returns a Map of gadget -> offset from the base of the module.
+function find_offsets(mock, bytes, gadgets) {
+    const {text, text_offset, module} = get_text(mock, bytes);
+
+    const res = new Map();
+    const found = scan_gadgets(text, gadgets);
+    let dynlib = null;
+    if (module !== null && module.dynlibdata !== null) {
+        dynlib = get_dynlib(module);
+    }
+    for (const gadget of gadgets) {
+        if (found.has(gadget)) {
+            res.set(gadget, text_offset + found.get(gadget));
+        } else if (!is_encodable(gadget) && dynlib !== null) {
+            const exp = dynlib.find_export(gadget);
+            if (exp !== null) {
+                res.set(gadget, exp.addr.low());
+            }
+        }
+    }
+    return res;
+}
+
+function format_key(gadget) {
+    if (gadget.includes('\n') || gadget.includes("'")) {
+        return JSON.stringify(gadget);
+    }
+    return `'${gadget}'`;
+}
+
+function format_offset(offset) {
+    return '0x' + offset.toString(16).padStart(16, '0');
+}
+
+function generate(name, source, gadgets, offsets, missing) {
+    const lines = [`// generated by tools/gen_gadgets.mjs from ${source}`];
+    if (missing.length !== 0) {
+        lines.push('//');
+        lines.push('// not found:');
+        for (const gadget of missing) {
+            lines.push(`//     ${JSON.stringify(gadget)}`);
+        }
+    }
+    lines.push(`export const ${name} = new Map(Object.entries({`);
+    for (const gadget of gadgets) {
+        if (offsets.has(gadget)) {
+            const offset = format_offset(offsets.get(gadget));
+            lines.push(`    ${format_key(gadget)} : ${offset},`);
+        }
+    }
+    lines.push('}));');
+    return lines.join('\n') + '\n';
+}
+
+function main() {
+    const args = parse_args(process.argv.slice(2));
+    const lists = args.profile === null
+        ? gadget_lists : get_profile_lists(args.profile);
+    const gadgets = lists.get(args.lib);
+    const bytes = new Uint8Array(readFileSync(args.dump));
+
+    const mock = new MockMemory();
+    const offsets = find_offsets(mock, bytes, gadgets);
+    const missing = gadgets.filter(gadget => !offsets.has(gadget));
+
+    const res = generate(
+        args.name,
+        basename(args.dump),
+        gadgets,
+        offsets,
+        missing,
+    );
+    if (args.output === null) {
+        process.stdout.write(res);
+    } else {
+        writeFileSync(args.output, res);
+    }
+
+    console.error(`found ${offsets.size} of ${gadgets.length} gadgets`);
+    for (const gadget of missing) {
+        console.error(`missing: ${JSON.stringify(gadget)}`);
+    }
+
+    const missing_required = required_gadgets.filter(
+        gadget => gadgets.includes(gadget) && !offsets.has(gadget)
+    );
+    if (missing_required.length !== 0) {
+        console.error(
+            'missing gadgets required by ChainBase.init_class():\n'
+            + missing_required.join('\n')
+        );
+        process.exitCode = 1;
+    }
+}
+
+main();
@@ -0,0 +1,174 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// Collects the logs streamed by the RemoteSink of module/utils.mjs, run with:
+//
+//     node tools/log_server.mjs [--port <port>] [--dir <dir>]
+//
+// options:
+// * --port <port>
+//     port to listen on, defaults to 8000. ui.mjs streams to port 8000 of the
+//     host that serves the page, see config.default_log_server().
+// * --dir <dir>
+//     where the logs are saved, defaults to logs
+//
+// Every POST to /log is one record as JSON:
+//
+//     {record, run, firmware, profile, payload, user_agent}
+//
+// record is a log record (see log() of module/utils.mjs), the other fields
+// are the same for every record of a run. The records are appended to
+// <dir>/<firmware>/<run>.log as soon as they arrive and printed to stdout, so
+// the last record before the browser crashed is on the PC. The records of a run
+// may arrive out of order, the lines start with their number.
+
+import { createServer } from 'node:http';
+import { appendFileSync, mkdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+// the records are small, a bigger body is not from a RemoteSink
+const max_body_size = 1024 * 1024;
+
+function usage() {
+    console.error('usage: node tools/log_server.mjs [--port port] [--dir dir]');
+    process.exit(2);
+}
+
+function parse_args(args) {
+    const res = {
+        port: 8000,
+        dir: 'logs',
+    };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if ((arg !== '--port' && arg !== '--dir') || i + 1 === args.length) {
+            usage();
+        }
+        res[arg.slice(2)] = args[++i];
+    }
+    res.port = Number(res.port);
+    if (!Number.isInteger(res.port)) {
+        usage();
+    }
+    return res;
+}
+
+// for the file and directory names, the ids come from the browser. Names of
+// only dots would be the directory itself or its parent.
+export function safe_name(str) {
+    const res = String(str).replace(/[^0-9A-Za-z._-]/g, '_');
+    if (/^\.*$/.test(res)) {
+        throw TypeError(`invalid name: ${JSON.stringify(str)}`);
+    }
+    return res;
+}
+
+function format_line(record) {
+    const time = new Date(record.time).toISOString();
+    const stage = record.stage === null ? '' : ` [${record.stage}]`;
+    return `#${record.seq} ${time} ${record.level}${stage} ${record.msg}`;
+}
+
+// the runs we got a record of, run -> path of its log
+const runs = new Map();
+
+// Appends the record of data to the log of its run in dir, returns the path
+// of the log.
+export function save(dir, data) {
+    const record = data.record;
+    if (typeof data.run !== 'string' || typeof record !== 'object'
+        || record === null
+    ) {
+        throw TypeError('not a log record');
+    }
+
+    let path = runs.get(data.run);
+    if (path === undefined) {
+        const fw_dir = join(dir, safe_name(data.firmware));
+        mkdirSync(fw_dir, {recursive: true});
+        path = join(fw_dir, `${safe_name(data.run)}.log`);
+        runs.set(data.run, path);
+
+        const header = [
+            `run: ${data.run}`,
+            `firmware: ${data.firmware}`,
+            `profile: ${data.profile}`,
+            `payload: ${data.payload}`,
+            `user agent: ${data.user_agent}`,
+        ].join('\n');
+        appendFileSync(path, header + '\n');
+        console.log(`new run, saved to ${path}\n${header}`);
+    }
+
+    const line = format_line(record);
+    appendFileSync(path, line + '\n');
+    console.log(`${data.firmware} ${data.run}: ${line}`);
+    return path;
+}
+
+function handle(dir, req, res) {
+    // the RemoteSink requests are "no-cors", this is for other clients
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    if (req.method === 'OPTIONS') {
+        res.setHeader('Access-Control-Allow-Methods', 'POST');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        res.writeHead(204).end();
+        return;
+    }
+    if (req.method !== 'POST' || req.url !== '/log') {
+        res.writeHead(404).end();
+        return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size > max_body_size) {
+            res.writeHead(413).end();
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        try {
+            save(dir, JSON.parse(Buffer.concat(chunks).toString()));
+        } catch (e) {
+            console.error(`bad request: ${e.message}`);
+            res.writeHead(400).end();
+            return;
+        }
+        res.writeHead(204).end();
+    });
+}
+
+function main() {
+    const args = parse_args(process.argv.slice(2));
+    const server = createServer((req, res) => handle(args.dir, req, res));
+    server.listen(args.port, () => {
+        console.log(
+            `collecting logs on port ${args.port}, saving them to ${args.dir}`
+        );
+    });
+}
+
+// not when imported by tools/test_log_server.mjs
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main();
+}
@@ -0,0 +1,315 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// Checks the ROP stack layouts that ChainBase.push_call() produces, the label
+// references of ChainBase and ChainBase.dump(), run with:
+//
+//     node tools/test_chain.mjs
+//
+// The chains are never run, MockMemory is only needed for get_view_vector().
+// The gadgets get fake addresses, so the stack can be printed with the names
+// of the gadgets. The exit status is 1 if a test fails.
+
+import { Int } from '../module/int64.mjs';
+import { MockMemory } from '../module/mockmem.mjs';
+import { ChainBase } from '../module/chain.mjs';
+import { read64 } from '../module/rw.mjs';
+
+new MockMemory();
+
+const gadget_base = new Int(0, 0x100);
+const func = new Int(0x1234, 0x200);
+
+function make_chain_class(gadget_names) {
+    const gadgets = new Map();
+    gadget_names.forEach((name, i) => {
+        gadgets.set(name, gadget_base.add(i * 0x10));
+    });
+
+    class TestChain extends ChainBase {}
+    TestChain.init_class(gadgets);
+    return TestChain;
+}
+
+// the stack of chain as an Array of gadget names and values
+function dump_stack(chain) {
+    const names = new Map();
+    for (const [name, addr] of chain.gadgets) {
+        names.set(addr.toString(), name);
+    }
+    const res = [];
+    for (let i = 0; i < chain.position; i += 8) {
+        const value = read64(chain.stack, i);
+        if (value.eq(func)) {
+            res.push('func');
+            continue;
+        }
+        const name = names.get(value.toString());
+        res.push(name === undefined ? value.low() : name);
+    }
+    return res;
+}
+
+const reg_pops = [
+    'pop rdi; ret',
+    'pop rsi; ret',
+    'pop rdx; ret',
+    'pop rcx; ret',
+    'pop r8; ret',
+    'pop r9; ret',
+];
+
+const all_gadgets = reg_pops.concat([
+    'ret',
+    'add rsp, 0x10; ret',
+    'add rsp, 0x28; ret',
+    'add rsp, 8; ret',
+]);
+
+const tests = [];
+function test(name, body) {
+    tests.push([name, body]);
+}
+
+function check_layout(chain, expected) {
+    const actual = dump_stack(chain);
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw Error(
+            `layout mismatch\nexpected: ${JSON.stringify(expected)}`
+            + `\nactual:   ${JSON.stringify(actual)}`
+        );
+    }
+}
+
+test('register arguments, padded', () => {
+    const Chain = make_chain_class(all_gadgets);
+    const chain = new Chain();
+    chain.push_call(func, 1, 2, 3);
+    chain.push_call(func, 4);
+    check_layout(chain, [
+        'pop rdi; ret', 1,
+        'pop rsi; ret', 2,
+        'pop rdx; ret', 3,
+        'func',
+        'pop rdi; ret', 4,
+        'ret',
+        'func',
+    ]);
+});
+
+test('6 arguments, already aligned', () => {
+    const Chain = make_chain_class(all_gadgets);
+    const chain = new Chain();
+    chain.push_call(func, 1, 2, 3, 4, 5, 6);
+    check_layout(chain, [
+        'pop rdi; ret', 1,
+        'pop rsi; ret', 2,
+        'pop rdx; ret', 3,
+        'pop rcx; ret', 4,
+        'pop r8; ret', 5,
+        'pop r9; ret', 6,
+        'func',
+    ]);
+});
+
+test('8 arguments, exact cleanup gadget', () => {
+    const Chain = make_chain_class(all_gadgets);
+    const chain = new Chain();
+    chain.push_call(func, 1, 2, 3, 4, 5, 6, 7, 8);
+    check_layout(chain, [
+        'pop rdi; ret', 1,
+        'pop rsi; ret', 2,
+        'pop rdx; ret', 3,
+        'pop rcx; ret', 4,
+        'pop r8; ret', 5,
+        'pop r9; ret', 6,
+        'func',
+        'add rsp, 0x10; ret',
+        7, 8,
+    ]);
+});
+
+test('7 arguments, smallest cleanup gadget', () => {
+    const Chain = make_chain_class(all_gadgets);
+    const chain = new Chain();
+    chain.push_call(func, 1, 2, 3, 4, 5, 6, 7);
+    check_layout(chain, [
+        'pop rdi; ret', 1,
+        'pop rsi; ret', 2,
+        'pop rdx; ret', 3,
+        'pop rcx; ret', 4,
+        'pop r8; ret', 5,
+        'pop r9; ret', 6,
+        'func',
+        'add rsp, 8; ret',
+        7,
+    ]);
+});
+
+test('9 arguments, padded after the stack arguments', () => {
+    const Chain = make_chain_class(all_gadgets);
+    const chain = new Chain();
+    chain.push_call(func, 1, 2, 3, 4, 5, 6, 7, 8, 9);
+    check_layout(chain, [
+        'pop rdi; ret', 1,
+        'pop rsi; ret', 2,
+        'pop rdx; ret', 3,
+        'pop rcx; ret', 4,
+        'pop r8; ret', 5,
+        'pop r9; ret', 6,
+        'func',
+        'add rsp, 0x28; ret',
+        7, 8, 9, 0, 0,
+    ]);
+});
+
+test('stack arguments are 16-byte aligned', () => {
+    const Chain = make_chain_class(all_gadgets);
+    const chain = new Chain();
+    // misalign the chain
+    chain.push_constant(0x41);
+    chain.push_call(func, 1, 2, 3, 4, 5, 6, 7, 8);
+    check_layout(chain, [
+        0x41,
+        'pop rdi; ret', 1,
+        'pop rsi; ret', 2,
+        'pop rdx; ret', 3,
+        'pop rcx; ret', 4,
+        'pop r8; ret', 5,
+        'pop r9; ret', 6,
+        'ret',
+        'func',
+        'add rsp, 0x10; ret',
+        7, 8,
+    ]);
+    // the return address is at rsp on entry and the first stack argument at
+    // rsp + 8
+    const func_pos = dump_stack(chain).indexOf('func') * 8;
+    const entry_rsp = chain.stack_addr.add(func_pos + 8);
+    if ((entry_rsp.low() & 0xf) !== 8) {
+        throw Error(`rsp on entry not 8 modulo 16: ${entry_rsp}`);
+    }
+});
+
+test('no cleanup gadget', () => {
+    const Chain = make_chain_class(reg_pops.concat(['ret']));
+    const chain = new Chain();
+    try {
+        chain.push_call(func, 1, 2, 3, 4, 5, 6, 7);
+    } catch (e) {
+        if (chain.position !== 0) {
+            throw Error('push_call() pushed values before failing');
+        }
+        return;
+    }
+    throw Error('push_call() did not throw');
+});
+
+test('label references', () => {
+    const Chain = make_chain_class(all_gadgets);
+    const chain = new Chain();
+    chain.push_label_addr('end');
+    chain.label('start');
+    chain.push_constant(0x41);
+    chain.push_label_ref(
+        () => chain.label_addr('end').sub(chain.label_addr('start'))
+    );
+    chain.label('end');
+    chain.resolve_labels();
+
+    const end = chain.stack_addr.add(0x18);
+    const value = read64(chain.stack, 0);
+    if (!value.eq(end)) {
+        throw Error(`forward reference not resolved: ${value}`);
+    }
+    check_layout(chain, [end.low(), 0x41, 0x10]);
+});
+
+test('undefined and duplicate labels', () => {
+    const Chain = make_chain_class(all_gadgets);
+    const chain = new Chain();
+    chain.label('a');
+    let threw = false;
+    try {
+        chain.label('a');
+    } catch (e) {
+        threw = true;
+    }
+    if (!threw) {
+        throw Error('label() did not throw for a duplicate label');
+    }
+
+    chain.push_label_addr('b');
+    threw = false;
+    try {
+        chain.resolve_labels();
+    } catch (e) {
+        threw = true;
+    }
+    if (!threw) {
+        throw Error('resolve_labels() did not throw for an undefined label');
+    }
+
+    chain.clean();
+    if (chain.labels.size !== 0) {
+        throw Error('clean() did not remove the labels');
+    }
+});
+
+test('dump', () => {
+    const Chain = make_chain_class(all_gadgets);
+    const chain = new Chain();
+    chain.label('start');
+    chain.note('call');
+    chain.push_call(func, 9);
+    chain.push_label_addr('start');
+    chain.push_label_ref(() => new Int(0x20), 'patched');
+    chain.push_label_addr('end');
+
+    const start = chain.stack_addr;
+    const expected = [
+        'start:',
+        '; call',
+        '+0x0000 pop rdi; ret',
+        '+0x0008 0x0000000000000009 (arg)',
+        '+0x0010 func',
+        `+0x0018 ${start} (-> start)`,
+        '+0x0020 0x0000000000000020 (arg) ; patched',
+        '+0x0028 0x0000000000000000 (arg) ; unresolved: label not defined: end',
+    ].join('\n');
+    const actual = chain.dump(new Map([['func', func]]));
+    if (actual !== expected) {
+        throw Error(
+            `dump mismatch\nexpected:\n${expected}\nactual:\n${actual}`
+        );
+    }
+});
+
+let failed = 0;
+for (const [name, body] of tests) {
+    try {
+        body();
+        console.log(`ok: ${name}`);
+    } catch (e) {
+        failed++;
+        console.log(`FAILED: ${name}\n${e.message}`);
+    }
+}
+console.log(`${tests.length - failed} of ${tests.length} tests passed`);
+if (failed !== 0) {
+    process.exitCode = 1;
+}
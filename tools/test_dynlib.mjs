@@ -0,0 +1,345 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// Checks the NID hashing of module/nid.mjs and the symbol table parsing of
+// module/dynlib.mjs, run with:
+//
+//     node tools/test_dynlib.mjs
+//
+// The symbol tables are parsed from a small ELF file built by build_elf(). The
+// exit status is 1 if a test fails.
+
+import { Int } from '../module/int64.mjs';
+import { MockMemory } from '../module/mockmem.mjs';
+import { Dynlib, resolve_symbol } from '../module/dynlib.mjs';
+import * as dl from '../module/dynlib.mjs';
+
+import {
+    sha1,
+    name_to_nid,
+    is_nid,
+    decode_id,
+    parse_symbol_name,
+} from '../module/nid.mjs';
+
+import {
+    ModuleInfo,
+    parse_elf,
+    PT_LOAD,
+    PT_DYNAMIC,
+    PT_SCE_DYNLIBDATA,
+    PF_X,
+    PF_W,
+    PF_R,
+} from '../module/sprx.mjs';
+
+const mock = new MockMemory();
+
+// NIDs from the symbol tables of the firmware modules
+const known_nids = new Map(Object.entries({
+    'printf' : 'hcuQgD53UxM',
+    'strlen' : 'j4ViWNHEgww',
+    'memcpy' : 'Q3VBxCXhUHs',
+    'malloc' : 'gQX+4GDQjpM',
+    'free' : 'tIhsqj0qsFE',
+    '__stack_chk_fail' : 'Ou3iL1abvng',
+    '__error' : '9BcDykPmo1I',
+    'sceKernelLoadStartModule' : 'wzvqT4UqKX8',
+}));
+
+// test vectors from FIPS 180-2
+const sha1_vectors = new Map(Object.entries({
+    '' : 'da39a3ee5e6b4b0d3255bfef95601890afd80709',
+    'abc' : 'a9993e364706816aba3e25717850c26c9cd0d89d',
+    'abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq' :
+        '84983e441c3bd26ebaae4aa1f95129e5e54670f1',
+}));
+
+function to_bytes(str) {
+    return [...str].map(c => c.charCodeAt(0));
+}
+
+function to_hex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// layout of the file built by build_elf()
+const text_offset = 0;
+const data_offset = 0x1000;
+const dynamic_offset = 0x2000;
+const dynlibdata_offset = 0x3000;
+const file_size = 0x4000;
+// offsets within the dynlib data
+const strtab_offset = 0;
+const symtab_offset = 0x100;
+const jmprel_offset = 0x200;
+
+// exported by the module
+const export_addr = 0x100;
+const export_size = 0x20;
+// where the GOT entry of the import is, relative to the base
+const import_slot = data_offset + 8;
+
+// A module that exports printf from libc (library id 0) and imports
+// __stack_chk_fail from libkernel (library id 1).
+function build_elf() {
+    const bytes = new Uint8Array(file_size);
+    const view = new DataView(bytes.buffer);
+    const set64 = (offset, value) => {
+        view.setUint32(offset, value, true);
+        view.setUint32(offset + 4, 0, true);
+    };
+
+    // the library ids are in the high 16 bits of the value
+    const set_lib = (offset, tag, id, name) => {
+        view.setUint32(offset, tag, true);
+        view.setUint32(offset + 8, name, true);
+        view.setUint32(offset + 12, id << 16, true);
+    };
+
+    const strings = [
+        'libc',
+        'libkernel',
+        `${name_to_nid('printf')}#A#A`,
+        `${name_to_nid('__stack_chk_fail')}#B#A`,
+    ];
+    const str = [];
+    let pos = 1;
+    for (const s of strings) {
+        bytes.set(to_bytes(s), dynlibdata_offset + strtab_offset + pos);
+        str.push(pos);
+        pos += s.length + 1;
+    }
+    const strsz = pos;
+
+    // e_ident, e_phoff, e_phentsize and e_phnum
+    bytes.set([0x7f, 0x45, 0x4c, 0x46, 2, 1, 1]);
+    set64(0x20, 0x40);
+    view.setUint16(0x36, 0x38, true);
+    const phdrs = [
+        [PT_LOAD, PF_R | PF_X, text_offset, text_offset, 0x1000],
+        [PT_LOAD, PF_R | PF_W, data_offset, data_offset, 0x1000],
+        [PT_DYNAMIC, PF_R, dynamic_offset, 0, 0x100],
+        [PT_SCE_DYNLIBDATA, PF_R, dynlibdata_offset, 0, 0x1000],
+    ];
+    view.setUint16(0x38, phdrs.length, true);
+    for (let i = 0; i < phdrs.length; i++) {
+        const [type, flags, offset, vaddr, size] = phdrs[i];
+        const phdr = 0x40 + i * 0x38;
+        view.setUint32(phdr, type, true);
+        view.setUint32(phdr + 4, flags, true);
+        set64(phdr + 8, offset);
+        set64(phdr + 0x10, vaddr);
+        set64(phdr + 0x20, size);
+        set64(phdr + 0x28, type === PT_LOAD ? size : 0);
+    }
+
+    // the null symbol, printf and __stack_chk_fail
+    const symtab = dynlibdata_offset + symtab_offset;
+    view.setUint32(symtab + 0x18, str[2], true);
+    view.setUint16(symtab + 0x18 + 6, 1, true);
+    set64(symtab + 0x18 + 8, export_addr);
+    set64(symtab + 0x18 + 0x10, export_size);
+    view.setUint32(symtab + 0x30, str[3], true);
+    const symtabsz = 3 * 0x18;
+
+    // the relocation of the GOT entry of symbol 2
+    const jmprel = dynlibdata_offset + jmprel_offset;
+    set64(jmprel, import_slot);
+    view.setUint32(jmprel + 8, dl.R_X86_64_JUMP_SLOT, true);
+    view.setUint32(jmprel + 12, 2, true);
+
+    const dynamic = [
+        [dl.DT_SCE_STRTAB, strtab_offset],
+        [dl.DT_SCE_STRSZ, strsz],
+        [dl.DT_SCE_SYMTAB, symtab_offset],
+        [dl.DT_SCE_SYMTABSZ, symtabsz],
+        [dl.DT_SCE_JMPREL, jmprel_offset],
+        [dl.DT_SCE_PLTRELSZ, 0x18],
+    ];
+    let dyn = dynamic_offset;
+    for (const [tag, value] of dynamic) {
+        set64(dyn, tag);
+        set64(dyn + 8, value);
+        dyn += 0x10;
+    }
+    set_lib(dyn, dl.DT_SCE_NEEDED_MODULE, 1, str[1]);
+    set_lib(dyn + 0x10, dl.DT_SCE_EXPORT_LIB, 0, str[0]);
+    set_lib(dyn + 0x20, dl.DT_SCE_IMPORT_LIB, 1, str[1]);
+    // followed by DT_NULL
+
+    return bytes;
+}
+
+// Loads the file built by build_elf() and maps its data segment at a base
+// with the GOT entry of the import set to target.
+function load_module(target) {
+    const image = mock.alloc(file_size);
+    mock.write_bytes(image, build_elf());
+    const base = mock.alloc(2 * 0x1000);
+    mock.write64(base.add(import_slot), target);
+    return parse_elf(image, base);
+}
+
+const tests = [];
+function test(name, body) {
+    tests.push([name, body]);
+}
+
+test('sha1() test vectors', () => {
+    for (const [input, digest] of sha1_vectors) {
+        const res = to_hex(sha1(to_bytes(input)));
+        if (res !== digest) {
+            throw Error(`sha1(${JSON.stringify(input)}) is ${res}`);
+        }
+    }
+});
+
+test('name_to_nid() of known names', () => {
+    for (const [name, nid] of known_nids) {
+        const res = name_to_nid(name);
+        if (res !== nid) {
+            throw Error(`NID of ${name} is ${res}, expected ${nid}`);
+        }
+        if (!is_nid(res)) {
+            throw Error(`is_nid(${res}) is false`);
+        }
+    }
+    const invalid = ['printf', 'hcuQgD53Ux', 'hcuQgD53UxM#A', 'hcuQgD53Ux/'];
+    for (const str of invalid) {
+        if (is_nid(str)) {
+            throw Error(`is_nid(${JSON.stringify(str)}) is true`);
+        }
+    }
+});
+
+test('parse_symbol_name()', () => {
+    const res = parse_symbol_name('hcuQgD53UxM#C#BA');
+    if (res.nid !== 'hcuQgD53UxM' || res.lib_id !== 2 || res.module_id !== 64) {
+        throw Error(`wrong result: ${JSON.stringify(res)}`);
+    }
+    const bare = parse_symbol_name('hcuQgD53UxM');
+    if (bare.lib_id !== null || bare.module_id !== null) {
+        throw Error(`ids of a bare NID: ${JSON.stringify(bare)}`);
+    }
+    if (decode_id('-') !== 63) {
+        throw Error(`decode_id('-') is ${decode_id('-')}`);
+    }
+    let threw = false;
+    try {
+        decode_id('A/');
+    } catch (e) {
+        threw = e instanceof RangeError;
+    }
+    if (!threw) {
+        throw Error('invalid id accepted');
+    }
+});
+
+test('Dynlib parses the symbol tables', () => {
+    const module = load_module(new Int(0x1234, 0x50));
+    const dynlib = new Dynlib(module);
+    if (dynlib.export_libs.get(0) !== 'libc'
+        || dynlib.import_libs.get(1) !== 'libkernel'
+        || dynlib.needed_modules.get(1) !== 'libkernel'
+    ) {
+        throw Error('wrong library names');
+    }
+
+    const exp = dynlib.find_export('printf');
+    if (exp === null
+        || exp !== dynlib.find_export('hcuQgD53UxM')
+        || exp.lib !== 'libc'
+        || !exp.addr.eq(module.base.add(export_addr))
+        || exp.size !== export_size
+    ) {
+        throw Error(`wrong export: ${JSON.stringify(exp)}`);
+    }
+
+    const imp = dynlib.find_import('__stack_chk_fail');
+    if (imp === null
+        || imp.lib !== 'libkernel'
+        || !imp.slot.eq(module.base.add(import_slot))
+        || imp.index !== 0
+    ) {
+        throw Error(`wrong import: ${JSON.stringify(imp)}`);
+    }
+    if (dynlib.exports.size !== 1 || dynlib.imports.length !== 1) {
+        throw Error('imports and exports mixed up');
+    }
+    if (dynlib.find_export('strlen') !== null
+        || dynlib.find_import('printf') !== null
+    ) {
+        throw Error('found a symbol that is not in the tables');
+    }
+});
+
+test('resolve_symbol()', () => {
+    const target = new Int(0x1234, 0x50);
+    const module = load_module(target);
+    if (!resolve_symbol(module, 'printf').eq(module.base.add(export_addr))) {
+        throw Error('wrong address of an export');
+    }
+    // read from the GOT
+    if (!resolve_symbol(module, 'Ou3iL1abvng').eq(target)) {
+        throw Error('wrong address of an import');
+    }
+    let threw = false;
+    try {
+        resolve_symbol(module, 'strlen');
+    } catch (e) {
+        threw = true;
+    }
+    if (!threw) {
+        throw Error('resolved a symbol that is not in the tables');
+    }
+});
+
+// find_module() only knows the segments, the dynlib data is not in memory
+test('Dynlib needs a module from parse_elf()', () => {
+    const base = new Int(0, 0x30);
+    const module = new ModuleInfo(base, [{
+        type: PT_LOAD,
+        flags: PF_R | PF_X,
+        start: base,
+        end: base.add(0x1000),
+    }]);
+    let threw = false;
+    try {
+        new Dynlib(module);
+    } catch (e) {
+        threw = e.message.includes('parse_elf()');
+    }
+    if (!threw) {
+        throw Error('no error for a ModuleInfo without dynlib data');
+    }
+});
+
+let failed = 0;
+for (const [name, body] of tests) {
+    try {
+        body();
+        console.log(`ok: ${name}`);
+    } catch (e) {
+        failed++;
+        console.log(`FAILED: ${name}\n${e.message}`);
+    }
+}
+console.log(`${tests.length - failed} of ${tests.length} tests passed`);
+if (failed !== 0) {
+    process.exitCode = 1;
+}
@@ -0,0 +1,263 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// Checks the gadget encodings of module/gadgets.mjs against the gadget tables
+// of the firmware profiles and the chunked scan of find_gadgets(), run with:
+//
+//     node tools/test_gadgets.mjs
+//
+// The exit status is 1 if a test fails.
+
+import { Int } from '../module/int64.mjs';
+import { MockMemory } from '../module/mockmem.mjs';
+import { profiles } from '../module/profiles.mjs';
+
+import {
+    is_encodable,
+    gadget_patterns,
+    find_gadgets,
+} from '../module/gadgets.mjs';
+
+const mock = new MockMemory();
+
+// The encodings of the entries of the profile tables, assembled by hand. These
+// are the bytes at the offsets of the tables, which were found with
+// ROPgadget and used on the consoles. If the offset of a table is checked by
+// find_gadgets(), these bytes must be among gadget_patterns().
+const known_encodings = new Map(Object.entries({
+    'pop rax; ret' : '58 c3',
+    'pop rbx; ret' : '5b c3',
+    'pop rcx; ret' : '59 c3',
+    'pop rdx; ret' : '5a c3',
+    'pop rbp; ret' : '5d c3',
+    'pop rsi; ret' : '5e c3',
+    'pop rdi; ret' : '5f c3',
+    'pop rsp; ret' : '5c c3',
+    'pop r8; ret' : '41 58 c3',
+    'pop r9; ret' : '41 59 c3',
+    'pop r10; ret' : '41 5a c3',
+    'pop r11; ret' : '41 5b c3',
+    'pop r12; ret' : '41 5c c3',
+    'pop r13; ret' : '41 5d c3',
+    'pop r14; ret' : '41 5e c3',
+    'pop r15; ret' : '41 5f c3',
+    'ret' : 'c3',
+    'leave; ret' : 'c9 c3',
+    'leave; jmp rcx' : 'c9 ff e1',
+    'neg rax; and rax, rcx; ret' : '48 f7 d8 48 21 c8 c3',
+    'adc esi, esi; ret' : '11 f6 c3',
+    'add rax, rdx; ret' : '48 01 d0 c3',
+    'push rsp; jmp qword ptr [rax]' : '54 ff 20',
+    'add rcx, rsi; and rdx, rcx; or rax, rdx; ret'
+        : '48 01 f1 48 21 ca 48 09 d0 c3',
+    'add rax, 8; ret' : '48 83 c0 08 c3',
+    'mov qword ptr [rdi], rsi; ret' : '48 89 37 c3',
+    'mov rax, qword ptr [rax]; ret' : '48 8b 00 c3',
+    'mov qword ptr [rdi], rax; ret' : '48 89 07 c3',
+    'mov dword ptr [rdi], eax; ret' : '89 07 c3',
+    'mov rdx, rcx; ret' : '48 89 ca c3',
+    'mov qword ptr [rdx], rax; mov al, 1; ret' : '48 89 02 b0 01 c3',
+    'mov rdx, qword ptr [rcx]; ret' : '48 8b 11 c3',
+    'cli; jmp qword ptr [rax + 0x43]' : 'fa ff 60 43',
+    'sti; ret' : 'fb c3',
+    'xchg rbp, rax; ret' : '48 95 c3',
+    'neg rax; ret' : '48 f7 d8 c3',
+    'mov rdx, rax; xor eax, eax; shl rdx, cl; ret'
+        : '48 89 c2 31 c0 48 d3 e2 c3',
+    'mov qword ptr [rsi], rcx; ret' : '48 89 0e c3',
+
+    // the pivots
+    'pop rdi; jmp qword ptr [rax + 0x50]' : '5f ff 60 50',
+    'pop rdi; jmp qword ptr [rax + 0x1d]' : '5f ff 60 1d',
+    'pop rsi; jmp qword ptr [rax + 0x1c]' : '5e ff 60 1c',
+    'pop rsi; cmc; jmp qword ptr [rax + 0x7c]' : '5e f5 ff 60 7c',
+
+    // the JOP gadgets, kjop1 and k2jop1 first. The JOP gadgets of 9.00 and
+    // 9.60 that are also pivots are above.
+    ['mov rdi, qword ptr [rdi]; mov rax, qword ptr [rdi];'
+        + ' jmp qword ptr [rax + 0xe0]']
+        : '48 8b 3f 48 8b 07 ff a0 e0 00 00 00',
+    ['mov rdi, qword ptr [rsi + 8]; mov rax, qword ptr [rdi];'
+        + ' jmp qword ptr [rax + 0x70]']
+        : '48 8b 7e 08 48 8b 07 ff 60 70',
+    ['mov rdi, qword ptr [rsi + 0x18]; mov rax, qword ptr [rdi];'
+        + ' call qword ptr [rax + 0xb8]']
+        : '48 8b 7e 18 48 8b 07 ff 90 b8 00 00 00',
+    ['push rbp; mov rbp, rsp; mov rax, qword ptr [rdi];'
+        + ' call qword ptr [rax + 0x30]']
+        : '55 48 89 e5 48 8b 07 ff 50 30',
+    ['push rbp; mov rbp, rsp; mov rax, qword ptr [rdi];'
+        + ' call qword ptr [rax + 0x58]']
+        : '55 48 89 e5 48 8b 07 ff 50 58',
+    ['mov rdx, qword ptr [rax + 0x18]; mov rax, qword ptr [rdi];'
+        + ' call qword ptr [rax + 0x10]']
+        : '48 8b 50 18 48 8b 07 ff 50 10',
+    'push rdx; mov edi, 0xac9784fe; jmp qword ptr [rax]'
+        : '52 bf fe 84 97 ac ff 20',
+    'push rdx; jmp qword ptr [rax]' : '52 ff 20',
+    'pop rsi; jmp qword ptr [rax + 0x5f]' : '5e ff 60 5f',
+    'pop rsi; jmp qword ptr [rax + 0x60]' : '5e ff 60 60',
+    'pop rsi; jmp qword ptr [rax + 0x1c]' : '5e ff 60 1c',
+    'pop rsi; cmc; jmp qword ptr [rax + 0x7c]' : '5e f5 ff 60 7c',
+    ['mov rdi, qword ptr [rax + 8]; mov rax, qword ptr [rdi];'
+        + ' jmp qword ptr [rax + 0x68]']
+        : '48 8b 78 08 48 8b 07 ff 60 68',
+    ['mov rdi, qword ptr [rax + 8]; mov rax, qword ptr [rdi];'
+        + ' jmp qword ptr [rax + 0x30]']
+        : '48 8b 78 08 48 8b 07 ff 60 30',
+}));
+
+// the multiline JOP gadgets are looked up as single line ones
+function gadget_key(gadget) {
+    return gadget.trim().split('\n').join('; ');
+}
+
+function parse_hex(str) {
+    return str.split(' ').map(byte => parseInt(byte, 16));
+}
+
+function to_hex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(' ');
+}
+
+const tests = [];
+function test(name, body) {
+    tests.push([name, body]);
+}
+
+test('profile table entries have their known encoding', () => {
+    const errors = [];
+    for (const [id, profile] of profiles) {
+        const tables = [
+            profile.webkit_gadget_offsets,
+            profile.libc_gadget_offsets,
+        ];
+        for (const table of tables) {
+            for (const gadget of table.keys()) {
+                if (!is_encodable(gadget)) {
+                    continue;
+                }
+                const key = gadget_key(gadget);
+                const known = known_encodings.get(key);
+                if (known === undefined) {
+                    errors.push(`${id}: no known encoding for ${key}`);
+                    continue;
+                }
+                const patterns = gadget_patterns(gadget).map(to_hex);
+                if (!patterns.includes(known)) {
+                    errors.push(
+                        `${id}: ${key}: ${known} not in`
+                        + ` ${patterns.join(' | ')}`
+                    );
+                }
+            }
+        }
+    }
+    if (errors.length !== 0) {
+        throw Error(errors.join('\n'));
+    }
+});
+
+// the scan reads .text in chunks of 0x40000 bytes, see find_gadgets()
+test('find_gadgets() across chunk boundaries', () => {
+    const size = 0x90000;
+    const bytes = new Uint8Array(size).fill(0xcc);
+    const text = mock.load(new Int(0, 0x10), bytes);
+
+    const gadgets = [
+        'pop rdi; ret',
+        'mov rdx, rax; xor eax, eax; shl rdx, cl; ret',
+        'pop rsi; ret',
+        'leave; ret',
+    ];
+    const offsets = [
+        0x10,
+        // crosses the first boundary
+        0x40000 - 4,
+        // at the end of .text
+        size - 2,
+    ];
+    for (let i = 0; i < offsets.length; i++) {
+        bytes.set(parse_hex(known_encodings.get(gadgets[i])), offsets[i]);
+    }
+    // a static offset that is right and one that is wrong
+    bytes.set(parse_hex(known_encodings.get(gadgets[3])), 0x50000);
+    const static_offsets = new Map([
+        [gadgets[0], 0x11],
+        [gadgets[3], 0x50000],
+    ]);
+
+    const gadget_map = new Map();
+    const missing = find_gadgets(
+        gadget_map,
+        text,
+        size,
+        gadgets.concat(['pop rax; ret']),
+        {static_offsets},
+    );
+    if (missing.length !== 1 || missing[0] !== 'pop rax; ret') {
+        throw Error(`wrong missing gadgets: ${missing}`);
+    }
+    offsets.push(0x50000);
+    gadgets.forEach((gadget, i) => {
+        const addr = gadget_map.get(gadget);
+        if (addr === undefined || !addr.eq(text.add(offsets[i]))) {
+            throw Error(`${gadget} at ${addr}, expected offset ${offsets[i]}`);
+        }
+    });
+});
+
+// rop.mjs only knows the size of .text if it has to scan
+test('find_gadgets() without the size of .text', () => {
+    const bytes = new Uint8Array(0x4000).fill(0xcc);
+    const text = mock.load(new Int(0, 0x20), bytes);
+    bytes.set(parse_hex(known_encodings.get('pop rdi; ret')), 0x100);
+    bytes.set(parse_hex(known_encodings.get('pop rsi; ret')), 0x200);
+
+    const gadget_map = new Map();
+    const missing = find_gadgets(
+        gadget_map,
+        text,
+        null,
+        ['pop rdi; ret', 'pop rsi; ret', 'setjmp'],
+        {static_offsets: new Map([['pop rdi; ret', 0x100], ['setjmp', 8]])},
+    );
+    // found by a scan otherwise
+    if (missing.length !== 1 || missing[0] !== 'pop rsi; ret') {
+        throw Error(`wrong missing gadgets: ${missing}`);
+    }
+    if (!gadget_map.get('pop rdi; ret').eq(text.add(0x100))
+        || !gadget_map.get('setjmp').eq(text.add(8))
+    ) {
+        throw Error('static offsets not used');
+    }
+});
+
+let failed = 0;
+for (const [name, body] of tests) {
+    try {
+        body();
+        console.log(`ok: ${name}`);
+    } catch (e) {
+        failed++;
+        console.log(`FAILED: ${name}\n${e.message}`);
+    }
+}
+console.log(`${tests.length - failed} of ${tests.length} tests passed`);
+if (failed !== 0) {
+    process.exitCode = 1;
+}
@@ -0,0 +1,280 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// Checks the operations and the string conversions of Int from
+// module/int64.mjs against BigInt, run with:
+//
+//     node tools/test_int64.mjs
+//
+// The operands are edge cases plus pseudo-random values from a fixed seed, so
+// a failure can be reproduced. The exit status is 1 if a test fails.
+
+import { Int } from '../module/int64.mjs';
+
+const u64 = x => BigInt.asUintN(64, x);
+const i64 = x => BigInt.asIntN(64, x);
+
+const edge_values = [
+    0n,
+    1n,
+    2n,
+    0x7fffffffn,
+    0x80000000n,
+    0xffffffffn,
+    0x100000000n,
+    0x100000001n,
+    0x7fffffffffffffffn,
+    0x8000000000000000n,
+    0xfffffffffffffffen,
+    0xffffffffffffffffn,
+];
+
+// xorshift32
+let seed = 0x2545f491;
+function random32() {
+    seed ^= seed << 13;
+    seed ^= seed >>> 17;
+    seed ^= seed << 5;
+    return seed >>> 0;
+}
+
+// Random 64-bit values of varying widths, so that both the 32-bit and the
+// 64-bit paths of the operations are taken.
+function random_value() {
+    const value = (BigInt(random32()) << 32n) | BigInt(random32());
+    const bits = [8, 16, 32, 33, 48, 63, 64][random32() % 7];
+    return BigInt.asUintN(bits, value);
+}
+
+const values = edge_values.slice();
+for (let i = 0; i < 64; i++) {
+    values.push(random_value());
+}
+
+function* pairs() {
+    for (const a of values) {
+        for (const b of values) {
+            yield [a, b];
+        }
+    }
+}
+
+function check(actual, expected, what) {
+    if (actual instanceof Int) {
+        actual = actual.toBigInt();
+    }
+    if (actual !== expected) {
+        throw Error(`${what} is ${actual}, expected ${expected}`);
+    }
+}
+
+function check_throws(body, type, what) {
+    try {
+        body();
+    } catch (e) {
+        if (!(e instanceof type)) {
+            throw Error(`${what} threw ${e}, expected a ${type.name}`);
+        }
+        return;
+    }
+    throw Error(`${what} did not throw`);
+}
+
+const hex = x => '0x' + x.toString(16);
+
+const tests = [];
+function test(name, body) {
+    tests.push([name, body]);
+}
+
+test('conversions', () => {
+    for (const a of values) {
+        const x = Int.fromBigInt(a);
+        check(x, a, `fromBigInt(${hex(a)})`);
+        check(x.toBigInt(true), i64(a), `toBigInt(true) of ${hex(a)}`);
+        check(
+            BigInt(x.low()) | BigInt(x.high()) << 32n,
+            a,
+            `low() and high() of ${hex(a)}`,
+        );
+        check(new Int(x.low(), x.high()), a, `new Int(low, high) ${hex(a)}`);
+        check(new Int(hex(a)), a, `new Int('${hex(a)}')`);
+        check(Int.fromBigInt(i64(a)), a, `fromBigInt(${i64(a)})`);
+    }
+    for (const n of [0, 1, 0x7fffffff, 0xffffffff, -1, -0x80000000]) {
+        check(new Int(n), u64(BigInt(n)), `new Int(${n})`);
+    }
+    check_throws(() => new Int(2**32), TypeError, 'new Int(2**32)');
+});
+
+test('add, sub and mul', () => {
+    for (const [a, b] of pairs()) {
+        const x = Int.fromBigInt(a);
+        const y = Int.fromBigInt(b);
+        check(x.add(y), u64(a + b), `${hex(a)} + ${hex(b)}`);
+        check(x.sub(y), u64(a - b), `${hex(a)} - ${hex(b)}`);
+        check(x.mul(y), u64(a * b), `${hex(a)} * ${hex(b)}`);
+    }
+    // numbers are converted to Ints
+    check(new Int(5).add(-1), 4n, '5 + -1');
+    check(new Int(5).mul(0xffffffff), 5n * 0xffffffffn, '5 * 0xffffffff');
+});
+
+test('divmod', () => {
+    for (const [a, b] of pairs()) {
+        if (b === 0n) {
+            continue;
+        }
+        const [q, r] = Int.fromBigInt(a).divmod(Int.fromBigInt(b));
+        check(q, a / b, `${hex(a)} / ${hex(b)}`);
+        check(r, a % b, `${hex(a)} % ${hex(b)}`);
+    }
+    check_throws(() => new Int(1).divmod(0), RangeError, 'division by 0');
+});
+
+test('bitwise operations', () => {
+    for (const [a, b] of pairs()) {
+        const x = Int.fromBigInt(a);
+        const y = Int.fromBigInt(b);
+        check(x.and(y), a & b, `${hex(a)} & ${hex(b)}`);
+        check(x.or(y), a | b, `${hex(a)} | ${hex(b)}`);
+        check(x.xor(y), a ^ b, `${hex(a)} ^ ${hex(b)}`);
+    }
+    for (const a of values) {
+        const x = Int.fromBigInt(a);
+        check(x.neg(), u64(-a), `-${hex(a)}`);
+        check(x.not(), u64(~a), `~${hex(a)}`);
+    }
+});
+
+test('shifts', () => {
+    for (const a of values) {
+        const x = Int.fromBigInt(a);
+        for (let count = 0; count < 64; count++) {
+            const n = BigInt(count);
+            check(x.shl(count), u64(a << n), `${hex(a)} << ${count}`);
+            check(x.shr(count), a >> n, `${hex(a)} >>> ${count}`);
+            check(x.sar(count), u64(i64(a) >> n), `${hex(a)} >> ${count}`);
+        }
+    }
+    for (const count of [-1, 64, 1.5, '1']) {
+        check_throws(
+            () => Int.One.shl(count),
+            RangeError,
+            `shift by ${JSON.stringify(count)}`,
+        );
+    }
+});
+
+test('comparisons', () => {
+    const sign = x => x < 0n ? -1 : x > 0n ? 1 : 0;
+    for (const [a, b] of pairs()) {
+        const x = Int.fromBigInt(a);
+        const y = Int.fromBigInt(b);
+        const what = `${hex(a)} and ${hex(b)}`;
+        check(x.eq(y), a === b, `eq() of ${what}`);
+        check(x.cmp(y), sign(a - b), `cmp() of ${what}`);
+        check(x.lt(y), a < b, `lt() of ${what}`);
+        check(x.gt(y), a > b, `gt() of ${what}`);
+        check(x.scmp(y), sign(i64(a) - i64(b)), `scmp() of ${what}`);
+        check(x.slt(y), i64(a) < i64(b), `slt() of ${what}`);
+        check(x.sgt(y), i64(a) > i64(b), `sgt() of ${what}`);
+    }
+});
+
+test('hex strings', () => {
+    check(new Int('0xdeadBEEF'), 0xdeadbeefn, "new Int('0xdeadBEEF')");
+    check(new Int('123'), 0x123n, "new Int('123')");
+    check(new Int(''), 0n, "new Int('')");
+    check(new Int('0x'), 0n, "new Int('0x')");
+    for (const str of ['0x12g4', 'xyz', '0x 12', '-1']) {
+        check_throws(() => new Int(str), TypeError, `new Int('${str}')`);
+    }
+    check_throws(
+        () => new Int('0x1' + '0'.repeat(16)),
+        RangeError,
+        'new Int() of 65 bits',
+    );
+});
+
+test('toDecimal() and toJSON()', () => {
+    for (const a of values) {
+        const x = Int.fromBigInt(a);
+        check(x.toDecimal(), a.toString(), `toDecimal() of ${hex(a)}`);
+        check(
+            x.toDecimal(true),
+            i64(a).toString(),
+            `toDecimal(true) of ${hex(a)}`,
+        );
+        const json = JSON.parse(JSON.stringify({x}));
+        check(new Int(json.x), a, `toJSON() of ${hex(a)}`);
+        check(Int.parse(json.x), a, `Int.parse(toJSON()) of ${hex(a)}`);
+    }
+});
+
+test('Int.parse()', () => {
+    for (const a of values) {
+        check(Int.parse(a.toString()), a, `Int.parse('${a}')`);
+        check(Int.parse(hex(a)), a, `Int.parse('${hex(a)}')`);
+        check(Int.parse(i64(a).toString()), a, `Int.parse('${i64(a)}')`);
+    }
+    const parsed = new Map(Object.entries({
+        '0' : 0n,
+        '+42' : 42n,
+        '-1' : 0xffffffffffffffffn,
+        ' 0x10 ' : 0x10n,
+        '0x9_0000_0000' : 0x900000000n,
+        '-1_000' : u64(-1000n),
+        '0x0000000000000000ff' : 0xffn,
+        '18446744073709551615' : 0xffffffffffffffffn,
+        '-9223372036854775808' : 0x8000000000000000n,
+    }));
+    for (const [str, value] of parsed) {
+        check(Int.parse(str), value, `Int.parse('${str}')`);
+    }
+
+    const malformed = [
+        '', '0x', 'ff', '1e3', '1_', '_1', '1__0', '0x_1', '--1', '1.5',
+    ];
+    for (const str of malformed) {
+        check_throws(() => Int.parse(str), TypeError, `Int.parse('${str}')`);
+    }
+    check_throws(() => Int.parse(1), TypeError, 'Int.parse(1)');
+    const out_of_range = [
+        '18446744073709551616',
+        '-9223372036854775809',
+        '0x1_0000_0000_0000_0000',
+    ];
+    for (const str of out_of_range) {
+        check_throws(() => Int.parse(str), RangeError, `Int.parse('${str}')`);
+    }
+});
+
+let failed = 0;
+for (const [name, body] of tests) {
+    try {
+        body();
+        console.log(`ok: ${name}`);
+    } catch (e) {
+        failed++;
+        console.log(`FAILED: ${name}\n${e.message}`);
+    }
+}
+console.log(`${tests.length - failed} of ${tests.length} tests passed`);
+if (failed !== 0) {
+    process.exitCode = 1;
+}
@@ -0,0 +1,134 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// Checks where tools/log_server.mjs saves the logs, run with:
+//
+//     node tools/test_log_server.mjs
+//
+// The logs are saved to a temporary directory that is removed at the end.
+// The exit status is 1 if a test fails.
+
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, relative } from 'node:path';
+
+import { safe_name, save } from './log_server.mjs';
+
+const dir = mkdtempSync(join(tmpdir(), 'test_log_server-'));
+// save() prints every record, only the results are printed
+const print = console.log;
+console.log = () => {};
+
+let next_seq = 0;
+function make_data(firmware, run) {
+    return {
+        record: {
+            seq: next_seq++,
+            time: 0,
+            level: 'info',
+            stage: null,
+            msg: 'hello',
+        },
+        run,
+        firmware,
+        profile: 'ps4_8_03',
+        payload: 'payload.bin',
+        user_agent: 'test',
+    };
+}
+
+function check_throws(body, what) {
+    let threw = false;
+    try {
+        body();
+    } catch (e) {
+        threw = true;
+    }
+    if (!threw) {
+        throw Error(`${what} did not throw`);
+    }
+}
+
+const tests = [];
+function test(name, body) {
+    tests.push([name, body]);
+}
+
+test('safe_name()', () => {
+    const names = new Map([
+        ['8.03', '8.03'],
+        ['a-b_c', 'a-b_c'],
+        ['../x', '.._x'],
+        ['a/b\\c', 'a_b_c'],
+        ['..x', '..x'],
+        [803, '803'],
+    ]);
+    for (const [name, expected] of names) {
+        const res = safe_name(name);
+        if (res !== expected) {
+            throw Error(`safe_name(${name}) is ${res}, expected ${expected}`);
+        }
+    }
+    for (const name of ['', '.', '..', '...']) {
+        check_throws(() => safe_name(name), `safe_name("${name}")`);
+    }
+});
+
+test('logs stay in the directory', () => {
+    const path = save(dir, make_data('8.03', 'run1'));
+    const rel = relative(dir, path);
+    if (rel !== join('8.03', 'run1.log')) {
+        throw Error(`log saved to ${path}`);
+    }
+    if (!readFileSync(path, 'utf8').includes('#0 ')) {
+        throw Error('record not in the log');
+    }
+
+    for (const [firmware, run] of [
+        ['..', 'run2'],
+        ['.', 'run3'],
+        ['', 'run4'],
+        ['8.03', '..'],
+    ]) {
+        check_throws(
+            () => save(dir, make_data(firmware, run)),
+            `firmware "${firmware}", run "${run}"`,
+        );
+    }
+
+    // the separator is replaced, the log is in a subdirectory
+    const sub = save(dir, make_data('../..', 'run5'));
+    if (relative(dir, sub) !== join('.._..', 'run5.log')) {
+        throw Error(`log saved to ${sub}`);
+    }
+});
+
+let failed = 0;
+for (const [name, body] of tests) {
+    try {
+        body();
+        print(`ok: ${name}`);
+    } catch (e) {
+        failed++;
+        print(`FAILED: ${name}\n${e.message}`);
+    }
+}
+rmSync(dir, {recursive: true});
+print(`${tests.length - failed} of ${tests.length} tests passed`);
+if (failed !== 0) {
+    process.exitCode = 1;
+}
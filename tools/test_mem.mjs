@@ -0,0 +1,423 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// Checks the bulk operations and the string helpers of the memory backends of
+// module/mem.mjs, run with:
+//
+//     node tools/test_mem.mjs
+//
+// Memory is tested with a simulated worker view: indexing it accesses a
+// MockMemory at the m_vector written to the main view. Like on the console,
+// setting an index throws while the m_vector is 0 and make_buffer() returns
+// a copy of the memory. The exit status is 1 if a test fails.
+
+import { Int } from '../module/int64.mjs';
+import { Memory } from '../module/mem.mjs';
+import { MockMemory } from '../module/mockmem.mjs';
+import * as rw from '../module/rw.mjs';
+import * as o from '../module/offset.mjs';
+
+const mock = new MockMemory();
+
+// a view whose indexes access mock at the m_vector of main
+function make_worker(main) {
+    return new Proxy({}, {
+        get(target, prop) {
+            if (typeof prop === 'string' && /^\d+$/.test(prop)) {
+                const vector = rw.read64(main, o.view_m_vector);
+                return mock.read8(vector.add(Number(prop)));
+            }
+            return target[prop];
+        },
+        set(target, prop, value) {
+            if (typeof prop === 'string' && /^\d+$/.test(prop)) {
+                const vector = rw.read64(main, o.view_m_vector);
+                // isDetached(), see write0() of Memory
+                if (vector.eq(0)) {
+                    throw TypeError(
+                        'Underlying ArrayBuffer has been detached from the view'
+                    );
+                }
+                mock.write8(vector.add(Number(prop)), value & 0xff);
+                return true;
+            }
+            target[prop] = value;
+            return true;
+        },
+    });
+}
+
+class SimMemory extends Memory {
+    constructor() {
+        const main = new Uint8Array(o.size_view);
+        super(main, make_worker(main));
+    }
+
+    // like on the console, the buffer is a copy
+    make_buffer(addr, size) {
+        return mock.read_bytes(addr, size).buffer;
+    }
+}
+
+// bytes that differ at every index
+function pattern(len, seed) {
+    const res = new Uint8Array(len);
+    for (let i = 0; i < len; i++) {
+        res[i] = (i * 7 + seed) & 0xff;
+    }
+    return res;
+}
+
+function check_bytes(actual, expected, what) {
+    if (actual.length !== expected.length) {
+        throw Error(
+            `${what}: length ${actual.length}, expected ${expected.length}`
+        );
+    }
+    for (let i = 0; i < expected.length; i++) {
+        if (actual[i] !== expected[i]) {
+            throw Error(
+                `${what}: byte ${i} is ${actual[i]}, expected ${expected[i]}`
+            );
+        }
+    }
+}
+
+const tests = [];
+function test(name, body) {
+    tests.push([name, body]);
+}
+
+// sizes below, at and above bulk_threshold of mem.mjs and above the
+// write_chunk of Memory
+const sizes = [0, 1, 0x100, 0x101, 0x1234];
+
+// the bulk operations of a backend, mem is the backend and bytes is where the
+// region at addr is mapped
+function check_bulk_ops(mem, addr, bytes) {
+    for (const len of sizes) {
+        bytes.fill(0);
+        const src = pattern(len, len);
+        mem.write_bytes(addr.add(3), src);
+        check_bytes(bytes.subarray(3, 3 + len), src, `write_bytes(${len})`);
+        if (bytes[2] !== 0 || bytes[3 + len] !== 0) {
+            throw Error(`write_bytes(${len}) wrote outside of the range`);
+        }
+        const read = mem.read_bytes(addr.add(3), len);
+        check_bytes(read, src, `read_bytes(${len})`);
+
+        mem.memset(addr.add(1), 0x41, len);
+        const expected = new Uint8Array(len).fill(0x41);
+        check_bytes(bytes.subarray(1, 1 + len), expected, `memset(${len})`);
+        if (bytes[0] !== 0) {
+            throw Error(`memset(${len}) wrote outside of the range`);
+        }
+    }
+
+    // overlapping copy
+    const len = 0x1234;
+    const src = pattern(len, 1);
+    bytes.set(src, 0);
+    mem.memcpy(addr.add(0x10), addr, len);
+    check_bytes(bytes.subarray(0x10, 0x10 + len), src, 'memcpy()');
+
+    bytes.fill(0);
+    bytes.set(src, 0);
+    bytes.set(src, 0x2000);
+    if (mem.memcmp(addr, addr.add(0x2000), len) !== 0) {
+        throw Error('memcmp() of equal bytes is not 0');
+    }
+    bytes[0x2000 + len - 1] ^= 0x80;
+    if (mem.memcmp(addr, addr.add(0x2000), len) === 0) {
+        throw Error('memcmp() of different bytes is 0');
+    }
+}
+
+test('MockMemory bulk operations', () => {
+    const bytes = new Uint8Array(0x4000);
+    const addr = mock.load(new Int(0, 0x10), bytes);
+    check_bulk_ops(mock, addr, bytes);
+});
+
+test('MockMemory bulk operations across regions', () => {
+    // two regions next to each other
+    const first = new Uint8Array(0x4000);
+    const second = new Uint8Array(0x4000);
+    const addr = mock.load(new Int(0, 0x20), first);
+    mock.load(addr.add(0x4000), second);
+
+    const src = pattern(0x200, 5);
+    mock.write_bytes(addr.add(0x3f00), src);
+    check_bytes(first.subarray(0x3f00), src.subarray(0, 0x100), 'first');
+    check_bytes(second.subarray(0, 0x100), src.subarray(0x100), 'second');
+    check_bytes(mock.read_bytes(addr.add(0x3f00), 0x200), src, 'read_bytes');
+});
+
+test('Memory bulk operations', () => {
+    const bytes = new Uint8Array(0x4000);
+    const addr = mock.load(new Int(0, 0x30), bytes);
+    const mem = new SimMemory();
+    check_bulk_ops(mem, addr, bytes);
+});
+
+// view() is a snapshot on both backends
+function check_view(mem, addr, bytes) {
+    bytes.fill(0x11, 0, 0x200);
+    const view = mem.view(addr, 0x200);
+    view[0] = 0x22;
+    bytes[1] = 0x33;
+    if (bytes[0] !== 0x11 || view[1] !== 0x11) {
+        throw Error('view() aliases the memory');
+    }
+}
+
+test('MockMemory view', () => {
+    const bytes = new Uint8Array(0x4000);
+    check_view(mock, mock.load(new Int(0, 0x40), bytes), bytes);
+});
+
+test('Memory view', () => {
+    const bytes = new Uint8Array(0x4000);
+    const addr = mock.load(new Int(0, 0x50), bytes);
+    check_view(new SimMemory(), addr, bytes);
+});
+
+// exploit.mjs only runs it with the "self_test" URL query parameter
+test('MockMemory fakeobj() round-trip', () => {
+    mock.test_fakeobj();
+});
+
+// the string helpers of a backend, bytes is where the region at addr is
+// mapped
+function check_strings(mem, addr, bytes) {
+    const check_str = (actual, expected, what) => {
+        if (actual !== expected) {
+            throw Error(
+                `${what} is ${JSON.stringify(actual)},`
+                + ` expected ${JSON.stringify(expected)}`
+            );
+        }
+    };
+
+    for (const str of ['', 'a', 'hello world', '\xe9\xff', 'x'.repeat(0x123)]) {
+        bytes.fill(0xaa);
+        mem.write_cstring(addr.add(0xf0), str);
+        const end = 0xf0 + str.length;
+        if (bytes[end] !== 0 || bytes[end + 1] !== 0xaa) {
+            throw Error(`write_cstring() of ${str.length} characters`);
+        }
+        check_str(
+            mem.read_cstring(addr.add(0xf0)),
+            str,
+            `read_cstring() of ${str.length} characters`,
+        );
+    }
+    if (mem.read_cstring(addr, 0) !== '') {
+        throw Error('read_cstring() with max 0');
+    }
+
+    // no terminator within max, the string is truncated
+    bytes.fill(0x41, 0, 0x300);
+    check_str(mem.read_cstring(addr.add(0x10), 0x20), 'A'.repeat(0x20), 'max');
+    check_str(
+        mem.read_cstring(addr.add(0x10), 0x200),
+        'A'.repeat(0x200),
+        'max across chunks',
+    );
+    // the string ends at the last byte of the region, the read must not go
+    // past it
+    bytes[bytes.length - 1] = 0;
+    bytes.fill(0x42, bytes.length - 0x20, bytes.length - 1);
+    check_str(
+        mem.read_cstring(addr.add(bytes.length - 0x20)),
+        'B'.repeat(0x1f),
+        'string at the end of the region',
+    );
+
+    let threw = false;
+    try {
+        mem.write_cstring(addr, 'a\u0100');
+    } catch (e) {
+        threw = e instanceof RangeError;
+    }
+    if (!threw) {
+        throw Error('write_cstring() of a non Latin-1 string');
+    }
+
+    const utf16 = 'h\xe9\u0100\u4e2d\ud83d\ude00';
+    for (let i = 0; i < utf16.length; i++) {
+        const c = utf16.charCodeAt(i);
+        bytes[0x400 + 2*i] = c & 0xff;
+        bytes[0x401 + 2*i] = c >> 8;
+    }
+    check_str(mem.read_utf16(addr.add(0x400), utf16.length), utf16, 'utf16');
+    check_str(mem.read_utf16(addr.add(0x400), 0), '', 'empty utf16');
+
+    // an 8-bit StringImpl with inline characters and a 16-bit one with
+    // characters elsewhere
+    const impl8 = addr.add(0x800);
+    const impl16 = addr.add(0x900);
+    const chars16 = addr.add(0xa00);
+    bytes.fill(0, 0x800, 0xb00);
+    mem.write32(impl8.add(o.strimpl_strlen), 5);
+    mem.write32(impl8.add(o.strimpl_hash_and_flags), o.strimpl_flag_8bit);
+    mem.write64(impl8.add(o.strimpl_m_data), impl8.add(o.strimpl_inline_str));
+    mem.write_bytes(
+        impl8.add(o.strimpl_inline_str),
+        [0x68, 0x65, 0xe9, 0x6c, 0x6f],
+    );
+    check_str(mem.read_strimpl(impl8), 'he\xe9lo', '8-bit StringImpl');
+
+    mem.write32(impl16.add(o.strimpl_strlen), utf16.length);
+    mem.write32(impl16.add(o.strimpl_hash_and_flags), 0);
+    mem.write64(impl16.add(o.strimpl_m_data), chars16);
+    mem.write_bytes(chars16, bytes.subarray(0x400, 0x400 + 2*utf16.length));
+    check_str(mem.read_strimpl(impl16), utf16, '16-bit StringImpl');
+
+    mem.write32(impl8.add(o.strimpl_strlen), 0);
+    check_str(mem.read_strimpl(impl8), '', 'empty StringImpl');
+}
+
+test('MockMemory strings', () => {
+    const bytes = new Uint8Array(0x4000);
+    check_strings(mock, mock.load(new Int(0, 0x60), bytes), bytes);
+});
+
+test('Memory strings', () => {
+    const bytes = new Uint8Array(0x4000);
+    const addr = mock.load(new Int(0, 0x70), bytes);
+    check_strings(new SimMemory(), addr, bytes);
+});
+
+// the first page of mock, mapped by the first test that needs it
+let zero_page = null;
+function map_zero_page() {
+    if (zero_page === null) {
+        zero_page = new Uint8Array(0x4000);
+        mock.load(Int.Zero, zero_page);
+    }
+    zero_page.fill(0);
+    return zero_page;
+}
+
+// write0() and read0() of a backend, bytes is the zero page of mock
+function check_zero_page_ops(mem, bytes) {
+    const values = new Map([
+        [8, 0xab],
+        [16, 0xabcd],
+        [32, 0x89abcdef],
+        [64, new Int(0x89abcdef, 0x01234567)],
+    ]);
+    for (const [size, value] of values) {
+        const n = new Int(value);
+        const expected = [];
+        for (let i = 0; i < size / 8; i++) {
+            const half = i < 4 ? n.low() : n.high();
+            expected.push(half >>> (i % 4 * 8) & 0xff);
+        }
+        for (const offset of [0, 0x10, new Int(0x123)]) {
+            const what = `write0(${size}, ${offset})`;
+            bytes.fill(0);
+            mem.write0(size, offset, value);
+            const start = new Int(offset).low();
+            check_bytes(bytes.subarray(start, start + size/8), expected, what);
+            const res = mem.read0(size, offset);
+            if (size === 64 ? !res.eq(value) : res !== value) {
+                throw Error(`read0(${size}, ${offset}) is ${res}`);
+            }
+        }
+    }
+    mem.write0(64, 8, BigInt(-1));
+    if (!mem.read0(64, 8).eq(-1)) {
+        throw Error('write0() of a BigInt');
+    }
+    bytes.fill(0);
+}
+
+// MockMemory uses read0() and write0() of MemoryBase
+test('MockMemory zero page', () => {
+    check_zero_page_ops(mock, map_zero_page());
+
+    // the offset is checked before the access
+    const invalid = [
+        [12, 0],
+        [8, -1],
+        [8, 1.5],
+        [8, new Int(0, 1)],
+        [64, 0xfffffff8],
+        [8, '0'],
+    ];
+    for (const [size, offset] of invalid) {
+        for (const op of ['read0', 'write0']) {
+            let threw = false;
+            try {
+                mock[op](size, offset, 0);
+            } catch (e) {
+                threw = e instanceof RangeError;
+            }
+            if (!threw) {
+                throw Error(`${op}(${size}, ${offset}) did not throw`);
+            }
+        }
+    }
+});
+
+// Memory points the worker to -1 and indexes it from 1, setting an index
+// with the m_vector at 0 would throw
+test('Memory zero page', () => {
+    const bytes = map_zero_page();
+    const mem = new SimMemory();
+    check_zero_page_ops(mem, bytes);
+
+    // writes to address 0 are rerouted too
+    mem.write8(Int.Zero, 0x11);
+    if (!mem.get_addr().eq(-1)) {
+        throw Error(`write8(0) set the address to ${mem.get_addr()}`);
+    }
+    mem.write64(Int.Zero, new Int(0x44332211, 0x88776655));
+    mem.write_bytes(Int.Zero, [0xaa, 0xbb]);
+    mem.memset(Int.Zero, 0xcc, 1);
+    check_bytes(
+        bytes.subarray(0, 8),
+        [0xcc, 0xbb, 0x33, 0x44, 0x55, 0x66, 0x77, 0x88],
+        'writes to address 0',
+    );
+    // reads of address 0 don't need it
+    if (mem.read8(Int.Zero) !== 0xcc || !mem.get_addr().eq(0)) {
+        throw Error('read8(0) went through the zero page path');
+    }
+    mem.write8(new Int(8), 0x99);
+    if (bytes[8] !== 0x99 || !mem.get_addr().eq(8)) {
+        throw Error('write8(8) went through the zero page path');
+    }
+    bytes.fill(0);
+});
+
+let failed = 0;
+for (const [name, body] of tests) {
+    try {
+        body();
+        console.log(`ok: ${name}`);
+    } catch (e) {
+        failed++;
+        console.log(`FAILED: ${name}\n${e.message}`);
+    }
+}
+console.log(`${tests.length - failed} of ${tests.length} tests passed`);
+if (failed !== 0) {
+    process.exitCode = 1;
+}
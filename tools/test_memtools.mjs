@@ -0,0 +1,433 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// Checks the searches of module/memtools.mjs (find_pattern(), find_base()
+// init_syscall_array() and is_syscall_wrapper()) and the PLT helpers
+// (get_import_slot(), resolve_import(), walk_imports() and find_plt()), run
+// with:
+//
+//     node tools/test_memtools.mjs
+//
+// The searches of memory run on a MockMemory, which throws on a read of an
+// unmapped page. The exit status is 1 if a test fails.
+
+import { Int } from '../module/int64.mjs';
+import { MockMemory } from '../module/mockmem.mjs';
+
+import {
+    find_pattern,
+    find_base,
+    init_syscall_array,
+    is_syscall_wrapper,
+    get_import_slot,
+    resolve_import,
+    walk_imports,
+    find_plt,
+} from '../module/memtools.mjs';
+
+const mock = new MockMemory();
+
+const page_size = 0x4000;
+const text_magic = [
+    0x55, 0x48, 0x89, 0xe5, 0x41, 0x57, 0x41, 0x56,
+    0x41, 0x55, 0x41, 0x54, 0x53, 0x50, 0x48, 0x8d,
+];
+
+// the regions are page aligned and at least one unmapped page apart
+let next_region = new Int(0, 0x40);
+function map_region(size) {
+    const bytes = new Uint8Array(size);
+    const addr = mock.load(next_region, bytes);
+    next_region = next_region.add(size + 0x10 * page_size);
+    return {addr, bytes};
+}
+
+function check_eq(actual, expected, what) {
+    const is_int = actual instanceof Int;
+    if (is_int ? !actual.eq(expected) : actual !== expected) {
+        throw Error(`${what} is ${actual}, expected ${expected}`);
+    }
+}
+
+function check_list(actual, expected, what) {
+    if (actual.length !== expected.length
+        || actual.some((value, i) => value !== expected[i])
+    ) {
+        throw Error(`${what} is [${actual}], expected [${expected}]`);
+    }
+}
+
+function check_throws(body, what) {
+    let threw = false;
+    try {
+        body();
+    } catch (e) {
+        threw = true;
+    }
+    if (!threw) {
+        throw Error(`${what} did not throw`);
+    }
+}
+
+const tests = [];
+function test(name, body) {
+    tests.push([name, body]);
+}
+
+test('find_pattern() masks', () => {
+    const bytes = new Uint8Array([0x10, 0x4f, 0x8b, 0x45, 0x48, 0x8b, 0x45]);
+    check_eq(find_pattern(bytes, '48 8b'), 4, 'exact');
+    check_eq(find_pattern(bytes, '4? 8b'), 1, '"4?"');
+    check_eq(find_pattern(bytes, '?f 8b'), 1, '"?f"');
+    check_eq(find_pattern(bytes, '48&f8 8b 45'), 1, '"48&f8"');
+    check_eq(find_pattern(bytes, '48&f0 8b&0f 45'), 1, '"8b&0f"');
+    check_eq(find_pattern(bytes, '?? 8b 45'), 1, '"??"');
+    check_eq(find_pattern(bytes, [0x48, null, 0x45]), 4, 'null');
+    check_eq(find_pattern(bytes, '4? 8c'), null, 'no match');
+    check_throws(() => find_pattern(bytes, '4g'), 'invalid token');
+    check_throws(() => find_pattern(bytes, ''), 'empty pattern');
+    check_throws(() => find_pattern(bytes, [0x100]), 'byte out of range');
+});
+
+test('find_pattern() align, backward and all', () => {
+    const bytes = new Uint8Array(0x20);
+    for (const i of [3, 8, 0x10, 0x13]) {
+        bytes[i] = 0xcc;
+    }
+    check_eq(find_pattern(bytes, 'cc'), 3, 'first');
+    check_eq(find_pattern(bytes, 'cc', {backward: true}), 0x13, 'last');
+    check_eq(find_pattern(bytes, 'cc', {align: 8}), 8, 'aligned');
+    check_eq(
+        find_pattern(bytes, 'cc', {align: 8, backward: true}),
+        0x10,
+        'last aligned',
+    );
+    check_list(
+        find_pattern(bytes, 'cc', {all: true}),
+        [3, 8, 0x10, 0x13],
+        'all',
+    );
+    check_list(
+        find_pattern(bytes, 'cc', {all: true, backward: true, align: 4}),
+        [0x10, 8],
+        'all aligned backward',
+    );
+    check_list(find_pattern(bytes, 'dd', {all: true}), [], 'all, no match');
+    check_throws(() => find_pattern(bytes, 'cc', {align: 3}), 'align 3');
+});
+
+test('find_pattern() at the ends of the range', () => {
+    const bytes = new Uint8Array(0x10);
+    bytes.set([0xaa, 0xbb]);
+    bytes.set([0xcc, 0xdd], 0xe);
+    check_eq(find_pattern(bytes, 'aa bb', {backward: true}), 0, 'start');
+    check_eq(find_pattern(bytes, 'cc dd'), 0xe, 'end');
+    // the match would end past max
+    check_eq(find_pattern(bytes, 'cc dd', {max: 0xf}), null, 'past max');
+    check_eq(find_pattern(bytes, 'cc', {max: 0xf}), 0xe, 'last byte');
+    check_eq(find_pattern(bytes, '00', {max: 0}), null, 'max 0');
+    check_eq(find_pattern(bytes.subarray(0, 1), 'aa bb'), null, 'too short');
+});
+
+test('find_pattern() in memory across pages', () => {
+    const {addr, bytes} = map_region(3 * page_size);
+    // starts in the first page, ends in the second
+    const at = page_size - 2;
+    bytes.set([0x0f, 0x05, 0xc3], at);
+    bytes.set([0x0f, 0x05, 0xc3], 2*page_size + 1);
+    const start = addr.add(0x10);
+    const max = bytes.length - 0x10;
+
+    check_eq(find_pattern(start, '0f 05 c3', {max}), addr.add(at), 'forward');
+    check_eq(
+        find_pattern(start, '0f 05 c3', {max, backward: true}),
+        addr.add(2*page_size + 1),
+        'backward',
+    );
+    const all = find_pattern(start, '0f 05 ??', {
+        max,
+        backward: true,
+        all: true,
+    });
+    if (all.length !== 2 || !all[1].eq(addr.add(at))) {
+        throw Error(`wrong matches: ${all}`);
+    }
+    // a match that ends at the end of the region and of max
+    bytes.set([0x0f, 0x05, 0xc3], bytes.length - 3);
+    const last_page = addr.add(2*page_size + 4);
+    check_eq(
+        find_pattern(last_page, '0f 05 c3', {max: page_size - 4}),
+        addr.add(bytes.length - 3),
+        'match at the end of memory',
+    );
+    check_throws(() => find_pattern(addr, 'c3'), 'no max');
+});
+
+// a page is only read if a match could start in it
+test('find_pattern() stops at the match', () => {
+    const {addr, bytes} = map_region(2 * page_size);
+    bytes.set([0xde, 0xad], page_size + 0x100);
+    check_eq(
+        find_pattern(addr, 'de ad', {max: 0x100 * page_size}),
+        addr.add(page_size + 0x100),
+        'forward',
+    );
+    const end = addr.add(2 * page_size);
+    check_eq(
+        find_pattern(end.sub(0x100 * page_size), 'de ad', {
+            max: 0x100 * page_size,
+            backward: true,
+        }),
+        addr.add(page_size + 0x100),
+        'backward',
+    );
+    // past the end of the region
+    check_throws(
+        () => find_pattern(addr, 'be ef', {max: 3 * page_size}),
+        'search of unmapped memory',
+    );
+});
+
+// only the page aligned candidates are mapped, reading the pages would fault
+test('find_pattern() with a page alignment', () => {
+    const base = next_region;
+    next_region = next_region.add(0x20 * page_size);
+    for (let i = 0; i < 4; i++) {
+        const bytes = new Uint8Array(text_magic.length);
+        if (i === 2) {
+            bytes.set(text_magic);
+        }
+        mock.load(base.add(i * page_size), bytes);
+    }
+    const expected = base.add(2 * page_size);
+    const max = 4 * page_size;
+    const align = page_size;
+
+    check_eq(find_pattern(base, text_magic, {max, align}), expected, 'first');
+    check_eq(
+        find_pattern(base, text_magic, {max, align, backward: true}),
+        expected,
+        'backward',
+    );
+    const all = find_pattern(base, text_magic, {max, align, all: true});
+    if (all.length !== 1 || !all[0].eq(expected)) {
+        throw Error(`wrong matches: ${all}`);
+    }
+    const inside = base.add(3 * page_size + 8);
+    check_eq(find_base(inside, true, true, 4 * page_size), expected, 'base');
+});
+
+test('find_base()', () => {
+    const {addr, bytes} = map_region(4 * page_size);
+    bytes.set(text_magic, page_size);
+    const base = addr.add(page_size);
+    const inside = addr.add(3*page_size + 0x123);
+
+    check_eq(find_base(inside, true, true), base, 'backward');
+    check_eq(find_base(addr.add(0x10), true, false), base, 'forward');
+    check_eq(find_base(base, true, true), base, 'at the base');
+    // the magic is only matched at page boundaries
+    bytes.fill(0, page_size, page_size + text_magic.length);
+    bytes.set(text_magic, 2*page_size + 8);
+    check_throws(
+        () => find_base(inside, true, true, 3 * page_size),
+        'unaligned magic',
+    );
+    // not within max_size
+    bytes.fill(0, 2*page_size + 8, 2*page_size + 8 + text_magic.length);
+    bytes.set(text_magic, page_size);
+    check_throws(
+        () => find_base(inside, true, true, 2 * page_size),
+        'magic out of range',
+    );
+    check_eq(find_base(inside, true, true, 3 * page_size), base, 'in range');
+});
+
+// mov rax, num; mov r10, rcx; syscall
+function syscall_stub(num) {
+    return [
+        0x48, 0xc7, 0xc0,
+        num & 0xff, num >> 8 & 0xff, num >> 16 & 0xff, num >>> 24,
+        0x49, 0x89, 0xca, 0x0f, 0x05, 0xc3,
+    ];
+}
+
+test('init_syscall_array()', () => {
+    const {addr, bytes} = map_region(2 * page_size);
+    bytes.fill(0xcc);
+    const stubs = new Map([[4, 0x10], [0x14, 0x123], [0x24b, page_size + 1]]);
+    for (const [num, offset] of stubs) {
+        bytes.set(syscall_stub(num), offset);
+    }
+    // not a wrapper, the syscall instruction is missing
+    bytes.set(syscall_stub(5).slice(0, 10), 0x200);
+    // the "rdlo" string is the end of .text
+    const rdlo = page_size + 0x100;
+    bytes.set([0x72, 0x64, 0x6c, 0x6f], rdlo);
+    // in .rodata, not a wrapper
+    bytes.set(syscall_stub(6), rdlo + 0x10);
+
+    const syscall_array = [];
+    init_syscall_array(syscall_array, addr, 2 * page_size);
+    const found = [];
+    syscall_array.forEach((stub, num) => found.push(num));
+    if (found.join() !== [...stubs.keys()].join()) {
+        throw Error(`wrong syscall numbers: ${found}`);
+    }
+    for (const [num, offset] of stubs) {
+        check_eq(syscall_array[num], addr.add(offset), `syscall ${num}`);
+    }
+
+    check_throws(
+        () => init_syscall_array([], addr, rdlo),
+        '"rdlo" out of range',
+    );
+    check_throws(() => init_syscall_array([], addr), 'no max_search_size');
+});
+
+test('is_syscall_wrapper()', () => {
+    const {addr, bytes} = map_region(page_size);
+    bytes.fill(0xcc);
+    bytes.set(syscall_stub(4), 0x10);
+    // at the end of the region, without the ret
+    const last = page_size - 12;
+    bytes.set(syscall_stub(0x24b).slice(0, 12), last);
+    bytes.set(syscall_stub(5).slice(0, 10), 0x100);
+
+    check_eq(is_syscall_wrapper(addr.add(0x10)), true, 'wrapper');
+    check_eq(is_syscall_wrapper(addr.add(last)), true, 'wrapper at the end');
+    check_eq(is_syscall_wrapper(addr.add(0x11)), false, 'inside a wrapper');
+    check_eq(is_syscall_wrapper(addr.add(0x100)), false, 'no syscall');
+});
+
+// jmp qword [rip + X]; push index; jmp PLT0, the offsets are from the start
+// of bytes
+function write_stub(bytes, stub, got_offset, index, plt0_offset) {
+    const view = new DataView(bytes.buffer);
+    bytes.set([0xff, 0x25], stub);
+    view.setInt32(stub + 2, got_offset - (stub + 6), true);
+    bytes[stub + 6] = 0x68;
+    view.setUint32(stub + 7, index, true);
+    bytes[stub + 11] = 0xe9;
+    view.setInt32(stub + 12, plt0_offset - (stub + 16), true);
+}
+
+// A PLT of stub_count stubs at plt_offset, the GOT entry of stub i is
+// got_offsets[i] and points to targets[i]. The PLT is surrounded by int3
+// instructions.
+function build_plt(bytes, plt_offset, got_offsets, targets) {
+    const view = new DataView(bytes.buffer);
+    const plt_end = plt_offset + 0x10 * targets.length;
+    bytes.fill(0xcc, plt_offset - 0x10, plt_end + 0x10);
+    for (let i = 0; i < targets.length; i++) {
+        const stub = plt_offset + 0x10 * i;
+        write_stub(bytes, stub, got_offsets[i], i, plt_offset - 0x10);
+
+        view.setUint32(got_offsets[i], targets[i].low(), true);
+        view.setUint32(got_offsets[i] + 4, targets[i].high(), true);
+    }
+}
+
+test('PLT helpers', () => {
+    const {addr, bytes} = map_region(page_size);
+    const plt = 0x800;
+    // the GOT of the first stub is before the PLT, so the displacement is
+    // negative
+    const got_offsets = [0x100, 0x1000, 0x1008, 0x1010];
+    const targets = got_offsets.map((_, i) => new Int(0x1000 * i, 0x42));
+    build_plt(bytes, plt, got_offsets, targets);
+
+    for (let i = 0; i < targets.length; i++) {
+        const stub = addr.add(plt + 0x10 * i);
+        check_eq(
+            get_import_slot(stub),
+            addr.add(got_offsets[i]),
+            `get_import_slot() of stub ${i}`,
+        );
+        check_eq(resolve_import(stub), targets[i], `resolve_import(${i})`);
+    }
+
+    // from any of the stubs
+    for (const start of [0, 2, 3]) {
+        const stubs = walk_imports(addr.add(plt + 0x10 * start));
+        if (stubs.length !== targets.length) {
+            throw Error(`walk_imports() found ${stubs.length} stubs`);
+        }
+        for (let i = 0; i < stubs.length; i++) {
+            const what = `walk_imports() stub ${i}`;
+            check_eq(stubs[i].addr, addr.add(plt + 0x10 * i), `${what} addr`);
+            check_eq(stubs[i].slot, addr.add(got_offsets[i]), `${what} slot`);
+            check_eq(stubs[i].target, targets[i], `${what} target`);
+            check_eq(stubs[i].index, i, `${what} index`);
+        }
+    }
+    // at most max_count stubs in each direction
+    const stubs = walk_imports(addr.add(plt + 0x20), 1);
+    check_eq(stubs.length, 3, 'stubs with max_count 1');
+    check_eq(stubs[0].index, 1, 'first stub with max_count 1');
+
+    check_throws(() => walk_imports(addr.add(plt - 0x10)), 'not a stub');
+    check_throws(() => get_import_slot(addr.add(plt + 6)), 'not a jmp');
+});
+
+test('find_plt()', () => {
+    const {addr, bytes} = map_region(2 * page_size);
+    bytes.fill(0xcc);
+    // The decoys jump through GOT entries far outside of the region, a read
+    // of them would fault. The first one is not followed by a stub.
+    const far = 0x7ff00000;
+    write_stub(bytes, 0x100, far, 0, 0);
+    // not aligned
+    write_stub(bytes, 0x204, far, 0, 0);
+    write_stub(bytes, 0x214, far + 8, 1, 0);
+    // the GOT entries are not in order
+    write_stub(bytes, 0x300, far + 8, 0, 0);
+    write_stub(bytes, 0x310, far, 1, 0);
+    // the indices are not in order
+    write_stub(bytes, 0x400, far, 1, 0);
+    write_stub(bytes, 0x410, far + 8, 0, 0);
+
+    const plt = 0x800;
+    const got_offsets = [0x5000, 0x5008, 0x5010];
+    const targets = got_offsets.map((_, i) => new Int(0x1000 * i, 0x42));
+    build_plt(bytes, plt, got_offsets, targets);
+
+    const stubs = find_plt(addr, 2 * page_size);
+    check_eq(stubs.length, targets.length, 'number of stubs');
+    for (let i = 0; i < stubs.length; i++) {
+        check_eq(stubs[i].addr, addr.add(plt + 0x10 * i), `stub ${i}`);
+        check_eq(stubs[i].target, targets[i], `target ${i}`);
+    }
+
+    // the PLT is past the end of .text
+    check_throws(() => find_plt(addr, plt + 0x10), 'PLT out of range');
+});
+
+let failed = 0;
+for (const [name, body] of tests) {
+    try {
+        body();
+        console.log(`ok: ${name}`);
+    } catch (e) {
+        failed++;
+        console.log(`FAILED: ${name}\n${e.message}`);
+    }
+}
+console.log(`${tests.length - failed} of ${tests.length} tests passed`);
+if (failed !== 0) {
+    process.exitCode = 1;
+}
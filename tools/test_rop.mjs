@@ -0,0 +1,490 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// Runs the ROP chains of Chain803Base on the emulator of module/emulator.mjs,
+// run with:
+//
+//     node tools/test_rop.mjs
+//
+// The first tests are the ones of test_rop() in rop.mjs, the rest cover what
+// test_rop() doesn't. The tests are run with the JOP gadgets and layouts of
+// every firmware profile of module/profiles.mjs. The gadgets get fake
+// addresses and setjmp(), longjmp() and the syscalls are emulated. The dynlib
+// syscall helpers of module/dynlib.mjs are run on it too. The exit status is 1
+// if a test fails.
+
+import { Int } from '../module/int64.mjs';
+import { Addr } from '../module/mem.mjs';
+import { MockMemory } from '../module/mockmem.mjs';
+import { get_view_vector } from '../module/memtools.mjs';
+import { get_syscall, errno_map } from '../module/syscalls.mjs';
+import { Chain803Base, jmp_buf_t } from '../module/rop_chain.mjs';
+import { profiles, get_gadget_lists } from '../module/profiles.mjs';
+import * as rw from '../module/rw.mjs';
+
+import {
+    dynlib_info_t,
+    get_module_handle,
+    dlsym,
+} from '../module/dynlib.mjs';
+
+import {
+    Emulator,
+    setjmp_function,
+    longjmp_function,
+} from '../module/emulator.mjs';
+
+import {
+    kernel_gadgets,
+    stack_arg_gadgets,
+    libc_functions,
+} from '../module/rop_gadgets.mjs';
+
+new MockMemory();
+
+const gadget_base = new Int(0, 0x100);
+const syscall_base = new Int(0, 0x200);
+const func_base = new Int(0, 0x300);
+
+const syscall_names = [
+    'getuid',
+    'getpid',
+    'close',
+    'kqueue',
+    'sched_yield',
+    'dynlib_dlsym',
+    'dynlib_get_list',
+    'dynlib_get_info',
+];
+const syscall_array = [];
+syscall_names.forEach((name, i) => {
+    syscall_array[get_syscall(name).num] = syscall_base.add(i * 0x10);
+});
+
+// the function with 8 arguments of the stack argument test
+const func8 = func_base;
+
+// Returns the chain class for profile. The gadgets get fake addresses, the
+// ones of the kernel exploit too for the tests of its userland chains.
+function make_chain_class(profile) {
+    const lists = get_gadget_lists(profile);
+    const names = lists.webkit.concat(
+        lists.libc,
+        libc_functions,
+        kernel_gadgets,
+        stack_arg_gadgets,
+    );
+    const gadgets = new Map();
+    names.forEach((name, i) => {
+        gadgets.set(name, gadget_base.add(i * 0x10));
+    });
+
+    class EmuChain extends Chain803Base {
+        constructor(emu) {
+            super();
+            this.emu = emu;
+        }
+
+        check_run() {
+            this.check_stale();
+            this.check_is_empty();
+            this.check_is_branching();
+            this.resolve_labels();
+        }
+
+        run() {
+            this.check_run();
+            this.emu.run(this.stack_addr);
+        }
+    }
+    EmuChain.init_class(gadgets, syscall_array, profile);
+    return EmuChain;
+}
+
+// the chain class of the profile being tested
+let EmuChain = null;
+
+// Returns a new chain with a new emulator. handlers are the syscall handlers
+// of Emulator.add_syscalls().
+function make_chain(handlers=new Map()) {
+    const gadgets = EmuChain.prototype.gadgets;
+    const emu = new Emulator(gadgets);
+    emu.add_function(
+        gadgets.get('setjmp'),
+        'setjmp',
+        setjmp_function(jmp_buf_t),
+        0,
+    );
+    emu.add_function(
+        gadgets.get('longjmp'),
+        'longjmp',
+        longjmp_function(jmp_buf_t),
+        0,
+    );
+    emu.add_syscalls(syscall_array, handlers);
+    return new EmuChain(emu);
+}
+
+function call_names(emu) {
+    return emu.calls.map(call => call.name).join(', ');
+}
+
+function check(cond, msg) {
+    if (!cond) {
+        throw Error(msg);
+    }
+}
+
+// pushes *addr = value
+function push_store(chain, addr, value) {
+    chain.push_gadget('pop rsi; ret');
+    chain.push_value(addr);
+    chain.push_gadget('pop rcx; ret');
+    chain.push_constant(value);
+    chain.push_gadget('mov qword ptr [rsi], rcx; ret');
+}
+
+const tests = [];
+function test(name, body) {
+    tests.push([name, body]);
+}
+
+test('setjmp()/longjmp() in a branch', () => {
+    const chain = make_chain();
+    const jmp_buf = new Uint8Array(chain.profile.jmp_buf_size);
+    const jmp_buf_p = get_view_vector(jmp_buf);
+
+    // setjmp() returns 0 and the branch longjmp()s back, with rax = 1 from
+    // the jmp_buf the branch is skipped the second time
+    chain.push_gadget('pop rax; ret');
+    chain.push_constant(1);
+    chain.push_call(chain.get_gadget('setjmp'), jmp_buf_p);
+    chain.start_branch();
+    chain.push_call(chain.get_gadget('longjmp'), jmp_buf_p);
+    chain.end_branch();
+    chain.push_end();
+    chain.run();
+
+    const names = call_names(chain.emu);
+    check(names === 'setjmp, longjmp', `unexpected calls: ${names}`);
+    // start_branch() stores the new rsp there, the end of the branch
+    const end = chain.stack_addr.add(chain.position - 8);
+    const flag = rw.read64(chain.flag, 0);
+    check(flag.eq(end), `flag ${flag} is not the end of the branch ${end}`);
+});
+
+// the "test if rax == 0" and "test if rax != 0" chains of test_rop()
+function branch_chain(rax) {
+    const chain = make_chain();
+    const state = new Uint8Array(8);
+
+    chain.push_gadget('pop rsi; ret');
+    chain.push_value(get_view_vector(state));
+    chain.push_save();
+    chain.push_gadget('pop rax; ret');
+    chain.push_constant(rax);
+
+    chain.start_branch();
+    chain.push_restore();
+
+    chain.push_gadget('pop rcx; ret');
+    chain.push_constant(1);
+    chain.push_gadget('mov qword ptr [rsi], rcx; ret');
+    chain.push_end();
+
+    chain.end_branch();
+
+    chain.push_restore(true);
+    chain.push_gadget('pop rcx; ret');
+    chain.push_constant(2);
+    chain.push_gadget('mov qword ptr [rsi], rcx; ret');
+    chain.push_end();
+
+    chain.run();
+    return state[0];
+}
+
+test('if rax == 0', () => {
+    const state = branch_chain(0);
+    check(state === 1, `state must be 1: ${state}`);
+});
+
+test('if rax != 0', () => {
+    const state = branch_chain(1);
+    check(state === 2, `state must be 2: ${state}`);
+});
+
+test('syscall getuid()', () => {
+    const chain = make_chain(new Map([['getuid', () => 1000]]));
+    const res = chain.syscall('getuid');
+    check(res.value.eq(1000), `return value: ${res.value}`);
+    check(res.errno === null, `errno: ${res.errno}`);
+});
+
+test('loop() with syscalls and a sub-chain', () => {
+    const chain = make_chain(new Map([['getuid', () => 1000]]));
+    const count = new Uint8Array(8);
+    const count_p = get_view_vector(count);
+
+    chain.start_subchain('increment');
+    chain.push_gadget('pop rax; ret');
+    chain.push_value(count_p);
+    chain.push_gadget('mov rax, qword ptr [rax]; ret');
+    chain.push_gadget('pop rdx; ret');
+    chain.push_constant(1);
+    chain.push_gadget('add rax, rdx; ret');
+    chain.push_gadget('pop rdi; ret');
+    chain.push_value(count_p);
+    chain.push_gadget('mov qword ptr [rdi], rax; ret');
+    chain.end_subchain();
+
+    chain.loop(5, () => {
+        chain.push_syscall('getuid');
+        chain.push_call_subchain('increment');
+    });
+    chain.push_end();
+    chain.run();
+
+    check(count[0] === 5, `count must be 5: ${count[0]}`);
+});
+
+test('syscall errno', () => {
+    const EBADF = errno_map.get('EBADF');
+    const chain = make_chain(new Map([['close', () => ({errno: EBADF})]]));
+    const res = chain.syscall('close', 0x41);
+    check(res.value.eq(-1), `return value: ${res.value}`);
+    check(res.errno === 'EBADF', `errno: ${res.errno}`);
+
+    const unknown = chain.syscall('getpid');
+    check(unknown.errno === 'ENOSYS', `errno: ${unknown.errno}`);
+});
+
+test('stack arguments', () => {
+    const chain = make_chain();
+    let args = null;
+    chain.emu.add_function(func8, 'func8', emu => {
+        args = [];
+        for (let i = 0; i < 8; i++) {
+            args.push(emu.arg(i).low());
+        }
+        return 0;
+    });
+    // so that push_call() has to pad
+    chain.push_gadget('ret');
+    chain.push_call(func8, 1, 2, 3, 4, 5, 6, 7, 8);
+    chain.push_end();
+    chain.run();
+
+    check(args !== null, 'func8() not called');
+    check(args.join() === '1,2,3,4,5,6,7,8', `arguments: ${args}`);
+});
+
+// the kqueue() loop of trigger_oob()
+test('kqueue() loop', () => {
+    let next_fd = 0x10;
+    const chain = make_chain(new Map([['kqueue', () => next_fd++]]));
+    const num_kqueue = 0x1b0;
+    const kqueues = new Uint32Array(num_kqueue + 1);
+    const kqueues_p = get_view_vector(kqueues);
+    const kqueue_ptr = new Uint8Array(8);
+    const kqueue_ptr_p = get_view_vector(kqueue_ptr);
+
+    chain.push_write64(kqueue_ptr_p, kqueues_p);
+    chain.loop(num_kqueue, () => {
+        chain.push_syscall('kqueue');
+        chain.push_gadget('pop rcx; ret');
+        chain.push_value(kqueue_ptr_p);
+        chain.push_gadget('mov rdx, qword ptr [rcx]; ret');
+        chain.push_gadget('mov qword ptr [rdx], rax; mov al, 1; ret');
+        chain.push_gadget('pop rax; ret');
+        chain.push_value(kqueue_ptr_p);
+        chain.push_gadget('mov rax, qword ptr [rax]; ret');
+        chain.push_gadget('pop rdx; ret');
+        chain.push_constant(4);
+        chain.push_gadget('add rax, rdx; ret');
+        chain.push_gadget('pop rdi; ret');
+        chain.push_value(kqueue_ptr_p);
+        chain.push_gadget('mov qword ptr [rdi], rax; ret');
+    });
+    chain.push_end();
+    chain.run();
+
+    for (let i = 0; i < num_kqueue; i++) {
+        check(kqueues[i] === 0x10 + i, `kqueues[${i}]: ${kqueues[i]}`);
+    }
+    // 0x1b0 entries would not fit unrolled
+    check(chain.position < 0x1000, `chain too big: ${chain.position}`);
+});
+
+test('poll a failing syscall', () => {
+    // the error path of the syscall wrappers overwrites the stack below rsp,
+    // the part of the loop before the call must survive it
+    let tries = 0;
+    const chain = make_chain(new Map([['sched_yield', () => {
+        tries++;
+        return tries < 10 ? {errno: errno_map.get('EINTR')} : 0;
+    }]]));
+    chain.label('retry');
+    chain.push_syscall('sched_yield');
+    chain.jump_if_not_zero('retry');
+    chain.push_end();
+    chain.run();
+
+    check(tries === 10, `tries: ${tries}`);
+});
+
+// get_module_handle() and dlsym() of dynlib.mjs, like get_libc() of rop.mjs
+test('dynlib syscalls', () => {
+    const modules = new Map([
+        [0x12, 'libkernel_web.sprx'],
+        [0x34, 'libSceNKWebKit.sprx'],
+        [0x56, 'libSceLibcInternal.sprx'],
+    ]);
+    const symbols = new Map([
+        ['setjmp', new Int(0x1230, 0x42)],
+        ['longjmp', new Int(0x4560, 0x42)],
+    ]);
+    const EINVAL = errno_map.get('EINVAL');
+    const ESRCH = errno_map.get('ESRCH');
+    const chain = make_chain(new Map([
+        ['dynlib_get_list', emu => {
+            const handles = [...modules.keys()];
+            handles.forEach((handle, i) => {
+                emu.write(emu.arg(0).add(i * 4), 4, handle);
+            });
+            emu.write(emu.arg(2), 8, handles.length);
+            return 0;
+        }],
+        ['dynlib_get_info', emu => {
+            const name = modules.get(emu.arg(0).low());
+            const info = new Addr(emu.arg(1));
+            if (name === undefined
+                || !info.read64(0).eq(dynlib_info_t.sizeof)
+            ) {
+                return {errno: EINVAL};
+            }
+            info.write_cstring(dynlib_info_t.offsetof('name'), name);
+            return 0;
+        }],
+        ['dynlib_dlsym', emu => {
+            // the buffer ends at the NUL, read_cstring() would read past it
+            const symbol = new Addr(emu.arg(1));
+            let name = '';
+            for (;;) {
+                const c = symbol.read8(name.length);
+                if (c === 0) {
+                    break;
+                }
+                name += String.fromCharCode(c);
+            }
+            if (emu.arg(0).low() !== 0x56 || !symbols.has(name)) {
+                return {errno: ESRCH};
+            }
+            emu.write(emu.arg(2), 8, symbols.get(name));
+            return 0;
+        }],
+    ]));
+
+    const handle = get_module_handle(chain, 'libSceLibcInternal.sprx');
+    check(handle === 0x56, `handle: ${handle}`);
+    for (const [name, addr] of symbols) {
+        const res = dlsym(chain, handle, name);
+        check(res.eq(addr), `${name}: ${res}`);
+    }
+
+    for (const func of [
+        () => get_module_handle(chain, 'libc.sprx'),
+        () => dlsym(chain, handle, 'memcpy'),
+        () => dlsym(chain, 0x12, 'setjmp'),
+    ]) {
+        let threw = false;
+        try {
+            func();
+        } catch (e) {
+            threw = true;
+        }
+        check(threw, `no error from ${func}`);
+    }
+});
+
+// the JOP chain of Chain803 of rop.mjs, from the call of the scrollLeft
+// getter of the textarea to the return of the ROP chain
+test('JOP chain', () => {
+    const chain = make_chain();
+    const vtable = chain.make_vtable();
+    // the WebCore textarea and its JS wrapper
+    const webcore_ta = new Uint8Array(8);
+    rw.write64(webcore_ta, 0, get_view_vector(vtable));
+    const js_ta = new Uint8Array(0x20);
+    rw.write64(js_ta, 0x18, get_view_vector(webcore_ta));
+
+    chain.push_gadget('pop rax; ret');
+    chain.push_constant(0x1337);
+    chain.push_end();
+    chain.check_run();
+
+    const emu = chain.emu;
+    const rbp = new Int(0x41414141, 0x4141);
+    emu.regs.rbp = rbp;
+    emu.regs.rsi = get_view_vector(js_ta);
+    const getter = rw.read64(vtable, chain.profile.vtable.scroll_left);
+    const regs = emu.call(getter);
+
+    check(regs.rax.eq(0x1337), `rax: ${regs.rax}`);
+    check(regs.rbp.eq(rbp), `rbp not restored: ${regs.rbp}`);
+});
+
+test('jump_if_zero()', () => {
+    for (const rax of [0, 1]) {
+        const chain = make_chain();
+        const state = new Uint8Array(8);
+        const state_p = get_view_vector(state);
+
+        chain.push_gadget('pop rax; ret');
+        chain.push_constant(rax);
+        chain.jump_if_zero('zero');
+        push_store(chain, state_p, 1);
+        chain.jump('end');
+        chain.label('zero');
+        push_store(chain, state_p, 2);
+        chain.label('end');
+        chain.push_end();
+        chain.run();
+
+        const expected = rax === 0 ? 2 : 1;
+        check(state[0] === expected, `rax ${rax}, state: ${state[0]}`);
+    }
+});
+
+let failed = 0;
+for (const profile of profiles.values()) {
+    EmuChain = make_chain_class(profile);
+    for (const [name, body] of tests) {
+        try {
+            body();
+            console.log(`ok: ${profile.id}: ${name}`);
+        } catch (e) {
+            failed++;
+            console.log(`FAILED: ${profile.id}: ${name}\n${e.message}`);
+        }
+    }
+}
+const total = tests.length * profiles.size;
+console.log(`${total - failed} of ${total} tests passed`);
+if (failed !== 0) {
+    process.exitCode = 1;
+}
@@ -0,0 +1,246 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// Checks find_module() and parse_elf() of module/sprx.mjs, run with:
+//
+//     node tools/test_sprx.mjs
+//
+// build_module() makes a small module file. load_module() maps its segments
+// in a MockMemory like the PS4 loader does, without the ELF header and with
+// unmapped pages around them, so a search that leaves the module faults. The
+// exit status is 1 if a test fails.
+
+import { Int } from '../module/int64.mjs';
+import { MockMemory } from '../module/mockmem.mjs';
+
+import {
+    find_module,
+    parse_elf,
+    module_param_magic,
+    PT_LOAD,
+    PT_GNU_EH_FRAME,
+    PT_SCE_MODULE_PARAM,
+    PF_R,
+    PF_W,
+    PF_X,
+} from '../module/sprx.mjs';
+
+const mock = new MockMemory();
+
+const page_size = 0x4000;
+
+// layout of the module, offsets from its base
+const text_size = 2 * page_size;
+const data_start = text_size;
+const data_size = page_size;
+const module_size = data_start + data_size;
+// the functions, the .eh_frame_hdr and the .eh_frame
+const functions = [0, 0x100, 0x2000, 0x4010];
+const eh_frame_hdr = 0x7000;
+const eh_frame = 0x7100;
+const fde_size = 0x20;
+// a vtable in the read-only data after the .eh_frame
+const vtable = 0x7800;
+
+// where the segments are in the file
+const file_text = page_size;
+const file_size = file_text + module_size;
+
+// Returns the file contents of the module. The program headers are the ELF
+// header, the .text and .data segments, the .eh_frame_hdr and the
+// SceModuleParam at the start of .data.
+function build_module() {
+    const bytes = new Uint8Array(file_size);
+    const view = new DataView(bytes.buffer);
+    const set64 = (offset, value) => {
+        view.setUint32(offset, value, true);
+        view.setUint32(offset + 4, 0, true);
+    };
+
+    bytes.set([0x7f, 0x45, 0x4c, 0x46, 2, 1, 1]);
+    set64(0x20, 0x40);
+    view.setUint16(0x36, 0x38, true);
+    const phdrs = [
+        [PT_LOAD, PF_R | PF_X, 0, text_size],
+        [PT_LOAD, PF_R | PF_W, data_start, data_size],
+        [PT_GNU_EH_FRAME, PF_R, eh_frame_hdr, 0x100],
+        [PT_SCE_MODULE_PARAM, PF_R, data_start, 0x20],
+    ];
+    view.setUint16(0x38, phdrs.length, true);
+    for (let i = 0; i < phdrs.length; i++) {
+        const [type, flags, vaddr, size] = phdrs[i];
+        const phdr = 0x40 + i * 0x38;
+        view.setUint32(phdr, type, true);
+        view.setUint32(phdr + 4, flags, true);
+        set64(phdr + 8, file_text + vaddr);
+        set64(phdr + 0x10, vaddr);
+        set64(phdr + 0x20, size);
+        set64(phdr + 0x28, size);
+    }
+
+    const text = bytes.subarray(file_text);
+    const text_view = new DataView(text.buffer, file_text);
+    for (const func of functions) {
+        // push rbp; mov rbp, rsp; ...; ret
+        text.set([0x55, 0x48, 0x89, 0xe5, 0xc3], func);
+    }
+    write_eh_frame_hdr(text_view, eh_frame_hdr, eh_frame, functions);
+    for (let i = 0; i < functions.length; i++) {
+        // length of the FDE
+        text_view.setUint32(eh_frame + i * fde_size, fde_size - 4, true);
+    }
+
+    // SceModuleParam of 8.xx
+    text_view.setUint32(data_start, 0x20, true);
+    text_view.setUint32(data_start + 8, module_param_magic, true);
+    text_view.setUint32(data_start + 0xc, 2, true);
+
+    return bytes;
+}
+
+// writes an .eh_frame_hdr at hdr whose table has the functions funcs and
+// FDEs starting at frame, all are offsets within view
+function write_eh_frame_hdr(view, hdr, frame, funcs) {
+    view.setUint32(hdr, 0x3b031b01, true);
+    view.setInt32(hdr + 4, frame - (hdr + 4), true);
+    view.setUint32(hdr + 8, funcs.length, true);
+    for (let i = 0; i < funcs.length; i++) {
+        const entry = hdr + 0xc + i * 8;
+        view.setInt32(entry, funcs[i] - hdr, true);
+        view.setInt32(entry + 4, frame + i * fde_size - hdr, true);
+    }
+}
+
+// maps the segments of the file at a new base, returns {base, bytes}
+let next_base = new Int(0, 0x40);
+function load_module(file) {
+    const bytes = file.slice(file_text, file_text + module_size);
+    const base = mock.load(next_base, bytes);
+    next_base = next_base.add(module_size + 0x10 * page_size);
+    return {base, bytes};
+}
+
+function check_eq(actual, expected, what) {
+    const is_int = actual instanceof Int;
+    if (is_int ? !actual.eq(expected) : actual !== expected) {
+        throw Error(`${what} is ${actual}, expected ${expected}`);
+    }
+}
+
+function check_throws(body, what) {
+    let threw = false;
+    try {
+        body();
+    } catch (e) {
+        threw = true;
+    }
+    if (!threw) {
+        throw Error(`${what} did not throw`);
+    }
+}
+
+const tests = [];
+function test(name, body) {
+    tests.push([name, body]);
+}
+
+test('find_module() of a loaded module', () => {
+    const {base} = load_module(build_module());
+    for (const offset of [...functions, 0x7ff0, vtable, eh_frame]) {
+        const what = `find_module(base + 0x${offset.toString(16)})`;
+        const module = find_module(base.add(offset));
+        check_eq(module.base, base, `${what} base`);
+        check_eq(module.text.start, base, `${what} .text start`);
+        check_eq(module.text.end, base.add(data_start), `${what} .text end`);
+        check_eq(module.data.start, base.add(data_start), `${what} .data`);
+        check_eq(module.param, base.add(data_start), `${what} param`);
+        check_eq(module.param_version, 2, `${what} param version`);
+        check_eq(
+            module.eh_frame_hdr,
+            base.add(eh_frame_hdr),
+            `${what} .eh_frame_hdr`,
+        );
+    }
+});
+
+test('find_module() skips bad .eh_frame_hdrs', () => {
+    const file = build_module();
+    const {base, bytes} = load_module(file);
+    const view = new DataView(bytes.buffer);
+    // Closer to .data than the real one so they are checked first. Both
+    // would put the base a page lower.
+    const funcs = [-page_size, 0x100];
+    // the .eh_frame is outside of the module
+    write_eh_frame_hdr(view, 0x7c00, eh_frame, funcs);
+    view.setInt32(0x7c00 + 4, -0x10000, true);
+    // the FDEs are in .data
+    write_eh_frame_hdr(view, 0x7d00, data_start + 0x100, funcs);
+    view.setInt32(0x7d00 + 4, eh_frame - (0x7d00 + 4), true);
+
+    const module = find_module(base.add(0x100));
+    check_eq(module.base, base, 'base');
+    check_eq(module.eh_frame_hdr, base.add(eh_frame_hdr), '.eh_frame_hdr');
+});
+
+test('find_module() stays within max_size', () => {
+    const {base, bytes} = load_module(build_module());
+    // the SceModuleParam is more than a page away
+    check_throws(() => find_module(base, page_size), 'SceModuleParam');
+    // no .eh_frame_hdr
+    bytes.fill(0, eh_frame_hdr, eh_frame_hdr + 4);
+    check_throws(() => find_module(base.add(0x100)), '.eh_frame_hdr');
+    check_throws(() => find_module(0x100), 'addr not an Int');
+});
+
+test('parse_elf() agrees with find_module()', () => {
+    const file = build_module();
+    const image = mock.alloc(file.length);
+    mock.write_bytes(image, file);
+    const {base} = load_module(file);
+
+    const elf = parse_elf(image, base);
+    const module = find_module(base.add(functions[2]));
+    check_eq(elf.base, module.base, 'base');
+    check_eq(elf.text.end, module.text.end, '.text end');
+    check_eq(elf.data.start, module.data.start, '.data start');
+    check_eq(elf.param, module.param, 'param');
+    check_eq(elf.param_version, module.param_version, 'param version');
+    check_eq(elf.eh_frame_hdr, module.eh_frame_hdr, '.eh_frame_hdr');
+    check_eq(elf.segments[0].file_offset, new Int(file_text), 'file offset');
+    check_eq(elf.size, module_size, 'size');
+
+    // without a base the addresses are offsets
+    check_eq(parse_elf(image).data.start, new Int(data_start), 'offset');
+
+    mock.write8(image, 0);
+    check_throws(() => parse_elf(image), 'no ELF header');
+});
+
+let failed = 0;
+for (const [name, body] of tests) {
+    try {
+        body();
+        console.log(`ok: ${name}`);
+    } catch (e) {
+        failed++;
+        console.log(`FAILED: ${name}\n${e.message}`);
+    }
+}
+console.log(`${tests.length - failed} of ${tests.length} tests passed`);
+if (failed !== 0) {
+    process.exitCode = 1;
+}
@@ -0,0 +1,246 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// Checks the layouts and the accessors of define_struct() from
+// module/struct.mjs, run with:
+//
+//     node tools/test_struct.mjs
+//
+// The accessors over memory are tested on a MockMemory. The exit status is 1
+// if a test fails.
+
+import { Int } from '../module/int64.mjs';
+import { Addr } from '../module/mem.mjs';
+import { MockMemory } from '../module/mockmem.mjs';
+import { define_struct } from '../module/struct.mjs';
+
+const mock = new MockMemory();
+
+const kevent_t = define_struct('kevent', {
+    ident : 'u64',
+    filter : 'i16',
+    flags : 'u16',
+    fflags : 'u32',
+    data : 'i64',
+    udata : 'ptr',
+});
+
+// every type, with padding between the fields
+const mixed_t = define_struct('mixed', {
+    a : 'u8',
+    b : 'i32',
+    c : 'i8',
+    d : 'u16',
+    e : 'u16[3]',
+    f : 'i64',
+    g : 'u8',
+});
+
+const outer_t = define_struct('outer', {
+    tag : 'u8',
+    ev : kevent_t,
+    inner : define_struct('inner', {
+        x : 'u8',
+        y : 'u16',
+    }),
+    last : 'u8',
+});
+
+function check_eq(actual, expected, what) {
+    const is_int = actual instanceof Int;
+    if (is_int ? !actual.eq(expected) : actual !== expected) {
+        throw Error(`${what} is ${actual}, expected ${expected}`);
+    }
+}
+
+function check_throws(body, type, what) {
+    try {
+        body();
+    } catch (e) {
+        if (!(e instanceof type)) {
+            throw Error(`${what} threw ${e}, expected a ${type.name}`);
+        }
+        return;
+    }
+    throw Error(`${what} did not throw`);
+}
+
+function check_offsets(struct, offsets, sizeof) {
+    for (const [field, offset] of Object.entries(offsets)) {
+        check_eq(
+            struct.offsetof(field),
+            offset,
+            `offsetof(${struct.name}.${field})`,
+        );
+    }
+    check_eq(struct.sizeof, sizeof, `sizeof ${struct.name}`);
+}
+
+const tests = [];
+function test(name, body) {
+    tests.push([name, body]);
+}
+
+test('offsets and alignment', () => {
+    check_offsets(kevent_t, {
+        ident: 0,
+        filter: 8,
+        flags: 0xa,
+        fflags: 0xc,
+        data: 0x10,
+        udata: 0x18,
+    }, 0x20);
+    check_offsets(mixed_t, {
+        a: 0,
+        b: 4,
+        c: 8,
+        d: 0xa,
+        e: 0xc,
+        f: 0x18,
+        g: 0x20,
+    }, 0x28);
+    check_eq(mixed_t.align, 8, 'alignment of mixed');
+
+    // explicit offsets, the next field continues from the end of the last
+    const sparse_t = define_struct('sparse', {
+        a : ['ptr', 0x68],
+        b : 'u32',
+        c : ['u8', 2],
+    }, 0x100);
+    check_offsets(sparse_t, {a: 0x68, b: 0x70, c: 2}, 0x100);
+    check_offsets(define_struct('small', {a: 'u16', b: 'u8'}), {b: 2}, 4);
+
+    check_throws(
+        () => define_struct('bad', {a: 'u64'}, 4),
+        RangeError,
+        'size smaller than the fields',
+    );
+    check_throws(
+        () => define_struct('bad', {a: 'u128'}),
+        TypeError,
+        'invalid type',
+    );
+    check_throws(() => kevent_t.offsetof('nope'), Error, 'unknown field');
+});
+
+test('nested structs', () => {
+    const inner_t = outer_t.fields.get('inner').type;
+    check_eq(inner_t.sizeof, 4, 'sizeof inner');
+    check_eq(inner_t.align, 2, 'alignment of inner');
+    check_offsets(outer_t, {tag: 0, ev: 8, inner: 0x28, last: 0x2c}, 0x30);
+
+    const outer = outer_t.alloc();
+    outer.ev.filter = -1;
+    outer.ev.udata = new Int(0x1234, 0x5678);
+    outer.inner.y = 0xbeef;
+    check_eq(outer.ev.filter, -1, 'ev.filter');
+    check_eq(outer.ev.udata, new Int(0x1234, 0x5678), 'ev.udata');
+    check_eq(outer.inner.y, 0xbeef, 'inner.y');
+    check_eq(outer.view[0x8 + 8], 0xff, 'byte of ev.filter');
+    check_eq(outer.view[0x28 + 2], 0xef, 'byte of inner.y');
+    check_throws(() => {
+        outer.ev = kevent_t.alloc();
+    }, TypeError, 'assignment to a nested struct');
+});
+
+// the accessors of a local buffer and of memory must agree
+function check_round_trip(make) {
+    const mixed = make(mixed_t);
+    mixed.a = 0xff;
+    mixed.b = -2;
+    mixed.c = -128;
+    mixed.d = 0xfffe;
+    mixed.e = [1, 0x8000, 0xffff];
+    mixed.f = -3;
+    mixed.g = 0x7f;
+    check_eq(mixed.a, 0xff, 'u8');
+    check_eq(mixed.b, -2, 'i32');
+    check_eq(mixed.c, -128, 'i8');
+    check_eq(mixed.d, 0xfffe, 'u16');
+    check_eq(mixed.e.join(), [1, 0x8000, 0xffff].join(), 'u16[3]');
+    check_eq(mixed.f, new Int(-3), 'i64');
+    check_eq(mixed.g, 0x7f, 'u8 after i64');
+    check_throws(() => {
+        mixed.e = [1, 2];
+    }, RangeError, 'array of the wrong length');
+
+    const ev = make(kevent_t);
+    ev.ident = 0x123;
+    ev.data = new Int(0xffffffff, 0x7fffffff);
+    ev.udata = new Int(0x4000, 1);
+    check_eq(ev.ident, new Int(0x123), 'ident');
+    check_eq(ev.data, new Int(0xffffffff, 0x7fffffff), 'data');
+    if (!(ev.udata instanceof Addr)) {
+        throw Error('ptr field is not an Addr');
+    }
+    check_eq(ev.udata, new Int(0x4000, 1), 'udata');
+}
+
+test('round-trip over a local buffer', () => {
+    check_round_trip(struct => struct.alloc());
+
+    // at an offset in a larger buffer
+    const bytes = new Uint8Array(0x40).fill(0xcc);
+    const ev = kevent_t.from(bytes, 0x10);
+    ev.flags = 1;
+    check_eq(bytes[0x1a], 1, 'byte of flags');
+    check_eq(bytes[0xf], 0xcc, 'byte before the struct');
+    check_throws(() => kevent_t.from(bytes, 0x30), RangeError, 'overflow');
+});
+
+test('round-trip over memory', () => {
+    const bytes = new Uint8Array(0x4000);
+    const addr = mock.load(new Int(0, 0x10), bytes);
+    let next = 0;
+    check_round_trip(struct => {
+        const res = struct.at(addr.add(next));
+        next += 0x100;
+        return res;
+    });
+    check_eq(bytes[0x100 + 0x18], 0, 'low byte of kevent.udata');
+    check_eq(bytes[0x100 + 0x19], 0x40, 'byte 1 of kevent.udata');
+
+    // the fields of a nested struct in memory
+    const outer = outer_t.at(addr.add(0x200));
+    outer.inner.x = 0x42;
+    check_eq(bytes[0x228], 0x42, 'byte of inner.x');
+});
+
+test('reserved field names', () => {
+    for (const name of ['addr', 'view', 'offset', 'struct', '_x', '_read']) {
+        check_throws(
+            () => define_struct('bad', {[name]: 'u64'}),
+            Error,
+            `field named ${name}`,
+        );
+    }
+});
+
+let failed = 0;
+for (const [name, body] of tests) {
+    try {
+        body();
+        console.log(`ok: ${name}`);
+    } catch (e) {
+        failed++;
+        console.log(`FAILED: ${name}\n${e.message}`);
+    }
+}
+console.log(`${tests.length - failed} of ${tests.length} tests passed`);
+if (failed !== 0) {
+    process.exitCode = 1;
+}
@@ -0,0 +1,273 @@
+/* Copyright (C) 2023 anonymous
+
+This file is part of PSFree.
+
+PSFree is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+PSFree is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.  */
+
+// The launcher of index.html: shows the detected firmware, lets the user pick
+// the firmware profile and the payload, then imports exploit.mjs when Start is
+// pressed. The stages logged by exploit.mjs with log_stage() are shown as a
+// list and die() shows a retry prompt instead of an alert. The log is saved to
+// localStorage and the log of the previous run is shown, in case the browser
+// crashed. The log can also be streamed to tools/log_server.mjs.
+//
+// The choices are changed with the setters of config.mjs, they must be made
+// before exploit.mjs is imported.
+
+import * as config from './config.mjs';
+import { profiles } from './module/profiles.mjs';
+import {
+    add_sink,
+    add_die_listener,
+    format_record,
+    StorageSink,
+    RemoteSink,
+} from './module/utils.mjs';
+
+// the stages of exploit.mjs run(), in order. 'payload' is logged before
+// importing config.payload.
+const stages = ['readying', 'UaF 1', 'double free', 'triple free', 'payload'];
+
+// exploit.mjs changes the URL, the URL of the page with the choices as query
+// parameters is saved when Start is pressed
+let retry_url = null;
+let done = false;
+
+function by_id(id) {
+    return document.getElementById(id);
+}
+
+function add_option(select, value, text) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    select.appendChild(option);
+}
+
+function show_firmware() {
+    const elem = by_id('firmware');
+    if (config.firmware_error !== null) {
+        elem.textContent = config.firmware_error;
+        elem.className = 'error';
+        return;
+    }
+    elem.className = '';
+    if (config.firmware === null) {
+        elem.textContent = 'not detected, using the defaults (PS4 8.03)';
+        return;
+    }
+    const name = config.firmware_name(config.firmware);
+    elem.textContent = `${name} (from the ${config.firmware_source})`;
+}
+
+// Start is disabled if the payload needs a profile and there is none
+function update_start() {
+    const needs_profile = config.payload === 'rop.mjs';
+    const ok = config.firmware_error === null
+        && !(needs_profile && config.profile === null);
+    by_id('start').disabled = !ok;
+    by_id('hint').textContent = ok || config.firmware_error !== null
+        ? '' : 'rop.mjs needs a firmware profile, pick one';
+}
+
+function init_profiles() {
+    const select = by_id('profile');
+    add_option(select, 'none', 'none (exploit only)');
+    for (const [id, profile] of profiles) {
+        add_option(select, id, profile.name);
+    }
+    select.value = config.profile === null ? 'none' : config.profile;
+
+    select.addEventListener('change', () => {
+        if (select.value === 'none') {
+            config.set_profile(null);
+        } else {
+            const firmware = config.get_profile_firmware(select.value);
+            if (firmware === null) {
+                // a profile for a firmware of an already chosen target
+                config.set_profile(select.value);
+            } else {
+                config.set_firmware(firmware, 'picker');
+            }
+        }
+        show_firmware();
+        update_start();
+    });
+}
+
+function init_payloads() {
+    const select = by_id('payload');
+    for (const [name, desc] of config.payloads) {
+        add_option(select, name, `${name}: ${desc}`);
+    }
+    select.value = config.payload;
+
+    select.addEventListener('change', () => {
+        config.set_payload(select.value);
+        show_firmware();
+        update_start();
+    });
+}
+
+function init_stages() {
+    const list = by_id('stages');
+    for (const stage of stages) {
+        const item = document.createElement('li');
+        item.textContent = stage;
+        list.appendChild(item);
+    }
+}
+
+// marks the stages before name done and name as the current one, stages we
+// don't know of are appended
+function set_stage(name) {
+    const items = Array.from(by_id('stages').children);
+    let index = items.findIndex(item => item.textContent === name);
+    if (index === -1) {
+        const item = document.createElement('li');
+        item.textContent = name;
+        by_id('stages').appendChild(item);
+        items.push(item);
+        index = items.length - 1;
+    }
+    items.forEach((item, i) => {
+        item.className = i < index ? 'done' : i === index ? 'current' : '';
+    });
+}
+
+function fail(msg) {
+    // only the first error, the ones after it are caused by it
+    if (done) {
+        return;
+    }
+    done = true;
+
+    const current = document.querySelector('#stages .current');
+    if (current !== null) {
+        current.className = 'failed';
+    }
+    by_id('reason').textContent = String(msg);
+    by_id('failure').hidden = false;
+}
+
+function get_retry_url() {
+    const params = new URLSearchParams();
+    if (config.firmware !== null) {
+        const fw = config.firmware;
+        params.set('fw', `${fw.console}-${fw.version}`);
+    }
+    params.set('profile', config.profile === null ? 'none' : config.profile);
+    params.set('payload', config.payload);
+    if (config.log_server !== null) {
+        params.set('log', config.log_server);
+    }
+    if (config.self_test) {
+        params.set('self_test', '1');
+    }
+    return `${window.location.pathname}?${params}`;
+}
+
+// a random id to tell the runs apart in the log collector
+function make_run_id() {
+    const rand = Math.floor(Math.random() * 0x100000000);
+    return Date.now().toString(36) + '-' + rand.toString(16).padStart(8, '0');
+}
+
+function start_remote_log() {
+    const firmware = config.firmware === null
+        ? 'unknown' : config.firmware_name(config.firmware);
+    add_sink(new RemoteSink(config.log_server, {
+        run: make_run_id(),
+        firmware,
+        profile: config.profile,
+        payload: config.payload,
+        user_agent: navigator.userAgent,
+    }));
+}
+
+function start() {
+    for (const id of ['profile', 'payload', 'remote', 'start']) {
+        by_id(id).disabled = true;
+    }
+    retry_url = get_retry_url();
+    if (config.log_server !== null) {
+        start_remote_log();
+    }
+
+    let stage = null;
+    add_sink({
+        write(record) {
+            if (record.stage !== stage) {
+                stage = record.stage;
+                set_stage(stage);
+            }
+        },
+    });
+    add_die_listener(fail);
+    // errors thrown instead of die(), alert.mjs alerts them as well
+    addEventListener('unhandledrejection', event => fail(event.reason));
+
+    import('./exploit.mjs');
+}
+
+function init_storage() {
+    let sink = null;
+    try {
+        sink = new StorageSink();
+    } catch (e) {
+        // localStorage is not available, like for pages opened from a file
+        return;
+    }
+    add_sink(sink);
+
+    const records = sink.previous;
+    if (records.length === 0) {
+        return;
+    }
+    const start = records[0].time;
+    by_id('previous_log').textContent = records
+        .map(record => format_record(record, start))
+        .join('\n');
+    by_id('previous').hidden = false;
+}
+
+function init_remote() {
+    const checkbox = by_id('remote');
+    checkbox.checked = config.log_server !== null;
+    by_id('remote_url').textContent = config.log_server === null
+        ? config.default_log_server() : config.log_server;
+
+    checkbox.addEventListener('change', () => {
+        config.set_log_server(
+            checkbox.checked ? by_id('remote_url').textContent : null
+        );
+    });
+}
+
+function init() {
+    init_storage();
+    init_profiles();
+    init_payloads();
+    init_remote();
+    init_stages();
+    show_firmware();
+    update_start();
+
+    by_id('start').addEventListener('click', start);
+    by_id('retry').addEventListener('click', () => {
+        window.location.href = retry_url;
+    });
+}
+
+init();